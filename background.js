@@ -1,59 +1,106 @@
 /**
  * background.js: Service worker for the Chrome Extension.
- * - Listens for messages, communicates with the Gemini API, and manages the API key.
- *
- * Final Version: 2.1 - Added specific handling for 503 server errors.
+ * - Listens for messages, calls the configured AI provider (see background/providers.js), and manages settings.
+ * - Prices bids from the rules set in Options (see background/pricing.js).
+ * - Scores how well a project fits the active profile before generating (see background/fit.js).
+ * - Runs the batch bidding queue filled from Freelancer search pages (see background/batch.js).
+ * - Drafts replies in Freelancer message threads (see background/chat.js).
+ * - Checks auto-submitted bids against the user's guardrails (see background/submit.js).
+ * - Hands the built-in selector pack (selector-pack.js) to Options.
+ * - Keeps the API keys encrypted on this device (see background/keys.js).
+ * - Upgrades the stored settings when the extension updates (see background/settings.js).
  */
 
-console.log("Background service worker started (v2.2).");
+console.log(`Background service worker started (v${chrome.runtime.getManifest().version}).`);
+
+importScripts('selector-pack.js', 'background/providers.js', 'background/keys.js', 'background/pricing.js', 'background/taxonomy.js', 'background/retrieval.js', 'background/knowledge.js', 'background/proposal.js', 'background/usage.js', 'background/fit.js', 'background/batch.js', 'background/chat.js', 'background/submit.js', 'background/settings.js');
 
 // --- Settings & API Key Management ---
+// Per-provider settings live in chrome.storage.sync as `${id}Model`, `${id}BaseUrl` and
+// `${id}Headers` (e.g. geminiModel, compatibleBaseUrl). API keys are kept apart, encrypted in
+// chrome.storage.local (background/keys.js); plain-text keys from 2.x are only read until that is set up.
+// Only the OpenAI-compatible provider takes a base URL and headers from settings: the built-in ones
+// always talk to their own API, so no stored or imported setting can send their keys to another host.
+// The one exception is a loopback base URL, for the local mock server (see scripts/mock-sse-server.js).
+const PROVIDER_SETTING_KEYS = Object.keys(PROVIDERS)
+    .flatMap(id => [`${id}Model`, `${id}BaseUrl`, `${id}Headers`]);
+
+const LOOPBACK_URL = /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/|$)/i;
+
+function providerConfigFrom(stored, id) {
+    const provider = getProvider(id);
+    const storedBaseUrl = stored[`${id}BaseUrl`] || '';
+    const baseUrl = provider.customEndpoint || LOOPBACK_URL.test(storedBaseUrl) ? storedBaseUrl : '';
+    return {
+        model: stored[`${id}Model`] || provider.defaultModel,
+        baseUrl: (baseUrl || provider.defaultBaseUrl).replace(/\/+$/, ''),
+        headers: provider.customEndpoint ? parseHeaderLines(stored[`${id}Headers`]) : {},
+    };
+}
+
+// `fallbackProvider`/`fallbackModel` name the provider tried once the selected one runs out of retries.
+function settingsFrom(stored) {
+    const providers = {};
+    Object.keys(PROVIDERS).forEach(id => { providers[id] = providerConfigFrom(stored, id); });
+    return {
+        aiProvider: PROVIDERS[stored.aiProvider] ? stored.aiProvider : 'gemini',
+        providers,
+        fallback: PROVIDERS[stored.fallbackProvider]
+            ? { provider: stored.fallbackProvider, model: stored.fallbackModel || '' }
+            : null,
+    };
+}
+
+// `apiKey` comes from the vault (or a legacy plain-text key); `keyLocked` marks providers whose key
+// is in the vault while it is locked.
 async function getSettings() {
     try {
-        const result = await chrome.storage.sync.get(['aiProvider', 'geminiApiKey', 'openaiApiKey', 'geminiModel', 'openaiModel']);
-        if (chrome.runtime.lastError) {
-            console.error("Storage Error:", chrome.runtime.lastError.message);
-            return { aiProvider: 'gemini', geminiApiKey: undefined, openaiApiKey: undefined, geminiModel: undefined, openaiModel: undefined };
+        const [result, legacyKeys] = await Promise.all([
+            chrome.storage.sync.get(['aiProvider', 'fallbackProvider', 'fallbackModel', ...PROVIDER_SETTING_KEYS]),
+            getLegacyKeys(),
+        ]);
+        const settings = settingsFrom(result);
+        for (const [id, config] of Object.entries(settings.providers)) {
+            const { apiKey, locked } = await resolveApiKey(id, legacyKeys[id]);
+            Object.assign(config, { apiKey, keyLocked: locked });
         }
-        return {
-            aiProvider: result.aiProvider || 'gemini',
-            geminiApiKey: result.geminiApiKey,
-            openaiApiKey: result.openaiApiKey,
-            geminiModel: result.geminiModel || 'gemini-1.5-flash-latest',
-            openaiModel: result.openaiModel || 'gpt-4o-mini',
-        };
+        return settings;
     } catch (error) {
         console.error("Exception retrieving settings:", error);
-        return { aiProvider: 'gemini', geminiApiKey: undefined, openaiApiKey: undefined, geminiModel: 'gemini-1.5-flash-latest', openaiModel: 'gpt-4o-mini' };
+        return settingsFrom({});
     }
 }
 
-// --- Utility: Infer specialization from job text ---
-function inferSpecialization(text) {
-    if (!text) return "full-stack";
-    const lower = text.toLowerCase();
-    const checks = [
-        { key: /\b(ai|machine learning|ml|bert|llm|generative ai|deep learning|artificial intelligence|chatbot|gpt|text generation|computer vision|opencv|nlp|natural language processing)\b/, label: "AI/ML specialist" },
-        { key: /\b(firebase|google cloud|gcp|aws|azure|cloud|serverless|vercel|cloud functions|hosting|deployment)\b/, label: "cloud solutions" },
-        { key: /\b(scrap|crawler|scraping|selenium|beautifulsoup|data extraction|web scraping|automation|bot)\b/, label: "web scraping and automation" },
-        { key: /\b(react|next\.js|vue|angular|tailwind|frontend|javascript|typescript|html|css|ui|ux)\b/, label: "frontend" },
-        { key: /\b(python|django|flask|fastapi|node\.js|express|php|backend|api|rest|graphql|database|postgresql|mysql)\b/, label: "backend" },
-        { key: /\b(chrome extension|browser extension|extension development)\b/, label: "browser extension" },
-        { key: /\b(matlab|algorithm|optimization|mathematical modeling|simulation|data analysis|statistics)\b/, label: "algorithm and data science" },
-        { key: /\b(mobile|android|ios|react native|flutter|app development)\b/, label: "mobile development" },
-        { key: /\b(docker|kubernetes|ci\/cd|devops|linux|system administration)\b/, label: "DevOps" },
-    ];
-    for (const c of checks) {
-        if (c.key.test(lower)) return c.label;
+function assertConfigured(provider, config) {
+    if (config.keyLocked) {
+        throw new Error(`${provider.label} API key is locked. Unlock your keys with the passphrase (popup or Options → AI Provider).`);
+    }
+    if (provider.requiresKey && !config.apiKey) {
+        throw new Error(`${provider.label} API Key not set. Please configure it in the extension options.`);
+    }
+    if (!config.baseUrl) {
+        throw new Error(`${provider.label} base URL not set. Please configure it in the extension options.`);
+    }
+    if (!config.model) {
+        throw new Error(`${provider.label} model not set. Please configure it in the extension options.`);
     }
-    return "full-stack";
 }
 
-// --- Prompt helpers ---
-function buildPrompt(description) {
-    const specialization = inferSpecialization(description);
-
-    const REVIEW_HIGHLIGHTS = [
+// --- Freelancer Profiles ---
+// Profiles live in chrome.storage.local (they outgrow the sync quota once a few
+// review snippets are added). The default below is seeded on install.
+const DEFAULT_PROFILE = {
+    id: 'default',
+    name: 'Reda E',
+    yearsExperience: 5,
+    rating: 5.0,
+    projectCount: 48,
+    skills: ['AI/ML', 'cloud platforms (Firebase, AWS, GCP)', 'web development', 'automation', 'data solutions'],
+    highlights: [
+        'Strong track record with international clients from US, UK, Australia, Germany, and more',
+        'Known for delivering on-time, professional communication, and going above expectations',
+    ],
+    reviews: [
         "Reda E is very talented and a great communicator; highly recommended by clients worldwide.",
         "Delivered exactly what was needed on time and on budget with 5.0 rating across 48+ projects.",
         "Professional work with excellent communication; knows his stuff and gets the job done efficiently.",
@@ -61,35 +108,236 @@ function buildPrompt(description) {
         "Outstanding job with quick responses and immediate feedback implementation.",
         "Exceeded expectations with accurate work and clear documentation throughout the project.",
         "Intelligent, quick, responsible developer with great vision and technical knowledge.",
-    ].join("\n- ");
+    ],
+    openingLine: "I'm a {{specialization}} developer with {{yearsExperience}}+ years of experience and a {{rating}} rating on similar projects.",
+    closingLine: "Please review my portfolio and client feedback - I'd be happy to discuss your requirements.",
+    // { [languageCode]: { openingLine, closingLine } }, used for bids in that language.
+    localizedLines: {},
+};
+
+async function getProfiles() {
+    try {
+        const { profiles, activeProfileId } = await chrome.storage.local.get(['profiles', 'activeProfileId']);
+        const list = Array.isArray(profiles) && profiles.length > 0 ? profiles : [DEFAULT_PROFILE];
+        return { profiles: list, activeProfileId: activeProfileId || list[0].id };
+    } catch (error) {
+        console.error("Exception retrieving profiles:", error);
+        return { profiles: [DEFAULT_PROFILE], activeProfileId: DEFAULT_PROFILE.id };
+    }
+}
+
+async function getActiveProfile() {
+    const { profiles, activeProfileId } = await getProfiles();
+    const profile = profiles.find(p => p.id === activeProfileId) || profiles[0];
+    // Fill any field an older or hand-edited profile is missing.
+    return { ...DEFAULT_PROFILE, ...profile };
+}
+
+// Replaces {{name}} style placeholders; unknown names are left untouched.
+function fillPlaceholders(text, vars) {
+    return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+        vars[key] !== undefined && vars[key] !== null ? String(vars[key]) : match
+    ));
+}
+
+function profileVariables(profile, specialization) {
+    return {
+        specialization,
+        name: profile.name,
+        yearsExperience: profile.yearsExperience,
+        rating: Number(profile.rating || 0).toFixed(1),
+        projectCount: profile.projectCount,
+        profileSkills: (profile.skills || []).join(', '),
+    };
+}
+
+// --- Bid language ---
+// content.js detects the project language locally; the popup can override it. Mirrors src/shared/languages.ts.
+const LANGUAGE_NAMES = {
+    en: 'English', de: 'German', es: 'Spanish', fr: 'French', it: 'Italian', pt: 'Portuguese', nl: 'Dutch',
+    tr: 'Turkish', pl: 'Polish', ar: 'Arabic', ru: 'Russian', zh: 'Chinese', ja: 'Japanese', ko: 'Korean',
+};
+
+function languageName(code) {
+    return LANGUAGE_NAMES[code] || LANGUAGE_NAMES.en;
+}
+
+const isForeignLanguage = (code) => !!code && code !== 'en' && !!LANGUAGE_NAMES[code];
+
+// Opening and closing lines for the bid language: the profile's own lines for that language
+// when it has them (Options → Profiles), otherwise the English ones.
+function profileLines(profile, language) {
+    const localized = isForeignLanguage(language) ? profile.localizedLines?.[language] : null;
+    return {
+        openingLine: localized?.openingLine || profile.openingLine,
+        closingLine: localized?.closingLine || profile.closingLine,
+        localized: { opening: !!localized?.openingLine, closing: !!localized?.closingLine },
+    };
+}
+
+// --- Screening instructions ---
+// content.js detects required phrases ("Start your bid with the word 'banana'") and numbered
+// questions in the description (detectScreening); clients use them to weed out generic bids.
+
+const hasScreening = (screening) => !!(screening?.requiredPhrases?.length || screening?.questions?.length);
+
+// The phrase the bid must open with, if the client asked for one.
+function screeningStartPhrase(screening) {
+    return (screening?.requiredPhrases || []).find(p => p.placement === 'start')?.text || null;
+}
+
+// Prompt lines for everything except the opening phrase, which buildPrompt() folds into its "Start with" line.
+function screeningLines(screening) {
+    const lines = (screening?.requiredPhrases || [])
+        .filter(p => p.placement !== 'start')
+        .map(p => `Include the exact phrase "${p.text}" somewhere in the bid, unchanged and not translated.`);
+    const questions = screening?.questions || [];
+    if (questions.length) {
+        lines.push(`The client asks these screening questions. After the opening line, answer each one in order on its own line starting with its number ("1) ..."), in one short sentence. Answer honestly from the profile and past work; if a detail is unknown, say what you would need to confirm instead of inventing it:
+${questions.map((q, i) => `  ${i + 1}) ${q}`).join('\n')}`);
+    }
+    return lines;
+}
+
+// The screening instructions as a block for templates and the detailed proposal.
+function screeningBlock(screening) {
+    const start = screeningStartPhrase(screening);
+    return [
+        start ? `Begin the very first line with exactly "${start}", unchanged and not translated.` : null,
+        ...screeningLines(screening),
+    ].filter(Boolean).join('\n');
+}
+
+// --- Prompt helpers ---
+/**
+ * The built-in bid prompt.
+ * @param {object} context - `facts` (projectFacts()), `specialization` (resolveSpecialization() in
+ *   background/taxonomy.js), `pastProjects` (findRelevantProjects() in background/knowledge.js)
+ *   `language` (ISO 639-1 code of the bid) and `screening` (detectScreening() in content.js).
+ */
+function buildPrompt(description, profile = DEFAULT_PROFILE, context = {}) {
+    const { facts = '', specialization = { text: 'full-stack', labels: [] }, pastProjects = [], language = 'en', screening } = context;
+    const vars = profileVariables(profile, specialization.text);
+    const relevantWork = specializationWork(specialization).join("\n- ");
+    const pastWork = pastProjectLines(pastProjects).join("\n- ");
+    const lines = profileLines(profile, language);
+    const foreign = isForeignLanguage(language);
+    // An English line in a foreign-language bid is rendered by the model, not pasted.
+    const lineInstruction = (label, text, localized) => (foreign && !localized
+        ? `${label} a natural ${languageName(language)} version of: "${text}"`
+        : `${label}: "${text}"`);
+    const startPhrase = screeningStartPhrase(screening);
+    const openingInstruction = lineInstruction(startPhrase ? 'then continue with' : 'Start with', fillPlaceholders(lines.openingLine, vars), lines.localized.opening);
+    const extraLines = screeningLines(screening);
+    const answersQuestions = !!screening?.questions?.length;
+
+    const contextLines = [
+        `${vars.rating}-star rated freelancer with ${profile.projectCount}+ successful projects and ${profile.yearsExperience}+ years of experience`,
+        profile.skills?.length ? `Expertise spans ${vars.profileSkills}` : null,
+        ...(profile.highlights || []),
+    ].filter(Boolean).join("\n- ");
+
+    const reviewHighlights = (profile.reviews || []).filter(Boolean).join("\n- ");
 
     return `You write concise, human-sounding bids that showcase proven expertise without feeling AI-generated.
 
 Professional Context: 
-- 5.0-star rated full-stack developer with 48+ successful projects
-- Expertise spans AI/ML, cloud platforms (Firebase, AWS, GCP), web development, automation, and data solutions
-- Strong track record with international clients from US, UK, Australia, Germany, and more
-- Known for delivering on-time, professional communication, and going above expectations
+- ${contextLines}
 
 Constraints:
-- Write 3 to 6 lines total (no bullets, no headings, no emojis, no signature).
+- ${answersQuestions
+        ? 'Write 3 to 6 lines plus one numbered answer line per screening question (no bullets, no headings, no emojis, no signature).'
+        : 'Write 3 to 6 lines total (no bullets, no headings, no emojis, no signature).'}
 - Use first person, confident but professional tone. Reference relevant past experience naturally.
-- Start with: "I'm a ${specialization} developer with 5+ years of experience and a 5.0 rating on similar projects."
+- ${startPhrase ? `Begin the very first line with exactly "${startPhrase}" (unchanged, not translated), ${openingInstruction}` : openingInstruction}
 - Add 2–3 lines mentioning specific technical approach and relevant technologies from your expertise.
-- Close with: "Please review my portfolio and client feedback - I'd be happy to discuss your requirements."
-
+- ${lineInstruction('Close with', fillPlaceholders(lines.closingLine, vars), lines.localized.closing)}
+${extraLines.map(line => `- ${line}\n`).join('')}${foreign ? `- Write the whole bid in ${languageName(language)}, as a native speaker would. Keep technology and product names as they are.
+` : ''}
 Project details:
 ${description}
-
+${facts ? `
+Project facts (tailor the bid to them where natural, don't list them back):
+${facts}
+` : ''}${pastWork ? `
+Similar projects you delivered (name the most relevant one or two specifically, with their outcome; never invent others):
+- ${pastWork}
+` : ''}${relevantWork ? `
+Relevant work for this project (mention at most one, naturally):
+- ${relevantWork}
+` : ''}${reviewHighlights ? `
 Professional reputation (use to shape tone, don't quote directly):
-- ${REVIEW_HIGHLIGHTS}
-`;
+- ${reviewHighlights}
+` : ''}`;
+}
+
+/**
+ * The "detailed proposal" counterpart of buildPrompt() for larger fixed-price projects: a plan as
+ * JSON matching PROPOSAL_SCHEMA (background/proposal.js) instead of a 3–6 line bid.
+ * @param {object} job - Project details plus the popup's `bidAmount`, `deliveryTime` and `language`.
+ */
+function buildDetailedPrompt(job, profile = DEFAULT_PROFILE, context = {}) {
+    const { specialization = { text: 'full-stack', labels: [] }, pastProjects = [] } = context;
+    const facts = projectFacts(job);
+    const pastWork = pastProjectLines(pastProjects).join("\n- ");
+    const amount = Number(job.bidAmount) > 0 ? Number(job.bidAmount) : null;
+    const days = Number(job.deliveryTime) > 0 ? Math.round(Number(job.deliveryTime)) : null;
+    const startPhrase = screeningStartPhrase(job.screening);
+    const questions = job.screening?.questions || [];
+
+    return `You are a ${specialization.text} freelancer with ${profile.yearsExperience}+ years of experience planning a fixed-price project for a client.
+Expertise: ${(profile.skills || []).join(', ')}.
+
+Write a delivery plan as JSON with:
+- summary: 2–3 sentences on what you will deliver and how${startPhrase ? `, beginning with exactly "${startPhrase}" (unchanged, not translated)` : ''}${questions.length ? ', followed by a short numbered answer ("1) ...") to each screening question below' : ''}.
+- phases: 3 to 5 phases in order, each with a name, a one-sentence description and its working days.
+- milestones: 2 to 5 payment milestones, each with a name, the deliverable the client can check, an amount and the day it is due.
+- assumptions: what you assume about access, content, hosting or third parties.
+- exclusions: what is explicitly not included.
+${amount ? `The milestone amounts must add up to exactly ${amount}${job.projectBudget?.text ? ` (budget: ${job.projectBudget.text})` : ''}; weight them by effort, with no more than 30% up front.` : 'Choose milestone amounts that fit the budget.'}
+${days ? `The phases must add up to ${days} days and the last milestone is due on day ${days}.` : 'Choose a realistic schedule.'}
+${isForeignLanguage(job.language) ? `Write all text in ${languageName(job.language)}; keep technology names as they are.\n` : ''}Base everything on the project below; never invent requirements or past work.
+
+Project: ${job.title || ''}
+${job.description || ''}
+${questions.length ? `
+Screening questions (answer honestly; never invent facts):
+${questions.map((q, i) => `${i + 1}) ${q}`).join('\n')}
+` : ''}${facts ? `
+Project facts:
+${facts}
+` : ''}${pastWork ? `
+Similar projects you delivered (you may mention one in the summary):
+- ${pastWork}
+` : ''}`;
+}
+
+// Structured facts from content.js (client, competition, type, attachments) as prompt lines.
+// Missing fields are skipped, so older callers that only send a description get ''.
+function projectFacts(job) {
+    const client = job.client || {};
+    const clientParts = [
+        client.country,
+        client.paymentVerified === true ? 'payment verified' : client.paymentVerified === false ? 'payment NOT verified' : null,
+        client.rating != null ? `rated ${client.rating}${client.reviewCount != null ? ` from ${client.reviewCount} reviews` : ''}` : null,
+    ].filter(Boolean);
+    const stats = job.bidStats || {};
+    const rate = job.hourlyRate;
+    return [
+        job.projectType === 'hourly'
+            ? `Type: hourly${rate ? ` (${rate.min}–${rate.max} per hour)` : ''}`
+            : job.projectType === 'fixed' ? 'Type: fixed price' : null,
+        clientParts.length ? `Client: ${clientParts.join(', ')}` : null,
+        stats.count != null ? `Competition: ${stats.count} bids${stats.averageText ? `, averaging ${stats.averageText}` : ''}` : null,
+        job.postedText ? `Posted: ${job.postedText}` : null,
+        job.attachments?.length ? `Attachments: ${job.attachments.join(', ')}` : null,
+    ].filter(Boolean).join('\n');
 }
 
 // --- Prompt for clarifying questions ---
-function buildQuestionsPrompt(description) {
-    const specialization = inferSpecialization(description);
-    return `You are an experienced ${specialization} developer with a 5.0 rating and proven track record of delivering successful projects.
+function buildQuestionsPrompt(description, profile = DEFAULT_PROFILE, specialization = 'full-stack', language = 'en') {
+    const rating = Number(profile.rating || 0).toFixed(1);
+    return `You are an experienced ${specialization} developer with ${profile.yearsExperience}+ years of experience, a ${rating} rating and ${profile.projectCount}+ delivered projects.
 
 Write 3 to 5 professional clarifying questions that demonstrate technical understanding and help ensure project success.
 
@@ -98,206 +346,433 @@ Guidelines:
 - Focus on technical implementation details, scope boundaries, and success criteria
 - Avoid generic questions - be specific to the project type and requirements
 - Keep each question concise and professional
-- No numbering or bullets - just separate lines
+- No numbering or bullets - just separate lines${isForeignLanguage(language) ? `
+- Write the questions in ${languageName(language)}` : ''}
 
 Project details:
 ${description}`;
 }
 
-// --- Gemini API Call ---
-async function generateBidWithGemini(description) {
-    const { geminiApiKey, geminiModel } = await getSettings();
-    if (!geminiApiKey) {
-        throw new Error("Gemini API Key not set. Please configure it in the extension options.");
+// --- Prompt templates ---
+// User-defined templates are stored in chrome.storage.local under `bidTemplates`
+// as { id, name, category, content }. `content` is a prompt body with {{placeholders}}.
+async function getTemplates() {
+    try {
+        const { bidTemplates } = await chrome.storage.local.get('bidTemplates');
+        return Array.isArray(bidTemplates) ? bidTemplates : [];
+    } catch (error) {
+        console.error("Exception retrieving templates:", error);
+        return [];
     }
+}
 
-    const API_ENDPOINT = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(geminiModel)}:generateContent`;
+// 'auto' picks the template whose category matches a detected label, trying the
+// best-scoring label first, then the combined text ("mobile development and cloud solutions").
+async function resolveTemplate(templateId, specialization) {
+    if (!templateId) return null;
+    const templates = await getTemplates();
+    if (templateId === 'auto') {
+        const wanted = [...specialization.labels.map(entry => entry.label), specialization.text].map(l => l.toLowerCase());
+        for (const label of wanted) {
+            const match = templates.find(t => (t.category || '').trim().toLowerCase() === label);
+            if (match) return match;
+        }
+        return null;
+    }
+    return templates.find(t => t.id === templateId) || null;
+}
+
+// `context` is the same as for buildPrompt(). Templates that do not place {{language}} or
+// {{screening}} themselves get the language and screening instructions appended.
+function renderTemplate(template, job, profile, context) {
+    const { specialization, pastProjects = [], language = 'en', screening } = context;
+    const vars = profileVariables(profile, specialization.text);
+    const lines = profileLines(profile, language);
+    const prompt = fillPlaceholders(template.content, {
+        ...vars,
+        title: job.title || '',
+        description: job.description || '',
+        skills: (job.skills || []).join(', '),
+        budget: job.projectBudget?.text || 'not specified',
+        openingLine: fillPlaceholders(lines.openingLine, vars),
+        closingLine: fillPlaceholders(lines.closingLine, vars),
+        reviews: (profile.reviews || []).join('\n'),
+        projectType: job.projectType || 'unknown',
+        client: projectFacts({ client: job.client }).replace(/^Client: /, '') || 'unknown',
+        bidStats: projectFacts({ bidStats: job.bidStats }).replace(/^Competition: /, '') || 'unknown',
+        attachments: (job.attachments || []).join(', ') || 'none',
+        facts: projectFacts(job),
+        portfolio: specialization.labels.map(entry => entry.portfolioUrl).filter(Boolean).join('\n'),
+        sampleProjects: specialization.labels.flatMap(entry => entry.samples || []).filter(Boolean).join('\n'),
+        pastProjects: pastProjectLines(pastProjects).join('\n'),
+        language: languageName(language),
+        screening: screeningBlock(screening),
+    });
+    const additions = [
+        isForeignLanguage(language) && !/\{\{\s*language\s*\}\}/.test(template.content)
+            ? `Write the whole bid in ${languageName(language)}, as a native speaker would. Keep technology and product names as they are.`
+            : null,
+        hasScreening(screening) && !/\{\{\s*screening\s*\}\}/.test(template.content) ? screeningBlock(screening) : null,
+    ].filter(Boolean);
+    return [prompt, ...additions].join('\n\n');
+}
 
-    const prompt = buildPrompt(description);
+// Returns the prompt for a bid request: the chosen template when one resolves,
+// otherwise the built-in prompt.
+async function buildBidPrompt(job) {
+    const profile = await getActiveProfile();
+    const specialization = await resolveSpecialization(job);
+    console.log(`Background: Specialization "${specialization.text}" (${specialization.source}).`);
+    const pastProjects = await findRelevantProjects(job);
+    if (pastProjects.length) {
+        console.log(`Background: Citing past projects ${pastProjects.map(m => `"${m.project.title}" (${m.score.toFixed(2)})`).join(', ')}.`);
+    }
+    const context = { facts: projectFacts(job), specialization, pastProjects, language: job.language || 'en', screening: job.screening };
+    const template = await resolveTemplate(job.templateId, specialization);
+    if (template) {
+        console.log(`Background: Using template "${template.name}".`);
+        return renderTemplate(template, job, profile, context);
+    }
+    return buildPrompt(job.description, profile, context);
+}
 
-    console.log("Background: Sending request to Gemini API...");
+// --- Provider calls ---
+const BID_SYSTEM_PROMPT = 'You are a helpful assistant that writes concise, human-sounding freelance bids.';
+const QUESTIONS_SYSTEM_PROMPT = 'You help craft short, smart clarifying questions for freelance projects.';
 
-    try {
-        const response = await fetch(`${API_ENDPOINT}?key=${geminiApiKey}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                contents: [{ parts: [{ text: prompt }] }],
-                generationConfig: {
-                    temperature: 0.7,
-                    topK: 40,
-                    topP: 0.95,
-                    maxOutputTokens: 1024,
-                },
-                safetySettings: [
-                    {
-                        category: "HARM_CATEGORY_HARASSMENT",
-                        threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                    },
-                    {
-                        category: "HARM_CATEGORY_HATE_SPEECH",
-                        threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                    }
-                ]
-            }),
-        });
+// --- Retry & Fallback ---
+// 429, 5xx and network failures are retried with exponential backoff and jitter, waiting at
+// least as long as a Retry-After header asks. Once the selected provider runs out of attempts
+// (or asks to wait longer than RETRY_MAX_DELAY_MS), the fallback provider from Options is tried.
+const RETRY_ATTEMPTS_PER_PROVIDER = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 20000;
 
-        // --- **IMPROVED ERROR HANDLING** ---
-        if (!response.ok) {
-            // **Specifically check for the 503 Service Unavailable error.**
-            if (response.status === 503) {
-                console.error("Background: Gemini API Error Response: 503 Service Unavailable.");
-                throw new Error("The model is overloaded or temporarily unavailable. Please try again in a few moments.");
-            }
-            
-            const responseBody = await response.json();
-            const errorDetails = responseBody?.error?.message || `API request failed with status ${response.status}.`;
-            console.error("Background: Gemini API Error:", response.status, responseBody);
-            throw new Error(errorDetails);
+function isRetryableError(error) {
+    if (error.name === 'AbortError') return false;
+    if (typeof error.status === 'number') return error.status === 429 || error.status >= 500;
+    // fetch() rejects with a TypeError when the network request itself fails.
+    return error instanceof TypeError;
+}
+
+function retryDelay(tries, error) {
+    const backoff = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (tries - 1));
+    const jittered = backoff / 2 + Math.random() * (backoff / 2);
+    return Math.max(jittered, error.retryAfterMs || 0);
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        }, { once: true });
+    });
+}
+
+// The selected provider first, then the fallback if it is configured and actually different.
+function providerChain({ aiProvider, providers, fallback }) {
+    const chain = [{ id: aiProvider, config: providers[aiProvider], fallback: false }];
+    if (fallback) {
+        const base = providers[fallback.provider];
+        const config = { ...base, model: fallback.model || base.model };
+        const same = fallback.provider === aiProvider && config.model === chain[0].config.model;
+        try {
+            assertConfigured(getProvider(fallback.provider), config);
+            if (!same) chain.push({ id: fallback.provider, config, fallback: true });
+        } catch (error) {
+            console.warn("Background: Ignoring the fallback provider:", error.message);
         }
+    }
+    return chain;
+}
 
-        const responseBody = await response.json();
+// Sends one request to the selected provider, retrying and falling back as above.
+// Streams when `onChunk` is given; `onRetry` hears about each new attempt before it starts
+// (a streaming caller should discard the text received so far).
+// Spend caps (background/usage.js) may swap in a cheaper model or skip a provider; every
+// successful call is logged with its token usage and cost.
+// Resolves with the text, the provider/model that produced it, the attempt number and
+// whether the fallback was used.
+async function callProvider(request, { signal, onChunk, onRetry } = {}) {
+    const chain = providerChain(await getSettings());
+    assertConfigured(getProvider(chain[0].id), chain[0].config);
 
-        // Check for content blocking due to safety filters.
-        if (responseBody.promptFeedback?.blockReason) {
-            const blockReason = responseBody.promptFeedback.blockReason;
-            console.error(`Background: Prompt blocked by API safety filters: ${blockReason}`);
-            throw new Error(`Content blocked by safety filters: ${blockReason}.`);
+    let attempt = 0;
+    for (let index = 0; index < chain.length; index++) {
+        const { id, fallback } = chain[index];
+        const provider = getProvider(id);
+        let config;
+        try {
+            config = await applySpendCaps(id, chain[index].config);
+        } catch (error) {
+            const next = chain[index + 1];
+            if (!next) throw error;
+            console.warn(`Background: ${error.message} Trying ${getProvider(next.id).label} instead.`);
+            onRetry?.({ attempt: attempt + 1, provider: next.id, model: next.config.model, fallback: true, delayMs: 0, reason: error.message });
+            continue;
         }
 
-        // Safely access the generated text.
-        const generatedText = responseBody.candidates?.[0]?.content?.parts?.[0]?.text;
-        if (generatedText) {
-            console.log("Background: Successfully received response from Gemini.");
-            return generatedText.trim();
-        } else {
-            console.error("Background: Invalid response format from Gemini:", responseBody);
-            throw new Error("Could not parse a valid bid from the API response.");
+        for (let tries = 1; tries <= RETRY_ATTEMPTS_PER_PROVIDER; tries++) {
+            attempt++;
+            console.log(`Background: Sending request to ${provider.label} (${config.model}), attempt ${attempt}...`);
+            try {
+                const result = onChunk
+                    ? await provider.stream(config, request, onChunk, signal)
+                    : await provider.generate(config, request, signal);
+                console.log(`Background: Successfully received response from ${provider.label}.`);
+                await recordUsage(id, config.model, request, result);
+                return { text: result.text, provider: id, model: config.model, attempt, fallback };
+            } catch (error) {
+                if (error.name === 'AbortError' || signal?.aborted) throw error;
+                console.error(`Background: Error during ${provider.label} API call:`, error);
+
+                const next = chain[index + 1];
+                const delayMs = retryDelay(tries, error);
+                const canRetry = isRetryableError(error) && tries < RETRY_ATTEMPTS_PER_PROVIDER && delayMs <= RETRY_MAX_DELAY_MS;
+                if (canRetry) {
+                    onRetry?.({ attempt: attempt + 1, provider: id, model: config.model, fallback, delayMs, reason: error.message });
+                    await sleep(delayMs, signal);
+                    continue;
+                }
+                if (!isRetryableError(error) || !next) throw error;
+                console.warn(`Background: ${provider.label} kept failing; falling back to ${getProvider(next.id).label} (${next.config.model}).`);
+                onRetry?.({ attempt: attempt + 1, provider: next.id, model: next.config.model, fallback: true, delayMs: 0, reason: error.message });
+                break;
+            }
         }
+    }
+}
 
+// --- Generate Questions using selected provider ---
+async function generateQuestions(description, language = 'en') {
+    const specialization = await resolveSpecialization({ description });
+    const prompt = buildQuestionsPrompt(description, await getActiveProfile(), specialization.text, language);
+    const { text } = await callProvider({ prompt, system: QUESTIONS_SYSTEM_PROMPT, temperature: 0.6 });
+    return text;
+}
+
+// --- Unified entry point ---
+// Resolves with the bid text and the provider/model that produced it.
+// `options.prompt` overrides the prompt built from the job (used for variants).
+async function generateBid(job, options = {}) {
+    const prompt = options.prompt || await buildBidPrompt(job);
+    return callProvider({ prompt, system: BID_SYSTEM_PROMPT, temperature: options.temperature ?? 0.7 });
+}
+
+async function streamBid(job, { onChunk, onRetry, signal }) {
+    const prompt = await buildBidPrompt(job);
+    return callProvider({ prompt, system: BID_SYSTEM_PROMPT, temperature: 0.7 }, { signal, onChunk, onRetry });
+}
+
+// --- Detailed Proposal ---
+async function generateDetailedProposal(job) {
+    const [specialization, pastProjects, profile] = await Promise.all([
+        resolveSpecialization(job),
+        findRelevantProjects(job),
+        getActiveProfile(),
+    ]);
+    const prompt = buildDetailedPrompt(job, profile, { specialization, pastProjects });
+    const result = await callProvider({
+        prompt,
+        system: BID_SYSTEM_PROMPT,
+        temperature: 0.4,
+        maxTokens: 2048,
+        json: { name: 'detailed_proposal', schema: PROPOSAL_SCHEMA },
+    });
+    let raw;
+    try {
+        // Plain JSON modes may still wrap the object in a code fence.
+        raw = JSON.parse(result.text.replace(/^```(?:json)?\s*|\s*```$/g, ''));
     } catch (error) {
-        // Re-throw the error with a consistent prefix for the popup to display.
-        // This will catch both our custom 503 error and any other errors.
-        console.error("Background: Error during API call processing:", error);
-        throw new Error(`Gemini API Error: ${error.message}`);
+        throw new Error(`The AI did not return valid JSON (${error.message}). Try again.`);
     }
+    const proposal = normalizeProposal(raw, { amount: Number(job.bidAmount) || null, days: Number(job.deliveryTime) || null });
+    return { ...result, proposal };
 }
 
-// --- OpenAI API Call ---
-async function generateBidWithOpenAI(description) {
-    const { openaiApiKey, openaiModel } = await getSettings();
-    if (!openaiApiKey) {
-        throw new Error("OpenAI API Key not set. Please configure it in the extension options.");
-    }
-    const API_ENDPOINT = 'https://api.openai.com/v1/chat/completions';
-    const model = openaiModel || 'gpt-4o-mini';
-    const prompt = buildPrompt(description);
-    console.log("Background: Sending request to OpenAI API...");
-    try {
-        const response = await fetch(API_ENDPOINT, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${openaiApiKey}`,
-            },
-            body: JSON.stringify({
-                model,
-                messages: [
-                    { role: 'system', content: 'You are a helpful assistant that writes concise, human-sounding freelance bids.' },
-                    { role: 'user', content: prompt }
-                ],
-                temperature: 0.7,
-            }),
-        });
+// --- Translation ---
+// Rewrites an existing draft in another language (the popup's "Translate" action).
+async function translateBid(text, language) {
+    const prompt = `Translate this freelance bid into ${languageName(language)}.
+Keep its meaning, tone, line breaks, numbers, links and technology names. Reply with the translation only.
 
-        if (!response.ok) {
-            let errMsg = `API request failed with status ${response.status}.`;
-            try {
-                const body = await response.json();
-                errMsg = body?.error?.message || errMsg;
-                console.error("Background: OpenAI API Error:", response.status, body);
-            } catch (_) { /* ignore */ }
-            throw new Error(errMsg);
-        }
+Bid:
+${text}`;
+    return callProvider({ prompt, system: BID_SYSTEM_PROMPT, temperature: 0.3 });
+}
 
-        const body = await response.json();
-        const text = body?.choices?.[0]?.message?.content;
-        if (text) {
-            console.log("Background: Successfully received response from OpenAI.");
-            return String(text).trim();
-        }
-        console.error("Background: Invalid response format from OpenAI:", body);
-        throw new Error("Could not parse a valid bid from the OpenAI response.");
-    } catch (error) {
-        console.error("Background: Error during OpenAI API call:", error);
-        throw new Error(`OpenAI API Error: ${error.message}`);
+// --- Refine Conversation ---
+// The popup's refine box. Every earlier instruction is replayed as a user turn with the draft it
+// produced as the assistant turn, so "shorter" still holds when the next instruction is "mention Stripe".
+// `turns` is [{ instruction, before, draft }]: `before` is the text the instruction was applied to.
+// When it differs from the previous answer (the user translated, picked a variant or undid a step
+// in between), the text it actually applied to is quoted in that turn.
+function buildRefineMessages(job, turns, instruction, draft) {
+    const facts = projectFacts(job);
+    const intro = `Project details:
+${job.description || ''}
+${facts ? `
+Project facts:
+${facts}
+` : ''}
+Revise my bid for this project as I instruct. Always reply with the complete revised bid only, no comments.
+Keep its language and its 3 to 6 lines unless an instruction says otherwise, and never invent experience, numbers or links beyond what the bid, the project or my instructions state.${hasScreening(job.screening) ? `
+Whatever I ask, keep meeting the client's screening instructions:
+${screeningBlock(job.screening)}` : ''}`;
+
+    const messages = [];
+    let previous = null;
+    [...turns, { instruction, before: draft }].forEach((turn, i) => {
+        const parts = [
+            i === 0 ? intro : null,
+            turn.before !== previous ? `Current bid:\n${turn.before}` : null,
+            `Instruction: ${turn.instruction}`,
+        ].filter(Boolean);
+        messages.push({ role: 'user', content: parts.join('\n\n') });
+        if (turn.draft != null) messages.push({ role: 'assistant', content: turn.draft });
+        previous = turn.draft;
+    });
+    return messages;
+}
+
+async function refineBid(job, turns, instruction, draft) {
+    const messages = buildRefineMessages(job, turns, instruction, draft);
+    return callProvider({ messages, system: BID_SYSTEM_PROMPT, temperature: 0.5 });
+}
+
+// --- Bid Variants ---
+// Each variant reuses the same prompt with a tone instruction and its own temperature.
+const VARIANT_TONES = [
+    { tone: 'concise', temperature: 0.5, instruction: 'Keep it to 3 short lines and lead with the single most relevant result you delivered.' },
+    { tone: 'technical', temperature: 0.7, instruction: 'Name the concrete stack, architecture and first steps you would take. Avoid marketing language.' },
+    { tone: 'friendly', temperature: 0.9, instruction: 'Use a warm, conversational tone, as if replying to a colleague, while staying professional.' },
+];
+
+async function generateVariants(job, count) {
+    const basePrompt = await buildBidPrompt(job);
+    const tones = VARIANT_TONES.slice(0, Math.max(1, Math.min(count, VARIANT_TONES.length)));
+    const results = await Promise.allSettled(tones.map(t => generateBid(job, {
+        prompt: `${basePrompt}\nTone for this version (${t.tone}): ${t.instruction}\n`,
+        temperature: t.temperature,
+    })));
+
+    const variants = results
+        .map((r, i) => (r.status === 'fulfilled' ? { tone: tones[i].tone, ...r.value } : null))
+        .filter(Boolean);
+    if (variants.length === 0) {
+        throw results[0].reason;
     }
+    results.forEach((r, i) => {
+        if (r.status === 'rejected') console.warn(`Background: ${tones[i].tone} variant failed:`, r.reason);
+    });
+    return variants;
 }
 
-// --- Generate Questions using selected provider ---
-async function generateQuestions(description) {
-    const { aiProvider, geminiApiKey, openaiApiKey, geminiModel, openaiModel } = await getSettings();
-    const prompt = buildQuestionsPrompt(description);
-    if (aiProvider === 'openai') {
-        if (!openaiApiKey) throw new Error("OpenAI API Key not set. Please configure it in the extension options.");
-        const API_ENDPOINT = 'https://api.openai.com/v1/chat/completions';
-        const model = openaiModel || 'gpt-4o-mini';
-        const response = await fetch(API_ENDPOINT, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${openaiApiKey}`,
-            },
-            body: JSON.stringify({
-                model,
-                messages: [
-                    { role: 'system', content: 'You help craft short, smart clarifying questions for freelance projects.' },
-                    { role: 'user', content: prompt }
-                ],
-                temperature: 0.6,
-            }),
-        });
-        if (!response.ok) {
-            let errMsg = `API request failed with status ${response.status}.`;
-            try {
-                const body = await response.json();
-                errMsg = body?.error?.message || errMsg;
-                console.error("Background: OpenAI Questions Error:", response.status, body);
-            } catch (_) {}
-            throw new Error(errMsg);
-        }
-        const body = await response.json();
-        const text = body?.choices?.[0]?.message?.content;
-        if (!text) throw new Error('No questions generated.');
-        return String(text).trim();
-    } else {
-        if (!geminiApiKey) throw new Error("Gemini API Key not set. Please configure it in the extension options.");
-        const API_ENDPOINT = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(geminiModel || 'gemini-1.5-flash-latest')}:generateContent`;
-        const response = await fetch(`${API_ENDPOINT}?key=${geminiApiKey}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }] }),
+// --- Bid History ---
+// Every generated bid is recorded in chrome.storage.local under `bidHistory`
+// (newest first). Inserting or submitting a bid updates the same entry.
+const BID_HISTORY_LIMIT = 500;
+
+async function getBidHistory() {
+    const { bidHistory } = await chrome.storage.local.get('bidHistory');
+    return Array.isArray(bidHistory) ? bidHistory : [];
+}
+
+// Batch jobs record bids concurrently; read-modify-write cycles on `bidHistory` are chained
+// (like withQueue() in background/batch.js) so no entry overwrites another.
+let historyLock = Promise.resolve();
+
+function withHistory(mutate) {
+    const run = historyLock.then(async () => {
+        const history = await getBidHistory();
+        const { result, changed = true } = await mutate(history);
+        if (changed) await chrome.storage.local.set({ bidHistory: history.slice(0, BID_HISTORY_LIMIT) });
+        return result;
+    });
+    historyLock = run.catch(() => {});
+    return run;
+}
+
+function createHistoryRecord(entry) {
+    const now = Date.now();
+    return {
+        id: `bid-${now.toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        status: 'generated',
+        createdAt: now,
+        updatedAt: now,
+        ...entry,
+    };
+}
+
+function addHistoryEntry(entry) {
+    const record = createHistoryRecord(entry);
+    return withHistory(history => {
+        history.unshift(record);
+        return { result: record.id };
+    });
+}
+
+function updateHistoryEntry(id, patch) {
+    return withHistory(history => {
+        const index = history.findIndex(h => h.id === id);
+        if (index === -1) return { result: false, changed: false };
+        history[index] = { ...history[index], ...patch, id, updatedAt: Date.now() };
+        return { result: true };
+    });
+}
+
+// Recording history must never fail a generation, so errors are only logged.
+async function recordGeneratedBid(job, result) {
+    try {
+        return await addHistoryEntry({
+            projectUrl: job.url || null,
+            title: job.title || null,
+            skills: job.skills || [],
+            budget: job.projectBudget?.text || null,
+            bidAmount: job.bidAmount ?? null,
+            deliveryTime: job.deliveryTime ?? null,
+            provider: result.provider,
+            model: result.model,
+            bidText: result.text,
+            language: job.language || null,
+            ...(result.variants ? { variants: result.variants } : {}),
         });
-        if (!response.ok) {
-            const body = await response.json().catch(() => ({}));
-            const msg = body?.error?.message || `API request failed with status ${response.status}.`;
-            console.error('Background: Gemini Questions Error:', response.status, body);
-            throw new Error(msg);
-        }
-        const body = await response.json();
-        const text = body?.candidates?.[0]?.content?.parts?.[0]?.text;
-        if (!text) throw new Error('No questions generated.');
-        return String(text).trim();
+    } catch (error) {
+        console.error("Background: Could not record bid history:", error);
+        return null;
     }
 }
 
-// --- Unified entry point ---
-async function generateBid(description) {
-    const { aiProvider } = await getSettings();
-    if (aiProvider === 'openai') {
-        return await generateBidWithOpenAI(description);
+
+// --- API Key Vault (see background/keys.js) ---
+// Key actions are only answered for the extension's own pages, never for content scripts.
+const fromExtensionPage = (sender) => !!sender.url && sender.url.startsWith(chrome.runtime.getURL(''));
+
+/**
+ * Checks a key against the provider by listing its models. Fields left out of `overrides`
+ * (e.g. the key while it is not retyped) fall back to the saved settings.
+ * @returns {Promise<{ ok: boolean, message: string, models: string[] }>}
+ */
+async function testProviderKey(providerId, overrides = {}) {
+    const settings = await getSettings();
+    const provider = getProvider(providerId);
+    const saved = settings.providers[provider.id] || providerConfigFrom({}, provider.id);
+    // Like the saved settings, base URL and headers only apply to the OpenAI-compatible provider
+    const endpoint = provider.customEndpoint ? overrides : {};
+    const config = {
+        ...saved,
+        ...(overrides.apiKey ? { apiKey: overrides.apiKey } : {}),
+        ...(endpoint.baseUrl ? { baseUrl: endpoint.baseUrl.replace(/\/+$/, '') } : {}),
+        ...(endpoint.headers !== undefined ? { headers: parseHeaderLines(endpoint.headers) } : {}),
+    };
+    if (!overrides.apiKey && saved.keyLocked) {
+        return { ok: false, message: 'The saved key is locked. Unlock your keys first.', models: [] };
     }
-    return await generateBidWithGemini(description);
+    const result = await provider.validateKey(config);
+    return { ...result, models: [...result.models].sort() };
 }
 
 
@@ -312,12 +787,28 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             return false;
         }
 
-        generateBid(description)
-            .then(bidText => {
+        // With variantCount > 1 several tone variants are generated in one run;
+        // `bid` is then the first of them.
+        const generation = request.variantCount > 1
+            ? generateVariants(request, request.variantCount).then(variants => ({
+                ...variants[0],
+                variants: variants.map(v => ({ tone: v.tone, text: v.text })),
+            }))
+            : generateBid(request);
+
+        generation
+            .then(async result => {
+                const historyId = await recordGeneratedBid(request, result);
                 // Also pass back any other data that was forwarded from the content script
                 sendResponse({ 
                     status: "success", 
-                    bid: bidText,
+                    bid: result.text,
+                    variants: result.variants,
+                    provider: result.provider,
+                    model: result.model,
+                    attempt: result.attempt,
+                    fallback: result.fallback,
+                    historyId,
                     // Use the fields extracted by the content script
                     bidAmount: request.bidAmount,
                     deliveryTime: request.deliveryTime,
@@ -337,19 +828,268 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             sendResponse({ status: 'error', message: 'Job description was missing.' });
             return false;
         }
-        generateQuestions(description)
+        generateQuestions(description, request.language)
             .then(q => sendResponse({ status: 'success', questions: q }))
             .catch(err => sendResponse({ status: 'error', message: err.message }));
         return true;
     }
+    if (request.action === 'generateDetailedProposal') {
+        if (!request.job?.description) {
+            sendResponse({ status: 'error', message: 'Job description was missing.' });
+            return false;
+        }
+        generateDetailedProposal(request.job)
+            .then(result => sendResponse({ status: 'success', proposal: result.proposal, provider: result.provider, model: result.model }))
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+    if (request.action === 'translateBid') {
+        if (!request.text || !LANGUAGE_NAMES[request.language]) {
+            sendResponse({ status: 'error', message: 'Nothing to translate or unknown language.' });
+            return false;
+        }
+        translateBid(request.text, request.language)
+            .then(result => sendResponse({ status: 'success', bid: result.text, provider: result.provider, model: result.model }))
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+    if (request.action === 'refineBid') {
+        const { job, turns, instruction, draft } = request;
+        if (!job?.description || !draft || !instruction?.trim()) {
+            sendResponse({ status: 'error', message: 'Nothing to refine: a draft, the job and an instruction are needed.' });
+            return false;
+        }
+        refineBid(job, Array.isArray(turns) ? turns : [], instruction.trim(), draft)
+            .then(result => sendResponse({ status: 'success', bid: result.text, provider: result.provider, model: result.model }))
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+    if (request.action === 'draftChatReply') {
+        if (!Array.isArray(request.thread) || request.thread.length === 0) {
+            sendResponse({ status: 'error', message: 'No messages found in this conversation.' });
+            return false;
+        }
+        draftChatReply(request)
+            .then(result => sendResponse({
+                status: 'success',
+                reply: result.text,
+                provider: result.provider,
+                model: result.model,
+                project: result.project,
+                hasBid: result.hasBid,
+            }))
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+    if (request.action === 'updateBidHistory') {
+        updateHistoryEntry(request.id, request.patch || {})
+            .then(ok => sendResponse({ status: ok ? 'success' : 'error' }))
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+    if (request.action === 'computeFit') {
+        computeFit(request.job || {})
+            .then(fit => sendResponse({ status: 'success', fit }))
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+    if (request.action === 'detectSpecialization') {
+        resolveSpecialization({ description: request.text || '' }, { useAi: request.useAi !== false })
+            .then(specialization => sendResponse({
+                status: 'success',
+                specialization: { ...specialization, labels: specialization.labels.map(entry => entry.label) },
+            }))
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+    if (request.action === 'findRelevantProjects') {
+        findRelevantProjects(request.job || {})
+            .then(matches => sendResponse({ status: 'success', matches }))
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+    if (request.action === 'getDefaultTaxonomy') {
+        sendResponse({ status: 'success', taxonomy: TAXONOMY_DEFAULTS });
+        return false;
+    }
+    if (request.action === 'computePricing') {
+        computePricing(request.job || {})
+            .then(pricing => sendResponse({ status: 'success', pricing }))
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+
+    // --- Batch queue (see background/batch.js) ---
+    if (request.action === 'batchEnqueue') {
+        enqueueProjects(request.projects)
+            .then(added => {
+                processQueue();
+                sendResponse({ status: 'success', added });
+            })
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+    if (request.action === 'batchOpenQueue') {
+        chrome.tabs.create({ url: chrome.runtime.getURL('src/options/index.html#queue') });
+        sendResponse({ status: 'success' });
+        return false;
+    }
+    if (request.action === 'batchEdit') {
+        editQueueItem(request.id, request.patch)
+            .then(item => sendResponse({ status: item ? 'success' : 'error', item }))
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+    if (request.action === 'batchRetry') {
+        retryQueueItems(request.ids)
+            .then(count => {
+                processQueue();
+                sendResponse({ status: 'success', count });
+            })
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+    if (request.action === 'batchRemove') {
+        removeQueueItems(request.ids)
+            .then(count => sendResponse({ status: 'success', count }))
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+    if (request.action === 'batchInsert') {
+        insertQueueItem(request.id)
+            .then(() => sendResponse({ status: 'success' }))
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+    if (request.action === 'batchResume') {
+        processQueue()
+            .then(() => sendResponse({ status: 'success' }))
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+
+    // --- Auto-submit (see background/submit.js) ---
+    if (request.action === 'checkSubmitGuardrails') {
+        checkSubmitGuardrails(request.job || {}, request.bid || {})
+            .then(result => sendResponse({ status: 'success', ...result }))
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+    if (request.action === 'recordBidSubmission') {
+        recordBidSubmission(request.url, request.bid || {}, !!request.confirmed)
+            .then(id => sendResponse({ status: 'success', id }))
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+
+    // --- API key vault ---
+    const keyActions = {
+        getKeyStatus: () => getKeyStatus(),
+        createKeyVault: () => createVault(request.passphrase).then(migrated => ({ migrated })),
+        unlockKeys: () => unlockVault(request.passphrase),
+        lockKeys: () => lockVault(),
+        resetKeyVault: () => resetVault(),
+        saveApiKey: () => storeApiKey(getProvider(request.provider).id, String(request.apiKey || '').trim()),
+        removeApiKey: () => removeApiKey(getProvider(request.provider).id),
+        testProviderKey: () => testProviderKey(request.provider, request.overrides || {}),
+    };
+    if (keyActions[request.action]) {
+        if (!fromExtensionPage(sender)) {
+            sendResponse({ status: 'error', message: 'Not allowed from a web page.' });
+            return false;
+        }
+        keyActions[request.action]()
+            .then(result => sendResponse({ status: 'success', ...(result || {}) }))
+            .catch(err => sendResponse({ status: 'error', message: err.message }));
+        return true;
+    }
+
+    // --- Selector pack (the active pack is read from storage by the pages themselves) ---
+    if (request.action === 'getDefaultSelectorPack') {
+        sendResponse({ status: 'success', pack: DEFAULT_SELECTOR_PACK });
+        return false;
+    }
     return false;
 });
 
 
+// --- Streaming Port ---
+// The popup connects with { name: 'bidStream' } and posts { action: 'start', job }.
+// It then receives { type: 'chunk' | 'retry' | 'done' | 'error' | 'stopped' } messages;
+// 'retry' means the text streamed so far is discarded and a new attempt begins.
+// Posting { action: 'stop' } or disconnecting aborts the request.
+chrome.runtime.onConnect.addListener(port => {
+    if (port.name !== 'bidStream') return;
+
+    const controller = new AbortController();
+    let connected = true;
+    const post = (message) => {
+        if (connected) port.postMessage(message);
+    };
+
+    port.onDisconnect.addListener(() => {
+        connected = false;
+        controller.abort();
+    });
+
+    port.onMessage.addListener(async message => {
+        if (message.action === 'stop') {
+            controller.abort();
+            return;
+        }
+        if (message.action !== 'start') return;
+
+        const job = message.job || {};
+        if (!job.description) {
+            post({ type: 'error', message: 'Job description was missing.' });
+            return;
+        }
+        try {
+            const result = await streamBid(job, {
+                onChunk: text => post({ type: 'chunk', text }),
+                onRetry: info => post({ type: 'retry', ...info }),
+                signal: controller.signal,
+            });
+            const historyId = await recordGeneratedBid(job, result);
+            post({
+                type: 'done',
+                bid: result.text,
+                provider: result.provider,
+                model: result.model,
+                attempt: result.attempt,
+                fallback: result.fallback,
+                historyId,
+            });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                console.log("Background: Bid stream stopped by the popup.");
+                post({ type: 'stopped' });
+            } else {
+                console.error("Background: Bid stream failed:", error);
+                post({ type: 'error', message: error.message });
+            }
+        }
+    });
+});
+
+
 // --- Extension Lifecycle Events ---
-chrome.runtime.onInstalled.addListener(details => {
+// Pick the batch queue back up whenever the service worker starts.
+resumeQueue().catch(error => console.error("Background: Could not resume the batch queue:", error));
+
+chrome.runtime.onInstalled.addListener(async details => {
+    // Seed the default profile so the Options page has something to edit.
+    const { profiles } = await chrome.storage.local.get('profiles');
+    if (!Array.isArray(profiles) || profiles.length === 0) {
+        await chrome.storage.local.set({ profiles: [DEFAULT_PROFILE], activeProfileId: DEFAULT_PROFILE.id });
+    }
+
     if (details.reason === "install") {
+        // Nothing to migrate: a fresh install starts on the current schema.
+        await chrome.storage.local.set({ settingsSchema: SETTINGS_SCHEMA });
         console.log("Background: Extension installed. Opening options page.");
         chrome.runtime.openOptionsPage();
+    } else if (details.reason === "update") {
+        await migrateStoredSettings();
     }
 });
\ No newline at end of file
@@ -0,0 +1,289 @@
+/**
+ * batch.js: Batch bidding queue, loaded by background.js through importScripts().
+ *
+ * Projects picked on a Freelancer search page (content-batch.js) are stored in
+ * chrome.storage.local under `bidQueue`. Each item moves through
+ *   pending -> working -> generated -> inserted
+ * or ends up as `failed`, or `skipped` when its fit score (background/fit.js) blocks it. At most `batchConcurrency` items (chrome.storage.sync, default 2)
+ * are worked on at once; each one opens its project page in a background tab to read the
+ * full details, closes it, prices the bid (background/pricing.js), then generates it with the
+ * selected provider.
+ */
+
+const BATCH_DEFAULT_CONCURRENCY = 2;
+const BATCH_MAX_CONCURRENCY = 5;
+const TAB_LOAD_TIMEOUT_MS = 30000;
+// The project page renders after `complete`, so content script calls are retried a few times.
+const PAGE_READY_ATTEMPTS = 6;
+const PAGE_READY_DELAY_MS = 1500;
+// Only these fields can be edited from the queue view.
+const QUEUE_EDITABLE_FIELDS = ['bidText', 'bidAmount', 'deliveryTime'];
+
+let queueLock = Promise.resolve();
+let activeQueueJobs = 0;
+
+// Serializes read-modify-write cycles on `bidQueue`, which several jobs update concurrently.
+function withQueue(mutate) {
+    const run = queueLock.then(async () => {
+        const { bidQueue } = await chrome.storage.local.get('bidQueue');
+        const queue = Array.isArray(bidQueue) ? bidQueue : [];
+        const before = JSON.stringify(queue);
+        const result = await mutate(queue);
+        if (JSON.stringify(queue) !== before) await chrome.storage.local.set({ bidQueue: queue });
+        return result;
+    });
+    queueLock = run.catch(() => {});
+    return run;
+}
+
+async function getBatchConcurrency() {
+    const { batchConcurrency } = await chrome.storage.sync.get('batchConcurrency');
+    const value = parseInt(batchConcurrency, 10);
+    return Number.isNaN(value) ? BATCH_DEFAULT_CONCURRENCY : Math.max(1, Math.min(BATCH_MAX_CONCURRENCY, value));
+}
+
+// Adds projects scraped from a search page, skipping URLs that are already queued.
+function enqueueProjects(projects) {
+    const now = Date.now();
+    return withQueue(queue => {
+        const known = new Set(queue.map(item => item.url));
+        const added = (projects || [])
+            .filter(p => p && p.url && !known.has(p.url) && known.add(p.url))
+            .map((p, i) => ({
+                id: `queue-${now.toString(36)}-${i}-${Math.random().toString(36).slice(2, 6)}`,
+                status: 'pending',
+                url: p.url,
+                title: p.title || null,
+                description: p.description || null,
+                skills: p.skills || [],
+                projectBudget: p.projectBudget || { text: null, min: null, max: null },
+                bidText: '',
+                bidAmount: null,
+                deliveryTime: null,
+                provider: null,
+                model: null,
+                historyId: null,
+                error: null,
+                createdAt: now,
+                updatedAt: now,
+            }));
+        queue.push(...added);
+        return added.length;
+    });
+}
+
+function updateQueueItem(id, patch) {
+    return withQueue(queue => {
+        const item = queue.find(q => q.id === id);
+        if (!item) return null;
+        Object.assign(item, patch, { updatedAt: Date.now() });
+        return { ...item };
+    });
+}
+
+function editQueueItem(id, patch) {
+    const allowed = {};
+    QUEUE_EDITABLE_FIELDS.forEach(key => {
+        if (key in (patch || {})) allowed[key] = patch[key];
+    });
+    return updateQueueItem(id, allowed);
+}
+
+function removeQueueItems(ids) {
+    const remove = new Set(ids || []);
+    return withQueue(queue => {
+        const kept = queue.filter(item => !remove.has(item.id) || item.status === 'working');
+        const removed = queue.length - kept.length;
+        queue.splice(0, queue.length, ...kept);
+        return removed;
+    });
+}
+
+// Puts failed items back in line.
+function retryQueueItems(ids) {
+    const retry = new Set(ids || []);
+    return withQueue(queue => {
+        let count = 0;
+        queue.forEach(item => {
+            if (retry.has(item.id) && (item.status === 'failed' || item.status === 'skipped')) {
+                // Retrying a skipped project means generating it despite its fit score.
+                const ignoreFit = item.ignoreFit || item.status === 'skipped';
+                Object.assign(item, { status: 'pending', error: null, ignoreFit, updatedAt: Date.now() });
+                count++;
+            }
+        });
+        return count;
+    });
+}
+
+function claimNextQueueItem() {
+    return withQueue(queue => {
+        const item = queue.find(q => q.status === 'pending');
+        if (!item) return null;
+        Object.assign(item, { status: 'working', updatedAt: Date.now() });
+        return { ...item };
+    });
+}
+
+// Starts pending items until the concurrency limit is reached. Safe to call at any time.
+async function processQueue() {
+    const limit = await getBatchConcurrency();
+    while (activeQueueJobs < limit) {
+        // Reserve the slot before the (async) claim so parallel callers cannot overshoot.
+        activeQueueJobs++;
+        const item = await claimNextQueueItem();
+        if (!item) {
+            activeQueueJobs--;
+            break;
+        }
+        runQueueItem(item).finally(() => {
+            activeQueueJobs--;
+            processQueue();
+        });
+    }
+}
+
+async function runQueueItem(item) {
+    console.log(`Background: Batch item "${item.title || item.url}" started.`);
+    try {
+        let details = null;
+        try {
+            details = await extractProjectInTab(item.url);
+        } catch (error) {
+            // The search card snippet is a usable, if thinner, description.
+            if (!item.description) throw error;
+            console.warn(`Background: Using the search card for ${item.url}:`, error.message);
+        }
+        const job = {
+            url: item.url,
+            title: details?.title || item.title,
+            description: details?.description || item.description,
+            skills: details?.skills?.length ? details.skills : item.skills,
+            projectBudget: details?.projectBudget?.text ? details.projectBudget : item.projectBudget,
+            bidAmount: details?.bidAmount ?? null,
+            deliveryTime: details?.deliveryTime ?? null,
+            projectType: details?.projectType ?? null,
+            hourlyRate: details?.hourlyRate ?? null,
+            client: details?.client ?? null,
+            bidStats: details?.bidStats ?? null,
+            postedText: details?.postedText ?? null,
+            attachments: details?.attachments || [],
+            // Detected on the project page; the search card snippet alone leaves the bid in English.
+            language: details?.language || 'en',
+            screening: details?.screening ?? null,
+        };
+        const fit = await computeFit(job).catch(error => {
+            console.warn(`Background: Fit score failed for ${item.url}:`, error.message);
+            return null;
+        });
+        if (fit?.verdict === 'block' && !item.ignoreFit) {
+            const reason = fit.blacklisted.length ? `blacklisted phrase "${fit.blacklisted.join('", "')}"` : `fit score ${fit.score} is below ${fit.blockBelow}`;
+            await updateQueueItem(item.id, { ...job, status: 'skipped', fit, error: `Skipped before generating: ${reason}.` });
+            return;
+        }
+        const pricing = await computePricing(job).catch(error => {
+            console.warn(`Background: Pricing failed for ${item.url}:`, error.message);
+            return null;
+        });
+        if (pricing?.amount != null) job.bidAmount = pricing.amount;
+        if (pricing?.days != null) job.deliveryTime = pricing.days;
+        const result = await generateBid(job);
+        const historyId = await recordGeneratedBid(job, result);
+        await updateQueueItem(item.id, {
+            ...job,
+            status: 'generated',
+            bidText: result.text,
+            provider: result.provider,
+            model: result.model,
+            historyId,
+            pricingExplanation: pricing?.explanation || [],
+            fit,
+            error: null,
+        });
+    } catch (error) {
+        console.error(`Background: Batch item ${item.url} failed:`, error);
+        await updateQueueItem(item.id, { status: 'failed', error: error.message });
+    }
+}
+
+// --- Tabs ---
+function waitForTabComplete(tabId) {
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            clearTimeout(timer);
+            chrome.tabs.onUpdated.removeListener(listener);
+        };
+        const listener = (id, changeInfo) => {
+            if (id === tabId && changeInfo.status === 'complete') {
+                cleanup();
+                resolve();
+            }
+        };
+        const timer = setTimeout(() => {
+            cleanup();
+            reject(new Error('Timed out loading the project page.'));
+        }, TAB_LOAD_TIMEOUT_MS);
+        chrome.tabs.onUpdated.addListener(listener);
+        chrome.tabs.get(tabId).then(tab => {
+            if (tab.status === 'complete') {
+                cleanup();
+                resolve();
+            }
+        }).catch(error => {
+            cleanup();
+            reject(error);
+        });
+    });
+}
+
+// Sends a message to content.js until `isReady(response)` holds or the attempts run out.
+async function messageWhenReady(tabId, message, isReady) {
+    for (let attempt = 1; attempt <= PAGE_READY_ATTEMPTS; attempt++) {
+        const response = await chrome.tabs.sendMessage(tabId, message).catch(() => null);
+        if (response && isReady(response)) return response;
+        await sleep(PAGE_READY_DELAY_MS);
+    }
+    return null;
+}
+
+async function extractProjectInTab(url) {
+    const tab = await chrome.tabs.create({ url, active: false });
+    try {
+        await waitForTabComplete(tab.id);
+        const details = await messageWhenReady(tab.id, { action: 'getJobDetails' },
+            response => response.status === 'success' && Boolean(response.description));
+        if (!details) throw new Error('Could not read the project details from the page.');
+        return details;
+    } finally {
+        chrome.tabs.remove(tab.id).catch(() => {});
+    }
+}
+
+// Opens the project in the foreground and fills its bid form; the user places the bid.
+async function insertQueueItem(id) {
+    const { bidQueue } = await chrome.storage.local.get('bidQueue');
+    const item = (bidQueue || []).find(q => q.id === id);
+    if (!item) throw new Error('This project is no longer in the queue.');
+    if (!item.bidText) throw new Error('Generate a bid for this project first.');
+
+    const tab = await chrome.tabs.create({ url: item.url, active: true });
+    await waitForTabComplete(tab.id);
+    const filled = await messageWhenReady(tab.id, {
+        action: 'fillBidForm',
+        bidData: { bidText: item.bidText, bidAmount: item.bidAmount, deliveryTime: item.deliveryTime },
+    }, response => response.status === 'success');
+    if (!filled) throw new Error('Could not find the bid form on the project page.');
+
+    await updateQueueItem(id, { status: 'inserted', error: null });
+    if (item.historyId) await updateHistoryEntry(item.historyId, { status: 'inserted' });
+}
+
+// A restarted service worker has no jobs in flight, so `working` items are stale.
+async function resumeQueue() {
+    await withQueue(queue => {
+        queue.forEach(item => {
+            if (item.status === 'working') item.status = 'pending';
+        });
+    });
+    await processQueue();
+}
@@ -0,0 +1,103 @@
+/**
+ * chat.js: Reply drafts for Freelancer message threads, loaded by background.js through importScripts().
+ *
+ * content-messages.js sends the visible thread ({ from: 'me' | 'client', text } per message) and the
+ * link to the project it is about. The project is read in a background tab like a batch item
+ * (extractProjectInTab() in background/batch.js) and cached for the lifetime of the worker; the bid
+ * placed on it comes from the bid history. The draft is only put into the chat box, never sent.
+ */
+
+const CHAT_SYSTEM_PROMPT = 'You help a freelancer write short, friendly and professional replies to clients.';
+
+// What the reply should do; `reply` lets the model decide from the last messages.
+const CHAT_INTENTS = {
+    reply: 'Reply to the latest client message(s): answer what was asked and move the project forward.',
+    answer: 'Answer every question the client asked that is still open, one by one and concretely. If something cannot be answered without more information, say what you need.',
+    negotiate: 'Negotiate the price: acknowledge the client\'s position, explain the value briefly, and offer a fair counter-proposal (e.g. adjusted scope or milestones) instead of simply dropping the price. Never go below the minimum in my notes if one is given.',
+    milestones: 'Propose 2 to 4 milestones, each with a deliverable, an amount and a duration. The amounts add up to the agreed or bid price and the durations to the delivery time, if known.',
+};
+
+// Only the most recent messages are sent; long threads would crowd out the rest of the prompt.
+const CHAT_MESSAGE_LIMIT = 30;
+const CHAT_MESSAGE_CHARS = 1500;
+
+const chatProjectCache = new Map();
+
+// Project details for the thread, or null when there is no project link or the page can't be read.
+async function chatProjectDetails(projectUrl) {
+    if (!projectUrl) return null;
+    const key = projectUrl.split(/[?#]/)[0];
+    if (!chatProjectCache.has(key)) {
+        const details = await extractProjectInTab(key).catch(error => {
+            console.warn(`Background: Could not read ${key} for the chat reply:`, error.message);
+            return null;
+        });
+        if (!details) return null;
+        chatProjectCache.set(key, details);
+    }
+    return chatProjectCache.get(key);
+}
+
+// The latest bid recorded for the project, if any.
+async function chatProjectBid(projectUrl) {
+    if (!projectUrl) return null;
+    const key = projectUrl.split(/[?#]/)[0];
+    const history = await getBidHistory();
+    return history.find(h => h.projectUrl && h.projectUrl.split(/[?#]/)[0] === key) || null;
+}
+
+function chatThreadLines(thread) {
+    return (thread || [])
+        .filter(m => m && m.text)
+        .slice(-CHAT_MESSAGE_LIMIT)
+        .map(m => `${m.from === 'me' ? 'Me' : 'Client'}: ${String(m.text).slice(0, CHAT_MESSAGE_CHARS)}`)
+        .join('\n');
+}
+
+function buildChatReplyPrompt({ thread, intent, note, project, bid, profile }) {
+    const facts = project ? projectFacts(project) : '';
+    const rating = Number(profile.rating || 0).toFixed(1);
+    const bidLines = bid ? [
+        bid.bidAmount != null ? `Bid amount: ${bid.bidAmount}` : null,
+        bid.deliveryTime != null ? `Delivery: ${bid.deliveryTime} days` : null,
+        bid.bidText ? `Proposal I sent:\n${bid.bidText}` : null,
+    ].filter(Boolean).join('\n') : '';
+
+    return `I'm ${profile.name}, a freelancer with ${profile.yearsExperience}+ years of experience, a ${rating} rating and ${profile.projectCount}+ delivered projects. Expertise: ${(profile.skills || []).join(', ')}.
+Write my next message in this conversation with a client.
+
+Task: ${CHAT_INTENTS[intent] || CHAT_INTENTS.reply}
+${note ? `
+My notes for this reply (follow them, don't quote them): ${note}
+` : ''}
+Rules:
+- Reply in the language the client writes in.
+- Sound like a person in a chat: short paragraphs, no headings, no sign-off, no placeholders like [Name].
+- Only promise what the project, my proposal or my notes support; never invent prices, dates or past work.
+- Reply with the message text only.
+${project ? `
+Project: ${project.title || ''}
+${project.projectBudget?.text ? `Budget: ${project.projectBudget.text}\n` : ''}${project.description || ''}
+${facts ? `${facts}\n` : ''}` : ''}${bidLines ? `
+My bid:
+${bidLines}
+` : ''}
+Conversation so far (oldest first):
+${chatThreadLines(thread)}`;
+}
+
+/**
+ * Drafts the next message of a chat thread.
+ * @param {object} request - { thread, projectUrl, intent, note }
+ * @returns {Promise<object>} callProvider() result plus `project` (title) and `hasBid`.
+ */
+async function draftChatReply({ thread, projectUrl, intent, note }) {
+    const [project, bid, profile] = await Promise.all([
+        chatProjectDetails(projectUrl),
+        chatProjectBid(projectUrl),
+        getActiveProfile(),
+    ]);
+    const prompt = buildChatReplyPrompt({ thread, intent, note: String(note || '').trim(), project, bid, profile });
+    const result = await callProvider({ prompt, system: CHAT_SYSTEM_PROMPT, temperature: 0.6 });
+    return { ...result, project: project?.title || bid?.title || null, hasBid: !!bid };
+}
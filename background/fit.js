@@ -0,0 +1,130 @@
+/**
+ * fit.js: Project fit score, loaded by background.js through importScripts().
+ *
+ * computeFit(job) compares the extracted job details with the active profile before any tokens
+ * are spent and returns
+ *   { score, verdict: 'ok' | 'warn' | 'block', breakdown: [{ label, points, max, detail }], blacklisted }
+ * Settings live in chrome.storage.sync under `fitScoring` (Options → Fit Score; the defaults
+ * below mirror src/shared/fit.ts). The budget part reuses the hourly rate from the pricing rules.
+ */
+
+const FIT_DEFAULTS = {
+    enabled: true,
+    warnBelow: 50,
+    blockBelow: 25,
+    // Phrases that rule a project out whatever its score, matched case-insensitively.
+    blacklist: ['unpaid test', 'test task unpaid', 'free sample'],
+};
+
+// Points per part; they add up to 100.
+const FIT_WEIGHTS = { skills: 35, budget: 25, client: 25, competition: 15 };
+
+async function getFitSettings() {
+    const { fitScoring } = await chrome.storage.sync.get('fitScoring');
+    return { ...FIT_DEFAULTS, ...(fitScoring || {}) };
+}
+
+function profileText(profile) {
+    return [...(profile.skills || []), ...(profile.highlights || [])].join(' ').toLowerCase();
+}
+
+// Whole words only, like the taxonomy keywords: "Go" is not "Google", "Java" not "JavaScript". A trailing
+// + or # belongs to the name, so "C" is not "C++" or "C#".
+function profileNames(text, name) {
+    return !!name && new RegExp(`${keywordRegex(name).source}(?![+#])`).test(text);
+}
+
+// A project skill counts when the profile names it, or when both fall under the same specialization
+// of the taxonomy (background/taxonomy.js).
+function scoreSkills(job, profile, taxonomy) {
+    const text = profileText(profile);
+    const covered = new Set(matchSpecializations(text, taxonomy));
+    const skills = (job.skills || []).map(s => String(s).trim()).filter(Boolean);
+    const matched = skills.filter(skill => {
+        const name = skill.toLowerCase().replace(/\.js$/, '');
+        return profileNames(text, name) || matchSpecializations(skill, taxonomy).some(label => covered.has(label));
+    });
+    const wanted = matchSpecializations(`${job.title || ''}\n${job.description || ''}`, taxonomy);
+    const shared = wanted.filter(label => covered.has(label));
+
+    const skillRatio = skills.length ? matched.length / skills.length : null;
+    const areaRatio = wanted.length ? shared.length / wanted.length : null;
+    const ratios = [skillRatio, areaRatio].filter(r => r !== null);
+    const ratio = ratios.length ? ratios.reduce((a, b) => a + b, 0) / ratios.length : 0.5;
+
+    const details = [];
+    if (skillRatio !== null) details.push(`${matched.length}/${skills.length} skills match${matched.length ? ` (${matched.join(', ')})` : ''}`);
+    if (areaRatio !== null) details.push(`${shared.length}/${wanted.length} areas covered${shared.length ? ` (${shared.join(', ')})` : ''}`);
+    return { ratio, detail: details.join('; ') || 'No skills listed; neutral.' };
+}
+
+// Compares the budget with the minimum the hourly rate in the pricing rules implies.
+async function scoreBudget(job) {
+    const pricing = await getPricingSettings();
+    const rate = Number(pricing.hourlyRate) || 0;
+    const budget = job.projectBudget || {};
+    if (budget.max == null) return { ratio: 0.5, detail: 'Budget unknown; neutral.' };
+    if (rate <= 0) return { ratio: 0.5, detail: 'No hourly rate in the pricing rules; neutral.' };
+
+    const hourly = job.projectType ? job.projectType === 'hourly' : isHourlyBudget(budget.text);
+    const minimum = hourly ? rate : rate * estimateHoursHeuristic(job).hours;
+    const ratio = Math.min(1, budget.max / minimum);
+    return {
+        ratio,
+        detail: `Budget up to ${budget.max}${hourly ? '/h' : ''} vs your minimum of ${Math.round(minimum)}${hourly ? '/h' : ` (${rate}/h × estimated hours)`}.`,
+    };
+}
+
+function scoreClient(job) {
+    const client = job.client || {};
+    const verified = client.paymentVerified === true ? 1 : client.paymentVerified === false ? 0 : 0.5;
+    const reviewed = client.reviewCount > 0 && client.rating != null;
+    // A client without reviews is not bad, just unknown.
+    const history = reviewed ? Math.max(0, Math.min(1, client.rating / 5)) : 0.4;
+    const details = [
+        client.paymentVerified === true ? 'payment verified' : client.paymentVerified === false ? 'payment NOT verified' : 'payment verification unknown',
+        reviewed ? `${client.rating}★ from ${client.reviewCount} reviews` : 'no reviews yet',
+    ];
+    return { ratio: (verified + history) / 2, detail: details.join(', ') };
+}
+
+function scoreCompetition(job) {
+    const count = job.bidStats?.count;
+    if (count == null) return { ratio: 0.5, detail: 'Bid count unknown; neutral.' };
+    const ratio = count <= 10 ? 1 : count <= 30 ? 0.7 : count <= 60 ? 0.35 : 0.1;
+    return { ratio, detail: `${count} bids so far.` };
+}
+
+/**
+ * Scores how well a project fits the active profile.
+ * @param {object} job - Details from content.js.
+ * @returns {Promise<object|null>} null when scoring is disabled in Options.
+ */
+async function computeFit(job) {
+    const settings = await getFitSettings();
+    if (!settings.enabled) return null;
+    const profile = await getActiveProfile();
+    const taxonomy = await getTaxonomy();
+
+    const parts = [
+        ['skills', 'Skills', scoreSkills(job, profile, taxonomy)],
+        ['budget', 'Budget', await scoreBudget(job)],
+        ['client', 'Client', scoreClient(job)],
+        ['competition', 'Competition', scoreCompetition(job)],
+    ];
+    const breakdown = parts.map(([key, label, { ratio, detail }]) => ({
+        label,
+        points: Math.round(ratio * FIT_WEIGHTS[key]),
+        max: FIT_WEIGHTS[key],
+        detail,
+    }));
+
+    const text = [job.title, job.description, job.projectBudget?.text].filter(Boolean).join('\n').toLowerCase();
+    const blacklisted = (settings.blacklist || [])
+        .map(phrase => String(phrase).trim())
+        .filter(phrase => phrase && text.includes(phrase.toLowerCase()));
+
+    const score = blacklisted.length ? 0 : breakdown.reduce((sum, part) => sum + part.points, 0);
+    const verdict = blacklisted.length || score < settings.blockBelow ? 'block' : score < settings.warnBelow ? 'warn' : 'ok';
+    return { score, verdict, breakdown, blacklisted, warnBelow: settings.warnBelow, blockBelow: settings.blockBelow };
+}
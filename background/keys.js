@@ -0,0 +1,192 @@
+/**
+ * keys.js: Encrypted API key vault, loaded by background.js through importScripts().
+ *
+ * Keys stay on this device: chrome.storage.local under `apiKeyVault`, encrypted with AES-GCM under a
+ * key derived from the user's passphrase (PBKDF2-SHA-256). Unlocking puts the derived key in
+ * chrome.storage.session, which lives in memory until the browser closes and is not readable by
+ * content scripts, so the worker can restart without asking again. Options → AI Provider sets the
+ * passphrase, unlocks and locks the vault; the popup can unlock it too (src/shared/keys.ts).
+ *
+ * Keys saved before the vault existed keep working until a passphrase is set, then move into the
+ * vault. Extension 2.x kept them in plain text in chrome.storage.sync (`${id}ApiKey`, synced to every
+ * browser); the update to 3.x moves them to chrome.storage.local under `legacyApiKeys` so they stop
+ * syncing (see background/settings.js).
+ */
+
+const VAULT_VERSION = 1;
+const VAULT_ITERATIONS = 250000;
+const VAULT_SESSION_KEY = 'apiKeyVaultKey';
+// Encrypted with every vault so a wrong passphrase is caught on unlock.
+const VAULT_CHECK_TEXT = 'ai-bidder-vault';
+
+const bytesToBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const base64ToBytes = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+async function getVault() {
+    const { apiKeyVault } = await chrome.storage.local.get('apiKeyVault');
+    return apiKeyVault?.version === VAULT_VERSION ? apiKeyVault : null;
+}
+
+// Extractable, so the unlocked key can be kept in chrome.storage.session.
+async function deriveVaultKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        true,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encryptText(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return { iv: bytesToBase64(iv), data: bytesToBase64(data) };
+}
+
+async function decryptText(key, sealed) {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(sealed.iv) }, key, base64ToBytes(sealed.data));
+    return new TextDecoder().decode(data);
+}
+
+// The unlocked key for this browser session, or null while locked.
+async function getSessionVaultKey() {
+    const { [VAULT_SESSION_KEY]: raw } = await chrome.storage.session.get(VAULT_SESSION_KEY);
+    if (!raw) return null;
+    return crypto.subtle.importKey('raw', base64ToBytes(raw), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+}
+
+async function rememberVaultKey(key) {
+    const raw = await crypto.subtle.exportKey('raw', key);
+    await chrome.storage.session.set({ [VAULT_SESSION_KEY]: bytesToBase64(raw) });
+}
+
+const LEGACY_KEYS_LOCAL = 'legacyApiKeys';
+const legacyKeyNames = () => Object.keys(PROVIDERS).map(id => `${id}ApiKey`);
+
+// Plain-text keys by provider id. Keys still in sync (a browser not updated yet, or the mock server
+// setup in the readme) win over the ones already moved to this device.
+async function getLegacyKeys() {
+    const [synced, local] = await Promise.all([
+        chrome.storage.sync.get(legacyKeyNames()),
+        chrome.storage.local.get(LEGACY_KEYS_LOCAL),
+    ]);
+    const moved = local[LEGACY_KEYS_LOCAL] || {};
+    return Object.fromEntries(Object.keys(PROVIDERS)
+        .map(id => [id, synced[`${id}ApiKey`] || moved[id]])
+        .filter(([, apiKey]) => apiKey));
+}
+
+/**
+ * @returns {Promise<{ configured: boolean, unlocked: boolean, stored: string[], legacy: string[] }>}
+ *   `stored` are providers with a key in the vault, `legacy` those with a plain-text key in sync.
+ */
+async function getKeyStatus() {
+    const [vault, sessionKey, legacy] = await Promise.all([getVault(), getSessionVaultKey(), getLegacyKeys()]);
+    return {
+        configured: !!vault,
+        unlocked: !!vault && !!sessionKey,
+        stored: vault ? Object.keys(vault.keys || {}) : [],
+        legacy: Object.keys(legacy),
+    };
+}
+
+/**
+ * Creates the vault, moves any plain-text keys from chrome.storage.sync into it and unlocks it.
+ * @throws {Error} When a vault already exists or the passphrase is too short.
+ */
+async function createVault(passphrase) {
+    if (await getVault()) throw new Error('A passphrase is already set. Unlock the keys or reset them first.');
+    if (String(passphrase || '').length < 8) throw new Error('Use a passphrase of at least 8 characters.');
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveVaultKey(passphrase, salt, VAULT_ITERATIONS);
+    const legacy = await getLegacyKeys();
+    const keys = {};
+    for (const [id, apiKey] of Object.entries(legacy)) {
+        keys[id] = await encryptText(key, apiKey);
+    }
+    await chrome.storage.local.set({
+        apiKeyVault: {
+            version: VAULT_VERSION,
+            salt: bytesToBase64(salt),
+            iterations: VAULT_ITERATIONS,
+            check: await encryptText(key, VAULT_CHECK_TEXT),
+            keys,
+        },
+    });
+    await rememberVaultKey(key);
+    // Removing them from sync also removes them from the other signed-in browsers.
+    await chrome.storage.sync.remove(legacyKeyNames());
+    await chrome.storage.local.remove(LEGACY_KEYS_LOCAL);
+    console.log(`Background: Key vault created; ${Object.keys(keys).length} key(s) moved out of sync storage.`);
+    return Object.keys(keys);
+}
+
+async function unlockVault(passphrase) {
+    const vault = await getVault();
+    if (!vault) throw new Error('No passphrase has been set yet.');
+    const key = await deriveVaultKey(String(passphrase || ''), base64ToBytes(vault.salt), vault.iterations);
+    const check = await decryptText(key, vault.check).catch(() => null);
+    if (check !== VAULT_CHECK_TEXT) throw new Error('Wrong passphrase.');
+    await rememberVaultKey(key);
+}
+
+async function lockVault() {
+    await chrome.storage.session.remove(VAULT_SESSION_KEY);
+}
+
+// Forgotten passphrase: the stored keys cannot be recovered, only removed.
+async function resetVault() {
+    await lockVault();
+    await chrome.storage.local.remove('apiKeyVault');
+}
+
+async function unlockedVault() {
+    const [vault, key] = await Promise.all([getVault(), getSessionVaultKey()]);
+    if (!vault) throw new Error('Set a passphrase first (Options → AI Provider → Key storage).');
+    if (!key) throw new Error('API keys are locked. Unlock them with your passphrase first.');
+    return { vault, key };
+}
+
+async function storeApiKey(providerId, apiKey) {
+    if (!apiKey) throw new Error('The API key is empty.');
+    const { vault, key } = await unlockedVault();
+    const keys = { ...(vault.keys || {}), [providerId]: await encryptText(key, apiKey) };
+    await chrome.storage.local.set({ apiKeyVault: { ...vault, keys } });
+}
+
+async function removeApiKey(providerId) {
+    const vault = await getVault();
+    if (vault?.keys?.[providerId]) {
+        const { [providerId]: removed, ...keys } = vault.keys;
+        await chrome.storage.local.set({ apiKeyVault: { ...vault, keys } });
+    }
+    const { [LEGACY_KEYS_LOCAL]: moved } = await chrome.storage.local.get(LEGACY_KEYS_LOCAL);
+    if (moved?.[providerId]) {
+        const { [providerId]: removed, ...rest } = moved;
+        await chrome.storage.local.set({ [LEGACY_KEYS_LOCAL]: rest });
+    }
+    await chrome.storage.sync.remove(`${providerId}ApiKey`);
+}
+
+/**
+ * The API key for a provider: decrypted from the vault, or the legacy plain-text key (from
+ * getLegacyKeys()) while no vault exists. `locked` is true when a key is stored but the vault is locked.
+ * @returns {Promise<{ apiKey: string|undefined, locked: boolean }>}
+ */
+async function resolveApiKey(providerId, legacyKey) {
+    const vault = await getVault();
+    if (!vault) return { apiKey: legacyKey || undefined, locked: false };
+    const sealed = vault.keys?.[providerId];
+    if (!sealed) return { apiKey: undefined, locked: false };
+    const key = await getSessionVaultKey();
+    if (!key) return { apiKey: undefined, locked: true };
+    try {
+        return { apiKey: await decryptText(key, sealed), locked: false };
+    } catch (error) {
+        console.error(`Background: Could not decrypt the ${providerId} key:`, error);
+        return { apiKey: undefined, locked: true };
+    }
+}
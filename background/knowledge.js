@@ -0,0 +1,62 @@
+/**
+ * knowledge.js: Past-project knowledge base, loaded by background.js through importScripts().
+ *
+ * Entries live in IndexedDB (database `aiBidder`, store `pastProjects`, edited in Options →
+ * Portfolio; src/shared/knowledge.ts opens the same database) as
+ *   { id, title, stack: string[], outcome, link, quote, updatedAt }
+ * findRelevantProjects(job) returns the 2–3 entries closest to the job (background/retrieval.js)
+ * and pastProjectLines() turns them into prompt lines, so bids cite real, specific prior work.
+ */
+
+const KNOWLEDGE_DB_NAME = 'aiBidder';
+const KNOWLEDGE_DB_VERSION = 1;
+const KNOWLEDGE_STORE = 'pastProjects';
+const KNOWLEDGE_MATCH_LIMIT = 3;
+
+function openKnowledgeDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(KNOWLEDGE_DB_NAME, KNOWLEDGE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            if (!request.result.objectStoreNames.contains(KNOWLEDGE_STORE)) {
+                request.result.createObjectStore(KNOWLEDGE_STORE, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function getPastProjects() {
+    try {
+        const db = await openKnowledgeDb();
+        return await new Promise((resolve, reject) => {
+            const request = db.transaction(KNOWLEDGE_STORE, 'readonly').objectStore(KNOWLEDGE_STORE).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        }).finally(() => db.close());
+    } catch (error) {
+        console.error("Exception reading the knowledge base:", error);
+        return [];
+    }
+}
+
+/**
+ * Picks the past projects most similar to the job.
+ * @param {object} job - Details from content.js (title, description, skills).
+ * @returns {Promise<object[]>} Up to KNOWLEDGE_MATCH_LIMIT results of rankPastProjects().
+ */
+async function findRelevantProjects(job) {
+    const projects = await getPastProjects();
+    const query = [job.title, job.description, (job.skills || []).join(' ')].filter(Boolean).join('\n');
+    return rankPastProjects(query, projects, { limit: KNOWLEDGE_MATCH_LIMIT });
+}
+
+function pastProjectLines(matches) {
+    return matches.map(({ project }) => [
+        project.title,
+        project.stack?.length ? `stack: ${project.stack.join(', ')}` : null,
+        project.outcome ? `outcome: ${project.outcome}` : null,
+        project.quote ? `client said: "${project.quote}"` : null,
+        project.link ? `link: ${project.link}` : null,
+    ].filter(Boolean).join('; '));
+}
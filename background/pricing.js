@@ -0,0 +1,181 @@
+/**
+ * pricing.js: Rule-based bid amount and delivery time, loaded by background.js through importScripts().
+ *
+ * Settings live in chrome.storage.sync under `pricing` (edited in Options → Pricing; the
+ * defaults below mirror src/shared/pricing.ts). computePricing(job) returns
+ *   { amount, days, hours, currency, hourly, explanation: string[] }
+ * where `explanation` lists every step that led to the numbers, for display in the popup.
+ */
+
+const PRICING_DEFAULTS = {
+    enabled: true,
+    // Where to bid inside the client's budget range: 0 = minimum, 100 = maximum.
+    budgetPercent: 60,
+    // 0 disables the "hourly rate × estimated hours" floor.
+    hourlyRate: 0,
+    hoursPerDay: 6,
+    useAiHours: false,
+    rounding: 'currency',
+    skillMinimums: [],
+};
+
+// Step used by `rounding: 'currency'`, in whole units of each currency.
+const CURRENCY_ROUNDING = {
+    USD: 5, EUR: 5, GBP: 5, AUD: 5, CAD: 5, NZD: 5, SGD: 5, CHF: 5,
+    HKD: 50, SEK: 50, NOK: 50, DKK: 50, ZAR: 50, MXN: 50,
+    INR: 100, PHP: 100, JPY: 500, PKR: 500, IDR: 10000,
+};
+
+const CURRENCY_SYMBOLS = [
+    [/A\$|AU\$/, 'AUD'], [/C\$|CA\$/, 'CAD'], [/NZ\$/, 'NZD'], [/S\$/, 'SGD'], [/HK\$/, 'HKD'],
+    [/€/, 'EUR'], [/£/, 'GBP'], [/₹/, 'INR'], [/¥/, 'JPY'], [/₱/, 'PHP'], [/\$/, 'USD'],
+];
+
+// Keyword groups that add effort to the heuristic estimate (hours).
+const EFFORT_SIGNALS = [
+    { label: 'mobile app', hours: 40, pattern: /\b(mobile app|ios|android|flutter|react native)\b/ },
+    { label: 'machine learning', hours: 30, pattern: /\b(machine learning|deep learning|model training|computer vision|nlp)\b/ },
+    { label: 'e-commerce/payments', hours: 20, pattern: /\b(e-?commerce|shopify|woocommerce|payment|stripe|checkout)\b/ },
+    { label: 'dashboard/admin', hours: 12, pattern: /\b(dashboard|admin panel|back ?office|crm)\b/ },
+    { label: 'API/integration', hours: 8, pattern: /\b(api|integration|webhook)\b/ },
+    { label: 'auth', hours: 6, pattern: /\b(auth|authentication|login|sign ?up|oauth)\b/ },
+    { label: 'deployment', hours: 6, pattern: /\b(deploy|docker|kubernetes|aws|azure|gcp|ci\/cd)\b/ },
+    { label: 'scraping', hours: 6, pattern: /\b(scrap(e|er|ing)|crawler)\b/ },
+];
+const SMALL_TASK_PATTERN = /\b(small (fix|task|change)|quick fix|minor|bug fix|tweak)\b/;
+
+async function getPricingSettings() {
+    const { pricing } = await chrome.storage.sync.get('pricing');
+    return { ...PRICING_DEFAULTS, ...(pricing || {}) };
+}
+
+function detectCurrency(budgetText) {
+    const text = budgetText || '';
+    const code = text.match(/\b([A-Z]{3})\b/);
+    if (code && CURRENCY_ROUNDING[code[1]]) return code[1];
+    const symbol = CURRENCY_SYMBOLS.find(([pattern]) => pattern.test(text));
+    return symbol ? symbol[1] : 'USD';
+}
+
+function isHourlyBudget(budgetText) {
+    return /\/\s*(hr|hour)\b|per hour|hourly/i.test(budgetText || '');
+}
+
+function roundAmount(amount, currency, rounding, direction = 'nearest') {
+    const step = rounding === 'none' ? 1 : rounding === 'currency' ? (CURRENCY_ROUNDING[currency] || 5) : Number(rounding) || 1;
+    const round = direction === 'up' ? Math.ceil : Math.round;
+    return { value: Math.max(step, round(amount / step) * step), step };
+}
+
+// Rough hours of work from the description; good enough to size a bid, not to quote one.
+function estimateHoursHeuristic(job) {
+    const text = `${job.title || ''}\n${job.description || ''}`.toLowerCase();
+    const words = text.split(/\s+/).filter(Boolean).length;
+    const matched = EFFORT_SIGNALS.filter(signal => signal.pattern.test(text));
+    let hours = 6 + Math.min(20, Math.floor(words / 40)) + matched.reduce((sum, s) => sum + s.hours, 0);
+    const small = SMALL_TASK_PATTERN.test(text);
+    if (small) hours = Math.max(2, Math.round(hours / 2));
+    const reasons = matched.map(s => s.label);
+    if (small) reasons.push('small task');
+    return { hours, reason: `heuristic: ${words} words${reasons.length ? `, ${reasons.join(', ')}` : ''}` };
+}
+
+async function estimateHoursWithAi(job) {
+    const prompt = `Estimate how many hours of focused work an experienced freelancer needs for this project.
+Reply with a single whole number of hours and nothing else.
+
+Project: ${job.title || ''}
+${job.description || ''}`;
+    const { text, provider, model } = await callProvider({ prompt, temperature: 0.2, maxTokens: 10 });
+    const hours = parseInt(String(text).match(/\d+/)?.[0], 10);
+    if (!hours || hours > 2000) throw new Error(`Unusable estimate "${text}"`);
+    return { hours, reason: `AI estimate (${provider}/${model})` };
+}
+
+async function estimateHours(job, settings) {
+    if (settings.useAiHours) {
+        try {
+            return await estimateHoursWithAi(job);
+        } catch (error) {
+            console.warn("Background: AI hours estimate failed, using the heuristic:", error.message);
+            const fallback = estimateHoursHeuristic(job);
+            return { ...fallback, reason: `${fallback.reason} (AI estimate failed)` };
+        }
+    }
+    return estimateHoursHeuristic(job);
+}
+
+// Resolves with null when the engine is disabled in Options.
+async function computePricing(job) {
+    const settings = await getPricingSettings();
+    if (!settings.enabled) return null;
+
+    const budget = job.projectBudget || {};
+    const currency = detectCurrency(budget.text);
+    // content.js reports the project type; older callers only send the budget text.
+    const hourly = job.projectType ? job.projectType === 'hourly' : isHourlyBudget(budget.text);
+    const explanation = [];
+    const money = value => `${value} ${currency}`;
+
+    const { hours, reason } = await estimateHours(job, settings);
+    const hoursPerDay = Math.max(1, Number(settings.hoursPerDay) || PRICING_DEFAULTS.hoursPerDay);
+    const days = Math.max(1, Math.ceil(hours / hoursPerDay));
+    explanation.push(`Estimated ${hours} h (${reason}) → ${days} day${days === 1 ? '' : 's'} at ${hoursPerDay} h/day.`);
+
+    // 1. Position inside the budget range
+    let amount = null;
+    if (budget.min != null && budget.max != null) {
+        const percent = Math.max(0, Math.min(100, Number(settings.budgetPercent)));
+        amount = budget.min + (budget.max - budget.min) * (percent / 100);
+        explanation.push(`${percent}% of the ${money(budget.min)}–${money(budget.max)} ${hourly ? 'hourly ' : ''}range → ${money(Math.round(amount))}.`);
+    } else if (job.bidAmount) {
+        amount = Number(job.bidAmount);
+        explanation.push(`No budget range found; starting from Freelancer's suggestion of ${money(amount)}.`);
+    }
+
+    // 2. Floors: hourly rate and per-skill minimums
+    let floor = 0;
+    let floorReason = null;
+    const rate = Number(settings.hourlyRate) || 0;
+    if (rate > 0) {
+        floor = hourly ? rate : rate * hours;
+        floorReason = hourly ? `hourly rate ${money(rate)}/h` : `${money(rate)}/h × ${hours} h = ${money(floor)}`;
+    }
+    const skills = (job.skills || []).map(s => String(s).toLowerCase());
+    (settings.skillMinimums || []).forEach(({ skill, amount: minimum }) => {
+        if (skill && Number(minimum) > floor && skills.includes(String(skill).toLowerCase())) {
+            floor = Number(minimum);
+            floorReason = `${skill} minimum ${money(floor)}`;
+        }
+    });
+    if (floor > 0) {
+        if (amount === null || amount < floor) {
+            amount = floor;
+            explanation.push(`Raised to the floor: ${floorReason}.`);
+        } else {
+            explanation.push(`Floor (${floorReason}) already met.`);
+        }
+    }
+    if (amount === null) {
+        explanation.push('No budget, suggestion or floor to price from; set an hourly rate in Options.');
+        return { amount: null, days, hours, currency, hourly, explanation };
+    }
+
+    // 3. Rounding: to the nearest step, or up when that would drop below the floor
+    let direction = amount === floor ? 'up' : 'nearest';
+    let { value, step } = roundAmount(amount, currency, settings.rounding, direction);
+    if (value < floor) {
+        direction = 'up';
+        ({ value, step } = roundAmount(amount, currency, settings.rounding, direction));
+    }
+    if (step > 1) explanation.push(`Rounded ${direction === 'up' ? 'up ' : ''}to a multiple of ${step} ${currency} → ${money(value)}.`);
+    if (budget.max != null && value > budget.max) {
+        explanation.push(`Note: ${money(value)} is above the client's maximum of ${money(budget.max)}.`);
+    }
+    const stats = job.bidStats || {};
+    if (stats.average != null) {
+        const position = value > stats.average ? 'above' : value < stats.average ? 'below' : 'at';
+        explanation.push(`${stats.count ?? 'Other'} competing bids average ${stats.averageText || money(stats.average)}; this bid is ${position} it.`);
+    }
+    return { amount: value, days, hours, currency, hourly, explanation };
+}
@@ -0,0 +1,110 @@
+/**
+ * proposal.js: Detailed proposals (phases, milestones, schedule, assumptions), loaded by background.js
+ * through importScripts().
+ *
+ * buildDetailedPrompt() in background.js asks for JSON matching PROPOSAL_SCHEMA through the provider's
+ * structured output mode (see `request.json` in background/providers.js). Models are not reliable at
+ * arithmetic, so normalizeProposal() then makes the milestone amounts add up to the bid amount and the
+ * schedule end on the delivery day. The popup edits the result as a table (src/popup/proposal.ts).
+ */
+
+// Strict structured output (OpenAI) needs every property required and no extra ones.
+const PROPOSAL_SCHEMA = {
+    type: 'object',
+    properties: {
+        summary: { type: 'string', description: 'Two or three sentences: what will be delivered and how.' },
+        phases: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    description: { type: 'string' },
+                    days: { type: 'integer', description: 'Working days this phase takes.' },
+                },
+                required: ['name', 'description', 'days'],
+                additionalProperties: false,
+            },
+        },
+        milestones: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    deliverable: { type: 'string' },
+                    amount: { type: 'number', description: 'Payment released for this milestone.' },
+                    dueDay: { type: 'integer', description: 'Day after the start on which it is delivered.' },
+                },
+                required: ['name', 'deliverable', 'amount', 'dueDay'],
+                additionalProperties: false,
+            },
+        },
+        assumptions: { type: 'array', items: { type: 'string' } },
+        exclusions: { type: 'array', items: { type: 'string' } },
+    },
+    required: ['summary', 'phases', 'milestones', 'assumptions', 'exclusions'],
+    additionalProperties: false,
+};
+
+const PROPOSAL_MAX_MILESTONES = 6;
+
+const cleanString = (value) => String(value ?? '').trim();
+const cleanList = (value) => (Array.isArray(value) ? value.map(cleanString).filter(Boolean) : []);
+
+/**
+ * Splits `total` over `weights` in whole units; the largest share absorbs the rounding.
+ * @param {number[]} weights - Non-negative; all zero splits evenly.
+ * @param {number} total
+ * @returns {number[]}
+ */
+function distributeTotal(weights, total) {
+    if (weights.length === 0) return [];
+    const sum = weights.reduce((a, b) => a + b, 0);
+    const shares = weights.map(w => (sum > 0 ? w / sum : 1 / weights.length));
+    const rounded = shares.map(share => Math.round(share * total));
+    const largest = shares.indexOf(Math.max(...shares));
+    rounded[largest] += total - rounded.reduce((a, b) => a + b, 0);
+    return rounded;
+}
+
+/**
+ * Cleans the model's JSON and fits it to the bid.
+ * @param {object} raw - Parsed model output.
+ * @param {{ amount: number|null, days: number|null }} bid - From the popup; null leaves the model's numbers.
+ * @returns {object} { summary, phases, milestones, assumptions, exclusions }
+ */
+function normalizeProposal(raw, { amount, days }) {
+    const phases = (Array.isArray(raw?.phases) ? raw.phases : [])
+        .map(p => ({ name: cleanString(p?.name), description: cleanString(p?.description), days: Math.max(0, Number(p?.days) || 0) }))
+        .filter(p => p.name);
+    const milestones = (Array.isArray(raw?.milestones) ? raw.milestones : [])
+        .map(m => ({ name: cleanString(m?.name), deliverable: cleanString(m?.deliverable), amount: Math.max(0, Number(m?.amount) || 0), dueDay: Math.max(0, Number(m?.dueDay) || 0) }))
+        .filter(m => m.name)
+        .slice(0, PROPOSAL_MAX_MILESTONES);
+    if (milestones.length === 0) throw new Error('The AI returned no milestones. Try again.');
+
+    if (amount > 0) {
+        distributeTotal(milestones.map(m => m.amount), Math.round(amount)).forEach((value, i) => { milestones[i].amount = value; });
+    }
+    if (days > 0) {
+        if (phases.length > 0) {
+            distributeTotal(phases.map(p => p.days), Math.round(days)).forEach((value, i) => { phases[i].days = value; });
+        }
+        // Due days keep their order, stay within the delivery time, and the last one is the delivery day.
+        let previous = 0;
+        milestones.forEach((m, i) => {
+            const last = i === milestones.length - 1;
+            m.dueDay = last ? Math.round(days) : Math.min(Math.max(m.dueDay, previous), Math.round(days));
+            previous = m.dueDay;
+        });
+    }
+
+    return {
+        summary: cleanString(raw?.summary),
+        phases,
+        milestones,
+        assumptions: cleanList(raw?.assumptions),
+        exclusions: cleanList(raw?.exclusions),
+    };
+}
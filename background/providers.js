@@ -0,0 +1,479 @@
+/**
+ * providers.js: AI provider registry, loaded by background.js through importScripts().
+ *
+ * Every provider implements the same interface:
+ *   generate(config, request, signal)          -> Promise<{ text, usage }>
+ *   stream(config, request, onChunk, signal)   -> Promise<{ text, usage }>
+ *   listModels(config)                         -> Promise<string[]>
+ *   validateKey(config)                        -> Promise<{ ok, message, models }>
+ *
+ * `config` is { apiKey, model, baseUrl, headers } as returned by getProviderConfig().
+ * `request` is { prompt | messages, system, temperature, maxTokens, json }. `messages` is a list of
+ * { role: 'user' | 'assistant', content } for multi-turn calls; `prompt` is one user message.
+ * `json` is { name, schema } (a JSON Schema object) and asks generate() for structured output
+ * through the provider's own mode; `text` is then the JSON string. Streams ignore it.
+ * `usage` is { inputTokens, outputTokens } as reported by the API, or null when it reports none
+ * (background/usage.js then estimates it).
+ */
+
+// --- Shared helpers ---
+
+// Appends a path to a base URL while keeping any query string on the base
+// (Azure OpenAI deployments need `?api-version=...` on every call).
+function joinUrl(baseUrl, path) {
+    const [base, query] = String(baseUrl).split('?');
+    const url = `${base.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+    return query ? `${url}${url.includes('?') ? '&' : '?'}${query}` : url;
+}
+
+function requestMessages(request) {
+    if (Array.isArray(request.messages) && request.messages.length > 0) return request.messages;
+    return [{ role: 'user', content: request.prompt }];
+}
+
+async function readErrorMessage(response) {
+    const body = await response.json().catch(() => ({}));
+    return body?.error?.message || `API request failed with status ${response.status}.`;
+}
+
+// Reads a text/event-stream body and calls onData with the payload of each event.
+// Errors thrown by onData end the stream and propagate to the caller.
+async function readSseStream(response, onData) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let dataLines = [];
+    const dispatch = () => {
+        if (dataLines.length > 0) {
+            const data = dataLines.join('\n');
+            dataLines = [];
+            onData(data);
+        }
+    };
+    const handleLine = (line) => {
+        if (line === '') dispatch();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+        // Comments (":") and other fields (event, id, retry) are not needed here.
+    };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            handleLine(buffer.slice(0, newline).replace(/\r$/, ''));
+            buffer = buffer.slice(newline + 1);
+        }
+    }
+    if (buffer) handleLine(buffer.replace(/\r$/, ''));
+    dispatch();
+}
+
+// Parses each SSE event as JSON, skipping malformed events, and collects the text
+// that `extract` pulls out of it.
+async function collectSseText(response, label, extract, onChunk) {
+    let fullText = '';
+    await readSseStream(response, data => {
+        if (data === '[DONE]') return;
+        let body;
+        try {
+            body = JSON.parse(data);
+        } catch (_) {
+            console.warn(`Background: Skipping malformed ${label} stream event:`, data);
+            return;
+        }
+        const text = extract(body);
+        if (text) {
+            fullText += text;
+            onChunk(text);
+        }
+    });
+    return fullText;
+}
+
+// Gemini takes an OpenAPI subset of JSON Schema, without `additionalProperties`.
+function openApiSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(openApiSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    return Object.fromEntries(Object.entries(schema)
+        .filter(([key]) => key !== 'additionalProperties')
+        .map(([key, value]) => [key, openApiSchema(value)]));
+}
+
+// Token counts from the API response; null unless at least one count is present.
+function usageFrom(inputTokens, outputTokens) {
+    if (inputTokens == null && outputTokens == null) return null;
+    return { inputTokens: Number(inputTokens) || 0, outputTokens: Number(outputTokens) || 0 };
+}
+
+function requireText(label, text) {
+    if (!text || !String(text).trim()) {
+        throw new Error(`${label} API Error: Could not parse a valid response from the API.`);
+    }
+    return String(text).trim();
+}
+
+// Retry-After is either a number of seconds or an HTTP date. Returns milliseconds or null.
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Errors carry the HTTP status and Retry-After delay so callers can decide whether to retry.
+function apiError(message, response) {
+    const error = new Error(message);
+    error.status = response.status;
+    error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    return error;
+}
+
+async function ensureOk(label, response) {
+    if (response.ok) return;
+    if (response.status === 503) {
+        throw apiError(`${label} API Error: The model is overloaded or temporarily unavailable. Please try again in a few moments.`, response);
+    }
+    const message = await readErrorMessage(response);
+    console.error(`Background: ${label} API Error:`, response.status, message);
+    throw apiError(`${label} API Error: ${message}`, response);
+}
+
+// --- Google Gemini ---
+const geminiProvider = {
+    id: 'gemini',
+    label: 'Gemini',
+    defaultModel: 'gemini-1.5-flash-latest',
+    defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    requiresKey: true,
+
+    body(config, request) {
+        const contents = requestMessages(request).map(m => ({
+            role: m.role === 'assistant' ? 'model' : 'user',
+            parts: [{ text: m.content }],
+        }));
+        return {
+            contents,
+            ...(request.system ? { systemInstruction: { parts: [{ text: request.system }] } } : {}),
+            generationConfig: {
+                temperature: request.temperature ?? 0.7,
+                topK: 40,
+                topP: 0.95,
+                maxOutputTokens: request.maxTokens || 1024,
+                ...(request.json ? { responseMimeType: 'application/json', responseSchema: openApiSchema(request.json.schema) } : {}),
+            },
+            safetySettings: [
+                {
+                    category: "HARM_CATEGORY_HARASSMENT",
+                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
+                },
+                {
+                    category: "HARM_CATEGORY_HATE_SPEECH",
+                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
+                }
+            ]
+        };
+    },
+
+    url(config, method, query = '') {
+        return joinUrl(config.baseUrl, `models/${encodeURIComponent(config.model)}:${method}${query}`);
+    },
+
+    // The key goes in a header rather than `?key=`, so it stays out of URLs and request logs.
+    headers(config) {
+        return { 'x-goog-api-key': config.apiKey, ...config.headers };
+    },
+
+    checkBlocked(body) {
+        if (body.promptFeedback?.blockReason) {
+            throw new Error(`Gemini API Error: Content blocked by safety filters: ${body.promptFeedback.blockReason}.`);
+        }
+    },
+
+    extractText(body) {
+        return (body.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+    },
+
+    // Streamed events repeat the running totals, so the last one wins.
+    extractUsage(body) {
+        const meta = body.usageMetadata;
+        return meta ? usageFrom(meta.promptTokenCount, meta.candidatesTokenCount) : null;
+    },
+
+    async generate(config, request, signal) {
+        const response = await fetch(this.url(config, 'generateContent'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers(config) },
+            body: JSON.stringify(this.body(config, request)),
+            signal,
+        });
+        await ensureOk(this.label, response);
+        const body = await response.json();
+        this.checkBlocked(body);
+        return { text: requireText(this.label, this.extractText(body)), usage: this.extractUsage(body) };
+    },
+
+    async stream(config, request, onChunk, signal) {
+        const response = await fetch(this.url(config, 'streamGenerateContent', '?alt=sse'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers(config) },
+            body: JSON.stringify(this.body(config, request)),
+            signal,
+        });
+        await ensureOk(this.label, response);
+        let usage = null;
+        const text = await collectSseText(response, this.label, body => {
+            this.checkBlocked(body);
+            usage = this.extractUsage(body) || usage;
+            return this.extractText(body);
+        }, onChunk);
+        return { text: requireText(this.label, text), usage };
+    },
+
+    async listModels(config) {
+        const response = await fetch(joinUrl(config.baseUrl, 'models?pageSize=1000'), {
+            headers: this.headers(config),
+        });
+        await ensureOk(this.label, response);
+        const body = await response.json();
+        return (body.models || [])
+            .filter(m => (m.supportedGenerationMethods || []).includes('generateContent'))
+            .map(m => String(m.name || '').replace(/^models\//, ''))
+            .filter(Boolean);
+    },
+
+    validateKey(config) {
+        return validateByListing(this, config);
+    },
+};
+
+// --- OpenAI (and any OpenAI-compatible server) ---
+// `streamUsage` asks for token counts at the end of a stream (stream_options) and `jsonSchema`
+// for schema-checked JSON (response_format json_schema); not every OpenAI-compatible server
+// accepts them, so those get plain JSON mode.
+function createOpenAIProvider({ id, label, defaultModel, defaultBaseUrl, requiresKey, customEndpoint = false, streamUsage, jsonSchema }) {
+    return {
+        id,
+        label,
+        defaultModel,
+        defaultBaseUrl,
+        requiresKey,
+        customEndpoint,
+
+        headers(config) {
+            return {
+                'Content-Type': 'application/json',
+                ...(config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {}),
+                ...config.headers,
+            };
+        },
+
+        body(config, request, stream) {
+            const messages = requestMessages(request);
+            return {
+                model: config.model,
+                messages: request.system ? [{ role: 'system', content: request.system }, ...messages] : messages,
+                temperature: request.temperature ?? 0.7,
+                ...(request.maxTokens ? { max_tokens: request.maxTokens } : {}),
+                ...(stream ? { stream: true } : {}),
+                ...(stream && streamUsage ? { stream_options: { include_usage: true } } : {}),
+                ...(!stream && request.json ? { response_format: this.responseFormat(request.json) } : {}),
+            };
+        },
+
+        responseFormat(json) {
+            return jsonSchema
+                ? { type: 'json_schema', json_schema: { name: json.name, schema: json.schema, strict: true } }
+                : { type: 'json_object' };
+        },
+
+        extractUsage(body) {
+            return body?.usage ? usageFrom(body.usage.prompt_tokens, body.usage.completion_tokens) : null;
+        },
+
+        async generate(config, request, signal) {
+            const response = await fetch(joinUrl(config.baseUrl, 'chat/completions'), {
+                method: 'POST',
+                headers: this.headers(config),
+                body: JSON.stringify(this.body(config, request, false)),
+                signal,
+            });
+            await ensureOk(this.label, response);
+            const body = await response.json();
+            return { text: requireText(this.label, body?.choices?.[0]?.message?.content), usage: this.extractUsage(body) };
+        },
+
+        async stream(config, request, onChunk, signal) {
+            const response = await fetch(joinUrl(config.baseUrl, 'chat/completions'), {
+                method: 'POST',
+                headers: this.headers(config),
+                body: JSON.stringify(this.body(config, request, true)),
+                signal,
+            });
+            await ensureOk(this.label, response);
+            let usage = null;
+            const text = await collectSseText(response, this.label, body => {
+                if (body.error) throw new Error(`${this.label} API Error: ${body.error.message || 'Stream failed.'}`);
+                // The usage event comes last, with an empty `choices` list.
+                usage = this.extractUsage(body) || usage;
+                return body.choices?.[0]?.delta?.content;
+            }, onChunk);
+            return { text: requireText(this.label, text), usage };
+        },
+
+        async listModels(config) {
+            const response = await fetch(joinUrl(config.baseUrl, 'models'), { headers: this.headers(config) });
+            await ensureOk(this.label, response);
+            const body = await response.json();
+            return (body.data || body.models || []).map(m => m.id || m.name).filter(Boolean);
+        },
+
+        validateKey(config) {
+            return validateByListing(this, config);
+        },
+    };
+}
+
+const openaiProvider = createOpenAIProvider({
+    id: 'openai',
+    label: 'OpenAI',
+    defaultModel: 'gpt-4o-mini',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    requiresKey: true,
+    streamUsage: true,
+    jsonSchema: true,
+});
+
+// Ollama, LM Studio, vLLM, Azure OpenAI, ... Base URL and extra headers come from Options.
+const compatibleProvider = createOpenAIProvider({
+    id: 'compatible',
+    label: 'OpenAI-compatible',
+    defaultModel: '',
+    defaultBaseUrl: '',
+    requiresKey: false,
+    customEndpoint: true,
+});
+
+// --- Anthropic ---
+const anthropicProvider = {
+    id: 'anthropic',
+    label: 'Anthropic',
+    defaultModel: 'claude-3-5-haiku-latest',
+    defaultBaseUrl: 'https://api.anthropic.com/v1',
+    requiresKey: true,
+
+    headers(config) {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': config.apiKey,
+            'anthropic-version': '2023-06-01',
+            // Required for calls made from a browser context such as this service worker.
+            'anthropic-dangerous-direct-browser-access': 'true',
+            ...config.headers,
+        };
+    },
+
+    body(config, request, stream) {
+        return {
+            model: config.model,
+            max_tokens: request.maxTokens || 1024,
+            temperature: request.temperature ?? 0.7,
+            ...(request.system ? { system: request.system } : {}),
+            messages: requestMessages(request),
+            ...(stream ? { stream: true } : {}),
+            // No JSON mode: a single forced tool call returns input that matches the schema.
+            ...(!stream && request.json ? {
+                tools: [{ name: request.json.name, description: 'Record the result.', input_schema: request.json.schema }],
+                tool_choice: { type: 'tool', name: request.json.name },
+            } : {}),
+        };
+    },
+
+    async generate(config, request, signal) {
+        const response = await fetch(joinUrl(config.baseUrl, 'messages'), {
+            method: 'POST',
+            headers: this.headers(config),
+            body: JSON.stringify(this.body(config, request, false)),
+            signal,
+        });
+        await ensureOk(this.label, response);
+        const body = await response.json();
+        const tool = request.json ? (body.content || []).find(block => block.type === 'tool_use') : null;
+        const text = tool
+            ? JSON.stringify(tool.input)
+            : (body.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+        return { text: requireText(this.label, text), usage: usageFrom(body.usage?.input_tokens, body.usage?.output_tokens) };
+    },
+
+    async stream(config, request, onChunk, signal) {
+        const response = await fetch(joinUrl(config.baseUrl, 'messages'), {
+            method: 'POST',
+            headers: this.headers(config),
+            body: JSON.stringify(this.body(config, request, true)),
+            signal,
+        });
+        await ensureOk(this.label, response);
+        // Input tokens arrive with message_start, the output total with message_delta.
+        let inputTokens = null;
+        let outputTokens = null;
+        const text = await collectSseText(response, this.label, body => {
+            if (body.type === 'error') throw new Error(`${this.label} API Error: ${body.error?.message || 'Stream failed.'}`);
+            if (body.type === 'message_start') inputTokens = body.message?.usage?.input_tokens ?? inputTokens;
+            if (body.type === 'message_delta') outputTokens = body.usage?.output_tokens ?? outputTokens;
+            return body.type === 'content_block_delta' ? body.delta?.text : '';
+        }, onChunk);
+        return { text: requireText(this.label, text), usage: usageFrom(inputTokens, outputTokens) };
+    },
+
+    async listModels(config) {
+        const response = await fetch(joinUrl(config.baseUrl, 'models?limit=100'), { headers: this.headers(config) });
+        await ensureOk(this.label, response);
+        const body = await response.json();
+        return (body.data || []).map(m => m.id).filter(Boolean);
+    },
+
+    validateKey(config) {
+        return validateByListing(this, config);
+    },
+};
+
+// Listing models is the cheapest authenticated call every provider offers.
+async function validateByListing(provider, config) {
+    if (provider.requiresKey && !config.apiKey) {
+        return { ok: false, message: `No ${provider.label} API key set.`, models: [] };
+    }
+    try {
+        const models = await provider.listModels(config);
+        return { ok: true, message: `${provider.label} accepted the key (${models.length} models available).`, models };
+    } catch (error) {
+        return { ok: false, message: error.message, models: [] };
+    }
+}
+
+// --- Registry ---
+const PROVIDERS = {
+    gemini: geminiProvider,
+    openai: openaiProvider,
+    anthropic: anthropicProvider,
+    compatible: compatibleProvider,
+};
+
+function getProvider(id) {
+    return PROVIDERS[id] || PROVIDERS.gemini;
+}
+
+// Parses "Header: value" lines from the Options page into an object.
+function parseHeaderLines(text) {
+    const headers = {};
+    String(text || '').split('\n').forEach(line => {
+        const index = line.indexOf(':');
+        if (index > 0) {
+            const name = line.slice(0, index).trim();
+            const value = line.slice(index + 1).trim();
+            if (name) headers[name] = value;
+        }
+    });
+    return headers;
+}
@@ -0,0 +1,87 @@
+/**
+ * retrieval.js: TF-IDF ranking of past projects, loaded by background.js through importScripts().
+ *
+ * Pure functions only (no chrome.* or IndexedDB), so the ranking can be checked offline by
+ * evaluating this file in Node and calling rankPastProjects(); test/retrieval.test.js does that.
+ */
+
+const RETRIEVAL_STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from', 'has', 'have',
+    'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'need', 'needs', 'of', 'on', 'or', 'our',
+    'so', 'that', 'the', 'their', 'this', 'to', 'us', 'was', 'we', 'will', 'with', 'would', 'you', 'your',
+    'looking', 'someone', 'project', 'work', 'also', 'should', 'must', 'able', 'all', 'any', 'more',
+]);
+
+// Keeps tech names like "node.js", "c++" and "c#" in one piece.
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9+#.]+/)
+        .map(token => token.replace(/^\.+|\.+$/g, ''))
+        .filter(token => token.length > 1 && !RETRIEVAL_STOPWORDS.has(token) && !/^\d+$/.test(token));
+}
+
+function termCounts(tokens) {
+    const counts = new Map();
+    for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+    return counts;
+}
+
+// Title and stack are repeated so they weigh more than the outcome and quote.
+function pastProjectText(project) {
+    const stack = (project.stack || []).join(' ');
+    return [project.title, project.title, stack, stack, project.outcome, project.quote].filter(Boolean).join('\n');
+}
+
+function tfIdfVector(counts, idf) {
+    const vector = new Map();
+    let norm = 0;
+    for (const [term, count] of counts) {
+        const weight = (1 + Math.log(count)) * (idf.get(term) || 0);
+        if (weight > 0) {
+            vector.set(term, weight);
+            norm += weight * weight;
+        }
+    }
+    return { vector, norm: Math.sqrt(norm) };
+}
+
+/**
+ * Ranks past projects by TF-IDF cosine similarity to the job text.
+ * @param {string} query - Job title, description and skills.
+ * @param {object[]} projects - Knowledge base entries ({ id, title, stack, outcome, link, quote }).
+ * @param {object} [options] - `limit` (default 3) and `minScore` (default 0.05).
+ * @returns {{ project: object, score: number, terms: string[] }[]} Best first.
+ */
+function rankPastProjects(query, projects, { limit = 3, minScore = 0.05 } = {}) {
+    if (!projects.length) return [];
+    const documents = projects.map(project => termCounts(tokenize(pastProjectText(project))));
+
+    // Smoothed so a term found in every project still counts a little.
+    const idf = new Map();
+    for (const counts of documents) {
+        for (const term of counts.keys()) idf.set(term, (idf.get(term) || 0) + 1);
+    }
+    for (const [term, df] of idf) idf.set(term, Math.log((projects.length + 1) / (df + 1)) + 1);
+
+    const queryVector = tfIdfVector(termCounts(tokenize(query)), idf);
+    if (queryVector.norm === 0) return [];
+
+    return documents
+        .map((counts, index) => {
+            const { vector, norm } = tfIdfVector(counts, idf);
+            let dot = 0;
+            const terms = [];
+            for (const [term, weight] of vector) {
+                const other = queryVector.vector.get(term);
+                if (other) {
+                    dot += weight * other;
+                    terms.push(term);
+                }
+            }
+            return { project: projects[index], score: norm ? dot / (norm * queryVector.norm) : 0, terms };
+        })
+        .filter(result => result.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
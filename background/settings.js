@@ -0,0 +1,59 @@
+/**
+ * background/settings.js: Keeps the stored settings on the current settings schema.
+ *
+ * The schema numbers are the ones of settings bundles (SETTINGS_SCHEMA and MIGRATIONS in
+ * src/shared/settings.ts): an import upgrades the bundle, and an update of the extension upgrades
+ * what is already stored, once, from chrome.runtime.onInstalled. `settingsSchema` in
+ * chrome.storage.local records the schema of the stored settings; installs from before it was
+ * recorded (extension 2.x) are schema 1.
+ */
+
+// Mirrors SETTINGS_SCHEMA in src/shared/settings.ts.
+const SETTINGS_SCHEMA = 2;
+
+// STORED_SETTINGS_MIGRATIONS[n] upgrades stored schema n settings to schema n + 1.
+const STORED_SETTINGS_MIGRATIONS = {
+    // Extension 2.x stored only aiProvider, geminiModel/openaiModel and the API keys, in plain text
+    // (geminiApiKey, openaiApiKey), all in chrome.storage.sync. 3.x reads the provider and model keys as
+    // they are. The API keys no longer sync: they move to this device's chrome.storage.local, where
+    // they keep working until a passphrase is set and createVault() in background/keys.js encrypts them.
+    1: async () => {
+        const synced = await chrome.storage.sync.get(legacyKeyNames());
+        if (!Object.keys(synced).length) return;
+        const { [LEGACY_KEYS_LOCAL]: moved } = await chrome.storage.local.get(LEGACY_KEYS_LOCAL);
+        const keys = { ...moved };
+        for (const id of Object.keys(PROVIDERS)) {
+            if (synced[`${id}ApiKey`]) keys[id] = synced[`${id}ApiKey`];
+        }
+        // Saved on this device before they leave sync, so a failed step can run again
+        await chrome.storage.local.set({ [LEGACY_KEYS_LOCAL]: keys });
+        await chrome.storage.sync.remove(legacyKeyNames());
+        console.log(`Background: ${Object.keys(synced).length} plain-text API key(s) moved out of sync storage.`);
+    },
+};
+
+/**
+ * Runs the migrations from the recorded schema up to SETTINGS_SCHEMA. A failed step is logged and
+ * retried on the next update; the schema is only recorded after each step succeeded.
+ * @returns {Promise<number>} The schema the stored settings are in afterwards.
+ */
+async function migrateStoredSettings() {
+    const { settingsSchema } = await chrome.storage.local.get('settingsSchema');
+    let schema = Number(settingsSchema) || 1;
+    if (schema > SETTINGS_SCHEMA) {
+        console.warn(`Background: Stored settings use schema ${schema}, newer than this version (${SETTINGS_SCHEMA}).`);
+        return schema;
+    }
+    while (schema < SETTINGS_SCHEMA) {
+        try {
+            await STORED_SETTINGS_MIGRATIONS[schema]();
+        } catch (error) {
+            console.error(`Background: Migrating stored settings from schema ${schema} failed:`, error);
+            return schema;
+        }
+        schema += 1;
+        await chrome.storage.local.set({ settingsSchema: schema });
+        console.log(`Background: Stored settings migrated to schema ${schema}.`);
+    }
+    return schema;
+}
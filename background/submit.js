@@ -0,0 +1,117 @@
+/**
+ * submit.js: Guardrails for auto-submitted bids, loaded by background.js through importScripts().
+ *
+ * content.js fills the form, waits for it to be valid and asks checkSubmitGuardrails() before it
+ * clicks "Place Bid"; afterwards it reports the outcome through recordBidSubmission(), which marks
+ * the bid in the history. The daily cap counts history entries with `submittedAt` since midnight.
+ * Settings live in chrome.storage.sync under `submitGuardrails` (Options → Auto-Submit; the
+ * defaults below mirror src/shared/guardrails.ts).
+ */
+
+const GUARDRAIL_DEFAULTS = {
+    requireConfirmation: true,
+    // 0 disables the amount, budget and cap rules.
+    maxAmount: 0,
+    minBudget: 0,
+    dailyCap: 20,
+    blockedKeywords: [],
+};
+
+async function getGuardrailSettings() {
+    const { submitGuardrails } = await chrome.storage.sync.get('submitGuardrails');
+    return { ...GUARDRAIL_DEFAULTS, ...(submitGuardrails || {}) };
+}
+
+function startOfToday() {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today.getTime();
+}
+
+async function countSubmissionsToday() {
+    const since = startOfToday();
+    return (await getBidHistory()).filter(h => h.submittedAt && h.submittedAt >= since).length;
+}
+
+function keywordPattern(keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\w])${escaped}($|[^\\w])`, 'i');
+}
+
+/**
+ * Checks a bid against the user's guardrails.
+ * @param {object} job - Details from content.js (title, description, skills, projectBudget).
+ * @param {{ amount: number|string|null, bidText: string, confirmed?: boolean }} bid - `confirmed`: the
+ *   user confirmed this bid in the popup's dialog, which `requireConfirmation` demands.
+ * @returns {Promise<{ allowed: boolean, reasons: string[], submittedToday: number }>}
+ */
+async function checkSubmitGuardrails(job, bid) {
+    const settings = await getGuardrailSettings();
+    const reasons = [];
+    // Enforced here rather than only in the popup, so no caller can place a bid without it
+    if (settings.requireConfirmation && bid.confirmed !== true) {
+        reasons.push('Auto-submit requires your confirmation in the popup first (Options → Auto-Submit).');
+    }
+    const amount = parseFloat(String(bid.amount ?? '').replace(/,/g, ''));
+    const budget = job.projectBudget || {};
+
+    if (Number.isNaN(amount) || amount <= 0) {
+        reasons.push('The bid has no amount.');
+    } else if (settings.maxAmount > 0 && amount > settings.maxAmount) {
+        reasons.push(`The amount ${amount} is above your maximum of ${settings.maxAmount}.`);
+    }
+
+    if (settings.minBudget > 0) {
+        if (budget.max == null) {
+            reasons.push('The project budget could not be read, so the minimum budget rule cannot be checked.');
+        } else if (budget.max < settings.minBudget) {
+            reasons.push(`The project budget (${budget.text || budget.max}) is below your minimum of ${settings.minBudget}.`);
+        }
+    }
+
+    const submittedToday = await countSubmissionsToday();
+    if (settings.dailyCap > 0 && submittedToday >= settings.dailyCap) {
+        reasons.push(`You already placed ${submittedToday} bids today (daily cap ${settings.dailyCap}).`);
+    }
+
+    const text = [job.title, job.description, (job.skills || []).join(' '), bid.bidText].filter(Boolean).join('\n');
+    const blocked = (settings.blockedKeywords || [])
+        .map(k => String(k).trim())
+        .filter(k => k && keywordPattern(k).test(text));
+    if (blocked.length > 0) {
+        reasons.push(`Blocked keyword${blocked.length === 1 ? '' : 's'}: ${blocked.join(', ')}.`);
+    }
+
+    return { allowed: reasons.length === 0, reasons, submittedToday };
+}
+
+/**
+ * Marks the latest history entry for the project as submitted (adding one if the bid was
+ * never generated here), so that it counts towards the daily cap.
+ * @param {string} url - Project page URL.
+ * @param {{ bidText: string, bidAmount: any, deliveryTime: any }} bid
+ * @param {boolean} confirmed - Whether the page showed its success state.
+ * @returns {Promise<string>} The id of the history entry.
+ */
+function recordBidSubmission(url, bid, confirmed) {
+    const path = (value) => String(value || '').split(/[?#]/)[0];
+    const patch = {
+        status: 'submitted',
+        submittedAt: Date.now(),
+        submitConfirmed: confirmed,
+        bidText: bid.bidText,
+        bidAmount: bid.bidAmount ?? null,
+        deliveryTime: bid.deliveryTime ?? null,
+    };
+    // Looked up and written in one history step, so a batch job recording at the same time can't come in between.
+    return withHistory(history => {
+        const index = history.findIndex(h => path(h.projectUrl) === path(url));
+        if (index !== -1) {
+            history[index] = { ...history[index], ...patch, updatedAt: Date.now() };
+            return { result: history[index].id };
+        }
+        const record = createHistoryRecord({ projectUrl: url, title: null, skills: [], budget: null, provider: 'unknown', model: 'unknown', ...patch });
+        history.unshift(record);
+        return { result: record.id };
+    });
+}
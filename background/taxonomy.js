@@ -0,0 +1,173 @@
+/**
+ * taxonomy.js: Specialization detection, loaded by background.js through importScripts().
+ *
+ * The taxonomy lives in chrome.storage.local under `specializationTaxonomy` (Options →
+ * Specializations; portfolio links and sample projects quickly outgrow the sync quota). Without
+ * one, the defaults below apply. Every label is scored against the project text and the best
+ * ones are combined, so a "React Native app with Firebase backend" reads as
+ * "mobile development and cloud solutions". resolveSpecialization(job) returns
+ *   { text, labels: [{ label, portfolioUrl, samples, ... }], source: 'keywords' | 'ai' | 'fallback', scores }
+ */
+
+const TAXONOMY_DEFAULTS = {
+    // Labels combined at most, e.g. 2 gives "mobile development and cloud solutions".
+    maxLabels: 2,
+    // Ask the AI provider to pick labels when no keyword matches.
+    aiFallback: false,
+    // Used when nothing matches (and the AI fallback is off or fails).
+    fallbackLabel: 'full-stack',
+    labels: [
+        { id: 'ai-ml', label: 'AI/ML specialist', weight: 1, portfolioUrl: '', samples: [], keywords: ['ai', 'machine learning', 'ml', 'bert', 'llm', 'generative ai', 'deep learning', 'artificial intelligence', 'chatbot', 'gpt', 'text generation', 'computer vision', 'opencv', 'nlp', 'natural language processing'] },
+        { id: 'cloud', label: 'cloud solutions', weight: 1, portfolioUrl: '', samples: [], keywords: ['firebase', 'google cloud', 'gcp', 'aws', 'azure', 'cloud', 'serverless', 'vercel', 'cloud functions', 'hosting', 'deployment'] },
+        { id: 'scraping', label: 'web scraping and automation', weight: 1, portfolioUrl: '', samples: [], keywords: ['scraper', 'crawler', 'scraping', 'selenium', 'beautifulsoup', 'data extraction', 'web scraping', 'automation', 'bot'] },
+        { id: 'frontend', label: 'frontend', weight: 1, portfolioUrl: '', samples: [], keywords: ['react', 'next.js', 'vue', 'angular', 'tailwind', 'frontend', 'javascript', 'typescript', 'html', 'css', 'ui', 'ux'] },
+        { id: 'backend', label: 'backend', weight: 1, portfolioUrl: '', samples: [], keywords: ['python', 'django', 'flask', 'fastapi', 'node.js', 'express', 'php', 'backend', 'api', 'rest', 'graphql', 'database', 'postgresql', 'mysql'] },
+        { id: 'extension', label: 'browser extension', weight: 1, portfolioUrl: '', samples: [], keywords: ['chrome extension', 'browser extension', 'extension development'] },
+        { id: 'data-science', label: 'algorithm and data science', weight: 1, portfolioUrl: '', samples: [], keywords: ['matlab', 'algorithm', 'optimization', 'mathematical modeling', 'simulation', 'data analysis', 'statistics'] },
+        { id: 'mobile', label: 'mobile development', weight: 1, portfolioUrl: '', samples: [], keywords: ['mobile', 'android', 'ios', 'react native', 'flutter', 'app development'] },
+        { id: 'devops', label: 'DevOps', weight: 1, portfolioUrl: '', samples: [], keywords: ['docker', 'kubernetes', 'ci/cd', 'devops', 'linux', 'system administration'] },
+    ],
+};
+
+// A label joins the top one when it scores at least this share of the top score.
+const COMBINE_RATIO = 0.5;
+
+async function getTaxonomy() {
+    try {
+        const { specializationTaxonomy } = await chrome.storage.local.get('specializationTaxonomy');
+        const taxonomy = { ...TAXONOMY_DEFAULTS, ...(specializationTaxonomy || {}) };
+        if (!Array.isArray(taxonomy.labels)) taxonomy.labels = TAXONOMY_DEFAULTS.labels;
+        return taxonomy;
+    } catch (error) {
+        console.error("Exception retrieving the taxonomy:", error);
+        return TAXONOMY_DEFAULTS;
+    }
+}
+
+// Whole-word pattern for a keyword; dots, slashes and spaces inside it are matched literally.
+function keywordRegex(keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`(?<![a-z0-9])${escaped}(?![a-z0-9])`, 'g');
+}
+
+/**
+ * Scores every label against the text, best first. Longer keywords win over the shorter ones
+ * they contain ("react native" is mobile, not also "react" frontend) and count one point per
+ * word; each label's total is multiplied by its weight.
+ * @returns {{ label: object, score: number, keywords: string[] }[]} Labels that matched.
+ */
+function scoreSpecializations(text, taxonomy) {
+    const lower = (text || '').toLowerCase();
+    const hits = [];
+    taxonomy.labels.forEach((entry, index) => {
+        for (const raw of entry.keywords || []) {
+            const keyword = String(raw).trim().toLowerCase();
+            if (!keyword) continue;
+            for (const match of lower.matchAll(keywordRegex(keyword))) {
+                hits.push({ index, keyword, start: match.index, end: match.index + match[0].length });
+            }
+        }
+    });
+
+    hits.sort((a, b) => (b.end - b.start) - (a.end - a.start));
+    const kept = [];
+    for (const hit of hits) {
+        const length = hit.end - hit.start;
+        const shadowed = kept.some(k => k.end - k.start > length && hit.start < k.end && k.start < hit.end);
+        if (!shadowed) kept.push(hit);
+    }
+
+    const results = new Map();
+    for (const hit of kept) {
+        const result = results.get(hit.index) || { label: taxonomy.labels[hit.index], score: 0, keywords: [] };
+        // Repeating a keyword does not add to the score.
+        if (!result.keywords.includes(hit.keyword)) {
+            result.keywords.push(hit.keyword);
+            result.score += hit.keyword.split(/\s+/).length;
+        }
+        results.set(hit.index, result);
+    }
+    return [...results.entries()]
+        .map(([index, result]) => ({ ...result, index, score: result.score * (Number(result.label.weight) || 0) }))
+        .filter(result => result.score > 0)
+        // Ties keep the taxonomy order.
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ index, ...result }) => result);
+}
+
+// Every label whose keywords appear in the text (used by the fit score).
+function matchSpecializations(text, taxonomy) {
+    return scoreSpecializations(text, taxonomy).map(result => result.label.label);
+}
+
+function chooseSpecializations(scores, taxonomy) {
+    if (scores.length === 0) return [];
+    const limit = Math.max(1, parseInt(taxonomy.maxLabels, 10) || 1);
+    const threshold = scores[0].score * COMBINE_RATIO;
+    return scores.filter(result => result.score >= threshold).slice(0, limit).map(result => result.label);
+}
+
+// "a", "a and b", "a, b and c"
+function joinLabels(labels) {
+    const names = labels.map(entry => entry.label);
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : (names[0] || '');
+}
+
+async function classifyWithAi(text, taxonomy) {
+    const names = taxonomy.labels.map(entry => entry.label);
+    const prompt = `Classify this freelance project into at most ${Math.max(1, parseInt(taxonomy.maxLabels, 10) || 1)} of these specializations:
+${names.map(name => `- ${name}`).join('\n')}
+
+Reply with the matching specializations from the list, separated by commas, most relevant first, or "none".
+
+Project:
+${text}`;
+    const { text: reply } = await callProvider({ prompt, temperature: 0.1, maxTokens: 40 });
+    const answer = String(reply).toLowerCase();
+    return taxonomy.labels
+        .map(entry => ({ entry, position: answer.indexOf(entry.label.toLowerCase()) }))
+        .filter(({ position }) => position >= 0)
+        .sort((a, b) => a.position - b.position)
+        .map(({ entry }) => entry);
+}
+
+/**
+ * Picks the specialization(s) for a project.
+ * @param {object} job - Details from content.js; only the title and description are used.
+ * @param {object} [options] - `useAi: false` skips the AI fallback even when it is enabled.
+ * @returns {Promise<object>} { text, labels, source, scores }
+ */
+async function resolveSpecialization(job, options = {}) {
+    const taxonomy = await getTaxonomy();
+    const text = [job.title, job.description].filter(Boolean).join('\n');
+    const scores = scoreSpecializations(text, taxonomy);
+    const summary = scores.map(result => ({ label: result.label.label, score: result.score, keywords: result.keywords }));
+    const limit = Math.max(1, parseInt(taxonomy.maxLabels, 10) || 1);
+
+    let labels = chooseSpecializations(scores, taxonomy);
+    let source = 'keywords';
+    if (labels.length === 0 && taxonomy.aiFallback && options.useAi !== false && text.trim()) {
+        try {
+            labels = (await classifyWithAi(text, taxonomy)).slice(0, limit);
+            source = 'ai';
+        } catch (error) {
+            console.warn("Background: AI classification failed, using the fallback label:", error.message);
+        }
+    }
+    if (labels.length === 0) {
+        return { text: taxonomy.fallbackLabel || TAXONOMY_DEFAULTS.fallbackLabel, labels: [], source: 'fallback', scores: summary };
+    }
+    return { text: joinLabels(labels), labels, source, scores: summary };
+}
+
+// Portfolio links and sample projects of the chosen labels, one prompt line each.
+function specializationWork(specialization) {
+    const lines = [];
+    for (const entry of specialization.labels) {
+        for (const sample of entry.samples || []) {
+            if (String(sample).trim()) lines.push(String(sample).trim());
+        }
+        if (entry.portfolioUrl) lines.push(`Portfolio (${entry.label}): ${entry.portfolioUrl}`);
+    }
+    return lines;
+}
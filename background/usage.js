@@ -0,0 +1,152 @@
+/**
+ * usage.js: Token usage, cost and spend caps, loaded by background.js through importScripts().
+ *
+ * callProvider() runs applySpendCaps() before a provider is used and recordUsage() after every
+ * successful call. Each call is appended to chrome.storage.local under `usageLog` as
+ *   { at, provider, model, inputTokens, outputTokens, cost, estimated, priced }
+ * Prices (USD per million tokens) and caps live in chrome.storage.sync under `usageSettings`
+ * (Options → Usage; the defaults below mirror src/shared/usage.ts).
+ */
+
+const USAGE_DEFAULTS = {
+    // 0 disables a cap. `all` covers every provider together.
+    caps: {
+        all: { daily: 0, monthly: 0 },
+        gemini: { daily: 0, monthly: 0 },
+        openai: { daily: 0, monthly: 0 },
+        anthropic: { daily: 0, monthly: 0 },
+        compatible: { daily: 0, monthly: 0 },
+    },
+    // 'block' refuses further calls; 'downgrade' switches to the provider's cheapest priced model.
+    onCap: 'block',
+    // A model matches the longest entry it starts with, ignoring "-latest" and date suffixes
+    // ("gpt-4o-mini-2024-07-18" → gpt-4o-mini). Downgrades call the entry's model id as written.
+    prices: [
+        { provider: 'gemini', model: 'gemini-1.5-flash-8b', input: 0.0375, output: 0.15 },
+        { provider: 'gemini', model: 'gemini-1.5-flash', input: 0.075, output: 0.3 },
+        { provider: 'gemini', model: 'gemini-1.5-pro', input: 1.25, output: 5 },
+        { provider: 'gemini', model: 'gemini-2.0-flash', input: 0.1, output: 0.4 },
+        { provider: 'openai', model: 'gpt-4o-mini', input: 0.15, output: 0.6 },
+        { provider: 'openai', model: 'gpt-4o', input: 2.5, output: 10 },
+        { provider: 'openai', model: 'gpt-4.1-nano', input: 0.1, output: 0.4 },
+        { provider: 'openai', model: 'gpt-4.1-mini', input: 0.4, output: 1.6 },
+        { provider: 'openai', model: 'gpt-4.1', input: 2, output: 8 },
+        { provider: 'anthropic', model: 'claude-3-5-haiku-latest', input: 0.8, output: 4 },
+        { provider: 'anthropic', model: 'claude-3-5-sonnet-latest', input: 3, output: 15 },
+        { provider: 'anthropic', model: 'claude-3-7-sonnet-latest', input: 3, output: 15 },
+    ],
+};
+
+// Entries older than this are dropped when a new one is written.
+const USAGE_LOG_DAYS = 120;
+
+async function getUsageSettings() {
+    const { usageSettings } = await chrome.storage.sync.get('usageSettings');
+    const settings = { ...USAGE_DEFAULTS, ...(usageSettings || {}) };
+    return { ...settings, caps: { ...USAGE_DEFAULTS.caps, ...(settings.caps || {}) } };
+}
+
+async function getUsageLog() {
+    const { usageLog } = await chrome.storage.local.get('usageLog');
+    return Array.isArray(usageLog) ? usageLog : [];
+}
+
+const baseModelName = (model) => String(model || '').toLowerCase().replace(/-latest$/, '').replace(/-\d{4}-?\d{2}-?\d{2}$/, '');
+
+function findModelPrice(prices, provider, model) {
+    const name = baseModelName(model);
+    return (prices || [])
+        .filter(p => p.provider === provider && p.model && name.startsWith(baseModelName(p.model)))
+        .sort((a, b) => baseModelName(b.model).length - baseModelName(a.model).length)[0] || null;
+}
+
+// Rough count for APIs that report none: about four characters per token.
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+function requestText(request) {
+    const messages = Array.isArray(request.messages) ? request.messages.map(m => m.content).join('\n') : request.prompt;
+    return `${request.system || ''}\n${messages || ''}`;
+}
+
+// Concurrent batch jobs finish together; writes are chained so none of them is lost.
+let usageWrite = Promise.resolve();
+
+/**
+ * Logs one successful call. Never throws: tracking must not fail a generation.
+ * @param {string} provider - Provider id.
+ * @param {string} model
+ * @param {object} request - What was sent (used to estimate missing counts).
+ * @param {object} result - { text, usage } from the provider.
+ */
+function recordUsage(provider, model, request, result) {
+    usageWrite = usageWrite.then(async () => {
+        const settings = await getUsageSettings();
+        const estimated = !result.usage;
+        const inputTokens = result.usage?.inputTokens ?? estimateTokens(requestText(request));
+        const outputTokens = result.usage?.outputTokens ?? estimateTokens(result.text);
+        const price = findModelPrice(settings.prices, provider, model);
+        const cost = price ? (inputTokens * price.input + outputTokens * price.output) / 1e6 : 0;
+        const entry = { at: Date.now(), provider, model, inputTokens, outputTokens, cost, estimated, priced: !!price };
+
+        const cutoff = Date.now() - USAGE_LOG_DAYS * 86400e3;
+        const log = (await getUsageLog()).filter(e => e.at >= cutoff);
+        await chrome.storage.local.set({ usageLog: [...log, entry] });
+        console.log(`Background: Usage ${provider}/${model}: ${inputTokens} in, ${outputTokens} out${estimated ? ' (estimated)' : ''}, $${cost.toFixed(5)}.`);
+    }).catch(error => console.error("Background: Could not record usage:", error));
+    return usageWrite;
+}
+
+function startOfMonth() {
+    const date = new Date();
+    return new Date(date.getFullYear(), date.getMonth(), 1).getTime();
+}
+
+// Small amounts need more digits to be visible at all (mirrors formatCost in src/shared/usage.ts).
+const formatUsd = (amount) => `$${amount < 1 ? amount.toFixed(4) : amount.toFixed(2)}`;
+
+function spendSince(log, since, provider) {
+    return log
+        .filter(e => e.at >= since && (!provider || e.provider === provider))
+        .reduce((sum, e) => sum + (e.cost || 0), 0);
+}
+
+// The caps `provider` has reached, as readable reasons (empty when none).
+function reachedCaps(settings, log, provider) {
+    const today = startOfToday();
+    const month = startOfMonth();
+    const reasons = [];
+    for (const [scope, label] of [['all', 'total'], [provider, getProvider(provider).label]]) {
+        const cap = settings.caps[scope] || {};
+        const filter = scope === 'all' ? null : provider;
+        const day = spendSince(log, today, filter);
+        const monthly = spendSince(log, month, filter);
+        if (cap.daily > 0 && day >= cap.daily) reasons.push(`${label} daily spend ${formatUsd(day)} reached the ${formatUsd(cap.daily)} cap`);
+        if (cap.monthly > 0 && monthly >= cap.monthly) reasons.push(`${label} monthly spend ${formatUsd(monthly)} reached the ${formatUsd(cap.monthly)} cap`);
+    }
+    return reasons;
+}
+
+/**
+ * Checks the spend caps before `provider` is called.
+ * @returns {Promise<object>} The config to use: unchanged, or with a cheaper model when a cap
+ *   is reached and Options say to downgrade.
+ * @throws {Error} When a cap is reached and calls are blocked, or no cheaper model is priced.
+ */
+async function applySpendCaps(provider, config) {
+    const settings = await getUsageSettings();
+    const reasons = reachedCaps(settings, await getUsageLog(), provider);
+    if (reasons.length === 0) return config;
+
+    if (settings.onCap === 'downgrade') {
+        const current = findModelPrice(settings.prices, provider, config.model);
+        const cheapest = (settings.prices || [])
+            .filter(p => p.provider === provider)
+            .sort((a, b) => (a.input + a.output) - (b.input + b.output))[0];
+        if (cheapest && (!current || cheapest.input + cheapest.output < current.input + current.output)) {
+            console.warn(`Background: ${reasons.join('; ')}. Switching ${config.model} to ${cheapest.model}.`);
+            return { ...config, model: cheapest.model };
+        }
+        reasons.push(`no cheaper ${getProvider(provider).label} model is priced`);
+    }
+    throw new Error(`Spend cap reached: ${reasons.join('; ')}. Change the caps in Options → Usage.`);
+}
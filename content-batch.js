@@ -0,0 +1,149 @@
+/**
+ * content-batch.js: Injected into Freelancer search/browse pages.
+ * - Adds a checkbox to every project card.
+ * - Sends the selected projects to the background batch queue.
+ *
+ * The full project details are read later, by opening each project in a background tab.
+ */
+console.log("[Batch] Script Injected & Running");
+
+const BATCH_LINK_SELECTOR = 'a[href*="/projects/"]';
+const BATCH_PROJECT_PATH = /^\/projects\/[^/]+\/[^/?#]+/;
+
+/**
+ * Finds the project cards on the page ('searchCard' in the selector pack). Card layouts differ
+ * between the classic /jobs pages and the newer /search pages; when none is known the closest
+ * block around each project link is used.
+ * @returns {Element[]}
+ */
+function findProjectCards() {
+    return resolveAll('searchCard').elements;
+}
+
+function parseBudget(text) {
+    const budget = { text: text || null, min: null, max: null };
+    const numbers = (text || '').match(/[\d,]+(\.\d+)?/g);
+    if (numbers) {
+        const values = numbers.map(val => parseFloat(val.replace(/,/g, ''))).filter(n => !Number.isNaN(n));
+        if (values.length > 0) {
+            budget.min = Math.min(...values);
+            budget.max = Math.max(...values);
+        }
+    }
+    return budget;
+}
+
+/**
+ * Reads what the search card shows about a project.
+ * @param {Element} card
+ * @returns {object|null} null when the card has no project link.
+ */
+function extractCardDetails(card) {
+    const link = Array.from(card.querySelectorAll(BATCH_LINK_SELECTOR))
+        .find(a => BATCH_PROJECT_PATH.test(new URL(a.href, location.href).pathname));
+    if (!link) return null;
+
+    const url = new URL(link.href, location.href);
+    url.search = '';
+    url.hash = '';
+    const text = (selector) => card.querySelector(selector)?.innerText.trim() || null;
+
+    return {
+        url: url.href,
+        title: text('.JobSearchCard-primary-heading-link, h2, h3') || link.innerText.trim() || null,
+        description: text('.JobSearchCard-primary-description, p'),
+        skills: Array.from(card.querySelectorAll('.JobSearchCard-primary-tagsLink, fl-tag, [class*="Skill"] a'))
+            .map(el => el.innerText.trim())
+            .filter(Boolean),
+        projectBudget: parseBudget(text('.JobSearchCard-primary-price, .JobSearchCard-secondary-price, [class*="Budget"], [class*="Price"]'))
+    };
+}
+
+// --- Toolbar ---
+let batchToolbar = null;
+
+function selectedCards() {
+    return Array.from(document.querySelectorAll('input.ai-bid-batch-checkbox:checked'))
+        .map(input => input.closest('[data-ai-bid-card]'))
+        .filter(Boolean);
+}
+
+function renderToolbar(message) {
+    if (!batchToolbar) {
+        batchToolbar = document.createElement('div');
+        batchToolbar.style.cssText = [
+            'position:fixed', 'bottom:20px', 'right:20px', 'z-index:2147483647',
+            'display:flex', 'gap:8px', 'align-items:center', 'padding:10px 14px',
+            'border-radius:12px', 'background:linear-gradient(45deg,#667eea 30%,#764ba2 90%)',
+            'color:#fff', 'font:600 13px system-ui,sans-serif', 'box-shadow:0 6px 20px rgba(102,126,234,.4)'
+        ].join(';');
+        document.body.appendChild(batchToolbar);
+    }
+    const count = selectedCards().length;
+    batchToolbar.replaceChildren();
+
+    const label = document.createElement('span');
+    label.textContent = message || `${count} project${count === 1 ? '' : 's'} selected`;
+    batchToolbar.appendChild(label);
+
+    const button = (text, onClick, disabled) => {
+        const el = document.createElement('button');
+        el.textContent = text;
+        el.disabled = Boolean(disabled);
+        el.style.cssText = 'border:0;border-radius:8px;padding:6px 10px;cursor:pointer;font:inherit;background:#fff;color:#5a67d8';
+        el.addEventListener('click', onClick);
+        batchToolbar.appendChild(el);
+    };
+    button('Queue bids', queueSelected, count === 0);
+    button('Open queue', () => chrome.runtime.sendMessage({ action: 'batchOpenQueue' }));
+}
+
+function queueSelected() {
+    const projects = selectedCards().map(extractCardDetails).filter(Boolean);
+    if (projects.length === 0) return;
+    chrome.runtime.sendMessage({ action: 'batchEnqueue', projects }, response => {
+        if (chrome.runtime.lastError || response?.status !== 'success') {
+            console.error("[Batch] Could not queue projects:", chrome.runtime.lastError?.message || response?.message);
+            renderToolbar('Could not queue the projects. Reload the page and try again.');
+            return;
+        }
+        document.querySelectorAll('input.ai-bid-batch-checkbox:checked').forEach(input => { input.checked = false; });
+        const skipped = projects.length - response.added;
+        renderToolbar(`Queued ${response.added} project${response.added === 1 ? '' : 's'}${skipped ? ` (${skipped} already queued)` : ''}`);
+    });
+}
+
+// --- Checkboxes ---
+function decorateCards() {
+    let added = 0;
+    findProjectCards().forEach(card => {
+        if (card.hasAttribute('data-ai-bid-card') || !extractCardDetails(card)) return;
+        card.setAttribute('data-ai-bid-card', '');
+        added++;
+
+        const label = document.createElement('label');
+        label.title = 'Select for batch bidding';
+        label.style.cssText = 'display:inline-flex;align-items:center;gap:4px;margin:4px 0;font:600 12px system-ui,sans-serif;color:#667eea;cursor:pointer';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.className = 'ai-bid-batch-checkbox';
+        // Cards are often wrapped in links; keep the click on the checkbox.
+        label.addEventListener('click', event => event.stopPropagation());
+        input.addEventListener('change', () => renderToolbar());
+        label.append(input, 'Batch bid');
+        card.prepend(label);
+    });
+    // Re-rendering the toolbar is itself a mutation; only do it when cards changed.
+    if (added > 0 || !batchToolbar) renderToolbar();
+}
+
+// Results are re-rendered on pagination and filter changes, so keep decorating.
+if (!window.aiBidBatchInitialized) {
+    window.aiBidBatchInitialized = true;
+    let pending = null;
+    new MutationObserver(() => {
+        clearTimeout(pending);
+        pending = setTimeout(decorateCards, 300);
+    }).observe(document.body, { childList: true, subtree: true });
+    selectorPackReady.then(decorateCards);
+}
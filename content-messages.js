@@ -0,0 +1,140 @@
+/**
+ * content-messages.js: Injected into Freelancer messages pages.
+ * - Reads the open conversation (who wrote what) and the project it is linked to.
+ * - Adds a floating toolbar that asks the background worker for a reply draft.
+ * - Puts the draft into the chat box for review; it is never sent automatically.
+ */
+console.log("[Messages] Script Injected & Running");
+
+const CHAT_INTENT_OPTIONS = [
+    ['reply', 'Reply'],
+    ['answer', 'Answer questions'],
+    ['negotiate', 'Negotiate price'],
+    ['milestones', 'Propose milestones'],
+];
+
+const messageText = (el) => (el ? (el.innerText ?? el.textContent ?? '').trim() : '');
+
+// Own messages are matched by the 'messageOwn' selectors; without a match, by being aligned to
+// the right of the conversation, which is how Freelancer (like most chats) shows them.
+function isOwnMessage(item, ownElements, center) {
+    if (ownElements.some(own => own === item || own.contains(item) || item.contains(own))) return true;
+    if (ownElements.length > 0 || center == null) return false;
+    // The bubble, not the (often full-width) row around it
+    const rect = (item.firstElementChild || item).getBoundingClientRect();
+    return rect.width > 0 && rect.left + rect.width / 2 > center + 20;
+}
+
+/**
+ * Reads the open conversation.
+ * @returns {{ thread: Array<{ from: 'me'|'client', text: string }>, projectUrl: string|null }}
+ */
+function extractThread() {
+    const items = resolveAll('messageItem').elements;
+    const ownElements = resolveAll('messageOwn').elements;
+    const container = items[0]?.parentElement?.getBoundingClientRect();
+    const center = container && container.width > 0 ? container.left + container.width / 2 : null;
+
+    const thread = items
+        .map(item => ({ from: isOwnMessage(item, ownElements, center) ? 'me' : 'client', text: messageText(item) }))
+        .filter(m => m.text);
+
+    const link = resolveElement('threadProjectLink');
+    let projectUrl = null;
+    if (link?.href) {
+        const url = new URL(link.href, location.href);
+        url.search = '';
+        url.hash = '';
+        projectUrl = url.href;
+    }
+    return { thread, projectUrl };
+}
+
+// Angular only notices programmatic input through events; contenteditable boxes take insertText.
+function fillComposer(text) {
+    const composer = resolveElement('messageComposer');
+    if (!composer) return false;
+    composer.focus();
+    if (composer.isContentEditable) {
+        document.execCommand('selectAll', false);
+        if (!document.execCommand('insertText', false, text)) composer.textContent = text;
+    } else {
+        composer.value = text;
+    }
+    ['input', 'change'].forEach(eventName => composer.dispatchEvent(new Event(eventName, { bubbles: true })));
+    return true;
+}
+
+// --- Toolbar ---
+let chatToolbar = null;
+let chatStatus = null;
+
+function setChatStatus(message) {
+    if (chatStatus) chatStatus.textContent = message;
+}
+
+function renderChatToolbar() {
+    if (chatToolbar) return;
+    chatToolbar = document.createElement('div');
+    chatToolbar.style.cssText = [
+        'position:fixed', 'bottom:90px', 'right:20px', 'z-index:2147483647',
+        'display:flex', 'flex-direction:column', 'gap:6px', 'padding:10px 14px', 'max-width:320px',
+        'border-radius:12px', 'background:linear-gradient(45deg,#667eea 30%,#764ba2 90%)',
+        'color:#fff', 'font:600 13px system-ui,sans-serif', 'box-shadow:0 6px 20px rgba(102,126,234,.4)'
+    ].join(';');
+
+    const fieldCss = 'border:0;border-radius:8px;padding:6px 8px;font:inherit;font-weight:400;color:#333';
+    const row = document.createElement('div');
+    row.style.cssText = 'display:flex;gap:6px';
+
+    const intent = document.createElement('select');
+    intent.style.cssText = fieldCss;
+    CHAT_INTENT_OPTIONS.forEach(([value, label]) => intent.append(new Option(label, value)));
+
+    const button = document.createElement('button');
+    button.textContent = 'Draft reply';
+    button.style.cssText = 'border:0;border-radius:8px;padding:6px 10px;cursor:pointer;font:inherit;background:#fff;color:#5a67d8';
+
+    const note = document.createElement('input');
+    note.placeholder = 'Notes, e.g. "can do $450, not less"';
+    note.style.cssText = fieldCss;
+
+    chatStatus = document.createElement('span');
+    chatStatus.style.cssText = 'font-weight:400;font-size:12px';
+    chatStatus.textContent = 'AI reply assistant';
+
+    button.addEventListener('click', () => draftReply(intent.value, note.value, button));
+    row.append(intent, button);
+    chatToolbar.append(row, note, chatStatus);
+    document.body.appendChild(chatToolbar);
+}
+
+function draftReply(intent, note, button) {
+    const { thread, projectUrl } = extractThread();
+    if (thread.length === 0) {
+        setChatStatus('Open a conversation first (no messages found).');
+        return;
+    }
+    button.disabled = true;
+    setChatStatus(projectUrl ? 'Reading the project and drafting…' : 'Drafting…');
+    chrome.runtime.sendMessage({ action: 'draftChatReply', thread, projectUrl, intent, note }, response => {
+        button.disabled = false;
+        if (chrome.runtime.lastError || response?.status !== 'success') {
+            console.error("[Messages] Could not draft a reply:", chrome.runtime.lastError?.message || response?.message);
+            setChatStatus(response?.message || 'Could not reach the extension. Reload the page and try again.');
+            return;
+        }
+        const context = response.project ? ` for "${response.project}"` : ' (no linked project found)';
+        if (fillComposer(response.reply)) {
+            setChatStatus(`Draft inserted${context}. Review it, then send.`);
+        } else {
+            navigator.clipboard?.writeText(response.reply).catch(() => {});
+            setChatStatus('Chat box not found; the draft was copied to the clipboard.');
+        }
+    });
+}
+
+if (!window.aiBidMessagesInitialized) {
+    window.aiBidMessagesInitialized = true;
+    selectorPackReady.then(renderChatToolbar);
+}
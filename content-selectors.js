@@ -0,0 +1,348 @@
+/**
+ * content-selectors.js: Finds page elements through the active selector pack (see selector-pack.js).
+ * Injected before content.js, content-batch.js and content-messages.js.
+ * - Tries each selector of a key in order, then a text/label heuristic for the important ones.
+ * - Answers diagnostics requests from Options (which selector matched what on this page).
+ * - Pick mode: the user clicks an element and a selector for it is saved to the pack.
+ */
+
+let activeSelectorPack = DEFAULT_SELECTOR_PACK;
+
+const selectorPackReady = chrome.storage.local.get('selectorPack')
+    .then(({ selectorPack }) => { if (selectorPack?.selectors) activeSelectorPack = selectorPack; })
+    .catch(error => console.warn("[Selectors] Could not load the selector pack:", error));
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.selectorPack) {
+        activeSelectorPack = changes.selectorPack.newValue?.selectors ? changes.selectorPack.newValue : DEFAULT_SELECTOR_PACK;
+        console.log(`[Selectors] Using selector pack "${activeSelectorPack.name}" (revision ${activeSelectorPack.revision}).`);
+    }
+});
+
+// Keys that describe a list of elements rather than a single one.
+const MULTI_ELEMENT_KEYS = ['skills', 'attachments', 'searchCard', 'bidError', 'messageItem', 'messageOwn', 'milestoneDescriptionInput', 'milestoneAmountInput'];
+
+function selectorsFor(key) {
+    const list = activeSelectorPack.selectors?.[key];
+    return Array.isArray(list) && list.length > 0 ? list : (DEFAULT_SELECTOR_PACK.selectors[key] || []);
+}
+
+// An invalid selector in a hand-edited pack must not break the page script.
+function queryAllSafe(root, selector) {
+    try {
+        return Array.from(root.querySelectorAll(selector));
+    } catch (e) {
+        console.warn(`[Selectors] Invalid selector '${selector}':`, e.message);
+        return [];
+    }
+}
+
+// --- Heuristics ---
+// Used when no selector of the pack matches, e.g. after a Freelancer redesign.
+
+const elementText = (el) => (el ? (el.innerText ?? el.textContent ?? '').trim() : '');
+
+/**
+ * Finds a form field by the text of its label, aria-label or placeholder.
+ * @param {Document|Element} root
+ * @param {RegExp} pattern
+ * @param {string} field - Selector of the wanted field, e.g. 'textarea'.
+ * @returns {Element|null}
+ */
+function findFieldByLabel(root, pattern, field) {
+    const labelled = queryAllSafe(root, field)
+        .find(el => pattern.test(el.getAttribute('aria-label') || '') || pattern.test(el.getAttribute('placeholder') || ''));
+    if (labelled) return labelled;
+
+    for (const label of queryAllSafe(root, 'label, fl-label, [class*="Label"]')) {
+        if (!pattern.test(elementText(label))) continue;
+        const target = label.htmlFor && (root.ownerDocument || root).getElementById(label.htmlFor);
+        if (target && target.matches(field)) return target;
+        const inside = label.querySelector(field) || nearestMatch(label, field, 3);
+        if (inside) return inside;
+    }
+    return null;
+}
+
+/**
+ * Finds a button by its visible text.
+ * @param {Document|Element} root
+ * @param {RegExp} pattern
+ * @returns {Element|null}
+ */
+function findButtonByText(root, pattern) {
+    return queryAllSafe(root, 'button, [role="button"], input[type="submit"]')
+        .find(el => pattern.test(elementText(el) || el.value || '')) || null;
+}
+
+// Innermost element whose own text matches, e.g. a confirmation message.
+function findLeafByText(root, pattern) {
+    return queryAllSafe(root, 'p, span, div, h2, h3, h4, fl-text, fl-banner-alert')
+        .find(el => el.children.length === 0 && pattern.test(elementText(el))) || null;
+}
+
+// Closest element matching `selector` around `anchor`, looking at most `levels` ancestors up.
+function nearestMatch(anchor, selector, levels = 6) {
+    let node = anchor?.parentElement;
+    for (let i = 0; node && i < levels; i++, node = node.parentElement) {
+        const match = queryAllSafe(node, selector)[0];
+        if (match) return match;
+    }
+    return null;
+}
+
+const PLACE_BID_TEXT = /^\s*place (a )?bid\b/i;
+
+const SELECTOR_HEURISTICS = {
+    title: {
+        describe: 'first <h1>',
+        find: root => queryAllSafe(root, 'h1').find(el => elementText(el)) || null
+    },
+    clientSection: {
+        describe: '"About the client" heading',
+        find: root => {
+            const heading = queryAllSafe(root, 'h2, h3, h4, fl-heading, [class*="Heading"]')
+                .find(el => /about the (client|employer)/i.test(elementText(el)));
+            return heading ? (heading.closest('section, fl-card, app-project-view-sidebar, [class*="Card"]') || heading.parentElement) : null;
+        }
+    },
+    bidTextarea: {
+        describe: 'textarea labelled "proposal", or the one next to "Place Bid"',
+        find: root => findFieldByLabel(root, /describe your proposal|proposal|cover letter/i, 'textarea')
+            || nearestMatch(findButtonByText(root, PLACE_BID_TEXT), 'textarea')
+    },
+    bidAmountInput: {
+        describe: 'input labelled "bid amount"',
+        find: root => findFieldByLabel(root, /bid amount|your bid|amount/i, 'input')
+    },
+    deliveryTimeInput: {
+        describe: 'input labelled "delivered in"',
+        find: root => findFieldByLabel(root, /delivered in|delivery|deliver in|days/i, 'input')
+    },
+    placeBidButton: {
+        describe: 'button reading "Place Bid"',
+        find: root => findButtonByText(root, PLACE_BID_TEXT)
+    },
+    bidPlaced: {
+        describe: 'text saying the bid was placed',
+        find: root => findLeafByText(root, /your bid (has been|was) (placed|submitted)|bid placed successfully|you have (already )?(placed a bid|bid on this project)/i)
+    },
+    bidError: {
+        describe: 'alert inside the bid form',
+        find: root => queryAllSafe(nearestMatch(findButtonByText(root, PLACE_BID_TEXT), 'form') || root, '[role="alert"]')
+            .filter(el => elementText(el))
+    },
+    addMilestoneButton: {
+        describe: 'button reading "Add milestone"',
+        find: root => findButtonByText(root, /add (another |a )?milestone/i)
+    },
+    questionTextarea: {
+        describe: 'textarea labelled "question"',
+        find: root => findFieldByLabel(root, /ask a question|question/i, 'textarea')
+    },
+    searchCard: {
+        describe: 'block around each project link',
+        find: root => {
+            const cards = new Set();
+            queryAllSafe(root, 'a[href*="/projects/"]').forEach(link => {
+                if (!/^\/projects\/[^/]+\/[^/?#]+/.test(new URL(link.href, location.href).pathname)) return;
+                const card = link.closest('li, article, fl-card, [class*="Card"]');
+                if (card) cards.add(card);
+            });
+            return Array.from(cards);
+        }
+    },
+    messageItem: {
+        describe: 'children of the chat log',
+        find: root => queryAllSafe(root, '[role="log"] > *, [role="list"][aria-label*="message" i] > *').filter(el => elementText(el))
+    },
+    messageComposer: {
+        describe: 'text box labelled "message"',
+        find: root => findFieldByLabel(root, /type a message|write a message|message|reply/i, 'textarea, [contenteditable="true"]')
+    },
+    threadProjectLink: {
+        describe: 'first link to a project page',
+        find: root => queryAllSafe(root, 'a[href*="/projects/"]')
+            .find(link => /^\/projects\/[^/]+\/[^/?#]+/.test(new URL(link.href, location.href).pathname)) || null
+    }
+};
+
+/**
+ * Resolves a key of the selector pack to the matching elements.
+ * @param {string} key - e.g. 'bidTextarea'.
+ * @param {Document|Element} [root=document]
+ * @returns {{ elements: Element[], selector: string|null, heuristic: string|null }}
+ */
+function resolveAll(key, root = document) {
+    for (const selector of selectorsFor(key)) {
+        const elements = queryAllSafe(root, selector);
+        if (elements.length > 0) return { elements, selector, heuristic: null };
+    }
+    const heuristic = SELECTOR_HEURISTICS[key];
+    if (heuristic) {
+        const found = heuristic.find(root);
+        const elements = Array.isArray(found) ? found : (found ? [found] : []);
+        if (elements.length > 0) {
+            console.log(`[Selectors] '${key}' found by heuristic: ${heuristic.describe}`);
+            return { elements, selector: null, heuristic: heuristic.describe };
+        }
+    }
+    return { elements: [], selector: null, heuristic: null };
+}
+
+/**
+ * First element for a key of the selector pack, or null.
+ * @param {string} key
+ * @param {Document|Element} [root=document]
+ * @returns {Element|null}
+ */
+function resolveElement(key, root = document) {
+    return resolveAll(key, root).elements[0] || null;
+}
+
+/**
+ * Reports, for every key of the pack, how it resolves on this page.
+ * @returns {Array<{ key: string, selector: string|null, index: number, heuristic: string|null, count: number, sample: string }>}
+ */
+function diagnoseSelectors() {
+    const keys = Array.from(new Set([...Object.keys(DEFAULT_SELECTOR_PACK.selectors), ...Object.keys(activeSelectorPack.selectors || {})]));
+    return keys.map(key => {
+        const { elements, selector, heuristic } = resolveAll(key);
+        const sample = elements[0] ? (elementText(elements[0]) || elements[0].value || `<${elements[0].tagName.toLowerCase()}>`) : '';
+        return {
+            key,
+            selector,
+            index: selector ? selectorsFor(key).indexOf(selector) : -1,
+            heuristic,
+            count: elements.length,
+            sample: String(sample).slice(0, 80)
+        };
+    });
+}
+
+// --- Pick mode ---
+
+const STABLE_NAME = /^[A-Za-z][\w-]*$/;
+const GENERATED_NAME = /^(ng-|_ng|cdk-|is-|has-)|\d{3,}/;
+const SELECTOR_ATTRIBUTES = ['name', 'formcontrolname', 'fltrackinglabel', 'data-upgrade-type', 'placeholder', 'aria-label'];
+
+// Selector for one element of a path: id, a stable attribute, or its stable classes.
+function selectorPart(el) {
+    const tag = el.tagName.toLowerCase();
+    if (el.id && STABLE_NAME.test(el.id) && !GENERATED_NAME.test(el.id)) return `${tag}#${el.id}`;
+    const attribute = SELECTOR_ATTRIBUTES.find(name => el.getAttribute(name));
+    if (attribute) return `${tag}[${attribute}="${CSS.escape(el.getAttribute(attribute))}"]`;
+    const classes = Array.from(el.classList).filter(c => STABLE_NAME.test(c) && !GENERATED_NAME.test(c)).slice(0, 2);
+    return tag + classes.map(c => `.${CSS.escape(c)}`).join('');
+}
+
+/**
+ * Builds a CSS selector for a clicked element, walking up until it is specific enough.
+ * @param {Element} el
+ * @param {boolean} multiple - Whether similar siblings (e.g. all skill tags) should match too.
+ * @returns {string}
+ */
+function buildSelector(el, multiple) {
+    const path = [];
+    for (let node = el; node && node !== document.body && path.length < 5; node = node.parentElement) {
+        path.unshift(selectorPart(node));
+        const selector = path.join(' ');
+        const matches = queryAllSafe(document, selector);
+        if (multiple ? /[.#[]/.test(selector) && matches.includes(el) : matches.length === 1) return selector;
+    }
+    if (multiple) return path.join(' ');
+    const index = Array.from(el.parentElement?.children || []).filter(c => c.tagName === el.tagName).indexOf(el) + 1;
+    path[path.length - 1] += `:nth-of-type(${index})`;
+    return path.join(' ');
+}
+
+/**
+ * Puts `selector` first in the list for `key` and saves the pack as a new revision.
+ * @param {string} key
+ * @param {string} selector
+ * @returns {Promise<object>} The saved pack.
+ */
+async function saveSelectorPick(key, selector) {
+    const { selectorPack } = await chrome.storage.local.get('selectorPack');
+    const pack = selectorPack?.selectors ? selectorPack : DEFAULT_SELECTOR_PACK;
+    const current = Array.isArray(pack.selectors[key]) ? pack.selectors[key] : (DEFAULT_SELECTOR_PACK.selectors[key] || []);
+    const next = {
+        ...pack,
+        name: pack === DEFAULT_SELECTOR_PACK ? 'Custom' : pack.name,
+        revision: (Number(pack.revision) || 0) + 1,
+        selectors: { ...pack.selectors, [key]: [selector, ...current.filter(s => s !== selector)] }
+    };
+    await chrome.storage.local.set({ selectorPack: next });
+    return next;
+}
+
+/**
+ * Highlights the element under the cursor; the next click saves a selector for it under `key`.
+ * Escape cancels.
+ * @param {string} key
+ */
+function startSelectorPick(key) {
+    stopSelectorPick();
+    const highlight = document.createElement('div');
+    highlight.style.cssText = 'position:fixed;z-index:2147483646;pointer-events:none;border:2px solid #667eea;background:rgba(102,126,234,0.15);border-radius:4px;transition:all 60ms';
+    const banner = document.createElement('div');
+    banner.style.cssText = 'position:fixed;top:16px;left:50%;transform:translateX(-50%);z-index:2147483647;padding:10px 16px;border-radius:8px;background:#333;color:#fff;font:600 13px system-ui,sans-serif;box-shadow:0 4px 16px rgba(0,0,0,0.3)';
+    banner.textContent = `Click the element to use for "${key}" · Esc to cancel`;
+    document.body.append(highlight, banner);
+
+    const onMove = (event) => {
+        const rect = event.target.getBoundingClientRect();
+        Object.assign(highlight.style, { top: `${rect.top}px`, left: `${rect.left}px`, width: `${rect.width}px`, height: `${rect.height}px` });
+    };
+    const onKey = (event) => {
+        if (event.key !== 'Escape') return;
+        stopSelectorPick();
+        console.log("[Selectors] Pick cancelled.");
+    };
+    const onClick = (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        const selector = buildSelector(event.target, MULTI_ELEMENT_KEYS.includes(key));
+        stopSelectorPick();
+        saveSelectorPick(key, selector).then(() => {
+            console.log(`[Selectors] '${key}' now starts with '${selector}'.`);
+            chrome.runtime.sendMessage({ action: 'selectorPicked', key, selector }).catch(() => {});
+        }).catch(error => console.error("[Selectors] Could not save the picked selector:", error));
+    };
+
+    document.addEventListener('mousemove', onMove, true);
+    document.addEventListener('keydown', onKey, true);
+    document.addEventListener('click', onClick, true);
+    window.aiBidSelectorPick = () => {
+        document.removeEventListener('mousemove', onMove, true);
+        document.removeEventListener('keydown', onKey, true);
+        document.removeEventListener('click', onClick, true);
+        highlight.remove();
+        banner.remove();
+    };
+}
+
+function stopSelectorPick() {
+    if (window.aiBidSelectorPick) window.aiBidSelectorPick();
+    window.aiBidSelectorPick = null;
+}
+
+if (!window.aiBidSelectorListener) {
+    window.aiBidSelectorListener = true;
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+        if (request.action === 'diagnoseSelectors') {
+            selectorPackReady.then(() => sendResponse({
+                status: 'success',
+                url: location.href,
+                pack: { name: activeSelectorPack.name, revision: activeSelectorPack.revision },
+                results: diagnoseSelectors()
+            }));
+            return true;
+        }
+        if (request.action === 'pickSelector') {
+            startSelectorPick(request.key);
+            sendResponse({ status: 'success' });
+            return true;
+        }
+    });
+}
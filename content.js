@@ -1,57 +1,291 @@
 /**
  * content.js: Injected into matching web pages.
- * - Extracts job details (description, budget, suggested bid/time).
- * - Fills the bid form on the page.
+ * - Extracts job details (description, budget, suggested bid/time, language, screening questions).
+ * - Fills the bid form on the page and, when asked to, places the bid (see submitBid).
  * - Listens for messages from the popup.
- *
- * Final Version: 2.1 - Includes robust selectors and connection handling.
+ * Page elements are looked up through resolveElement()/resolveAll() from content-selectors.js.
  */
-console.log("[Content] Script Injected & Running (v2.1)");
+console.log("[Content] Script Injected & Running");
+
+// --- Project context helpers ---
+// Freelancer renders most of these as label/value pairs without stable classes, so they
+// are read from the visible text of the page (or of the client card) with regexes.
+
+const textOf = (el) => (el ? (el.innerText ?? el.textContent ?? '').trim() : '');
+
+const parseNumber = (text) => {
+    const match = String(text || '').match(/[\d][\d,]*(\.\d+)?/);
+    return match ? parseFloat(match[0].replace(/,/g, '')) : null;
+};
+
+// "Posted 3 hours ago" -> approximate timestamp.
+function postedAtFrom(text) {
+    const match = String(text || '').match(/(\d+|an?)\s+(minute|hour|day|week|month)s?\s+ago/i);
+    if (!match) return null;
+    const amount = /^an?$/i.test(match[1]) ? 1 : parseInt(match[1], 10);
+    const unitMs = { minute: 60e3, hour: 3600e3, day: 86400e3, week: 7 * 86400e3, month: 30 * 86400e3 }[match[2].toLowerCase()];
+    return Date.now() - amount * unitMs;
+}
+
+// --- Language detection ---
+// Runs locally, without an API call: non-Latin scripts are recognised by their characters,
+// Latin-script languages by how often their most common short words appear.
+
+// Kana is checked before Han so Japanese (which mixes in kanji) is not read as Chinese.
+const SCRIPT_LANGUAGES = [
+    { code: 'ja', pattern: /[\u3040-\u30ff]/g },
+    { code: 'ko', pattern: /[\uac00-\ud7af]/g },
+    { code: 'zh', pattern: /[\u4e00-\u9fff]/g },
+    { code: 'ar', pattern: /[\u0600-\u06ff]/g },
+    { code: 'ru', pattern: /[\u0400-\u04ff]/g },
+];
+
+const LANGUAGE_STOPWORDS = {
+    en: ['the', 'and', 'for', 'with', 'you', 'that', 'this', 'are', 'have', 'will', 'need', 'from', 'our', 'your', 'can', 'should', 'we', 'is', 'to', 'of'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'für', 'ein', 'eine', 'ich', 'wir', 'sie', 'auf', 'zu', 'den', 'von', 'bitte', 'soll', 'werden'],
+    es: ['el', 'la', 'los', 'las', 'y', 'es', 'que', 'con', 'para', 'una', 'un', 'por', 'del', 'necesito', 'se', 'como', 'pero', 'más', 'tenemos', 'debe'],
+    fr: ['le', 'la', 'les', 'et', 'est', 'que', 'avec', 'pour', 'une', 'un', 'des', 'du', 'nous', 'vous', 'sur', 'dans', 'pas', 'qui', 'besoin', 'doit'],
+    it: ['il', 'lo', 'gli', 'e', 'è', 'che', 'con', 'per', 'una', 'un', 'del', 'della', 'sono', 'non', 'abbiamo', 'deve', 'anche', 'nel', 'questo', 'ho'],
+    pt: ['o', 'os', 'as', 'e', 'é', 'que', 'com', 'para', 'uma', 'um', 'do', 'da', 'não', 'em', 'preciso', 'deve', 'também', 'nosso', 'você', 'são'],
+    nl: ['de', 'het', 'een', 'en', 'is', 'niet', 'met', 'voor', 'van', 'ik', 'wij', 'we', 'zijn', 'op', 'dat', 'moet', 'ook', 'graag', 'naar', 'hebben'],
+    tr: ['ve', 'bir', 'bu', 'için', 'ile', 'de', 'da', 'olarak', 'olan', 'çok', 'gibi', 'ama', 'daha', 'istiyorum', 'gerekiyor', 'var', 'yok', 'mı', 'ne', 'en'],
+    pl: ['i', 'w', 'na', 'nie', 'się', 'jest', 'z', 'do', 'że', 'to', 'dla', 'jak', 'oraz', 'ale', 'potrzebuję', 'musi', 'przez', 'od', 'czy', 'po'],
+};
+
+/**
+ * Guesses the language of project text.
+ * @param {string} text - Title and description (skills are left out, they are English anyway).
+ * @returns {{ code: string, confidence: number }} ISO 639-1 code; 'en' with confidence 0 when unsure.
+ */
+function detectLanguage(text) {
+    const sample = String(text || '').slice(0, 5000);
+    const letters = (sample.match(/\p{L}/gu) || []).length;
+    if (letters === 0) return { code: 'en', confidence: 0 };
+
+    for (const { code, pattern } of SCRIPT_LANGUAGES) {
+        const share = (sample.match(pattern) || []).length / letters;
+        if (share > 0.2) return { code, confidence: Math.min(1, share * 1.5) };
+    }
+
+    const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+    const hits = Object.fromEntries(Object.keys(LANGUAGE_STOPWORDS).map(code => [code, 0]));
+    const lookup = new Map();
+    for (const [code, list] of Object.entries(LANGUAGE_STOPWORDS)) {
+        for (const word of list) lookup.set(word, [...(lookup.get(word) || []), code]);
+    }
+    for (const word of words) {
+        for (const code of lookup.get(word) || []) hits[code] += 1;
+    }
+    const ranked = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+    const [best, second] = ranked;
+    const total = ranked.reduce((sum, [, count]) => sum + count, 0);
+    // Too few signals to overrule the English default.
+    if (best[1] < 3) return { code: 'en', confidence: 0 };
+    return { code: best[0], confidence: Number(((best[1] - second[1]) / total).toFixed(2)) };
+}
+
+// --- Screening instructions ---
+// Clients filter out copy-pasted bids with checks such as "Start your bid with the word 'banana'"
+// or "Answer: 1) Have you built X? 2) What is your timeline?". Found here, followed by
+// buildPrompt() in background.js and checked by the popup's analysis.
+
+const SCREENING_NOUN = String.raw`(?:bid|proposal|application|message|reply|response|cover\s+letter)s?`;
+// A quoted phrase ("the word 'banana'", "'blue sky'"), an unquoted one after "the word" (the word banana),
+// or a word in capitals (BANANA); the only capturing groups.
+const SCREENING_PHRASE_LABEL = String.raw`(?:the\s+)?(?:word|phrase|keyword|code\s*word|code)s?\s+`;
+const SCREENING_PHRASE = String.raw`(?:(?:${SCREENING_PHRASE_LABEL})?["'“‘«]([^"'“”‘’«»\n]{1,60})["'”’»]|${SCREENING_PHRASE_LABEL}([\p{L}\p{N}][\p{L}\p{N}_-]{0,30})|([\p{Lu}][\p{Lu}\p{N}_-]{2,30})(?![\p{L}\p{N}]))`;
+
+const SCREENING_PATTERNS = [
+    { placement: 'start', source: String.raw`\b(?:start|begin|open)\s+(?:your|the|each|every)?\s*${SCREENING_NOUN}\s+(?:with|using|by\s+(?:writing|saying|typing))\s+${SCREENING_PHRASE}` },
+    { placement: 'start', source: String.raw`\b${SCREENING_NOUN}\s+(?:must|should|has\s+to|needs\s+to)\s+(?:start|begin)\s+with\s+${SCREENING_PHRASE}` },
+    { placement: 'start', source: String.raw`\bfirst\s+(?:word|line)\s+of\s+(?:your|the)\s+${SCREENING_NOUN}\s+(?:must|should)\s+be\s+${SCREENING_PHRASE}` },
+    { placement: 'start', source: String.raw`\b(?:write|put|type|add|place)\s+${SCREENING_PHRASE}\s+(?:at|as|in)\s+the\s+(?:very\s+)?(?:start|beginning|top|first\s+(?:line|word))` },
+    { placement: 'anywhere', source: String.raw`\b(?:include|mention|use|write|add|put|type)\s+${SCREENING_PHRASE}\s+(?:somewhere\s+)?(?:in|into|within|at\s+the\s+end\s+of)\s+(?:your|the)\s+${SCREENING_NOUN}` },
+    { placement: 'anywhere', source: String.raw`\b${SCREENING_NOUN}\s+(?:must|should)\s+(?:include|contain|mention)\s+${SCREENING_PHRASE}` },
+];
+
+// Text before a numbered list that marks it as questions to answer rather than requirements.
+const SCREENING_CUE = /\b(?:answers?|questions?|respond|reply|tell\s+(?:me|us)|let\s+(?:me|us)\s+know|screening)\b/i;
+const SCREENING_MAX_QUESTIONS = 10;
+
+function requiredPhrases(text) {
+    const found = [];
+    for (const { placement, source } of SCREENING_PATTERNS) {
+        for (const match of text.matchAll(new RegExp(source, 'giu'))) {
+            const [, quoted, named, capitals] = match;
+            // The pattern is case-insensitive, so "capitals" has to be checked against the original text.
+            const phrase = (quoted || named || (capitals && capitals === capitals.toUpperCase() ? capitals : '') || '').trim();
+            if (phrase && !found.some(p => p.text.toLowerCase() === phrase.toLowerCase())) {
+                found.push({ text: phrase, placement });
+            }
+        }
+    }
+    return found;
+}
+
+// Numbered runs (1) 2) 3), 1. 2., Q1: Q2:) that ask questions: most items end with "?" or the
+// text just before the list asks for answers. Bulleted questions under such a line count too.
+function screeningQuestions(text) {
+    const markers = [...text.matchAll(/(?:^|[\s(])(?:Q\s*)?(\d{1,2})\s*[).:]\s+(?=\S)/gim)]
+        .map(m => ({ n: Number(m[1]), start: m.index, end: m.index + m[0].length }));
+    const runs = [];
+    for (const marker of markers) {
+        const run = runs[runs.length - 1];
+        if (marker.n === 1) runs.push([marker]);
+        else if (run && marker.n === run[run.length - 1].n + 1) run.push(marker);
+    }
+
+    const questions = [];
+    for (const run of runs) {
+        const items = run.map((marker, i) => {
+            const until = i + 1 < run.length ? run[i + 1].start : (text.indexOf('\n', marker.end) + 1 || text.length + 1) - 1;
+            return text.slice(marker.end, until).replace(/\s+/g, ' ').trim().slice(0, 200);
+        }).filter(Boolean);
+        const before = text.slice(Math.max(0, run[0].start - 200), run[0].start).split(/\n\s*\n/).pop();
+        const asking = items.filter(item => item.endsWith('?')).length >= Math.ceil(items.length / 2);
+        if (asking || SCREENING_CUE.test(before)) questions.push(...items);
+    }
+
+    const lines = text.split('\n').map(line => line.trim());
+    lines.forEach((line, i) => {
+        if (!SCREENING_CUE.test(line) || !/[:?]$/.test(line)) return;
+        for (const next of lines.slice(i + 1)) {
+            const bullet = next.match(/^[-•*]\s+(.+\?)$/);
+            if (!bullet) break;
+            if (!questions.includes(bullet[1])) questions.push(bullet[1]);
+        }
+    });
+    return questions.slice(0, SCREENING_MAX_QUESTIONS);
+}
+
+/**
+ * Finds the client's screening instructions in a project description.
+ * @param {string} text
+ * @returns {{ requiredPhrases: { text: string, placement: 'start'|'anywhere' }[], questions: string[] }}
+ */
+function detectScreening(text) {
+    const sample = String(text || '').slice(0, 10000);
+    return { requiredPhrases: requiredPhrases(sample), questions: screeningQuestions(sample) };
+}
+
+/**
+ * Reads the structured context around a project: fixed vs hourly, client details,
+ * bid statistics, posting time and attachment names.
+ * @param {Document|Element} root
+ * @param {{ text: string|null, min: number|null, max: number|null }} budget
+ * @returns {object} Fields merged into the extractJobDetails() result.
+ */
+function extractProjectContext(root, budget) {
+    const pageText = textOf(root.body || root);
+    const context = {};
+
+    // Project type: hourly budgets read "$15 - $25 USD / hour"
+    const hourly = /\/\s*(hr|hour)\b|per hour|hourly/i.test(budget.text || '') || /\bHourly rate\b/i.test(pageText);
+    context.projectType = budget.text || /\bFixed price\b/i.test(pageText) ? (hourly ? 'hourly' : 'fixed') : null;
+    context.hourlyRate = hourly && budget.min !== null ? { min: budget.min, max: budget.max } : null;
+
+    // Client
+    const client = { country: null, paymentVerified: null, rating: null, reviewCount: null };
+    const section = resolveElement('clientSection', root);
+    const headingAt = pageText.search(/about the (client|employer)/i);
+    const sectionText = section ? textOf(section) : (headingAt >= 0 ? pageText.slice(headingAt, headingAt + 600) : '');
+    if (section) {
+        const flag = section.querySelector('fl-flag, [class*="Flag"], img[alt][src*="flag"]');
+        const countryEl = section.querySelector('[class*="Location"], [class*="Country"], [data-country]');
+        client.country = countryEl?.getAttribute('data-country')
+            || textOf(countryEl).split('\n').pop()
+            || flag?.getAttribute('alt')
+            || null;
+    }
+    if (sectionText) {
+        const review = sectionText.match(/(\d(?:\.\d)?)\s*\(?\s*(\d[\d,]*)\s+reviews?\)?/i);
+        if (review) {
+            client.rating = parseFloat(review[1]);
+            client.reviewCount = parseInt(review[2].replace(/,/g, ''), 10);
+        }
+        const payment = section && Array.from(section.querySelectorAll('*'))
+            .filter(el => el.children.length === 0)
+            .find(el => /payment (method )?verified/i.test(textOf(el)));
+        if (payment) {
+            client.paymentVerified = !payment.closest('[class*="Unverified"], [class*="unverified"], [class*="Disabled"], [aria-disabled="true"]');
+        } else if (/payment (method )?(is )?not verified|unverified payment/i.test(sectionText)) {
+            client.paymentVerified = false;
+        } else if (!section && /payment (method )?verified/i.test(sectionText)) {
+            client.paymentVerified = true;
+        }
+    }
+    context.client = client;
+
+    // Competition: "25 freelancers are bidding on average $150 USD" or "Bids 25 / Average bid $150 USD"
+    const bidStats = { count: null, average: null, averageText: null };
+    const bidding = pageText.match(/(\d[\d,]*)\s+freelancers?\s+(?:are|is)\s+bidding\s+on\s+average\s+([^\n]+?)(?:\s+for\b|\n|$)/i);
+    if (bidding) {
+        bidStats.count = parseInt(bidding[1].replace(/,/g, ''), 10);
+        bidStats.averageText = bidding[2].trim();
+    } else {
+        const count = pageText.match(/\bBids\s*\n?\s*(\d[\d,]*)/i);
+        const average = pageText.match(/\b(?:Avg\.?|Average) bid\s*\n?\s*([^\n]+)/i);
+        if (count) bidStats.count = parseInt(count[1].replace(/,/g, ''), 10);
+        if (average) bidStats.averageText = average[1].trim();
+    }
+    bidStats.average = parseNumber(bidStats.averageText);
+    context.bidStats = bidStats;
+
+    // Posting time
+    const posted = pageText.match(/\b(?:Posted|Opened)\s+([^\n]*?\bago)\b/i);
+    context.postedText = posted ? posted[1].trim() : null;
+    context.postedAt = postedAtFrom(context.postedText);
+
+    // Attachments: file names only, the files themselves are not downloaded
+    const names = resolveAll('attachments', root).elements
+        .map(el => textOf(el).split('\n')[0].trim() || decodeURIComponent((el.getAttribute('href') || '').split('/').pop() || ''))
+        .filter(name => /\.[a-z0-9]{2,5}$/i.test(name));
+    context.attachments = Array.from(new Set(names));
+
+    return context;
+}
 
 /**
  * Extracts all relevant job details from the Freelancer project page.
+ * @param {Document|Element} [root=document] - Where to look; a parsed fixture page works too.
  * @returns {Promise<object>} A promise that resolves with an object containing all extracted data.
  */
-async function extractJobDetails() {
+async function extractJobDetails(root = document) {
     console.log("[Content] ---> Starting job detail extraction...");
+    await selectorPackReady;
 
     const data = {
+        url: location.href,
+        title: null,
+        skills: [],
         description: null,
         bidAmount: null,
         deliveryTime: null,
-        projectBudget: { text: null, min: null, max: null }
-    };
-
-    // --- Selectors for Page Elements ---
-    const selectors = {
-        title: 'h2.ProjectViewDetails-title',
-        description: 'div.ProjectDescription span.NativeElement',
-        skills: 'div.ProjectViewDetailsSkills fl-tag',
-        budget: 'p.ProjectViewDetails-budget',
-        suggestedBidText: 'div.EarningExplainer div.NativeElement',
-        bidAmountInput: 'input#bidAmountInput',
-        deliveryTimeInput: 'input#periodInput'
-    };
-
-    const queryAny = (selectorList) => {
-        for (const sel of selectorList) {
-            const el = document.querySelector(sel);
-            if (el) return el;
-        }
-        return null;
+        projectBudget: { text: null, min: null, max: null },
+        projectType: null,
+        hourlyRate: null,
+        client: { country: null, paymentVerified: null, rating: null, reviewCount: null },
+        bidStats: { count: null, average: null, averageText: null },
+        postedText: null,
+        postedAt: null,
+        attachments: [],
+        language: 'en',
+        languageConfidence: 0,
+        screening: { requiredPhrases: [], questions: [] }
     };
 
     // 1. --- Extract Job Title, Description, and Skills ---
     try {
-        const titleElement = document.querySelector(selectors.title);
-        const descriptionElement = document.querySelector(selectors.description);
-        const skillElements = document.querySelectorAll(selectors.skills);
+        const titleElement = resolveElement('title', root);
+        const descriptionElement = resolveElement('description', root);
+        const skillElements = resolveAll('skills', root).elements;
 
         let combinedDescription = "";
         if (titleElement) {
             const titleText = titleElement.innerText.trim();
             // Avoid adding the generic "Project Details" page title
             if (titleText.toLowerCase() !== 'project details') {
+                data.title = titleText;
                 combinedDescription += titleText + "\n\n";
             }
         }
@@ -61,11 +295,22 @@ async function extractJobDetails() {
         if (skillElements.length > 0) {
             const skills = Array.from(skillElements).map(el => el.innerText.trim()).filter(Boolean);
             if (skills.length > 0) {
+                data.skills = skills;
                 combinedDescription += "Skills: " + skills.join(', ');
             }
         }
         data.description = combinedDescription.trim() || null;
 
+        const detected = detectLanguage(`${data.title || ''}\n${descriptionElement ? textOf(descriptionElement) : ''}`);
+        data.language = detected.code;
+        data.languageConfidence = detected.confidence;
+        console.log(`[Content] Detected language: ${detected.code} (confidence ${detected.confidence})`);
+
+        data.screening = detectScreening(textOf(descriptionElement));
+        if (data.screening.requiredPhrases.length || data.screening.questions.length) {
+            console.log('[Content] Screening instructions:', data.screening);
+        }
+
         if (!data.description) {
             console.error("[Content] Failed to extract the core job description.");
         }
@@ -74,7 +319,7 @@ async function extractJobDetails() {
     }
 
     // 2. --- Extract Project Budget (e.g., "$250 - $750 USD") ---
-    const budgetElement = document.querySelector(selectors.budget);
+    const budgetElement = resolveElement('budget', root);
     if (budgetElement) {
         data.projectBudget.text = budgetElement.innerText.trim();
         // Extract all numbers from the budget text to find min/max
@@ -88,14 +333,7 @@ async function extractJobDetails() {
     }
 
     // 3A. --- Prefer Default Bid Amount from Input (Freelancer's default)
-    const bidAmountInputEl = queryAny([
-        selectors.bidAmountInput,
-        'input[name="bidAmount"]',
-        'input[name="amount"]',
-        'input[id*="bid"][type="number"]',
-        'input[id*="amount"][type="number"]',
-        'fl-input[formcontrolname="amount"] input'
-    ]);
+    const bidAmountInputEl = resolveElement('bidAmountInput', root);
     if (bidAmountInputEl && bidAmountInputEl.value) {
         const numeric = parseFloat(String(bidAmountInputEl.value).replace(/,/g, ''));
         if (!Number.isNaN(numeric)) {
@@ -106,13 +344,13 @@ async function extractJobDetails() {
     // 3B. --- Fallback: Extract Suggested Bid Amount from helper text
     if (data.bidAmount === null) {
         let textCandidate = null;
-        const suggestedBidElement = document.querySelector(selectors.suggestedBidText);
+        const suggestedBidElement = resolveElement('suggestedBidText', root);
         if (suggestedBidElement) {
             textCandidate = suggestedBidElement.innerText;
         }
         if (!textCandidate) {
             // Broad search for a line containing "Paid to you" or currency-like text near the form
-            const nodes = Array.from(document.querySelectorAll('div, p, span'));
+            const nodes = Array.from(root.querySelectorAll('div, p, span'));
             const hit = nodes.find(n => /Paid to you|Your bid|You will receive/i.test(n.innerText || ''));
             if (hit) textCandidate = hit.innerText;
         }
@@ -130,133 +368,244 @@ async function extractJobDetails() {
     }
 
     // 4. --- Extract Default Delivery Time (from its input field) ---
-    const deliveryTimeInputEl = queryAny([
-        selectors.deliveryTimeInput,
-        'input[name="period"]',
-        'input[id*="period"][type="number"]',
-        'input[id*="days"][type="number"]',
-        'fl-input[formcontrolname="period"] input'
-    ]);
+    const deliveryTimeInputEl = resolveElement('deliveryTimeInput', root);
     if (deliveryTimeInputEl && deliveryTimeInputEl.value) {
         const parsed = parseInt(deliveryTimeInputEl.value, 10);
         if (!Number.isNaN(parsed)) data.deliveryTime = parsed;
         console.log(`[Content] SUCCESS: Extracted default delivery time: ${data.deliveryTime}`);
     } else {
-        console.warn(`[Content] Delivery time input field not found or is empty with selector: '${selectors.deliveryTimeInput}'`);
+        console.warn("[Content] Delivery time input field not found or is empty (selector pack key 'deliveryTimeInput').");
+    }
+
+    // 5. --- Project type, client, competition, age and attachments ---
+    try {
+        Object.assign(data, extractProjectContext(root, data.projectBudget));
+    } catch (e) {
+        console.error("[Content] Error during project context extraction:", e);
     }
 
     console.log(`[Content] ---< Extraction finished. Final data:`, data);
     return data;
 }
 
+// Longest text a suggested milestone description takes on the bid form.
+const MILESTONE_DESCRIPTION_CHARS = 100;
+
+/**
+ * Fills the bid form's suggested milestone rows from a detailed proposal, adding rows with the
+ * "Add milestone" button as needed. Forms without milestone fields are left alone.
+ * @param {Array<{ name: string, deliverable?: string, amount: number }>} milestones
+ * @returns {number} How many milestones were filled in.
+ */
+function fillMilestones(milestones) {
+    let rows = resolveAll('milestoneDescriptionInput').elements;
+    if (rows.length === 0) {
+        console.log("[Content] No milestone fields on this form; the plan stays in the proposal text.");
+        return 0;
+    }
+    // Angular renders the new row before click() returns.
+    for (let added = 0; rows.length < milestones.length && added < milestones.length; added++) {
+        const button = resolveElement('addMilestoneButton');
+        if (!button) break;
+        button.click();
+        rows = resolveAll('milestoneDescriptionInput').elements;
+    }
+    const amounts = resolveAll('milestoneAmountInput').elements;
+    const setValue = (input, value) => {
+        input.value = value;
+        ['input', 'change', 'blur'].forEach(eventName => input.dispatchEvent(new Event(eventName, { bubbles: true })));
+    };
+    const count = Math.min(rows.length, milestones.length);
+    milestones.slice(0, count).forEach((m, i) => {
+        setValue(rows[i], (m.deliverable ? `${m.name}: ${m.deliverable}` : m.name).slice(0, MILESTONE_DESCRIPTION_CHARS));
+        if (amounts[i]) setValue(amounts[i], m.amount);
+    });
+    if (count < milestones.length) console.warn(`[Content] Only ${count} of ${milestones.length} milestones fit the form.`);
+    return count;
+}
+
 /**
  * Inserts the provided data into the bid form fields on the page.
- * @param {object} bidData - The data object from the popup.
+ * @param {object} bidData - The data object from the popup; `milestones` (optional) fills the milestone rows.
  * @returns {boolean} True if the main description field was filled, false otherwise.
  */
 function fillBidForm(bidData) {
     console.log("[Content] Attempting to fill bid form with data:", bidData);
 
-    const setInputValue = (selector, value) => {
-        const inputElement = document.querySelector(selector);
+    const setInputValue = (key, value) => {
+        const inputElement = resolveElement(key);
         if (inputElement && value !== null && value !== undefined) {
             inputElement.value = value;
             // Dispatch events to ensure the website's framework (e.g., Angular, React) recognizes the change
             ['input', 'change', 'blur'].forEach(eventName => {
                 inputElement.dispatchEvent(new Event(eventName, { bubbles: true }));
             });
-            console.log(`[Content] Successfully set value for '${selector}'.`);
+            console.log(`[Content] Successfully set value for '${key}'.`);
             return true;
         }
-        console.warn(`[Content] Could not find or set value for selector: '${selector}'.`);
+        console.warn(`[Content] Could not find or set value for '${key}'.`);
         return false;
     };
 
-    const clickElement = (selector, description) => {
-        const element = document.querySelector(selector);
+    const clickElement = (key, description) => {
+        const element = resolveElement(key);
         if (element) {
             element.click();
             console.log(`[Content] Successfully clicked ${description}.`);
             return true;
         }
-        console.warn(`[Content] Could not find ${description} element: '${selector}'.`);
+        console.warn(`[Content] Could not find ${description} element ('${key}').`);
         return false;
     };
 
-    let success = setInputValue('textarea#descriptionTextArea', bidData.bidText);
-    setInputValue('input#bidAmountInput', bidData.bidAmount);
-    setInputValue('input#periodInput', bidData.deliveryTime);
+    let success = setInputValue('bidTextarea', bidData.bidText);
+    setInputValue('bidAmountInput', bidData.bidAmount);
+    setInputValue('deliveryTimeInput', bidData.deliveryTime);
+    if (Array.isArray(bidData.milestones) && bidData.milestones.length > 0) {
+        fillMilestones(bidData.milestones);
+    }
 
     // Handle bid upgrades if provided
     if (bidData.upgrades) {
-        // Handle sealed bid upgrade
-        if (bidData.upgrades.sealed) {
-            // Try multiple selectors for sealed bid checkbox/button
-            const sealedSelectors = [
-                'fl-upgrade-tag[data-upgrade-type="sealed"]',
-                '[data-upgrade-type="sealed"]',
-                'input[type="checkbox"][name*="sealed"]',
-                '.UpgradeItem input[type="checkbox"]'
-            ];
-            
-            for (const selector of sealedSelectors) {
-                if (clickElement(selector, 'sealed bid upgrade')) {
-                    break;
-                }
-            }
-        }
+        if (bidData.upgrades.sealed) clickElement('upgradeSealed', 'sealed bid upgrade');
+        if (bidData.upgrades.sponsored) clickElement('upgradeSponsored', 'sponsored bid upgrade');
+        if (bidData.upgrades.highlight) clickElement('upgradeHighlight', 'highlight bid upgrade');
+    }
 
-        // Handle sponsored bid upgrade
-        if (bidData.upgrades.sponsored) {
-            const sponsoredSelectors = [
-                'fl-upgrade-tag[data-upgrade-type="sponsored"]',
-                '[data-upgrade-type="sponsored"]',
-                'input[type="checkbox"][name*="sponsored"]'
-            ];
-            
-            for (const selector of sponsoredSelectors) {
-                if (clickElement(selector, 'sponsored bid upgrade')) {
-                    break;
-                }
-            }
-        }
+    return success;
+}
 
-        // Handle highlight bid upgrade
-        if (bidData.upgrades.highlight) {
-            const highlightSelectors = [
-                'fl-upgrade-tag[data-upgrade-type="highlight"]',
-                '[data-upgrade-type="highlight"]',
-                'input[type="checkbox"][name*="highlight"]'
-            ];
-            
-            for (const selector of highlightSelectors) {
-                if (clickElement(selector, 'highlight bid upgrade')) {
-                    break;
-                }
-            }
-        }
+// --- Auto-submit ---
+// submitBid() fills the form, waits until it is valid, checks the guardrails in the background
+// and only then clicks "Place Bid", reporting what the page shows afterwards.
+
+const SUBMIT_FORM_TIMEOUT_MS = 8000;
+const SUBMIT_RESULT_TIMEOUT_MS = 15000;
+
+/**
+ * Resolves with the first truthy value of `check`, re-evaluated on DOM mutations (and every
+ * 250 ms, since typed values do not mutate the DOM), or with null after `timeoutMs`.
+ * @param {() => any} check
+ * @param {number} timeoutMs
+ * @returns {Promise<any>}
+ */
+function waitForCondition(check, timeoutMs) {
+    return new Promise(resolve => {
+        let observer = null;
+        let poll = null;
+        let timer = null;
+        const finish = (value) => {
+            observer?.disconnect();
+            clearInterval(poll);
+            clearTimeout(timer);
+            resolve(value);
+        };
+        const evaluate = () => {
+            const value = check();
+            if (value) finish(value);
+            return value;
+        };
+        if (evaluate()) return;
+        observer = new MutationObserver(evaluate);
+        observer.observe(document.body, { childList: true, subtree: true, attributes: true, characterData: true });
+        poll = setInterval(evaluate, 250);
+        timer = setTimeout(() => finish(null), timeoutMs);
+    });
+}
+
+const normalizeText = (text) => String(text || '').replace(/\r\n/g, '\n').trim();
+
+/**
+ * Checks that the filled values stuck and that "Place Bid" can be clicked.
+ * @param {object} bidData
+ * @returns {{ problems: string[], button: Element|null }}
+ */
+function checkBidForm(bidData) {
+    const problems = [];
+    const textarea = resolveElement('bidTextarea');
+    if (!textarea) problems.push('proposal field not found');
+    else if (normalizeText(textarea.value) !== normalizeText(bidData.bidText)) problems.push('the proposal text did not stick');
+
+    [['bidAmountInput', bidData.bidAmount, 'bid amount'], ['deliveryTimeInput', bidData.deliveryTime, 'delivery time']]
+        .forEach(([key, wanted, label]) => {
+            if (wanted === null || wanted === undefined || wanted === '') return;
+            const input = resolveElement(key);
+            if (!input) problems.push(`${label} field not found`);
+            else if (parseNumber(input.value) !== parseNumber(wanted)) problems.push(`the ${label} shows "${input.value}" instead of ${wanted}`);
+        });
+
+    const button = resolveElement('placeBidButton');
+    if (!button) {
+        problems.push('"Place Bid" button not found');
+    } else if (!/place (a )?bid/i.test(textOf(button) || button.value || '')) {
+        problems.push(`the bid button reads "${textOf(button)}", not "Place Bid"`);
+    } else if (button.disabled || button.getAttribute('aria-disabled') === 'true') {
+        problems.push('"Place Bid" is disabled');
     }
+    const errors = resolveAll('bidError').elements.map(textOf).filter(Boolean);
+    if (errors.length > 0) problems.push(`the form shows: ${errors.join(' ')}`);
+    return { problems, button };
+}
 
-    // Auto-place bid if requested
-    if (bidData.autoSubmit) {
-        setTimeout(() => {
-            const placeBidSelectors = [
-                'fl-button[fltrackinglabel="PlaceBidButton"] button',
-                'button:contains("Place Bid")',
-                '.BidFormBtn button',
-                'button[type="submit"]'
-            ];
-            
-            for (const selector of placeBidSelectors) {
-                if (clickElement(selector, 'place bid button')) {
-                    console.log('[Content] Bid submitted automatically.');
-                    break;
-                }
-            }
-        }, 1000); // Small delay to ensure form is populated
+// What the page shows after clicking "Place Bid", or null while it shows nothing yet.
+function submitOutcome() {
+    const placed = resolveElement('bidPlaced');
+    if (placed) return { status: 'submitted', message: textOf(placed) || 'Bid placed.' };
+    const errors = resolveAll('bidError').elements.map(textOf).filter(Boolean);
+    if (errors.length > 0) return { status: 'error', message: errors.join(' ') };
+    return null;
+}
+
+/**
+ * Fills the form and places the bid if the form is valid and the guardrails allow it.
+ * @param {object} bidData - { bidText, bidAmount, deliveryTime, upgrades, confirmed }; `confirmed` when the
+ *   user confirmed the bid in the popup (checked against the requireConfirmation guardrail).
+ * @returns {Promise<{ status: 'submitted'|'blocked'|'invalid'|'error'|'unknown', message: string }>}
+ */
+async function submitBid(bidData) {
+    await selectorPackReady;
+    if (resolveElement('bidPlaced')) {
+        return { status: 'blocked', message: 'You have already bid on this project.' };
+    }
+    if (!fillBidForm(bidData)) {
+        return { status: 'invalid', message: 'The proposal field was not found.' };
     }
 
-    return success;
+    const form = await waitForCondition(() => {
+        const result = checkBidForm(bidData);
+        return result.problems.length === 0 ? result : null;
+    }, SUBMIT_FORM_TIMEOUT_MS);
+    if (!form) {
+        return { status: 'invalid', message: `The form is not ready: ${checkBidForm(bidData).problems.join('; ')}.` };
+    }
+
+    const bid = { bidText: bidData.bidText, bidAmount: bidData.bidAmount, deliveryTime: bidData.deliveryTime };
+    const job = await extractJobDetails();
+    const guard = await chrome.runtime.sendMessage({
+        action: 'checkSubmitGuardrails',
+        job,
+        bid: { amount: bid.bidAmount, bidText: bid.bidText, confirmed: bidData.confirmed === true },
+    });
+    if (guard?.status !== 'success') {
+        return { status: 'error', message: guard?.message || 'Could not check the guardrails.' };
+    }
+    if (!guard.allowed) {
+        console.warn("[Content] Auto-submit blocked:", guard.reasons);
+        return { status: 'blocked', message: guard.reasons.join(' ') };
+    }
+
+    console.log("[Content] Form verified and guardrails passed; clicking Place Bid.");
+    form.button.click();
+    const outcome = await waitForCondition(submitOutcome, SUBMIT_RESULT_TIMEOUT_MS)
+        || { status: 'unknown', message: 'Place Bid was clicked but the page showed neither a confirmation nor an error. Check the page.' };
+    console.log("[Content] Auto-submit outcome:", outcome);
+
+    // Unconfirmed clicks still count towards the daily cap.
+    if (outcome.status !== 'error') {
+        chrome.runtime.sendMessage({ action: 'recordBidSubmission', url: location.href, bid, confirmed: outcome.status === 'submitted' })
+            .catch(error => console.warn("[Content] Could not record the submission:", error));
+    }
+    return outcome;
 }
 
 
@@ -268,16 +617,7 @@ if (!window.geminiBidListenerFinal) {
 
     function fillQuestionsForm(questionsText) {
         if (!questionsText || typeof questionsText !== 'string') return false;
-        const candidateSelectors = [
-            'textarea[placeholder="Ask a question..."]',
-            '.CommentForm-contentAndActions textarea',
-            'fl-textarea textarea',
-        ];
-        let textarea = null;
-        for (const sel of candidateSelectors) {
-            const el = document.querySelector(sel);
-            if (el) { textarea = el; break; }
-        }
+        const textarea = resolveElement('questionTextarea');
         if (!textarea) return false;
         textarea.value = questionsText;
         ['input', 'change', 'blur'].forEach(eventName => textarea.dispatchEvent(new Event(eventName, { bubbles: true })));
@@ -299,7 +639,8 @@ if (!window.geminiBidListenerFinal) {
                 // Forward the extracted details to the background script for processing
                 chrome.runtime.sendMessage({
                     action: "callGemini", // This tells the background script to call the Gemini API
-                    ...jobDetails
+                    ...jobDetails,
+                    templateId: request.templateId
                 }, response => {
                     // This callback receives the final response from the background script
                     // (which includes the generated bid) and forwards it back to the popup.
@@ -308,7 +649,13 @@ if (!window.geminiBidListenerFinal) {
                         sendResponse({ status: 'error', message: 'Could not communicate with the background script.' });
                     } else {
                         // Include original page-derived details for downstream usage (e.g., questions)
-                        sendResponse({ ...response, description: jobDetails.description, extractedProjectBudget: jobDetails.projectBudget });
+                        sendResponse({
+                            ...response,
+                            description: jobDetails.description,
+                            title: jobDetails.title,
+                            skills: jobDetails.skills,
+                            extractedProjectBudget: jobDetails.projectBudget
+                        });
                     }
                 });
             }).catch(error => {
@@ -341,6 +688,15 @@ if (!window.geminiBidListenerFinal) {
             return true;
         }
         
+        // 3.b Fill the form and place the bid (see submitBid)
+        if (request.action === "submitBid") {
+            submitBid(request.bidData || {}).then(sendResponse).catch(error => {
+                console.error("[Content] Unexpected error in submitBid:", error);
+                sendResponse({ status: 'error', message: `Content script error: ${error.message}` });
+            });
+            return true;
+        }
+
         if (request.action === 'fillQuestions') {
             const ok = fillQuestionsForm(request.questionsText || '');
             sendResponse({ status: ok ? 'success' : 'error' });
@@ -0,0 +1,99 @@
+/**
+ * mock-sse-server.js: Local stand-in for the Gemini, OpenAI(-compatible) and Anthropic endpoints.
+ * - Streams a canned proposal word by word so streaming can be exercised without API keys.
+ *
+ * Usage: npm run mock:sse  (PORT=8787, CHUNK_DELAY_MS=60, MOCK_STATUS=503 to simulate failures)
+ * Then, from the service worker console:
+ *   chrome.storage.sync.set({ geminiBaseUrl: 'http://localhost:8787/v1beta', openaiBaseUrl: 'http://localhost:8787/v1', geminiApiKey: 'mock', openaiApiKey: 'mock' })
+ * (anthropicBaseUrl works the same way; the OpenAI-compatible provider takes the /v1 URL in Options).
+ */
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT || 8787);
+const CHUNK_DELAY_MS = Number(process.env.CHUNK_DELAY_MS || 60);
+const MOCK_STATUS = Number(process.env.MOCK_STATUS || 0);
+
+const PROPOSAL = [
+    "I'm a frontend developer with 5+ years of experience and a 5.0 rating on similar projects.",
+    "I would build this with React and TypeScript, keeping state simple and the UI fast.",
+    "I have shipped similar dashboards with REST integrations and clean component libraries.",
+    "Please review my portfolio and client feedback - I'd be happy to discuss your requirements.",
+].join('\n');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const words = () => PROPOSAL.split(/(?<=\s)/);
+
+const readBody = (req) => new Promise(resolve => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        try { resolve(JSON.parse(raw || '{}')); } catch (_) { resolve({}); }
+    });
+});
+
+const cors = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { ...cors, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+async function streamEvents(req, res, toEvent, done) {
+    res.writeHead(200, { ...cors, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    let closed = false;
+    req.on('close', () => { closed = true; });
+    for (const word of words()) {
+        if (closed) return;
+        res.write(`data: ${JSON.stringify(toEvent(word))}\n\n`);
+        await sleep(CHUNK_DELAY_MS);
+    }
+    if (done) res.write(`data: ${done}\n\n`);
+    res.end();
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, cors);
+        return res.end();
+    }
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    console.log(`[mock] ${req.method} ${url.pathname}${url.search}`);
+
+    if (MOCK_STATUS) {
+        return sendJson(res, MOCK_STATUS, { error: { message: `Mock error ${MOCK_STATUS}` } });
+    }
+
+    const body = await readBody(req);
+
+    if (url.pathname.endsWith(':streamGenerateContent')) {
+        return streamEvents(req, res, text => ({ candidates: [{ content: { parts: [{ text }], role: 'model' } }] }));
+    }
+    if (url.pathname.endsWith(':generateContent')) {
+        return sendJson(res, 200, { candidates: [{ content: { parts: [{ text: PROPOSAL }], role: 'model' } }] });
+    }
+    if (req.method === 'GET' && url.pathname.endsWith('/v1beta/models')) {
+        return sendJson(res, 200, { models: [{ name: 'models/mock-gemini', supportedGenerationMethods: ['generateContent'] }] });
+    }
+    if (req.method === 'GET' && url.pathname.endsWith('/models')) {
+        return sendJson(res, 200, { data: [{ id: 'mock-model' }] });
+    }
+    if (url.pathname.endsWith('/messages')) {
+        if (body.stream) {
+            return streamEvents(req, res, text => ({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } }));
+        }
+        return sendJson(res, 200, { content: [{ type: 'text', text: PROPOSAL }] });
+    }
+    if (url.pathname.endsWith('/chat/completions')) {
+        if (body.stream) {
+            return streamEvents(req, res, content => ({ choices: [{ index: 0, delta: { content } }] }), '[DONE]');
+        }
+        return sendJson(res, 200, { choices: [{ index: 0, message: { role: 'assistant', content: PROPOSAL } }] });
+    }
+    sendJson(res, 404, { error: { message: `No mock for ${url.pathname}` } });
+});
+
+server.listen(PORT, () => console.log(`[mock] Listening on http://localhost:${PORT}`));
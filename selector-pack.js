@@ -0,0 +1,92 @@
+/**
+ * selector-pack.js: Built-in selector pack, loaded before content-selectors.js on Freelancer pages
+ * and through importScripts() in background.js.
+ *
+ * A pack maps each page element the extension needs to an ordered list of CSS selectors; the first
+ * one that matches wins. The active pack lives in chrome.storage.local under `selectorPack` and is
+ * edited or imported from Options → Selectors. Keys missing from it fall back to this pack.
+ * `schema` only changes when the format does; `revision` goes up with every edit.
+ */
+const DEFAULT_SELECTOR_PACK = {
+    schema: 1,
+    revision: 1,
+    name: 'Built-in',
+    selectors: {
+        // Project page
+        title: ['h2.ProjectViewDetails-title', 'h1.PageProjectViewLogout-header-title'],
+        description: ['div.ProjectDescription span.NativeElement', 'div.ProjectDescription', '.PageProjectViewLogout-detail p'],
+        skills: ['div.ProjectViewDetailsSkills fl-tag', '.PageProjectViewLogout-detail-tags a'],
+        budget: ['p.ProjectViewDetails-budget', '.PageProjectViewLogout-header-byLine p'],
+        suggestedBidText: ['div.EarningExplainer div.NativeElement'],
+        clientSection: ['.ProjectViewDetailsClientInfo', 'fl-project-view-client-info', 'app-client-information'],
+        // One selector list, so that every kind of attachment link is collected
+        attachments: ['a[href*="/attachments/"], a[href*="attachment"], fl-file-display, [class*="Attachment"] a, [class*="FileDisplay"]'],
+
+        // Bid form
+        bidTextarea: ['textarea#descriptionTextArea', 'fl-textarea[formcontrolname="description"] textarea'],
+        bidAmountInput: [
+            'input#bidAmountInput',
+            'input[name="bidAmount"]',
+            'input[name="amount"]',
+            'input[id*="bid"][type="number"]',
+            'input[id*="amount"][type="number"]',
+            'fl-input[formcontrolname="amount"] input'
+        ],
+        deliveryTimeInput: [
+            'input#periodInput',
+            'input[name="period"]',
+            'input[id*="period"][type="number"]',
+            'input[id*="days"][type="number"]',
+            'fl-input[formcontrolname="period"] input'
+        ],
+        upgradeSealed: [
+            'fl-upgrade-tag[data-upgrade-type="sealed"]',
+            '[data-upgrade-type="sealed"]',
+            'input[type="checkbox"][name*="sealed"]',
+            '.UpgradeItem input[type="checkbox"]'
+        ],
+        upgradeSponsored: [
+            'fl-upgrade-tag[data-upgrade-type="sponsored"]',
+            '[data-upgrade-type="sponsored"]',
+            'input[type="checkbox"][name*="sponsored"]'
+        ],
+        upgradeHighlight: [
+            'fl-upgrade-tag[data-upgrade-type="highlight"]',
+            '[data-upgrade-type="highlight"]',
+            'input[type="checkbox"][name*="highlight"]'
+        ],
+        placeBidButton: ['fl-button[fltrackinglabel="PlaceBidButton"] button', '.BidFormBtn button'],
+        // Shown after a bid is placed / when placing it fails
+        bidPlaced: ['app-bid-placed', '.BidPlaced', 'fl-banner-alert[bannertype="success"]'],
+        bidError: ['fl-banner-alert[bannertype="error"]', 'app-bid-form fl-input-error', '.BidForm [role="alert"]'],
+        // Suggested milestone rows of the bid form (one element per row)
+        milestoneDescriptionInput: ['app-bid-form-milestones input[formcontrolname="description"]', 'input[name*="milestoneDescription"]', '.MilestoneRow input[type="text"]'],
+        milestoneAmountInput: ['app-bid-form-milestones input[formcontrolname="amount"]', 'input[name*="milestoneAmount"]', '.MilestoneRow input[type="number"]'],
+        addMilestoneButton: ['app-bid-form-milestones button[fltrackinglabel*="AddMilestone"]', '.MilestoneAdd button'],
+        questionTextarea: [
+            'textarea[placeholder="Ask a question..."]',
+            '.CommentForm-contentAndActions textarea',
+            'fl-textarea textarea'
+        ],
+
+        // Search pages
+        searchCard: [
+            'div.JobSearchCard-item',
+            'fl-project-contest-card',
+            'fl-search-result-card',
+            'app-search-results-projects-item'
+        ],
+
+        // Messages pages
+        messageItem: ['app-messaging-message', 'fl-message', '.MessageItem', '[data-message-id]'],
+        // Messages the user sent; matched against each message item and its ancestors/descendants
+        messageOwn: ['.MessageItem--own', '[class*="own-message"]', '[class*="MessageOwn"]', '[data-is-own="true"]'],
+        messageComposer: [
+            'app-messaging-compose textarea',
+            'fl-textarea[fltrackinglabel*="Message"] textarea',
+            'textarea[placeholder*="message" i]',
+            '[contenteditable="true"][role="textbox"]'
+        ],
+        threadProjectLink: ['app-messaging-thread-header a[href*="/projects/"]', '[class*="ThreadHeader"] a[href*="/projects/"]']
+    }
+};
@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from 'react';
+import { Button, FormControlLabel, Stack, Switch, TextField, Typography } from '@mui/material';
+import { Save } from '@mui/icons-material';
+import { DEFAULT_FIT, FitSettings, loadFitSettings, saveFitSettings } from '../shared/fit';
+
+type Props = {
+  onStatus: (message: string, type: 'success' | 'error' | 'info') => void;
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    '& fieldset': { borderColor: 'rgba(103, 126, 234, 0.3)' },
+    '&:hover fieldset': { borderColor: 'primary.main' },
+    '&.Mui-focused fieldset': { borderColor: 'primary.main' },
+  }
+};
+
+const toScore = (value: unknown, fallback: number) => {
+  const parsed = parseInt(String(value), 10);
+  return Number.isNaN(parsed) ? fallback : Math.max(0, Math.min(100, parsed));
+};
+
+export default function FitSection({ onStatus }: Props): JSX.Element {
+  const [fit, setFit] = useState<FitSettings>(DEFAULT_FIT);
+  // Edited as one phrase per line
+  const [blacklist, setBlacklist] = useState(DEFAULT_FIT.blacklist.join('\n'));
+
+  useEffect(() => {
+    loadFitSettings()
+      .then(settings => {
+        setFit(settings);
+        setBlacklist(settings.blacklist.join('\n'));
+      })
+      .catch((e: any) => onStatus(`Error loading the fit settings: ${e.message}`, 'error'));
+  }, [onStatus]);
+
+  const update = (patch: Partial<FitSettings>) => setFit(prev => ({ ...prev, ...patch }));
+
+  const onSave = async () => {
+    const blockBelow = toScore(fit.blockBelow, DEFAULT_FIT.blockBelow);
+    const cleaned: FitSettings = {
+      ...fit,
+      blockBelow,
+      warnBelow: Math.max(blockBelow, toScore(fit.warnBelow, DEFAULT_FIT.warnBelow)),
+      blacklist: Array.from(new Set(blacklist.split('\n').map(p => p.trim()).filter(Boolean)))
+    };
+    try {
+      await saveFitSettings(cleaned);
+      setFit(cleaned);
+      setBlacklist(cleaned.blacklist.join('\n'));
+      onStatus('Fit score settings saved.', 'success');
+    } catch (e: any) {
+      onStatus(`Error saving the fit settings: ${e.message}`, 'error');
+    }
+  };
+
+  return (
+    <Stack spacing={3}>
+      <Typography variant="body2" color="text.secondary">
+        Before writing a bid, the project gets a score out of 100: skills matching the active profile (35), budget
+        against the hourly rate from the pricing rules (25), client payment verification and reviews (25), and the
+        number of bids already placed (15).
+      </Typography>
+
+      <FormControlLabel
+        control={<Switch checked={fit.enabled} onChange={(e) => update({ enabled: e.target.checked })} />}
+        label="Score projects before generating a bid"
+      />
+
+      <Stack direction="row" spacing={2}>
+        <TextField
+          fullWidth
+          type="number"
+          label="Warn below"
+          helperText="The popup shows a warning but still generates"
+          value={fit.warnBelow}
+          onChange={(e) => update({ warnBelow: e.target.value as any })}
+          inputProps={{ min: 0, max: 100, step: 5 }}
+          sx={fieldSx}
+        />
+        <TextField
+          fullWidth
+          type="number"
+          label="Block below"
+          helperText="Generation stops (you can still generate anyway)"
+          value={fit.blockBelow}
+          onChange={(e) => update({ blockBelow: e.target.value as any })}
+          inputProps={{ min: 0, max: 100, step: 5 }}
+          sx={fieldSx}
+        />
+      </Stack>
+
+      <TextField
+        multiline
+        fullWidth
+        minRows={4}
+        label="Blacklisted phrases"
+        helperText="One per line, e.g. “unpaid test”. A project whose title, description or budget contains one always scores 0."
+        value={blacklist}
+        onChange={(e) => setBlacklist(e.target.value)}
+        sx={fieldSx}
+      />
+
+      <Button
+        variant="contained"
+        size="large"
+        onClick={onSave}
+        startIcon={<Save />}
+        fullWidth
+        sx={{
+          py: 2,
+          fontSize: '1.1rem',
+          fontWeight: 700,
+          background: 'linear-gradient(45deg, #667eea 30%, #764ba2 90%)',
+          boxShadow: '0 6px 20px rgba(102, 126, 234, 0.4)',
+        }}
+      >
+        💾 Save Fit Settings
+      </Button>
+    </Stack>
+  );
+}
@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react';
+import { Button, FormControlLabel, Stack, Switch, TextField, Typography } from '@mui/material';
+import { Save } from '@mui/icons-material';
+import { DEFAULT_GUARDRAILS, SubmitGuardrails, countSubmittedToday, loadGuardrails, saveGuardrails } from '../shared/guardrails';
+
+type Props = {
+  onStatus: (message: string, type: 'success' | 'error' | 'info') => void;
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    '& fieldset': { borderColor: 'rgba(103, 126, 234, 0.3)' },
+    '&:hover fieldset': { borderColor: 'primary.main' },
+    '&.Mui-focused fieldset': { borderColor: 'primary.main' },
+  }
+};
+
+const toNumber = (value: unknown) => {
+  const parsed = parseFloat(String(value));
+  return Number.isNaN(parsed) ? 0 : Math.max(0, parsed);
+};
+
+export default function GuardrailsSection({ onStatus }: Props): JSX.Element {
+  const [guardrails, setGuardrails] = useState<SubmitGuardrails>(DEFAULT_GUARDRAILS);
+  // Edited as one keyword per line
+  const [keywords, setKeywords] = useState('');
+  const [submittedToday, setSubmittedToday] = useState(0);
+
+  useEffect(() => {
+    loadGuardrails()
+      .then(g => {
+        setGuardrails(g);
+        setKeywords(g.blockedKeywords.join('\n'));
+      })
+      .catch((e: any) => onStatus(`Error loading the guardrails: ${e.message}`, 'error'));
+    countSubmittedToday().then(setSubmittedToday).catch(() => {});
+  }, [onStatus]);
+
+  const update = (patch: Partial<SubmitGuardrails>) => setGuardrails(prev => ({ ...prev, ...patch }));
+
+  const onSave = async () => {
+    const cleaned: SubmitGuardrails = {
+      ...guardrails,
+      maxAmount: toNumber(guardrails.maxAmount),
+      minBudget: toNumber(guardrails.minBudget),
+      dailyCap: Math.round(toNumber(guardrails.dailyCap)),
+      blockedKeywords: Array.from(new Set(keywords.split('\n').map(k => k.trim()).filter(Boolean)))
+    };
+    try {
+      await saveGuardrails(cleaned);
+      setGuardrails(cleaned);
+      setKeywords(cleaned.blockedKeywords.join('\n'));
+      onStatus('Auto-submit guardrails saved.', 'success');
+    } catch (e: any) {
+      onStatus(`Error saving the guardrails: ${e.message}`, 'error');
+    }
+  };
+
+  return (
+    <Stack spacing={3}>
+      <Typography variant="body2" color="text.secondary">
+        With <strong>Auto-Submit Bid</strong> on in the popup, the extension fills the form, waits until Freelancer
+        accepts the values, and only clicks <strong>Place Bid</strong> when every rule below passes. Bids placed
+        today: <strong>{submittedToday}</strong>.
+      </Typography>
+
+      <FormControlLabel
+        control={<Switch checked={guardrails.requireConfirmation} onChange={(e) => update({ requireConfirmation: e.target.checked })} />}
+        label="Ask for confirmation in the popup before placing a bid"
+      />
+
+      <Stack direction="row" spacing={2}>
+        <TextField
+          fullWidth
+          type="number"
+          label="Maximum bid amount"
+          helperText="Never auto-submit above this amount (0 = no limit)"
+          value={guardrails.maxAmount}
+          onChange={(e) => update({ maxAmount: e.target.value as any })}
+          inputProps={{ min: 0, step: 1 }}
+          sx={fieldSx}
+        />
+        <TextField
+          fullWidth
+          type="number"
+          label="Minimum project budget"
+          helperText="Skip projects whose maximum budget is lower (0 = off)"
+          value={guardrails.minBudget}
+          onChange={(e) => update({ minBudget: e.target.value as any })}
+          inputProps={{ min: 0, step: 1 }}
+          sx={fieldSx}
+        />
+        <TextField
+          fullWidth
+          type="number"
+          label="Daily bid cap"
+          helperText="Auto-submitted bids per day (0 = no cap)"
+          value={guardrails.dailyCap}
+          onChange={(e) => update({ dailyCap: e.target.value as any })}
+          inputProps={{ min: 0, step: 1 }}
+          sx={fieldSx}
+        />
+      </Stack>
+
+      <TextField
+        multiline
+        fullWidth
+        minRows={4}
+        label="Blocked keywords"
+        helperText="One per line. A project whose title, description, skills or bid contains one is never auto-submitted."
+        value={keywords}
+        onChange={(e) => setKeywords(e.target.value)}
+        sx={fieldSx}
+      />
+
+      <Button
+        variant="contained"
+        size="large"
+        onClick={onSave}
+        startIcon={<Save />}
+        fullWidth
+        sx={{
+          py: 2,
+          fontSize: '1.1rem',
+          fontWeight: 700,
+          background: 'linear-gradient(45deg, #667eea 30%, #764ba2 90%)',
+          boxShadow: '0 6px 20px rgba(102, 126, 234, 0.4)',
+        }}
+      >
+        💾 Save Guardrails
+      </Button>
+    </Stack>
+  );
+}
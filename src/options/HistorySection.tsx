@@ -0,0 +1,260 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  Autocomplete,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Link,
+  Paper,
+  Stack,
+  TextField,
+  Typography
+} from '@mui/material';
+import { ContentCopy, DeleteSweep, Download, OpenInNew } from '@mui/icons-material';
+import { BidHistoryEntry, clearHistory, downloadFile, historyToCsv, loadHistory } from '../shared/history';
+
+type Props = {
+  onStatus: (message: string, type: 'success' | 'error' | 'info') => void;
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    '& fieldset': { borderColor: 'rgba(103, 126, 234, 0.3)' },
+    '&:hover fieldset': { borderColor: 'primary.main' },
+    '&.Mui-focused fieldset': { borderColor: 'primary.main' },
+  }
+};
+
+// Date inputs give "YYYY-MM-DD"; compare against local midnight.
+const startOfDay = (value: string) => (value ? new Date(`${value}T00:00:00`).getTime() : null);
+
+export default function HistorySection({ onStatus }: Props): JSX.Element {
+  const [history, setHistory] = useState<BidHistoryEntry[]>([]);
+  const [query, setQuery] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [skill, setSkill] = useState<string | null>(null);
+  const [opened, setOpened] = useState<BidHistoryEntry | null>(null);
+
+  const refresh = useCallback(() => {
+    loadHistory()
+      .then(setHistory)
+      .catch((e: any) => onStatus(`Error loading history: ${e.message}`, 'error'));
+  }, [onStatus]);
+
+  useEffect(() => {
+    refresh();
+    const listener = (changes: { [key: string]: chrome.storage.StorageChange }, area: string) => {
+      if (area === 'local' && changes.bidHistory) refresh();
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }, [refresh]);
+
+  const allSkills = useMemo(
+    () => Array.from(new Set(history.flatMap(h => h.skills || []))).sort((a, b) => a.localeCompare(b)),
+    [history]
+  );
+
+  const filtered = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const from = startOfDay(fromDate);
+    const toStart = startOfDay(toDate);
+    const to = toStart === null ? null : toStart + 24 * 60 * 60 * 1000;
+    return history.filter(h => {
+      if (from !== null && h.createdAt < from) return false;
+      if (to !== null && h.createdAt >= to) return false;
+      if (skill && !(h.skills || []).includes(skill)) return false;
+      if (!q) return true;
+      return [h.title, h.bidText, h.projectUrl, h.budget].some(v => (v || '').toLowerCase().includes(q));
+    });
+  }, [history, query, fromDate, toDate, skill]);
+
+  const stamp = () => new Date().toISOString().slice(0, 10);
+
+  const onExportCsv = () => {
+    downloadFile(`bid-history-${stamp()}.csv`, historyToCsv(filtered), 'text/csv');
+  };
+
+  const onExportJson = () => {
+    downloadFile(`bid-history-${stamp()}.json`, JSON.stringify(filtered, null, 2), 'application/json');
+  };
+
+  const onClear = async () => {
+    if (!window.confirm('Delete the entire bid history? This cannot be undone.')) return;
+    try {
+      await clearHistory();
+      setHistory([]);
+      onStatus('Bid history cleared.', 'info');
+    } catch (e: any) {
+      onStatus(`Error clearing history: ${e.message}`, 'error');
+    }
+  };
+
+  const onCopy = async (text: string) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      onStatus('Proposal copied to clipboard.', 'success');
+    } catch (e: any) {
+      onStatus(`Copy failed: ${e.message}`, 'error');
+    }
+  };
+
+  return (
+    <Stack spacing={3}>
+      <TextField
+        fullWidth
+        label="🔍 Search"
+        placeholder="Title, proposal text, URL or budget"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        sx={fieldSx}
+      />
+      <Stack direction="row" spacing={2}>
+        <TextField
+          fullWidth
+          type="date"
+          label="From"
+          InputLabelProps={{ shrink: true }}
+          value={fromDate}
+          onChange={(e) => setFromDate(e.target.value)}
+          sx={fieldSx}
+        />
+        <TextField
+          fullWidth
+          type="date"
+          label="To"
+          InputLabelProps={{ shrink: true }}
+          value={toDate}
+          onChange={(e) => setToDate(e.target.value)}
+          sx={fieldSx}
+        />
+        <Autocomplete
+          fullWidth
+          options={allSkills}
+          value={skill}
+          onChange={(_, value) => setSkill(value)}
+          renderInput={(params) => <TextField {...params} label="Skill" sx={fieldSx} />}
+        />
+      </Stack>
+
+      <Stack direction="row" spacing={2} alignItems="center">
+        <Typography variant="body2" color="text.secondary" sx={{ flex: 1 }}>
+          {filtered.length} of {history.length} bids
+        </Typography>
+        <Button variant="outlined" startIcon={<Download />} onClick={onExportCsv} disabled={filtered.length === 0}>
+          CSV
+        </Button>
+        <Button variant="outlined" startIcon={<Download />} onClick={onExportJson} disabled={filtered.length === 0}>
+          JSON
+        </Button>
+        <Button variant="outlined" color="error" startIcon={<DeleteSweep />} onClick={onClear} disabled={history.length === 0}>
+          Clear
+        </Button>
+      </Stack>
+
+      {filtered.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No bids match. Generated bids are saved here automatically.
+        </Typography>
+      ) : (
+        <Stack spacing={1.5}>
+          {filtered.map(h => (
+            <Paper
+              key={h.id}
+              variant="outlined"
+              onClick={() => setOpened(h)}
+              sx={{
+                p: 2,
+                cursor: 'pointer',
+                borderRadius: 2,
+                borderColor: 'rgba(103, 126, 234, 0.3)',
+                '&:hover': { borderColor: 'primary.main', backgroundColor: 'rgba(103, 126, 234, 0.03)' }
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+                <Typography variant="subtitle2" sx={{ fontWeight: 700, flex: 1 }} noWrap>
+                  {h.title || h.projectUrl || 'Untitled project'}
+                </Typography>
+                <Chip
+                  size="small"
+                  label={h.status}
+                  color={h.status === 'submitted' ? 'primary' : h.status === 'inserted' ? 'success' : 'default'}
+                />
+              </Box>
+              <Typography variant="caption" color="text.secondary">
+                {new Date(h.createdAt).toLocaleString()}
+                {h.bidAmount ? ` • Bid ${h.bidAmount}` : ''}
+                {h.deliveryTime ? ` • ${h.deliveryTime} days` : ''}
+                {h.budget ? ` • Budget ${h.budget}` : ''}
+                {` • ${h.provider}/${h.model}`}
+              </Typography>
+              <Typography variant="body2" color="text.secondary" noWrap sx={{ mt: 0.5 }}>
+                {h.bidText}
+              </Typography>
+            </Paper>
+          ))}
+        </Stack>
+      )}
+
+      <Dialog open={Boolean(opened)} onClose={() => setOpened(null)} maxWidth="md" fullWidth>
+        {opened && (
+          <>
+            <DialogTitle sx={{ fontWeight: 700 }}>{opened.title || 'Untitled project'}</DialogTitle>
+            <DialogContent dividers>
+              <Stack spacing={2}>
+                <Typography variant="caption" color="text.secondary">
+                  {new Date(opened.createdAt).toLocaleString()} • {opened.provider}/{opened.model}
+                </Typography>
+                {opened.projectUrl && (
+                  <Link href={opened.projectUrl} target="_blank" rel="noopener noreferrer">
+                    {opened.projectUrl}
+                  </Link>
+                )}
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                  {opened.budget && <Chip size="small" label={`Budget: ${opened.budget}`} />}
+                  {opened.bidAmount && <Chip size="small" label={`Bid: ${opened.bidAmount}`} />}
+                  {opened.deliveryTime && <Chip size="small" label={`${opened.deliveryTime} days`} />}
+                  {(opened.skills || []).map(s => <Chip key={s} size="small" variant="outlined" label={s} />)}
+                </Box>
+                <TextField
+                  multiline
+                  fullWidth
+                  minRows={6}
+                  value={opened.bidText}
+                  InputProps={{ readOnly: true }}
+                  sx={fieldSx}
+                />
+                {(opened.variants || []).length > 1 && opened.variants!.map(v => (
+                  <TextField
+                    key={v.tone}
+                    multiline
+                    fullWidth
+                    minRows={3}
+                    label={`Variant: ${v.tone}`}
+                    value={v.text}
+                    InputProps={{ readOnly: true }}
+                    sx={fieldSx}
+                  />
+                ))}
+              </Stack>
+            </DialogContent>
+            <DialogActions>
+              {opened.projectUrl && (
+                <Button startIcon={<OpenInNew />} href={opened.projectUrl} target="_blank" rel="noopener noreferrer">
+                  Open project
+                </Button>
+              )}
+              <Button startIcon={<ContentCopy />} onClick={() => onCopy(opened.bidText)}>Copy</Button>
+              <Button onClick={() => setOpened(null)}>Close</Button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
+    </Stack>
+  );
+}
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { Alert, Box, Button, Paper, Stack, TextField, Typography } from '@mui/material';
+import { Lock, LockOpen } from '@mui/icons-material';
+import { KeyStatus, createKeyVault, lockKeys, resetKeyVault, unlockKeys } from '../shared/keys';
+
+type Props = {
+  keyStatus: KeyStatus | null;
+  onStatus: (message: string, type: 'success' | 'error' | 'info') => void;
+  // Reloads the key status after a change
+  onChange: () => void;
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    '& fieldset': { borderColor: 'rgba(103, 126, 234, 0.3)' },
+    '&:hover fieldset': { borderColor: 'primary.main' },
+    '&.Mui-focused fieldset': { borderColor: 'primary.main' },
+  }
+};
+
+export default function KeyVaultSection({ keyStatus, onStatus, onChange }: Props): JSX.Element | null {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [isBusy, setBusy] = useState(false);
+
+  if (!keyStatus) return null;
+
+  const run = async (action: () => Promise<string>) => {
+    setBusy(true);
+    try {
+      onStatus(await action(), 'success');
+      setPassphrase('');
+      setConfirmation('');
+    } catch (e: any) {
+      onStatus(e.message, 'error');
+    } finally {
+      setBusy(false);
+      onChange();
+    }
+  };
+
+  const onCreate = () => run(async () => {
+    if (passphrase !== confirmation) throw new Error('The passphrases do not match.');
+    const migrated = await createKeyVault(passphrase);
+    return migrated.length
+      ? `Passphrase set. ${migrated.length} key(s) were encrypted and removed from Chrome sync.`
+      : 'Passphrase set. Keys you save from now on are encrypted.';
+  });
+
+  const onUnlock = () => run(async () => {
+    await unlockKeys(passphrase);
+    return 'Keys unlocked for this session.';
+  });
+
+  const onReset = () => {
+    if (!window.confirm('Delete every saved API key and the passphrase? You will have to enter the keys again.')) return;
+    run(async () => {
+      await resetKeyVault();
+      return 'Saved keys deleted. Set a new passphrase to save keys again.';
+    });
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 3, borderRadius: 3 }}>
+      <Typography variant="h6" gutterBottom sx={{ fontWeight: 600, color: 'primary.main' }}>
+        🔐 Key storage
+      </Typography>
+
+      {!keyStatus.configured && (
+        <Stack spacing={2}>
+          <Alert severity={keyStatus.legacy.length ? 'warning' : 'info'} sx={{ borderRadius: 2 }}>
+            {keyStatus.legacy.length
+              ? `${keyStatus.legacy.length} API key(s) from an older version are stored unencrypted. Set a passphrase to encrypt them on this device.`
+              : 'API keys are encrypted with a passphrase and stay on this device. Set one before saving a key.'}
+          </Alert>
+          <Stack direction="row" spacing={2}>
+            <TextField
+              fullWidth
+              type="password"
+              label="Passphrase"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              helperText="At least 8 characters. It cannot be recovered."
+              sx={fieldSx}
+            />
+            <TextField
+              fullWidth
+              type="password"
+              label="Repeat passphrase"
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              sx={fieldSx}
+            />
+          </Stack>
+          <Box>
+            <Button variant="contained" startIcon={<Lock />} disabled={isBusy || !passphrase} onClick={onCreate}>
+              Encrypt keys
+            </Button>
+          </Box>
+        </Stack>
+      )}
+
+      {keyStatus.configured && !keyStatus.unlocked && (
+        <Stack spacing={2}>
+          <Typography variant="body2" color="text.secondary">
+            Your keys are locked. Enter the passphrase to use them until the browser is closed.
+          </Typography>
+          <Stack direction="row" spacing={2} alignItems="flex-start">
+            <TextField
+              fullWidth
+              size="small"
+              type="password"
+              label="Passphrase"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && passphrase) onUnlock();
+              }}
+              sx={fieldSx}
+            />
+            <Button
+              variant="contained"
+              startIcon={<LockOpen />}
+              disabled={isBusy || !passphrase}
+              onClick={onUnlock}
+            >
+              Unlock
+            </Button>
+          </Stack>
+          <Box>
+            <Button size="small" color="error" disabled={isBusy} onClick={onReset}>
+              Forgot the passphrase? Delete saved keys
+            </Button>
+          </Box>
+        </Stack>
+      )}
+
+      {keyStatus.configured && keyStatus.unlocked && (
+        <Stack direction="row" spacing={2} alignItems="center" justifyContent="space-between">
+          <Typography variant="body2" color="text.secondary">
+            Keys are encrypted on this device and unlocked until the browser is closed.
+            {keyStatus.stored.length ? ` Saved: ${keyStatus.stored.join(', ')}.` : ' No key saved yet.'}
+          </Typography>
+          <Button
+            variant="outlined"
+            startIcon={<Lock />}
+            disabled={isBusy}
+            onClick={() => run(async () => { await lockKeys(); return 'Keys locked.'; })}
+          >
+            Lock now
+          </Button>
+        </Stack>
+      )}
+    </Paper>
+  );
+}
@@ -0,0 +1,277 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Stack,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add, Delete, Download, Save, Search, Upload } from '@mui/icons-material';
+import { downloadFile } from '../shared/history';
+import {
+  PastProject,
+  PastProjectMatch,
+  createPastProject,
+  deletePastProject,
+  exportPastProjects,
+  loadPastProjects,
+  parsePastProjects,
+  requestRelevantProjects,
+  savePastProjects
+} from '../shared/knowledge';
+
+type Props = {
+  onStatus: (message: string, type: 'success' | 'error' | 'info') => void;
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    '& fieldset': { borderColor: 'rgba(103, 126, 234, 0.3)' },
+    '&:hover fieldset': { borderColor: 'primary.main' },
+    '&.Mui-focused fieldset': { borderColor: 'primary.main' },
+  }
+};
+
+export default function KnowledgeSection({ onStatus }: Props): JSX.Element {
+  const [projects, setProjects] = useState<PastProject[]>([]);
+  const [selectedId, setSelectedId] = useState('');
+  // Ids edited since the last save; deletions are written straight away
+  const [dirty, setDirty] = useState<string[]>([]);
+  const [sample, setSample] = useState('');
+  const [matches, setMatches] = useState<PastProjectMatch[] | null>(null);
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  const refresh = useCallback(async () => {
+    const list = await loadPastProjects();
+    setProjects(list);
+    setDirty([]);
+    setSelectedId(prev => (list.some(p => p.id === prev) ? prev : list[0]?.id || ''));
+  }, []);
+
+  useEffect(() => {
+    refresh().catch((e: any) => onStatus(`Error loading past projects: ${e.message}`, 'error'));
+  }, [refresh, onStatus]);
+
+  const selected = projects.find(p => p.id === selectedId);
+
+  const updateSelected = useCallback((patch: Partial<PastProject>) => {
+    setProjects(prev => prev.map(p => (p.id === selectedId ? { ...p, ...patch } : p)));
+    setDirty(prev => (prev.includes(selectedId) ? prev : [...prev, selectedId]));
+  }, [selectedId]);
+
+  const onAdd = () => {
+    const project = createPastProject();
+    setProjects(prev => [project, ...prev]);
+    setDirty(prev => [...prev, project.id]);
+    setSelectedId(project.id);
+  };
+
+  const onDelete = async () => {
+    if (!selected) return;
+    try {
+      await deletePastProject(selected.id);
+      const remaining = projects.filter(p => p.id !== selected.id);
+      setProjects(remaining);
+      setDirty(prev => prev.filter(id => id !== selected.id));
+      setSelectedId(remaining[0]?.id || '');
+      onStatus(`Deleted "${selected.title}".`, 'info');
+    } catch (e: any) {
+      onStatus(`Error deleting the project: ${e.message}`, 'error');
+    }
+  };
+
+  const onSave = async () => {
+    const changed = projects
+      .filter(p => dirty.includes(p.id))
+      .map(p => ({
+        ...p,
+        title: p.title.trim() || 'Untitled project',
+        stack: p.stack.map(s => s.trim()).filter(Boolean),
+        outcome: p.outcome.trim(),
+        link: p.link.trim(),
+        quote: p.quote.trim(),
+        updatedAt: Date.now()
+      }));
+    try {
+      await savePastProjects(changed);
+      await refresh();
+      onStatus(`Saved ${changed.length} project${changed.length === 1 ? '' : 's'}.`, 'success');
+    } catch (e: any) {
+      onStatus(`Error saving past projects: ${e.message}`, 'error');
+    }
+  };
+
+  const onImport = async (file?: File) => {
+    if (!file) return;
+    try {
+      const imported = parsePastProjects(await file.text());
+      await savePastProjects(imported);
+      await refresh();
+      onStatus(`Imported ${imported.length} project${imported.length === 1 ? '' : 's'}.`, 'success');
+    } catch (e: any) {
+      onStatus(`Import failed: ${e.message}`, 'error');
+    }
+    if (fileInput.current) fileInput.current.value = '';
+  };
+
+  const onExport = () => {
+    downloadFile(`past-projects-${new Date().toISOString().slice(0, 10)}.json`, exportPastProjects(projects), 'application/json');
+  };
+
+  // Uses the saved projects, so unsaved edits are not part of the result.
+  const onFind = async () => {
+    try {
+      setMatches(await requestRelevantProjects(sample));
+    } catch (e: any) {
+      onStatus(e.message, 'error');
+    }
+  };
+
+  return (
+    <Stack spacing={3}>
+      <Typography variant="body2" color="text.secondary">
+        Projects you have delivered. For every bid the 2–3 entries most similar to the job (TF-IDF over title,
+        stack, outcome and quote) are added to the prompt, so the bid names real prior work instead of a generic
+        “see my portfolio”. Stored in this browser's IndexedDB; export a copy to back it up.
+      </Typography>
+
+      <Stack direction="row" spacing={2} alignItems="center">
+        <FormControl fullWidth>
+          <InputLabel sx={{ fontWeight: 600 }}>Past project</InputLabel>
+          <Select
+            value={selected ? selectedId : ''}
+            label="Past project"
+            onChange={(e) => setSelectedId(e.target.value as string)}
+          >
+            {projects.map(p => (
+              <MenuItem key={p.id} value={p.id}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  {p.title}
+                  {dirty.includes(p.id) && <Chip size="small" color="warning" label="Unsaved" />}
+                </Box>
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button variant="outlined" startIcon={<Add />} onClick={onAdd}>New</Button>
+        <Button variant="outlined" color="error" startIcon={<Delete />} onClick={onDelete} disabled={!selected}>
+          Delete
+        </Button>
+      </Stack>
+
+      {!selected ? (
+        <Typography variant="body2" color="text.secondary">
+          No past projects yet. Click "New" or import a JSON export.
+        </Typography>
+      ) : (
+        <>
+          <TextField
+            fullWidth
+            label="📁 Title"
+            helperText="What you built, e.g. “Inventory sync between Shopify and a warehouse ERP”"
+            value={selected.title}
+            onChange={(e) => updateSelected({ title: e.target.value })}
+            sx={fieldSx}
+          />
+          <TextField
+            fullWidth
+            label="🛠️ Tech stack"
+            helperText="Comma separated"
+            value={selected.stack.join(',')}
+            onChange={(e) => updateSelected({ stack: e.target.value.split(',') })}
+            sx={fieldSx}
+          />
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            label="📈 Outcome"
+            helperText="The measurable result, e.g. “cut order processing from 2 days to 10 minutes”"
+            value={selected.outcome}
+            onChange={(e) => updateSelected({ outcome: e.target.value })}
+            sx={fieldSx}
+          />
+          <TextField
+            fullWidth
+            label="🔗 Link"
+            value={selected.link}
+            onChange={(e) => updateSelected({ link: e.target.value })}
+            sx={fieldSx}
+          />
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            label="💬 Client quote"
+            value={selected.quote}
+            onChange={(e) => updateSelected({ quote: e.target.value })}
+            sx={fieldSx}
+          />
+        </>
+      )}
+
+      <Stack direction="row" spacing={1}>
+        <Button size="small" startIcon={<Upload />} onClick={() => fileInput.current?.click()}>Import</Button>
+        <Button size="small" startIcon={<Download />} onClick={onExport} disabled={projects.length === 0}>Export</Button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept="application/json,.json"
+          hidden
+          onChange={(e) => onImport(e.target.files?.[0])}
+        />
+      </Stack>
+
+      <Paper variant="outlined" sx={{ p: 2 }}>
+        <Stack spacing={2}>
+          <Typography variant="subtitle2" fontWeight={700}>Try it</Typography>
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            label="Project description"
+            value={sample}
+            onChange={(e) => setSample(e.target.value)}
+            sx={fieldSx}
+          />
+          <Box>
+            <Button variant="outlined" startIcon={<Search />} onClick={onFind} disabled={!sample.trim()}>
+              Find similar projects
+            </Button>
+          </Box>
+          {matches && (matches.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">No saved project is similar enough; the bid cites none.</Typography>
+          ) : matches.map(m => (
+            <Typography key={m.project.id} variant="body2">
+              <strong>{m.project.title}</strong> ({(m.score * 100).toFixed(0)}% similar: {m.terms.join(', ')})
+            </Typography>
+          )))}
+        </Stack>
+      </Paper>
+
+      <Button
+        variant="contained"
+        size="large"
+        onClick={onSave}
+        startIcon={<Save />}
+        disabled={dirty.length === 0}
+        fullWidth
+        sx={{
+          py: 2,
+          fontSize: '1.1rem',
+          fontWeight: 700,
+          background: 'linear-gradient(45deg, #667eea 30%, #764ba2 90%)',
+          boxShadow: '0 6px 20px rgba(102, 126, 234, 0.4)',
+        }}
+      >
+        💾 Save Past Projects
+      </Button>
+    </Stack>
+  );
+}
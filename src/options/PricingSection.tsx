@@ -0,0 +1,193 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  FormControl,
+  FormControlLabel,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  Stack,
+  Switch,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add, Delete, Save } from '@mui/icons-material';
+import { DEFAULT_PRICING, PricingRounding, PricingSettings, ROUNDING_OPTIONS, loadPricing, savePricing } from '../shared/pricing';
+
+type Props = {
+  onStatus: (message: string, type: 'success' | 'error' | 'info') => void;
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    '& fieldset': { borderColor: 'rgba(103, 126, 234, 0.3)' },
+    '&:hover fieldset': { borderColor: 'primary.main' },
+    '&.Mui-focused fieldset': { borderColor: 'primary.main' },
+  }
+};
+
+// Number inputs are kept as typed and only parsed on save.
+const toNumber = (value: unknown, fallback: number) => {
+  const parsed = parseFloat(String(value));
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+export default function PricingSection({ onStatus }: Props): JSX.Element {
+  const [pricing, setPricing] = useState<PricingSettings>(DEFAULT_PRICING);
+
+  useEffect(() => {
+    loadPricing()
+      .then(setPricing)
+      .catch((e: any) => onStatus(`Error loading pricing rules: ${e.message}`, 'error'));
+  }, [onStatus]);
+
+  const update = (patch: Partial<PricingSettings>) => setPricing(prev => ({ ...prev, ...patch }));
+
+  const updateMinimum = (index: number, patch: Partial<PricingSettings['skillMinimums'][number]>) => {
+    update({ skillMinimums: pricing.skillMinimums.map((m, i) => (i === index ? { ...m, ...patch } : m)) });
+  };
+
+  const onSave = async () => {
+    const cleaned: PricingSettings = {
+      ...pricing,
+      budgetPercent: Math.max(0, Math.min(100, toNumber(pricing.budgetPercent, DEFAULT_PRICING.budgetPercent))),
+      hourlyRate: Math.max(0, toNumber(pricing.hourlyRate, 0)),
+      hoursPerDay: Math.max(1, Math.min(24, toNumber(pricing.hoursPerDay, DEFAULT_PRICING.hoursPerDay))),
+      skillMinimums: pricing.skillMinimums
+        .map(m => ({ skill: m.skill.trim(), amount: Math.max(0, toNumber(m.amount, 0)) }))
+        .filter(m => m.skill && m.amount > 0)
+    };
+    try {
+      await savePricing(cleaned);
+      setPricing(cleaned);
+      onStatus('Pricing rules saved.', 'success');
+    } catch (e: any) {
+      onStatus(`Error saving pricing rules: ${e.message}`, 'error');
+    }
+  };
+
+  return (
+    <Stack spacing={3}>
+      <FormControlLabel
+        control={<Switch checked={pricing.enabled} onChange={(e) => update({ enabled: e.target.checked })} />}
+        label="Pre-fill the bid amount and delivery time from these rules"
+      />
+
+      <Stack direction="row" spacing={2}>
+        <TextField
+          fullWidth
+          type="number"
+          label="Position in budget range (%)"
+          helperText="0 = client's minimum, 100 = maximum"
+          value={pricing.budgetPercent}
+          onChange={(e) => update({ budgetPercent: e.target.value as any })}
+          inputProps={{ min: 0, max: 100, step: 5 }}
+          sx={fieldSx}
+        />
+        <TextField
+          fullWidth
+          type="number"
+          label="My hourly rate"
+          helperText="Floor: rate × estimated hours, in the project's currency (0 = off)"
+          value={pricing.hourlyRate}
+          onChange={(e) => update({ hourlyRate: e.target.value as any })}
+          inputProps={{ min: 0, step: 1 }}
+          sx={fieldSx}
+        />
+      </Stack>
+
+      <Stack direction="row" spacing={2}>
+        <TextField
+          fullWidth
+          type="number"
+          label="Billable hours per day"
+          helperText="Turns estimated hours into delivery days"
+          value={pricing.hoursPerDay}
+          onChange={(e) => update({ hoursPerDay: e.target.value as any })}
+          inputProps={{ min: 1, max: 24, step: 1 }}
+          sx={fieldSx}
+        />
+        <FormControl fullWidth>
+          <InputLabel sx={{ fontWeight: 600 }}>Rounding</InputLabel>
+          <Select
+            value={pricing.rounding}
+            label="Rounding"
+            onChange={(e) => update({ rounding: e.target.value as PricingRounding })}
+          >
+            {ROUNDING_OPTIONS.map(o => <MenuItem key={o.value} value={o.value}>{o.label}</MenuItem>)}
+          </Select>
+        </FormControl>
+      </Stack>
+
+      <FormControlLabel
+        control={<Switch checked={pricing.useAiHours} onChange={(e) => update({ useAiHours: e.target.checked })} />}
+        label="Ask the AI provider to estimate hours (one extra short request per project)"
+      />
+
+      <Box>
+        <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 1 }}>Per-skill minimums</Typography>
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1.5 }}>
+          The bid never goes below the highest minimum among the project's skills.
+        </Typography>
+        <Stack spacing={1.5}>
+          {pricing.skillMinimums.map((m, i) => (
+            <Stack key={i} direction="row" spacing={2} alignItems="center">
+              <TextField
+                fullWidth
+                size="small"
+                label="Skill"
+                value={m.skill}
+                onChange={(e) => updateMinimum(i, { skill: e.target.value })}
+                sx={fieldSx}
+              />
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Minimum bid"
+                value={m.amount}
+                onChange={(e) => updateMinimum(i, { amount: e.target.value as any })}
+                inputProps={{ min: 0, step: 1 }}
+                sx={fieldSx}
+              />
+              <IconButton
+                color="error"
+                onClick={() => update({ skillMinimums: pricing.skillMinimums.filter((_, j) => j !== i) })}
+              >
+                <Delete />
+              </IconButton>
+            </Stack>
+          ))}
+          <Box>
+            <Button
+              variant="outlined"
+              startIcon={<Add />}
+              onClick={() => update({ skillMinimums: [...pricing.skillMinimums, { skill: '', amount: 0 }] })}
+            >
+              Add minimum
+            </Button>
+          </Box>
+        </Stack>
+      </Box>
+
+      <Button
+        variant="contained"
+        size="large"
+        onClick={onSave}
+        startIcon={<Save />}
+        fullWidth
+        sx={{
+          py: 2,
+          fontSize: '1.1rem',
+          fontWeight: 700,
+          background: 'linear-gradient(45deg, #667eea 30%, #764ba2 90%)',
+          boxShadow: '0 6px 20px rgba(102, 126, 234, 0.4)',
+        }}
+      >
+        💾 Save Pricing Rules
+      </Button>
+    </Stack>
+  );
+}
@@ -0,0 +1,281 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  Stack,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add, Delete, Save, CheckCircle } from '@mui/icons-material';
+import { FreelancerProfile, LocalizedLines, createProfile, loadProfiles, saveProfiles } from '../shared/profiles';
+import { LANGUAGES } from '../shared/languages';
+
+type Props = {
+  onStatus: (message: string, type: 'success' | 'error' | 'info') => void;
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    '& fieldset': { borderColor: 'rgba(103, 126, 234, 0.3)' },
+    '&:hover fieldset': { borderColor: 'primary.main' },
+    '&.Mui-focused fieldset': { borderColor: 'primary.main' },
+  }
+};
+
+// List fields are edited as raw text and only cleaned up on save,
+// so typing a trailing comma or newline is not swallowed.
+const cleanList = (items: string[]) => items.map(s => s.trim()).filter(Boolean);
+
+// Languages without their own lines are dropped, so the English lines get translated instead.
+const cleanLines = (lines: Record<string, LocalizedLines> = {}) => Object.fromEntries(
+  Object.entries(lines)
+    .map(([code, l]) => [code, { openingLine: l.openingLine.trim(), closingLine: l.closingLine.trim() }] as const)
+    .filter(([, l]) => l.openingLine || l.closingLine)
+);
+
+const FOREIGN_LANGUAGES = LANGUAGES.filter(l => l.code !== 'en');
+
+export default function ProfilesSection({ onStatus }: Props): JSX.Element {
+  const [profiles, setProfiles] = useState<FreelancerProfile[]>([]);
+  const [activeProfileId, setActiveProfileId] = useState('');
+  const [selectedId, setSelectedId] = useState('');
+  const [lineLanguage, setLineLanguage] = useState(FOREIGN_LANGUAGES[0].code);
+
+  useEffect(() => {
+    loadProfiles()
+      .then(({ profiles: list, activeProfileId: active }) => {
+        setProfiles(list);
+        setActiveProfileId(active);
+        setSelectedId(active || list[0]?.id || '');
+      })
+      .catch((e: any) => onStatus(`Error loading profiles: ${e.message}`, 'error'));
+  }, [onStatus]);
+
+  const selected = profiles.find(p => p.id === selectedId);
+  const localized = selected?.localizedLines?.[lineLanguage] || { openingLine: '', closingLine: '' };
+  const lineLanguageName = FOREIGN_LANGUAGES.find(l => l.code === lineLanguage)?.name;
+
+  const updateSelected = useCallback((patch: Partial<FreelancerProfile>) => {
+    setProfiles(prev => prev.map(p => (p.id === selectedId ? { ...p, ...patch } : p)));
+  }, [selectedId]);
+
+  const updateLocalized = (patch: Partial<LocalizedLines>) => {
+    if (!selected) return;
+    updateSelected({
+      localizedLines: { ...(selected.localizedLines || {}), [lineLanguage]: { ...localized, ...patch } }
+    });
+  };
+
+  const onAdd = () => {
+    const profile = createProfile();
+    setProfiles(prev => [...prev, profile]);
+    setSelectedId(profile.id);
+  };
+
+  const onDelete = () => {
+    if (!selected) return;
+    const remaining = profiles.filter(p => p.id !== selected.id);
+    setProfiles(remaining);
+    setSelectedId(remaining[0]?.id || '');
+    if (activeProfileId === selected.id) setActiveProfileId(remaining[0]?.id || '');
+  };
+
+  const onSave = async () => {
+    const cleaned = profiles.map(p => ({
+      ...p,
+      name: p.name.trim() || 'Unnamed profile',
+      skills: cleanList(p.skills),
+      highlights: cleanList(p.highlights),
+      reviews: cleanList(p.reviews),
+      localizedLines: cleanLines(p.localizedLines),
+    }));
+    const active = cleaned.some(p => p.id === activeProfileId) ? activeProfileId : (cleaned[0]?.id || '');
+    try {
+      await saveProfiles(cleaned, active);
+      setProfiles(cleaned);
+      setActiveProfileId(active);
+      onStatus('Profiles saved successfully!', 'success');
+    } catch (e: any) {
+      onStatus(`Error saving profiles: ${e.message}`, 'error');
+    }
+  };
+
+  return (
+    <Stack spacing={3}>
+      <Stack direction="row" spacing={2} alignItems="center">
+        <FormControl fullWidth>
+          <InputLabel sx={{ fontWeight: 600 }}>Profile</InputLabel>
+          <Select
+            value={selected ? selectedId : ''}
+            label="Profile"
+            onChange={(e) => setSelectedId(e.target.value as string)}
+          >
+            {profiles.map(p => (
+              <MenuItem key={p.id} value={p.id}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  {p.name}
+                  {p.id === activeProfileId && <Chip size="small" color="primary" label="Active" />}
+                </Box>
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button variant="outlined" startIcon={<Add />} onClick={onAdd}>New</Button>
+        <Button variant="outlined" color="error" startIcon={<Delete />} onClick={onDelete} disabled={!selected}>
+          Delete
+        </Button>
+      </Stack>
+
+      {!selected ? (
+        <Typography variant="body2" color="text.secondary">
+          No profiles yet. Click "New" to create one.
+        </Typography>
+      ) : (
+        <>
+          <TextField
+            fullWidth
+            label="👤 Name"
+            value={selected.name}
+            onChange={(e) => updateSelected({ name: e.target.value })}
+            sx={fieldSx}
+          />
+          <Stack direction="row" spacing={2}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Years of experience"
+              value={selected.yearsExperience}
+              onChange={(e) => updateSelected({ yearsExperience: Number(e.target.value) || 0 })}
+              inputProps={{ min: 0, step: 1 }}
+              sx={fieldSx}
+            />
+            <TextField
+              fullWidth
+              type="number"
+              label="⭐ Rating"
+              value={selected.rating}
+              onChange={(e) => updateSelected({ rating: Number(e.target.value) || 0 })}
+              inputProps={{ min: 0, max: 5, step: 0.1 }}
+              sx={fieldSx}
+            />
+            <TextField
+              fullWidth
+              type="number"
+              label="Completed projects"
+              value={selected.projectCount}
+              onChange={(e) => updateSelected({ projectCount: Number(e.target.value) || 0 })}
+              inputProps={{ min: 0, step: 1 }}
+              sx={fieldSx}
+            />
+          </Stack>
+          <TextField
+            fullWidth
+            label="🛠️ Skills"
+            helperText="Comma separated"
+            value={selected.skills.join(',')}
+            onChange={(e) => updateSelected({ skills: e.target.value.split(',') })}
+            sx={fieldSx}
+          />
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            label="🏆 Highlights"
+            helperText="One per line, e.g. industries or client regions you are known for"
+            value={selected.highlights.join('\n')}
+            onChange={(e) => updateSelected({ highlights: e.target.value.split('\n') })}
+            sx={fieldSx}
+          />
+          <TextField
+            fullWidth
+            multiline
+            minRows={3}
+            label="💬 Review snippets"
+            helperText="One per line. Used to shape tone, never quoted directly."
+            value={selected.reviews.join('\n')}
+            onChange={(e) => updateSelected({ reviews: e.target.value.split('\n') })}
+            sx={fieldSx}
+          />
+          <TextField
+            fullWidth
+            label="Opening line"
+            helperText="Placeholders: {{specialization}}, {{yearsExperience}}, {{rating}}, {{projectCount}}, {{name}}"
+            value={selected.openingLine}
+            onChange={(e) => updateSelected({ openingLine: e.target.value })}
+            sx={fieldSx}
+          />
+          <TextField
+            fullWidth
+            label="Closing line"
+            value={selected.closingLine}
+            onChange={(e) => updateSelected({ closingLine: e.target.value })}
+            sx={fieldSx}
+          />
+          <Stack direction="row" spacing={2} alignItems="flex-start">
+            <FormControl sx={{ minWidth: 180 }}>
+              <InputLabel sx={{ fontWeight: 600 }}>🌐 Language</InputLabel>
+              <Select
+                value={lineLanguage}
+                label="🌐 Language"
+                onChange={(e) => setLineLanguage(e.target.value as string)}
+              >
+                {FOREIGN_LANGUAGES.map(l => (
+                  <MenuItem key={l.code} value={l.code}>
+                    {l.name}{selected.localizedLines?.[l.code] ? ' ✓' : ''}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Stack spacing={2} sx={{ flex: 1 }}>
+              <TextField
+                fullWidth
+                label={`Opening line (${lineLanguageName})`}
+                helperText="Used for bids in this language. Left empty, the English line is translated."
+                value={localized.openingLine}
+                onChange={(e) => updateLocalized({ openingLine: e.target.value })}
+                sx={fieldSx}
+              />
+              <TextField
+                fullWidth
+                label={`Closing line (${lineLanguageName})`}
+                value={localized.closingLine}
+                onChange={(e) => updateLocalized({ closingLine: e.target.value })}
+                sx={fieldSx}
+              />
+            </Stack>
+          </Stack>
+          <Button
+            variant="outlined"
+            startIcon={<CheckCircle />}
+            disabled={selected.id === activeProfileId}
+            onClick={() => setActiveProfileId(selected.id)}
+          >
+            {selected.id === activeProfileId ? 'Active profile' : 'Use as active profile'}
+          </Button>
+        </>
+      )}
+
+      <Button
+        variant="contained"
+        size="large"
+        onClick={onSave}
+        startIcon={<Save />}
+        fullWidth
+        sx={{
+          py: 2,
+          fontSize: '1.1rem',
+          fontWeight: 700,
+          background: 'linear-gradient(45deg, #667eea 30%, #764ba2 90%)',
+          boxShadow: '0 6px 20px rgba(102, 126, 234, 0.4)',
+        }}
+      >
+        💾 Save Profiles
+      </Button>
+    </Stack>
+  );
+}
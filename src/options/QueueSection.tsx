@@ -0,0 +1,293 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  FormControl,
+  InputLabel,
+  LinearProgress,
+  Link,
+  MenuItem,
+  Paper,
+  Select,
+  Stack,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Delete, DeleteSweep, Input as InputIcon, Replay } from '@mui/icons-material';
+import {
+  BATCH_CONCURRENCY_OPTIONS,
+  QUEUE_STATUSES,
+  QueueItem,
+  QueueStatus,
+  loadBatchConcurrency,
+  loadQueue,
+  queueAction,
+  saveBatchConcurrency
+} from '../shared/queue';
+import { fitColor } from '../shared/fit';
+
+type Props = {
+  onStatus: (message: string, type: 'success' | 'error' | 'info') => void;
+};
+
+type Draft = Pick<QueueItem, 'bidText' | 'bidAmount' | 'deliveryTime'>;
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    '& fieldset': { borderColor: 'rgba(103, 126, 234, 0.3)' },
+    '&:hover fieldset': { borderColor: 'primary.main' },
+    '&.Mui-focused fieldset': { borderColor: 'primary.main' },
+  }
+};
+
+const STATUS_COLORS: Record<QueueStatus, 'default' | 'info' | 'primary' | 'success' | 'error'> = {
+  pending: 'default',
+  working: 'info',
+  generated: 'primary',
+  inserted: 'success',
+  failed: 'error',
+  skipped: 'default'
+};
+
+export default function QueueSection({ onStatus }: Props): JSX.Element {
+  const [queue, setQueue] = useState<QueueItem[]>([]);
+  const [drafts, setDrafts] = useState<Record<string, Draft>>({});
+  const [concurrency, setConcurrency] = useState(2);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const refresh = useCallback(() => {
+    loadQueue()
+      .then(setQueue)
+      .catch((e: any) => onStatus(`Error loading the queue: ${e.message}`, 'error'));
+  }, [onStatus]);
+
+  useEffect(() => {
+    refresh();
+    loadBatchConcurrency().then(setConcurrency).catch(() => {});
+    const listener = (changes: { [key: string]: chrome.storage.StorageChange }, area: string) => {
+      if (area === 'local' && changes.bidQueue) refresh();
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }, [refresh]);
+
+  const counts = useMemo(() => {
+    const result = {} as Record<QueueStatus, number>;
+    QUEUE_STATUSES.forEach(s => { result[s] = queue.filter(q => q.status === s).length; });
+    return result;
+  }, [queue]);
+
+  const run = async (action: string, payload: Record<string, unknown>, success?: string) => {
+    try {
+      await queueAction(action, payload);
+      if (success) onStatus(success, 'success');
+    } catch (e: any) {
+      onStatus(e.message, 'error');
+    }
+  };
+
+  const valueOf = (item: QueueItem): Draft => drafts[item.id] || {
+    bidText: item.bidText,
+    bidAmount: item.bidAmount,
+    deliveryTime: item.deliveryTime
+  };
+
+  const editDraft = (item: QueueItem, patch: Partial<Draft>) => {
+    setDrafts(prev => ({ ...prev, [item.id]: { ...valueOf(item), ...patch } }));
+  };
+
+  const saveDraft = async (id: string) => {
+    const draft = drafts[id];
+    if (!draft) return;
+    await run('batchEdit', { id, patch: draft });
+    setDrafts(prev => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  };
+
+  const onInsert = async (item: QueueItem) => {
+    setBusyId(item.id);
+    await saveDraft(item.id);
+    await run('batchInsert', { id: item.id }, 'Bid inserted. Review it in the opened tab and place it.');
+    setBusyId(null);
+  };
+
+  const onConcurrencyChange = async (value: number) => {
+    setConcurrency(value);
+    try {
+      await saveBatchConcurrency(value);
+    } catch (e: any) {
+      onStatus(`Could not save the limit: ${e.message}`, 'error');
+    }
+  };
+
+  const idsWith = (status: QueueStatus) => queue.filter(q => q.status === status).map(q => q.id);
+
+  return (
+    <Stack spacing={3}>
+      <Typography variant="body2" color="text.secondary">
+        Tick projects on a Freelancer search page and click <strong>Queue bids</strong>. Each project is opened in a
+        background tab to read its details, then a bid is generated. Review and edit the bids here, then insert them
+        one by one.
+      </Typography>
+
+      <Stack direction="row" spacing={2} alignItems="center">
+        <Box sx={{ flex: 1, display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+          {QUEUE_STATUSES.map(s => (
+            <Chip key={s} size="small" color={STATUS_COLORS[s]} variant={counts[s] ? 'filled' : 'outlined'} label={`${s}: ${counts[s]}`} />
+          ))}
+        </Box>
+        <FormControl size="small" sx={{ minWidth: 150 }}>
+          <InputLabel sx={{ fontWeight: 600 }}>Parallel jobs</InputLabel>
+          <Select
+            value={concurrency}
+            label="Parallel jobs"
+            onChange={(e) => onConcurrencyChange(Number(e.target.value))}
+          >
+            {BATCH_CONCURRENCY_OPTIONS.map(n => <MenuItem key={n} value={n}>{n}</MenuItem>)}
+          </Select>
+        </FormControl>
+      </Stack>
+
+      <Stack direction="row" spacing={2}>
+        <Button
+          variant="outlined"
+          startIcon={<Replay />}
+          disabled={counts.failed === 0}
+          onClick={() => run('batchRetry', { ids: idsWith('failed') }, 'Failed projects queued again.')}
+        >
+          Retry failed
+        </Button>
+        <Button
+          variant="outlined"
+          startIcon={<DeleteSweep />}
+          disabled={counts.inserted === 0}
+          onClick={() => run('batchRemove', { ids: idsWith('inserted') }, 'Inserted projects removed.')}
+        >
+          Clear inserted
+        </Button>
+        <Button
+          variant="outlined"
+          color="error"
+          startIcon={<DeleteSweep />}
+          disabled={queue.length === 0}
+          onClick={() => {
+            if (window.confirm('Remove every project from the queue? Projects being worked on are kept.')) {
+              run('batchRemove', { ids: queue.map(q => q.id) }, 'Queue cleared.');
+            }
+          }}
+        >
+          Clear all
+        </Button>
+      </Stack>
+
+      {queue.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          The queue is empty.
+        </Typography>
+      ) : (
+        <Stack spacing={1.5}>
+          {queue.map(item => {
+            const value = valueOf(item);
+            const hasBid = item.status === 'generated' || item.status === 'inserted';
+            return (
+              <Paper key={item.id} variant="outlined" sx={{ p: 2, borderRadius: 2, borderColor: 'rgba(103, 126, 234, 0.3)' }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+                  <Link href={item.url} target="_blank" rel="noopener noreferrer" sx={{ fontWeight: 700, flex: 1 }} noWrap>
+                    {item.title || item.url}
+                  </Link>
+                  {item.fit && <Chip size="small" variant="outlined" color={fitColor(item.fit.verdict)} label={`fit ${item.fit.score}`} />}
+                  <Chip size="small" label={item.status} color={STATUS_COLORS[item.status]} />
+                </Box>
+                <Typography variant="caption" color="text.secondary">
+                  {item.projectBudget?.text ? `Budget ${item.projectBudget.text}` : 'Budget unknown'}
+                  {item.provider ? ` • ${item.provider}/${item.model}` : ''}
+                  {(item.skills || []).length ? ` • ${item.skills.join(', ')}` : ''}
+                </Typography>
+                {item.status === 'working' && <LinearProgress sx={{ mt: 1, borderRadius: 1 }} />}
+                {item.error && (
+                  <Typography variant="body2" color="error" sx={{ mt: 1 }}>{item.error}</Typography>
+                )}
+
+                {hasBid && (
+                  <Stack spacing={1.5} sx={{ mt: 1.5 }}>
+                    <TextField
+                      multiline
+                      fullWidth
+                      minRows={4}
+                      label="Proposal"
+                      value={value.bidText}
+                      onChange={(e) => editDraft(item, { bidText: e.target.value })}
+                      onBlur={() => saveDraft(item.id)}
+                      sx={fieldSx}
+                    />
+                    <Stack direction="row" spacing={2}>
+                      <TextField
+                        fullWidth
+                        size="small"
+                        label="Bid amount"
+                        value={value.bidAmount ?? ''}
+                        onChange={(e) => editDraft(item, { bidAmount: e.target.value })}
+                        onBlur={() => saveDraft(item.id)}
+                        sx={fieldSx}
+                      />
+                      <TextField
+                        fullWidth
+                        size="small"
+                        label="Delivery (days)"
+                        value={value.deliveryTime ?? ''}
+                        onChange={(e) => editDraft(item, { deliveryTime: e.target.value })}
+                        onBlur={() => saveDraft(item.id)}
+                        sx={fieldSx}
+                      />
+                    </Stack>
+                    {(item.pricingExplanation || []).length > 0 && (
+                      <Box>
+                        {item.pricingExplanation!.map((line, i) => (
+                          <Typography key={i} variant="caption" component="div" color="text.secondary">
+                            • {line}
+                          </Typography>
+                        ))}
+                      </Box>
+                    )}
+                  </Stack>
+                )}
+
+                <Stack direction="row" spacing={1} sx={{ mt: 1.5 }} justifyContent="flex-end">
+                  {(item.status === 'failed' || item.status === 'skipped') && (
+                    <Button size="small" startIcon={<Replay />} onClick={() => run('batchRetry', { ids: [item.id] })}>
+                      {item.status === 'skipped' ? 'Generate anyway' : 'Retry'}
+                    </Button>
+                  )}
+                  {hasBid && (
+                    <Button
+                      size="small"
+                      variant="contained"
+                      startIcon={<InputIcon />}
+                      disabled={busyId === item.id}
+                      onClick={() => onInsert(item)}
+                    >
+                      {item.status === 'inserted' ? 'Insert again' : 'Insert'}
+                    </Button>
+                  )}
+                  <Button
+                    size="small"
+                    color="error"
+                    startIcon={<Delete />}
+                    disabled={item.status === 'working'}
+                    onClick={() => run('batchRemove', { ids: [item.id] })}
+                  >
+                    Remove
+                  </Button>
+                </Stack>
+              </Paper>
+            );
+          })}
+        </Stack>
+      )}
+    </Stack>
+  );
+}
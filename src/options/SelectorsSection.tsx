@@ -0,0 +1,265 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Stack,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Download, Upload, Refresh, RestartAlt, Save, AdsClick } from '@mui/icons-material';
+import { downloadFile } from '../shared/history';
+import {
+  SelectorDiagnostic,
+  SelectorPack,
+  diagnoseTab,
+  findFreelancerTabs,
+  loadDefaultSelectorPack,
+  loadSelectorPack,
+  parseSelectorPack,
+  pickInTab,
+  resetSelectorPack,
+  saveSelectorPack
+} from '../shared/selectors';
+
+type Props = {
+  onStatus: (message: string, type: 'success' | 'error' | 'info') => void;
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    '& fieldset': { borderColor: 'rgba(103, 126, 234, 0.3)' },
+    '&:hover fieldset': { borderColor: 'primary.main' },
+    '&.Mui-focused fieldset': { borderColor: 'primary.main' },
+  }
+};
+
+const packJson = (pack: SelectorPack) => JSON.stringify(pack, null, 2);
+
+function diagnosticChip(result: SelectorDiagnostic): JSX.Element {
+  if (result.selector) {
+    return <Chip size="small" color={result.index === 0 ? 'success' : 'warning'} label={result.index === 0 ? 'matched' : `fallback #${result.index + 1}`} />;
+  }
+  if (result.heuristic) return <Chip size="small" color="warning" label="heuristic" />;
+  return <Chip size="small" color="error" variant="outlined" label="not found" />;
+}
+
+export default function SelectorsSection({ onStatus }: Props): JSX.Element {
+  const [pack, setPack] = useState<SelectorPack | null>(null);
+  const [custom, setCustom] = useState(false);
+  const [text, setText] = useState('');
+  const [tabs, setTabs] = useState<chrome.tabs.Tab[]>([]);
+  const [tabId, setTabId] = useState<number | ''>('');
+  const [diagnostics, setDiagnostics] = useState<SelectorDiagnostic[]>([]);
+  const [diagnosedUrl, setDiagnosedUrl] = useState('');
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const stored = await loadSelectorPack();
+      const active = stored || await loadDefaultSelectorPack();
+      setPack(active);
+      setCustom(!!stored);
+      setText(packJson(active));
+    } catch (e: any) {
+      onStatus(`Error loading the selector pack: ${e.message}`, 'error');
+    }
+  }, [onStatus]);
+
+  const refreshTabs = useCallback(async () => {
+    const found = await findFreelancerTabs().catch(() => []);
+    setTabs(found);
+    setTabId(prev => (found.some(t => t.id === prev) ? prev : (found[0]?.id ?? '')));
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    refreshTabs();
+    // Picks made on the page are saved by the content script.
+    const listener = (changes: { [key: string]: chrome.storage.StorageChange }, area: string) => {
+      if (area === 'local' && changes.selectorPack) refresh();
+    };
+    const onPicked = (message: any) => {
+      if (message?.action === 'selectorPicked') onStatus(`"${message.key}" now starts with ${message.selector}`, 'success');
+    };
+    chrome.storage.onChanged.addListener(listener);
+    chrome.runtime.onMessage.addListener(onPicked);
+    return () => {
+      chrome.storage.onChanged.removeListener(listener);
+      chrome.runtime.onMessage.removeListener(onPicked);
+    };
+  }, [refresh, refreshTabs, onStatus]);
+
+  const onSave = async () => {
+    try {
+      const parsed = parseSelectorPack(text);
+      // Saving unchanged JSON keeps the revision; any edit is a new one.
+      const changed = !pack || packJson(parsed) !== packJson(pack);
+      const next = { ...parsed, revision: changed ? Math.max(parsed.revision, (pack?.revision || 0) + 1) : parsed.revision };
+      await saveSelectorPack(next);
+      onStatus(`Selector pack "${next.name}" saved (revision ${next.revision}).`, 'success');
+    } catch (e: any) {
+      onStatus(e.message, 'error');
+    }
+  };
+
+  const onReset = async () => {
+    if (!window.confirm('Discard the custom selector pack and go back to the built-in one?')) return;
+    try {
+      await resetSelectorPack();
+      await refresh();
+      onStatus('Built-in selector pack restored.', 'success');
+    } catch (e: any) {
+      onStatus(e.message, 'error');
+    }
+  };
+
+  const onImport = async (file?: File) => {
+    if (!file) return;
+    try {
+      const parsed = parseSelectorPack(await file.text());
+      await saveSelectorPack(parsed);
+      onStatus(`Imported selector pack "${parsed.name}" (revision ${parsed.revision}).`, 'success');
+    } catch (e: any) {
+      onStatus(`Import failed: ${e.message}`, 'error');
+    }
+    if (fileInput.current) fileInput.current.value = '';
+  };
+
+  const onExport = () => {
+    if (pack) downloadFile(`selector-pack-r${pack.revision}.json`, packJson(pack), 'application/json');
+  };
+
+  const onDiagnose = async () => {
+    if (tabId === '') return;
+    try {
+      const { url, results } = await diagnoseTab(tabId);
+      setDiagnostics(results);
+      setDiagnosedUrl(url);
+    } catch (e: any) {
+      onStatus(e.message, 'error');
+    }
+  };
+
+  const onPick = async (key: string) => {
+    if (tabId === '') return;
+    try {
+      await pickInTab(tabId, key);
+    } catch (e: any) {
+      onStatus(e.message, 'error');
+    }
+  };
+
+  return (
+    <Stack spacing={3}>
+      <Typography variant="body2" color="text.secondary">
+        The extension finds Freelancer's page elements with these CSS selectors, trying each one in order. When
+        Freelancer changes its layout, check which ones still match below and re-point the broken ones by clicking the
+        element on the page.
+      </Typography>
+
+      <Box>
+        <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 1.5 }}>
+          <Typography variant="subtitle2" sx={{ fontWeight: 700, flex: 1 }}>
+            Diagnostics
+          </Typography>
+          <FormControl size="small" sx={{ minWidth: 320, maxWidth: 420 }}>
+            <InputLabel sx={{ fontWeight: 600 }}>Freelancer tab</InputLabel>
+            <Select
+              value={tabId}
+              label="Freelancer tab"
+              onOpen={refreshTabs}
+              onChange={(e) => setTabId(e.target.value as number)}
+            >
+              {tabs.length === 0 && <MenuItem value="" disabled>No Freelancer tab open</MenuItem>}
+              {tabs.map(t => <MenuItem key={t.id} value={t.id}>{t.title || t.url}</MenuItem>)}
+            </Select>
+          </FormControl>
+          <Button variant="outlined" startIcon={<Refresh />} disabled={tabId === ''} onClick={onDiagnose}>
+            Check page
+          </Button>
+        </Stack>
+        {diagnostics.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            Open a Freelancer project or search page, then click <strong>Check page</strong>.
+          </Typography>
+        ) : (
+          <Paper variant="outlined" sx={{ borderRadius: 2, borderColor: 'rgba(103, 126, 234, 0.3)' }}>
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', px: 2, pt: 1.5 }} noWrap>
+              {diagnosedUrl}
+            </Typography>
+            {diagnostics.map(result => (
+              <Box key={result.key} sx={{ display: 'flex', alignItems: 'center', gap: 1.5, px: 2, py: 1, borderTop: '1px solid rgba(0,0,0,0.06)' }}>
+                <Box sx={{ width: 150, fontWeight: 600, fontSize: '0.875rem' }}>{result.key}</Box>
+                {diagnosticChip(result)}
+                <Box sx={{ flex: 1, minWidth: 0 }}>
+                  <Typography variant="body2" sx={{ fontFamily: 'monospace' }} noWrap>
+                    {result.selector || result.heuristic || '—'}
+                    {result.count > 1 ? ` (${result.count})` : ''}
+                  </Typography>
+                  {result.sample && (
+                    <Typography variant="caption" color="text.secondary" noWrap component="div">{result.sample}</Typography>
+                  )}
+                </Box>
+                <Button size="small" startIcon={<AdsClick />} onClick={() => onPick(result.key)}>
+                  Pick
+                </Button>
+              </Box>
+            ))}
+          </Paper>
+        )}
+      </Box>
+
+      <Box>
+        <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1.5 }}>
+          <Typography variant="subtitle2" sx={{ fontWeight: 700, flex: 1 }}>
+            Selector pack{pack ? `: ${pack.name}, revision ${pack.revision}` : ''}
+            {!custom && pack ? ' (built-in)' : ''}
+          </Typography>
+          <Button size="small" startIcon={<Upload />} onClick={() => fileInput.current?.click()}>Import</Button>
+          <Button size="small" startIcon={<Download />} disabled={!pack} onClick={onExport}>Export</Button>
+          <Button size="small" color="error" startIcon={<RestartAlt />} disabled={!custom} onClick={onReset}>Reset</Button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept="application/json,.json"
+            hidden
+            onChange={(e) => onImport(e.target.files?.[0])}
+          />
+        </Stack>
+        <TextField
+          multiline
+          fullWidth
+          minRows={12}
+          maxRows={30}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          inputProps={{ spellCheck: false, style: { fontFamily: 'monospace', fontSize: '0.8rem' } }}
+          sx={fieldSx}
+        />
+      </Box>
+
+      <Button
+        variant="contained"
+        size="large"
+        onClick={onSave}
+        startIcon={<Save />}
+        fullWidth
+        sx={{
+          py: 2,
+          fontSize: '1.1rem',
+          fontWeight: 700,
+          background: 'linear-gradient(45deg, #667eea 30%, #764ba2 90%)',
+          boxShadow: '0 6px 20px rgba(102, 126, 234, 0.4)',
+        }}
+      >
+        💾 Save Selector Pack
+      </Button>
+    </Stack>
+  );
+}
@@ -0,0 +1,231 @@
+import React, { useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  FormControlLabel,
+  FormGroup,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { Check, Close, Download, Upload } from '@mui/icons-material';
+import { downloadFile } from '../shared/history';
+import { originPattern } from '../shared/providers';
+import {
+  SETTINGS_SECTIONS,
+  SettingsBundle,
+  SettingsChange,
+  SettingsDocument,
+  SettingsSection,
+  applySettings,
+  diffSettings,
+  exportSettings,
+  formatSettingValue,
+  mergeSettings,
+  parseSettingsBundle,
+  readSettings
+} from '../shared/settings';
+
+type Props = {
+  onStatus: (message: string, type: 'success' | 'error' | 'info') => void;
+  // Called after an import so the AI Provider tab reloads its fields
+  onApplied: () => void;
+};
+
+type Preview = {
+  fileName: string;
+  bundle: SettingsBundle;
+  merged: SettingsDocument;
+  changes: SettingsChange[];
+  warnings: string[];
+};
+
+const ALL_SECTIONS = SETTINGS_SECTIONS.map(s => s.id);
+
+// "https://host/*" for the OpenAI-compatible base URL in the file, if it sets one.
+const importedOrigin = (bundle: SettingsBundle) => {
+  const baseUrl = bundle.settings.provider?.endpoints.compatible?.baseUrl;
+  return baseUrl ? originPattern(baseUrl) : null;
+};
+const KIND_COLOR = { added: 'success', removed: 'error', changed: 'warning' } as const;
+
+export default function SettingsTransferSection({ onStatus, onApplied }: Props): JSX.Element {
+  const [exportSections, setExportSections] = useState<SettingsSection[]>(ALL_SECTIONS);
+  const [preview, setPreview] = useState<Preview | null>(null);
+  // Sections of the previewed bundle that will be applied
+  const [importSections, setImportSections] = useState<SettingsSection[]>([]);
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  const toggle = (list: SettingsSection[], id: SettingsSection) =>
+    list.includes(id) ? list.filter(s => s !== id) : [...list, id];
+
+  const onExport = async () => {
+    try {
+      const json = await exportSettings(exportSections);
+      downloadFile(`ai-bid-pro-settings-${new Date().toISOString().slice(0, 10)}.json`, json, 'application/json');
+      onStatus('Settings exported. API keys and credential headers were left out.', 'success');
+    } catch (e: any) {
+      onStatus(`Export failed: ${e.message}`, 'error');
+    }
+  };
+
+  const onPickFile = async (file?: File) => {
+    if (!file) return;
+    try {
+      const { bundle, warnings } = parseSettingsBundle(await file.text());
+      const current = await readSettings();
+      const merged = mergeSettings(current, bundle.settings);
+      const changes = diffSettings(current, merged);
+      setPreview({ fileName: file.name, bundle, merged, changes, warnings });
+      // Sections without changes are left unticked
+      setImportSections(Object.keys(bundle.settings).filter(id => changes.some(c => c.section === id)) as SettingsSection[]);
+    } catch (e: any) {
+      setPreview(null);
+      onStatus(`Import failed: ${e.message}`, 'error');
+    }
+    if (fileInput.current) fileInput.current.value = '';
+  };
+
+  const onApply = async () => {
+    if (!preview) return;
+    const selected = Object.fromEntries(importSections.map(id => [id, preview.merged[id]])) as SettingsDocument;
+    // Requests to the imported custom endpoint need host access to its origin, as when it is saved in AI Provider;
+    // asked for before anything else, while the click still counts
+    const origin = selected.provider ? importedOrigin(preview.bundle) : null;
+    if (origin && !(await chrome.permissions.request({ origins: [origin] }).catch(() => false))) {
+      onStatus(`Permission to reach ${origin} was denied, so nothing was imported. Allow it, or untick "${sectionLabel('provider')}".`, 'error');
+      return;
+    }
+    try {
+      await applySettings(selected);
+      setPreview(null);
+      onApplied();
+      onStatus(`Imported ${importSections.length} section${importSections.length === 1 ? '' : 's'} from ${preview.fileName}.`, 'success');
+    } catch (e: any) {
+      onStatus(`Import failed: ${e.message}`, 'error');
+    }
+  };
+
+  const sectionLabel = (id: SettingsSection) => SETTINGS_SECTIONS.find(s => s.id === id)?.label || id;
+
+  return (
+    <Stack spacing={3}>
+      <Typography variant="body2" color="text.secondary">
+        Copy a working setup to another browser or a teammate as one JSON file. API keys are never included,
+        and header lines or base URL passwords that look like credentials are removed. Importing shows what
+        would change before anything is saved.
+      </Typography>
+
+      <Paper variant="outlined" sx={{ p: 2, borderRadius: 2 }}>
+        <Typography variant="subtitle2" fontWeight={700} gutterBottom>Export</Typography>
+        <FormGroup row>
+          {SETTINGS_SECTIONS.map(s => (
+            <FormControlLabel
+              key={s.id}
+              control={<Checkbox size="small" checked={exportSections.includes(s.id)} onChange={() => setExportSections(prev => toggle(prev, s.id))} />}
+              label={s.label}
+            />
+          ))}
+        </FormGroup>
+        <Stack direction="row" spacing={1} sx={{ mt: 1 }}>
+          <Button variant="contained" startIcon={<Download />} disabled={exportSections.length === 0} onClick={onExport}>
+            Export settings
+          </Button>
+          <Button variant="outlined" startIcon={<Upload />} onClick={() => fileInput.current?.click()}>
+            Import settings…
+          </Button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept="application/json,.json"
+            hidden
+            onChange={(e) => onPickFile(e.target.files?.[0])}
+          />
+        </Stack>
+      </Paper>
+
+      {preview && (
+        <Paper variant="outlined" sx={{ p: 2, borderRadius: 2 }}>
+          <Typography variant="subtitle2" fontWeight={700}>
+            Import preview: {preview.fileName}
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            {preview.bundle.extensionVersion ? `Exported from version ${preview.bundle.extensionVersion}` : 'No version recorded'}
+            {preview.bundle.exportedAt ? ` on ${new Date(preview.bundle.exportedAt).toLocaleString()}` : ''}
+          </Typography>
+
+          {preview.warnings.length > 0 && (
+            <Alert severity="info" sx={{ mt: 1, borderRadius: 2 }}>
+              {preview.warnings.map((w, i) => <div key={i}>{w}</div>)}
+            </Alert>
+          )}
+
+          <Stack spacing={1.5} sx={{ mt: 2 }}>
+            {(Object.keys(preview.bundle.settings) as SettingsSection[]).map(id => {
+              const changes = preview.changes.filter(c => c.section === id);
+              return (
+                <Box key={id}>
+                  <FormControlLabel
+                    control={
+                      <Checkbox
+                        size="small"
+                        checked={importSections.includes(id)}
+                        disabled={changes.length === 0}
+                        onChange={() => setImportSections(prev => toggle(prev, id))}
+                      />
+                    }
+                    label={
+                      <Typography variant="body2" fontWeight={600}>
+                        {sectionLabel(id)} {changes.length === 0 ? '(no changes)' : `(${changes.length} change${changes.length === 1 ? '' : 's'})`}
+                      </Typography>
+                    }
+                  />
+                  {changes.length > 0 && (
+                    <Table size="small" sx={{ '& td': { py: 0.5, fontSize: '0.8rem', verticalAlign: 'top' } }}>
+                      <TableBody>
+                        {changes.map((c, i) => (
+                          <TableRow key={i}>
+                            <TableCell sx={{ width: 90 }}>
+                              <Chip size="small" variant="outlined" color={KIND_COLOR[c.kind]} label={c.kind} />
+                            </TableCell>
+                            <TableCell sx={{ fontFamily: 'monospace' }}>{c.path}</TableCell>
+                            <TableCell sx={{ color: 'error.main', textDecoration: c.before !== undefined ? 'line-through' : 'none' }}>
+                              {c.before !== undefined ? formatSettingValue(c.before) : ''}
+                            </TableCell>
+                            <TableCell sx={{ color: 'success.main' }}>
+                              {c.after !== undefined ? formatSettingValue(c.after) : ''}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  )}
+                </Box>
+              );
+            })}
+          </Stack>
+
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 2 }}>
+            Profiles, templates, selectors and specializations replace the ones saved here; the other sections only change the settings the file contains.
+            {importSections.includes('provider') && importedOrigin(preview.bundle)
+              ? ` Applying ${sectionLabel('provider')} asks for access to ${importedOrigin(preview.bundle)}.`
+              : ''}
+          </Typography>
+          <Stack direction="row" spacing={1} sx={{ mt: 1 }}>
+            <Button variant="contained" startIcon={<Check />} disabled={importSections.length === 0} onClick={onApply}>
+              Apply {importSections.length} section{importSections.length === 1 ? '' : 's'}
+            </Button>
+            <Button startIcon={<Close />} onClick={() => setPreview(null)}>Cancel</Button>
+          </Stack>
+        </Paper>
+      )}
+    </Stack>
+  );
+}
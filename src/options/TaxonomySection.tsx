@@ -0,0 +1,311 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Stack,
+  Switch,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add, Delete, RestartAlt, Save, Search } from '@mui/icons-material';
+import {
+  SpecializationLabel,
+  SpecializationMatch,
+  Taxonomy,
+  createSpecializationLabel,
+  loadTaxonomy,
+  requestSpecialization,
+  resetTaxonomy,
+  saveTaxonomy
+} from '../shared/taxonomy';
+
+type Props = {
+  onStatus: (message: string, type: 'success' | 'error' | 'info') => void;
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    '& fieldset': { borderColor: 'rgba(103, 126, 234, 0.3)' },
+    '&:hover fieldset': { borderColor: 'primary.main' },
+    '&.Mui-focused fieldset': { borderColor: 'primary.main' },
+  }
+};
+
+// List fields are edited as raw text and only cleaned up on save.
+const cleanList = (items: string[]) => Array.from(new Set(items.map(s => s.trim()).filter(Boolean)));
+
+const SOURCE_LABELS: Record<SpecializationMatch['source'], string> = {
+  keywords: 'keyword match',
+  ai: 'AI classification',
+  fallback: 'fallback label'
+};
+
+export default function TaxonomySection({ onStatus }: Props): JSX.Element {
+  const [taxonomy, setTaxonomy] = useState<Taxonomy | null>(null);
+  const [selectedId, setSelectedId] = useState('');
+  const [sample, setSample] = useState('');
+  const [match, setMatch] = useState<SpecializationMatch | null>(null);
+  const [isDetecting, setIsDetecting] = useState(false);
+
+  const refresh = useCallback(async () => {
+    const loaded = await loadTaxonomy();
+    setTaxonomy(loaded);
+    setSelectedId(prev => (loaded.labels.some(l => l.id === prev) ? prev : loaded.labels[0]?.id || ''));
+  }, []);
+
+  useEffect(() => {
+    refresh().catch((e: any) => onStatus(`Error loading the taxonomy: ${e.message}`, 'error'));
+  }, [refresh, onStatus]);
+
+  const labels = taxonomy?.labels || [];
+  const selected = labels.find(l => l.id === selectedId);
+
+  const update = (patch: Partial<Taxonomy>) => setTaxonomy(prev => (prev ? { ...prev, ...patch } : prev));
+
+  const updateSelected = useCallback((patch: Partial<SpecializationLabel>) => {
+    setTaxonomy(prev => prev && ({
+      ...prev,
+      labels: prev.labels.map(l => (l.id === selectedId ? { ...l, ...patch } : l))
+    }));
+  }, [selectedId]);
+
+  const onAdd = () => {
+    const entry = createSpecializationLabel();
+    update({ labels: [...labels, entry] });
+    setSelectedId(entry.id);
+  };
+
+  const onDelete = () => {
+    if (!selected) return;
+    const remaining = labels.filter(l => l.id !== selected.id);
+    update({ labels: remaining });
+    setSelectedId(remaining[0]?.id || '');
+  };
+
+  const onSave = async () => {
+    if (!taxonomy) return;
+    const cleaned: Taxonomy = {
+      ...taxonomy,
+      maxLabels: Math.max(1, Math.min(4, parseInt(String(taxonomy.maxLabels), 10) || 1)),
+      fallbackLabel: taxonomy.fallbackLabel.trim() || 'full-stack',
+      labels: labels.map(l => ({
+        ...l,
+        label: l.label.trim() || 'Unnamed specialization',
+        keywords: cleanList(l.keywords.map(k => k.toLowerCase())),
+        weight: Math.max(0, parseFloat(String(l.weight)) || 0),
+        portfolioUrl: l.portfolioUrl.trim(),
+        samples: cleanList(l.samples)
+      }))
+    };
+    try {
+      await saveTaxonomy(cleaned);
+      setTaxonomy(cleaned);
+      onStatus('Specializations saved.', 'success');
+    } catch (e: any) {
+      onStatus(`Error saving the specializations: ${e.message}`, 'error');
+    }
+  };
+
+  const onReset = async () => {
+    if (!window.confirm('Discard your specializations and go back to the built-in ones?')) return;
+    try {
+      await resetTaxonomy();
+      await refresh();
+      onStatus('Built-in specializations restored.', 'success');
+    } catch (e: any) {
+      onStatus(e.message, 'error');
+    }
+  };
+
+  // Uses the saved taxonomy, so unsaved edits are not part of the result.
+  const onDetect = async () => {
+    setIsDetecting(true);
+    try {
+      setMatch(await requestSpecialization(sample));
+    } catch (e: any) {
+      onStatus(e.message, 'error');
+    } finally {
+      setIsDetecting(false);
+    }
+  };
+
+  if (!taxonomy) {
+    return <Typography variant="body2" color="text.secondary">Loading…</Typography>;
+  }
+
+  return (
+    <Stack spacing={3}>
+      <Typography variant="body2" color="text.secondary">
+        Every label is scored against the project title and description: one point per keyword word, times the
+        label's weight. Labels that score at least half as much as the best one are combined (“mobile development and
+        cloud solutions”). The result fills <code>{'{{specialization}}'}</code>, picks the Auto template, and adds the
+        labels' portfolio link and sample projects to the prompt.
+      </Typography>
+
+      <Stack direction="row" spacing={2}>
+        <TextField
+          fullWidth
+          type="number"
+          label="Labels combined at most"
+          value={taxonomy.maxLabels}
+          onChange={(e) => update({ maxLabels: e.target.value as any })}
+          inputProps={{ min: 1, max: 4, step: 1 }}
+          sx={fieldSx}
+        />
+        <TextField
+          fullWidth
+          label="Fallback label"
+          helperText="Used when nothing matches"
+          value={taxonomy.fallbackLabel}
+          onChange={(e) => update({ fallbackLabel: e.target.value })}
+          sx={fieldSx}
+        />
+      </Stack>
+
+      <FormControlLabel
+        control={<Switch checked={taxonomy.aiFallback} onChange={(e) => update({ aiFallback: e.target.checked })} />}
+        label="Ask the AI provider to classify projects that no keyword matches (one extra short request)"
+      />
+
+      <Stack direction="row" spacing={2} alignItems="center">
+        <FormControl fullWidth>
+          <InputLabel sx={{ fontWeight: 600 }}>Specialization</InputLabel>
+          <Select
+            value={selected ? selectedId : ''}
+            label="Specialization"
+            onChange={(e) => setSelectedId(e.target.value as string)}
+          >
+            {labels.map(l => (
+              <MenuItem key={l.id} value={l.id}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  {l.label}
+                  <Chip size="small" variant="outlined" label={`${l.keywords.filter(Boolean).length} keywords`} />
+                </Box>
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button variant="outlined" startIcon={<Add />} onClick={onAdd}>New</Button>
+        <Button variant="outlined" color="error" startIcon={<Delete />} onClick={onDelete} disabled={!selected}>
+          Delete
+        </Button>
+      </Stack>
+
+      {!selected ? (
+        <Typography variant="body2" color="text.secondary">
+          No specializations. Every project gets the fallback label until you add one.
+        </Typography>
+      ) : (
+        <>
+          <Stack direction="row" spacing={2}>
+            <TextField
+              fullWidth
+              label="🏷️ Label"
+              helperText="Shown in the bid, e.g. “mobile development”"
+              value={selected.label}
+              onChange={(e) => updateSelected({ label: e.target.value })}
+              sx={fieldSx}
+            />
+            <TextField
+              type="number"
+              label="Weight"
+              helperText="0 turns keywords off"
+              value={selected.weight}
+              onChange={(e) => updateSelected({ weight: e.target.value as any })}
+              inputProps={{ min: 0, step: 0.1 }}
+              sx={{ ...fieldSx, width: 160 }}
+            />
+          </Stack>
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            label="🔑 Keywords"
+            helperText="Comma separated, matched as whole words. A longer keyword wins over a shorter one inside it (“react native” over “react”)."
+            value={selected.keywords.join(',')}
+            onChange={(e) => updateSelected({ keywords: e.target.value.split(',') })}
+            sx={fieldSx}
+          />
+          <TextField
+            fullWidth
+            label="🔗 Portfolio link"
+            value={selected.portfolioUrl}
+            onChange={(e) => updateSelected({ portfolioUrl: e.target.value })}
+            sx={fieldSx}
+          />
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            label="📁 Sample projects"
+            helperText="One per line, e.g. “Delivery app for a 20k-user restaurant chain (React Native, Firebase)”"
+            value={selected.samples.join('\n')}
+            onChange={(e) => updateSelected({ samples: e.target.value.split('\n') })}
+            sx={fieldSx}
+          />
+        </>
+      )}
+
+      <Paper variant="outlined" sx={{ p: 2 }}>
+        <Stack spacing={2}>
+          <Typography variant="subtitle2" fontWeight={700}>Try it</Typography>
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            label="Project description"
+            value={sample}
+            onChange={(e) => setSample(e.target.value)}
+            sx={fieldSx}
+          />
+          <Stack direction="row" spacing={1} alignItems="center" flexWrap="wrap">
+            <Button variant="outlined" startIcon={<Search />} onClick={onDetect} disabled={!sample.trim() || isDetecting}>
+              {isDetecting ? 'Detecting…' : 'Detect'}
+            </Button>
+            {match && (
+              <>
+                <Typography variant="body2"><strong>{match.text}</strong> ({SOURCE_LABELS[match.source]})</Typography>
+                {match.scores.map(s => (
+                  <Chip
+                    key={s.label}
+                    size="small"
+                    color={match.labels.includes(s.label) ? 'primary' : 'default'}
+                    label={`${s.label}: ${s.score} (${s.keywords.join(', ')})`}
+                  />
+                ))}
+              </>
+            )}
+          </Stack>
+        </Stack>
+      </Paper>
+
+      <Stack direction="row" spacing={2}>
+        <Button color="error" startIcon={<RestartAlt />} onClick={onReset}>Reset to built-in</Button>
+      </Stack>
+
+      <Button
+        variant="contained"
+        size="large"
+        onClick={onSave}
+        startIcon={<Save />}
+        fullWidth
+        sx={{
+          py: 2,
+          fontSize: '1.1rem',
+          fontWeight: 700,
+          background: 'linear-gradient(45deg, #667eea 30%, #764ba2 90%)',
+          boxShadow: '0 6px 20px rgba(102, 126, 234, 0.4)',
+        }}
+      >
+        💾 Save Specializations
+      </Button>
+    </Stack>
+  );
+}
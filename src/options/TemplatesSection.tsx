@@ -0,0 +1,185 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Autocomplete,
+  Box,
+  Button,
+  Chip,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  Stack,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add, Delete, Save } from '@mui/icons-material';
+import {
+  BidTemplate,
+  TEMPLATE_VARIABLES,
+  createTemplate,
+  loadTemplates,
+  saveTemplates
+} from '../shared/templates';
+import { loadTaxonomy } from '../shared/taxonomy';
+
+type Props = {
+  onStatus: (message: string, type: 'success' | 'error' | 'info') => void;
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    '& fieldset': { borderColor: 'rgba(103, 126, 234, 0.3)' },
+    '&:hover fieldset': { borderColor: 'primary.main' },
+    '&.Mui-focused fieldset': { borderColor: 'primary.main' },
+  }
+};
+
+export default function TemplatesSection({ onStatus }: Props): JSX.Element {
+  const [templates, setTemplates] = useState<BidTemplate[]>([]);
+  const [selectedId, setSelectedId] = useState('');
+  // Labels from Options → Specializations, offered as categories for Auto mode
+  const [labels, setLabels] = useState<string[]>([]);
+
+  useEffect(() => {
+    loadTaxonomy()
+      .then(taxonomy => setLabels(Array.from(new Set([...taxonomy.labels.map(l => l.label), taxonomy.fallbackLabel]))))
+      .catch(() => {});
+    loadTemplates()
+      .then(list => {
+        setTemplates(list);
+        setSelectedId(list[0]?.id || '');
+      })
+      .catch((e: any) => onStatus(`Error loading templates: ${e.message}`, 'error'));
+  }, [onStatus]);
+
+  const selected = templates.find(t => t.id === selectedId);
+
+  const updateSelected = useCallback((patch: Partial<BidTemplate>) => {
+    setTemplates(prev => prev.map(t => (t.id === selectedId ? { ...t, ...patch } : t)));
+  }, [selectedId]);
+
+  const onAdd = () => {
+    const template = createTemplate();
+    setTemplates(prev => [...prev, template]);
+    setSelectedId(template.id);
+  };
+
+  const onDelete = () => {
+    if (!selected) return;
+    const remaining = templates.filter(t => t.id !== selected.id);
+    setTemplates(remaining);
+    setSelectedId(remaining[0]?.id || '');
+  };
+
+  const onSave = async () => {
+    const cleaned = templates.map(t => ({
+      ...t,
+      name: t.name.trim() || 'Untitled template',
+      category: t.category.trim()
+    }));
+    try {
+      await saveTemplates(cleaned);
+      setTemplates(cleaned);
+      onStatus('Templates saved successfully!', 'success');
+    } catch (e: any) {
+      onStatus(`Error saving templates: ${e.message}`, 'error');
+    }
+  };
+
+  return (
+    <Stack spacing={3}>
+      <Stack direction="row" spacing={2} alignItems="center">
+        <FormControl fullWidth>
+          <InputLabel sx={{ fontWeight: 600 }}>Template</InputLabel>
+          <Select
+            value={selected ? selectedId : ''}
+            label="Template"
+            onChange={(e) => setSelectedId(e.target.value as string)}
+          >
+            {templates.map(t => (
+              <MenuItem key={t.id} value={t.id}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  {t.name}
+                  {t.category && <Chip size="small" label={t.category} />}
+                </Box>
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button variant="outlined" startIcon={<Add />} onClick={onAdd}>New</Button>
+        <Button variant="outlined" color="error" startIcon={<Delete />} onClick={onDelete} disabled={!selected}>
+          Delete
+        </Button>
+      </Stack>
+
+      {!selected ? (
+        <Typography variant="body2" color="text.secondary">
+          No templates yet. Bids use the built-in prompt until you add one.
+        </Typography>
+      ) : (
+        <>
+          <Stack direction="row" spacing={2}>
+            <TextField
+              fullWidth
+              label="📄 Name"
+              value={selected.name}
+              onChange={(e) => updateSelected({ name: e.target.value })}
+              sx={fieldSx}
+            />
+            <Autocomplete
+              freeSolo
+              fullWidth
+              options={labels}
+              inputValue={selected.category}
+              onInputChange={(_, value) => updateSelected({ category: value })}
+              renderInput={(params) => (
+                <TextField
+                  {...params}
+                  label="🏷️ Category"
+                  helperText="Matched against the detected specializations in Auto mode"
+                  sx={fieldSx}
+                />
+              )}
+            />
+          </Stack>
+          <TextField
+            fullWidth
+            multiline
+            minRows={10}
+            label="✍️ Prompt"
+            value={selected.content}
+            onChange={(e) => updateSelected({ content: e.target.value })}
+            sx={{ ...fieldSx, '& textarea': { fontFamily: 'monospace', fontSize: '0.9rem' } }}
+          />
+          <Box>
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+              Available variables:
+            </Typography>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+              {TEMPLATE_VARIABLES.map(v => (
+                <Chip key={v} size="small" variant="outlined" label={`{{${v}}}`} />
+              ))}
+            </Box>
+          </Box>
+        </>
+      )}
+
+      <Button
+        variant="contained"
+        size="large"
+        onClick={onSave}
+        startIcon={<Save />}
+        fullWidth
+        sx={{
+          py: 2,
+          fontSize: '1.1rem',
+          fontWeight: 700,
+          background: 'linear-gradient(45deg, #667eea 30%, #764ba2 90%)',
+          boxShadow: '0 6px 20px rgba(102, 126, 234, 0.4)',
+        }}
+      >
+        💾 Save Templates
+      </Button>
+    </Stack>
+  );
+}
@@ -0,0 +1,358 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  FormControl,
+  IconButton,
+  InputLabel,
+  LinearProgress,
+  MenuItem,
+  Paper,
+  Select,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add, Delete, DeleteSweep, Refresh, Save } from '@mui/icons-material';
+import { PROVIDER_OPTIONS, getProviderOption } from '../shared/providers';
+import {
+  DEFAULT_USAGE_SETTINGS,
+  ModelPrice,
+  SpendCap,
+  UsageEntry,
+  UsageSettings,
+  UsageTotals,
+  clearUsageLog,
+  dayKey,
+  formatCost,
+  formatTokens,
+  loadUsageLog,
+  loadUsageSettings,
+  saveUsageSettings,
+  startOfMonth,
+  startOfToday,
+  totalsBy
+} from '../shared/usage';
+
+type Props = {
+  onStatus: (message: string, type: 'success' | 'error' | 'info') => void;
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    '& fieldset': { borderColor: 'rgba(103, 126, 234, 0.3)' },
+    '&:hover fieldset': { borderColor: 'primary.main' },
+    '&.Mui-focused fieldset': { borderColor: 'primary.main' },
+  }
+};
+
+const RANGES = [
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+  { days: 120, label: 'Last 120 days (everything kept)' }
+];
+
+const CAP_SCOPES = [{ id: 'all', label: 'All providers' }, ...PROVIDER_OPTIONS.map(p => ({ id: p.id, label: p.label }))];
+
+const toAmount = (value: unknown) => {
+  const parsed = parseFloat(String(value));
+  return Number.isNaN(parsed) ? 0 : Math.max(0, parsed);
+};
+
+function TotalsTable({ title, rows, label }: { title: string; rows: UsageTotals[]; label: (key: string) => string }) {
+  return (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 1 }}>{title}</Typography>
+      {rows.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">No calls in this period.</Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell />
+              <TableCell align="right">Calls</TableCell>
+              <TableCell align="right">Input</TableCell>
+              <TableCell align="right">Output</TableCell>
+              <TableCell align="right">Cost</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map(r => (
+              <TableRow key={r.key}>
+                <TableCell>
+                  {label(r.key)}
+                  {r.unpriced > 0 && (
+                    <Typography variant="caption" color="warning.main" sx={{ display: 'block' }}>
+                      {r.unpriced} call{r.unpriced > 1 ? 's' : ''} without a price
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell align="right">{r.calls}</TableCell>
+                <TableCell align="right">{formatTokens(r.inputTokens)}</TableCell>
+                <TableCell align="right">{formatTokens(r.outputTokens)}{r.estimated > 0 ? '*' : ''}</TableCell>
+                <TableCell align="right">{formatCost(r.cost)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Paper>
+  );
+}
+
+function SpendMeter({ label, spent, cap }: { label: string; spent: number; cap: number }) {
+  return (
+    <Box sx={{ flex: 1 }}>
+      <Typography variant="body2">
+        {label}: <strong>{formatCost(spent)}</strong>{cap > 0 ? ` of ${formatCost(cap)}` : ''}
+      </Typography>
+      {cap > 0 && (
+        <LinearProgress
+          variant="determinate"
+          value={Math.min(100, (spent / cap) * 100)}
+          color={spent >= cap ? 'error' : spent >= cap * 0.8 ? 'warning' : 'primary'}
+          sx={{ mt: 0.5, height: 6, borderRadius: 3 }}
+        />
+      )}
+    </Box>
+  );
+}
+
+export default function UsageSection({ onStatus }: Props): JSX.Element {
+  const [log, setLog] = useState<UsageEntry[]>([]);
+  const [settings, setSettings] = useState<UsageSettings>(DEFAULT_USAGE_SETTINGS);
+  const [rangeDays, setRangeDays] = useState(30);
+
+  const refresh = useCallback(async () => {
+    setLog(await loadUsageLog());
+  }, []);
+
+  useEffect(() => {
+    refresh().catch((e: any) => onStatus(`Error loading usage: ${e.message}`, 'error'));
+    loadUsageSettings()
+      .then(setSettings)
+      .catch((e: any) => onStatus(`Error loading the usage settings: ${e.message}`, 'error'));
+  }, [refresh, onStatus]);
+
+  const inRange = useMemo(() => {
+    const since = startOfToday() - (rangeDays - 1) * 86400e3;
+    return log.filter(e => e.at >= since);
+  }, [log, rangeDays]);
+
+  const spentToday = useMemo(() => log.filter(e => e.at >= startOfToday()).reduce((sum, e) => sum + e.cost, 0), [log]);
+  const spentMonth = useMemo(() => log.filter(e => e.at >= startOfMonth()).reduce((sum, e) => sum + e.cost, 0), [log]);
+  const byDay = useMemo(() => totalsBy(inRange, e => dayKey(e.at)).sort((a, b) => b.key.localeCompare(a.key)), [inRange]);
+  const byProvider = useMemo(() => totalsBy(inRange, e => e.provider), [inRange]);
+  const byModel = useMemo(() => totalsBy(inRange, e => `${e.provider}|${e.model}`), [inRange]);
+
+  const updateCap = (scope: string, patch: Partial<SpendCap>) => setSettings(prev => ({
+    ...prev,
+    caps: { ...prev.caps, [scope]: { ...(prev.caps[scope] || { daily: 0, monthly: 0 }), ...patch } }
+  }));
+
+  const updatePrice = (index: number, patch: Partial<ModelPrice>) => setSettings(prev => ({
+    ...prev,
+    prices: prev.prices.map((p, i) => (i === index ? { ...p, ...patch } : p))
+  }));
+
+  const onSave = async () => {
+    const cleaned: UsageSettings = {
+      ...settings,
+      caps: Object.fromEntries(Object.entries(settings.caps).map(([scope, cap]) => [
+        scope,
+        { daily: toAmount(cap.daily), monthly: toAmount(cap.monthly) }
+      ])),
+      prices: settings.prices
+        .map(p => ({ ...p, model: p.model.trim(), input: toAmount(p.input), output: toAmount(p.output) }))
+        .filter(p => p.model)
+    };
+    try {
+      await saveUsageSettings(cleaned);
+      setSettings(cleaned);
+      onStatus('Usage settings saved.', 'success');
+    } catch (e: any) {
+      onStatus(`Error saving the usage settings: ${e.message}`, 'error');
+    }
+  };
+
+  const onClear = async () => {
+    if (!window.confirm('Delete the whole usage log? Spend caps start counting from zero again.')) return;
+    try {
+      await clearUsageLog();
+      await refresh();
+      onStatus('Usage log cleared.', 'success');
+    } catch (e: any) {
+      onStatus(e.message, 'error');
+    }
+  };
+
+  const allCap = settings.caps.all || { daily: 0, monthly: 0 };
+
+  return (
+    <Stack spacing={3}>
+      <Typography variant="body2" color="text.secondary">
+        Every AI call is logged with its input and output tokens and priced with the table below. Token counts
+        marked * were estimated because the API returned none (e.g. some OpenAI-compatible servers).
+      </Typography>
+
+      <Stack direction="row" spacing={3}>
+        <SpendMeter label="Today" spent={spentToday} cap={allCap.daily} />
+        <SpendMeter label="This month" spent={spentMonth} cap={allCap.monthly} />
+      </Stack>
+
+      <Stack direction="row" spacing={2} alignItems="center">
+        <FormControl size="small" sx={{ minWidth: 260 }}>
+          <InputLabel>Period</InputLabel>
+          <Select value={rangeDays} label="Period" onChange={(e) => setRangeDays(Number(e.target.value))}>
+            {RANGES.map(r => <MenuItem key={r.days} value={r.days}>{r.label}</MenuItem>)}
+          </Select>
+        </FormControl>
+        <Button size="small" startIcon={<Refresh />} onClick={() => refresh()}>Refresh</Button>
+        <Button size="small" color="error" startIcon={<DeleteSweep />} onClick={onClear} disabled={log.length === 0}>
+          Clear log
+        </Button>
+      </Stack>
+
+      <TotalsTable title="Per provider" rows={byProvider} label={key => getProviderOption(key).label} />
+      <TotalsTable
+        title="Per model"
+        rows={byModel}
+        label={key => {
+          const [provider, model] = key.split('|');
+          return `${model} (${getProviderOption(provider).label})`;
+        }}
+      />
+      <TotalsTable title="Per day" rows={byDay} label={key => key} />
+
+      <Box>
+        <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 1 }}>Spend caps (USD, 0 = no cap)</Typography>
+        <Stack spacing={1.5}>
+          {CAP_SCOPES.map(scope => (
+            <Stack key={scope.id} direction="row" spacing={2} alignItems="center">
+              <Typography variant="body2" sx={{ width: 160, flexShrink: 0 }}>{scope.label}</Typography>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Daily"
+                value={settings.caps[scope.id]?.daily ?? 0}
+                onChange={(e) => updateCap(scope.id, { daily: e.target.value as any })}
+                inputProps={{ min: 0, step: 0.5 }}
+                sx={fieldSx}
+              />
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Monthly"
+                value={settings.caps[scope.id]?.monthly ?? 0}
+                onChange={(e) => updateCap(scope.id, { monthly: e.target.value as any })}
+                inputProps={{ min: 0, step: 1 }}
+                sx={fieldSx}
+              />
+            </Stack>
+          ))}
+          <FormControl fullWidth size="small">
+            <InputLabel>When a cap is reached</InputLabel>
+            <Select
+              value={settings.onCap}
+              label="When a cap is reached"
+              onChange={(e) => setSettings(prev => ({ ...prev, onCap: e.target.value as UsageSettings['onCap'] }))}
+            >
+              <MenuItem value="block">Block AI calls (the fallback provider is tried if it is under its caps)</MenuItem>
+              <MenuItem value="downgrade">Switch to the provider's cheapest model in the price table</MenuItem>
+            </Select>
+          </FormControl>
+        </Stack>
+      </Box>
+
+      <Box>
+        <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 1 }}>Prices (USD per million tokens)</Typography>
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1.5 }}>
+          A model uses the longest entry it starts with, ignoring “-latest” and date suffixes, so “gpt-4o-mini” also
+          prices “gpt-4o-mini-2024-07-18”. Unpriced models are logged at $0.
+        </Typography>
+        <Stack spacing={1.5}>
+          {settings.prices.map((p, i) => (
+            <Stack key={i} direction="row" spacing={2} alignItems="center">
+              <Select
+                size="small"
+                value={p.provider}
+                onChange={(e) => updatePrice(i, { provider: e.target.value as string })}
+                sx={{ minWidth: 170 }}
+              >
+                {PROVIDER_OPTIONS.map(o => <MenuItem key={o.id} value={o.id}>{o.label}</MenuItem>)}
+              </Select>
+              <TextField
+                fullWidth
+                size="small"
+                label="Model"
+                value={p.model}
+                onChange={(e) => updatePrice(i, { model: e.target.value })}
+                sx={fieldSx}
+              />
+              <TextField
+                size="small"
+                type="number"
+                label="Input"
+                value={p.input}
+                onChange={(e) => updatePrice(i, { input: e.target.value as any })}
+                inputProps={{ min: 0, step: 0.01 }}
+                sx={{ ...fieldSx, width: 120, flexShrink: 0 }}
+              />
+              <TextField
+                size="small"
+                type="number"
+                label="Output"
+                value={p.output}
+                onChange={(e) => updatePrice(i, { output: e.target.value as any })}
+                inputProps={{ min: 0, step: 0.01 }}
+                sx={{ ...fieldSx, width: 120, flexShrink: 0 }}
+              />
+              <IconButton
+                color="error"
+                onClick={() => setSettings(prev => ({ ...prev, prices: prev.prices.filter((_, j) => j !== i) }))}
+              >
+                <Delete />
+              </IconButton>
+            </Stack>
+          ))}
+          <Box>
+            <Button
+              variant="outlined"
+              startIcon={<Add />}
+              onClick={() => setSettings(prev => ({
+                ...prev,
+                prices: [...prev.prices, { provider: 'compatible', model: '', input: 0, output: 0 }]
+              }))}
+            >
+              Add price
+            </Button>
+          </Box>
+        </Stack>
+      </Box>
+
+      <Button
+        variant="contained"
+        size="large"
+        onClick={onSave}
+        startIcon={<Save />}
+        fullWidth
+        sx={{
+          py: 2,
+          fontSize: '1.1rem',
+          fontWeight: 700,
+          background: 'linear-gradient(45deg, #667eea 30%, #764ba2 90%)',
+          boxShadow: '0 6px 20px rgba(102, 126, 234, 0.4)',
+        }}
+      >
+        💾 Save Usage Settings
+      </Button>
+    </Stack>
+  );
+}
@@ -18,67 +18,188 @@ import {
   Link,
   Paper,
   Fade,
-  Slide
+  Slide,
+  Tabs,
+  Tab,
+  Chip
 } from '@mui/material';
-import { Visibility, VisibilityOff, Save } from '@mui/icons-material';
+import { Visibility, VisibilityOff, Save, VerifiedUser, Delete } from '@mui/icons-material';
+import ProfilesSection from './ProfilesSection';
+import TemplatesSection from './TemplatesSection';
+import HistorySection from './HistorySection';
+import QueueSection from './QueueSection';
+import PricingSection from './PricingSection';
+import SelectorsSection from './SelectorsSection';
+import GuardrailsSection from './GuardrailsSection';
+import FitSection from './FitSection';
+import TaxonomySection from './TaxonomySection';
+import KnowledgeSection from './KnowledgeSection';
+import UsageSection from './UsageSection';
+import KeyVaultSection from './KeyVaultSection';
+import SettingsTransferSection from './SettingsTransferSection';
+import { PROVIDER_OPTIONS, ProviderId, getProviderOption, isProviderReady, loadSyncSettings, originPattern, providerKeys } from '../shared/providers';
+import { KeyStatus, KeyTestResult, hasSavedKey, isKeyLocked, removeApiKey, requestKeyStatus, saveApiKey as saveEncryptedKey, testProviderKey } from '../shared/keys';
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    '& fieldset': { borderColor: 'rgba(103, 126, 234, 0.3)' },
+    '&:hover fieldset': { borderColor: 'primary.main' },
+    '&.Mui-focused fieldset': { borderColor: 'primary.main' },
+  }
+};
+
+const TAB_HASHES = ['provider', 'profiles', 'templates', 'pricing', 'history', 'queue', 'selectors', 'submit', 'fit', 'specializations', 'portfolio', 'usage', 'import-export'];
 
 export default function Options(): JSX.Element {
-  const [provider, setProvider] = useState<'gemini' | 'openai'>('gemini');
+  const [provider, setProvider] = useState<ProviderId>('gemini');
   const [apiKey, setApiKey] = useState('');
   const [model, setModel] = useState('');
+  const [baseUrl, setBaseUrl] = useState('');
+  const [headers, setHeaders] = useState('');
+  const [fallbackProvider, setFallbackProvider] = useState<ProviderId | ''>('');
+  const [fallbackModel, setFallbackModel] = useState('');
   const [status, setStatus] = useState<{ message: string; type: 'success' | 'error' | 'info' | null }>({ message: '', type: null });
   const [show, setShow] = useState(false);
+  const [keyStatus, setKeyStatus] = useState<KeyStatus | null>(null);
+  const [keyTest, setKeyTest] = useState<KeyTestResult | null>(null);
+  const [isTesting, setTesting] = useState(false);
+  // Content scripts link straight to a tab, e.g. options/index.html#queue
+  const [tab, setTab] = useState(() => Math.max(0, TAB_HASHES.indexOf(window.location.hash.slice(1))));
+
+  const option = getProviderOption(provider);
 
   const showStatus = useCallback((message: string, type: 'success' | 'error' | 'info') => {
     setStatus({ message, type });
   }, []);
 
-  const loadApiKey = useCallback(() => {
-    chrome.storage.sync.get(['aiProvider', 'geminiApiKey', 'openaiApiKey', 'geminiModel', 'openaiModel'], (result) => {
-      if (chrome.runtime.lastError) {
-        showStatus(`Error loading saved key: ${chrome.runtime.lastError.message}`, 'error');
+  const loadKeyStatus = useCallback(async () => {
+    const next = await requestKeyStatus();
+    setKeyStatus(next);
+    return next;
+  }, []);
+
+  // Saved keys are never read back into the field; it only takes a new key.
+  const loadProviderFields = useCallback((id: ProviderId, stored: Record<string, any>) => {
+    const keys = providerKeys(id);
+    setApiKey('');
+    setKeyTest(null);
+    setModel(stored[keys.model] || getProviderOption(id).defaultModel);
+    setBaseUrl(stored[keys.baseUrl] || '');
+    setHeaders(stored[keys.headers] || '');
+  }, []);
+
+  const loadApiKey = useCallback(async () => {
+    try {
+      const [result, keys] = await Promise.all([loadSyncSettings(), loadKeyStatus()]);
+      const p = getProviderOption(result.aiProvider).id;
+      setProvider(p);
+      loadProviderFields(p, result);
+      setFallbackProvider(result.fallbackProvider || '');
+      setFallbackModel(result.fallbackModel || '');
+      if (isKeyLocked(keys, p)) {
+        showStatus('Your API keys are locked. Enter the passphrase under Key storage to use them.', 'info');
+      } else if (isProviderReady(getProviderOption(p), result, hasSavedKey(keys, p))) {
+        showStatus('Current configuration loaded.', 'info');
+        setTimeout(() => setStatus({ message: '', type: null }), 2000);
       } else {
-        const p = (result.aiProvider as 'gemini' | 'openai') || 'gemini';
-        setProvider(p);
-        const key = p === 'openai' ? result.openaiApiKey : result.geminiApiKey;
-        const mdl = p === 'openai' ? (result.openaiModel || 'gpt-4o-mini') : (result.geminiModel || 'gemini-1.5-flash-latest');
-        if (key) {
-          setApiKey(key);
-          showStatus('Current API Key loaded.', 'info');
-          setTimeout(() => setStatus({ message: '', type: null }), 2000);
-        } else {
-          showStatus('No API Key currently saved. Please enter one.', 'info');
-          setTimeout(() => setStatus({ message: '', type: null }), 3000);
-        }
-        setModel(mdl);
+        showStatus('No API Key currently saved. Please enter one.', 'info');
+        setTimeout(() => setStatus({ message: '', type: null }), 3000);
       }
-    });
-  }, [showStatus]);
+    } catch (e: any) {
+      showStatus(`Error loading saved key: ${e.message}`, 'error');
+    }
+  }, [showStatus, loadProviderFields, loadKeyStatus]);
+
+  const onProviderChange = (next: ProviderId) => {
+    setProvider(next);
+    chrome.storage.sync.get(null, (result) => loadProviderFields(next, result || {}));
+  };
 
-  const saveApiKey = useCallback(() => {
+  const saveApiKey = useCallback(async () => {
+    const keys = providerKeys(provider);
     const trimmed = apiKey.trim();
+    const url = baseUrl.trim();
+    const fallback = { fallbackProvider, fallbackModel: fallbackProvider ? fallbackModel.trim() : '' };
+    if (option.customEndpoint) {
+      const origin = url ? originPattern(url) : null;
+      if (!origin) {
+        showStatus('Please enter a valid http(s) base URL, e.g. http://localhost:11434/v1', 'error');
+        return;
+      }
+      if (!model.trim()) {
+        showStatus('Please enter the model name served by your endpoint.', 'error');
+        return;
+      }
+      // Requests go out from the service worker, which needs host access to the custom origin.
+      const granted = await chrome.permissions.request({ origins: [origin] }).catch(() => false);
+      if (!granted) {
+        showStatus(`Permission to reach ${origin} was denied; requests to this endpoint will fail.`, 'error');
+        return;
+      }
+    } else if (!trimmed && !(keyStatus && hasSavedKey(keyStatus, provider))) {
+      showStatus('Please enter an API key.', 'error');
+      return;
+    }
+    // A blank field keeps the saved key.
     if (trimmed) {
-      const payload: any = { aiProvider: provider };
-      if (provider === 'openai') payload.openaiApiKey = trimmed; else payload.geminiApiKey = trimmed;
-      if (provider === 'openai') payload.openaiModel = model || 'gpt-4o-mini'; else payload.geminiModel = model || 'gemini-1.5-flash-latest';
-      chrome.storage.sync.set(payload, () => {
-        if (chrome.runtime.lastError) {
-          showStatus(`Error saving key: ${chrome.runtime.lastError.message}`, 'error');
-        } else {
-          showStatus('API Key saved successfully!', 'success');
-        }
-      });
-    } else {
-      const keysToRemove = provider === 'openai' ? ['openaiApiKey'] : ['geminiApiKey'];
-      chrome.storage.sync.remove(keysToRemove, () => {
-        if (chrome.runtime.lastError) {
-          showStatus(`Error removing key: ${chrome.runtime.lastError.message}`, 'error');
-        } else {
-          showStatus('API Key field cleared and removed from storage.', 'info');
-        }
+      try {
+        await saveEncryptedKey(provider, trimmed);
+        setApiKey('');
+        await loadKeyStatus();
+      } catch (e: any) {
+        showStatus(`Error saving key: ${e.message}`, 'error');
+        return;
+      }
+    }
+
+    const payload: Record<string, string> = {
+      ...fallback,
+      aiProvider: provider,
+      [keys.model]: model.trim() || option.defaultModel
+    };
+    if (option.customEndpoint) {
+      payload[keys.baseUrl] = url;
+      payload[keys.headers] = headers;
+    }
+    chrome.storage.sync.set(payload, () => {
+      if (chrome.runtime.lastError) {
+        showStatus(`Error saving settings: ${chrome.runtime.lastError.message}`, 'error');
+        return;
+      }
+      showStatus(option.customEndpoint ? 'Endpoint configuration saved successfully!' : 'API Key saved successfully!', 'success');
+    });
+  }, [apiKey, baseUrl, headers, fallbackProvider, fallbackModel, showStatus, provider, model, option, keyStatus, loadKeyStatus]);
+
+  // Tests the typed key, or the saved one when the field is blank, and lists the models it can use.
+  const onTestKey = async () => {
+    setTesting(true);
+    setKeyTest(null);
+    try {
+      const result = await testProviderKey(provider, {
+        apiKey: apiKey.trim() || undefined,
+        ...(option.customEndpoint ? { baseUrl: baseUrl.trim(), headers } : {})
       });
+      setKeyTest(result);
+    } catch (e: any) {
+      setKeyTest({ ok: false, message: e.message, models: [] });
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const onRemoveKey = async () => {
+    if (!window.confirm(`Remove the saved ${option.label} API key?`)) return;
+    try {
+      await removeApiKey(provider);
+      await loadKeyStatus();
+      showStatus(`${option.label} API key removed.`, 'info');
+    } catch (e: any) {
+      showStatus(`Error removing key: ${e.message}`, 'error');
     }
-  }, [apiKey, showStatus, provider, model]);
+  };
+
+  const savedKey = keyStatus ? hasSavedKey(keyStatus, provider) : false;
+  const keyLocked = keyStatus ? isKeyLocked(keyStatus, provider) : false;
 
   useEffect(() => {
     loadApiKey();
@@ -120,17 +241,38 @@ export default function Options(): JSX.Element {
             </Box>
 
             <CardContent sx={{ p: 4 }}>
+              <Tabs
+                value={tab}
+                onChange={(_, value) => setTab(value)}
+                variant="scrollable"
+                scrollButtons="auto"
+                sx={{ mb: 4, '& .MuiTab-root': { fontWeight: 600 } }}
+              >
+                <Tab label="🤖 AI Provider" />
+                <Tab label="👤 Profiles" />
+                <Tab label="📄 Templates" />
+                <Tab label="💰 Pricing" />
+                <Tab label="🕘 History" />
+                <Tab label="📦 Batch Queue" />
+                <Tab label="🎯 Selectors" />
+                <Tab label="🛡️ Auto-Submit" />
+                <Tab label="🧭 Fit Score" />
+                <Tab label="🏷️ Specializations" />
+                <Tab label="📚 Portfolio" />
+                <Tab label="📊 Usage" />
+                <Tab label="🔄 Import / Export" />
+              </Tabs>
+
+              {tab === 0 && (
               <Stack spacing={4}>
+                <KeyVaultSection keyStatus={keyStatus} onStatus={showStatus} onChange={() => { loadKeyStatus().catch(() => {}); }} />
+
                 <FormControl fullWidth>
                   <InputLabel sx={{ fontWeight: 600 }}>AI Provider</InputLabel>
                   <Select
                     value={provider}
                     label="AI Provider"
-                    onChange={(e) => {
-                      const p = e.target.value as 'gemini' | 'openai';
-                      setProvider(p);
-                      setApiKey('');
-                    }}
+                    onChange={(e) => onProviderChange(e.target.value as ProviderId)}
                     sx={{ 
                       '& .MuiOutlinedInput-notchedOutline': {
                         borderColor: 'rgba(103, 126, 234, 0.3)'
@@ -140,58 +282,52 @@ export default function Options(): JSX.Element {
                       }
                     }}
                   >
-                    <MenuItem value="gemini">
-                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
-                        <Box sx={{ 
-                          width: 24, 
-                          height: 24, 
-                          borderRadius: '50%',
-                          background: 'linear-gradient(45deg, #4285f4, #34a853, #fbbc05, #ea4335)',
-                          display: 'flex',
-                          alignItems: 'center',
-                          justifyContent: 'center',
-                          color: 'white',
-                          fontSize: '12px',
-                          fontWeight: 'bold'
-                        }}>
-                          G
-                        </Box>
-                        Google Gemini
-                      </Box>
-                    </MenuItem>
-                    <MenuItem value="openai">
-                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
-                        <Box sx={{ 
-                          width: 24, 
-                          height: 24, 
-                          borderRadius: '50%',
-                          background: 'linear-gradient(45deg, #10a37f, #1a7f64)',
-                          display: 'flex',
-                          alignItems: 'center',
-                          justifyContent: 'center',
-                          color: 'white',
-                          fontSize: '12px',
-                          fontWeight: 'bold'
-                        }}>
-                          AI
+                    {PROVIDER_OPTIONS.map(p => (
+                      <MenuItem key={p.id} value={p.id}>
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                          <Box sx={{ 
+                            width: 24, 
+                            height: 24, 
+                            borderRadius: '50%',
+                            backgroundColor: 'rgba(103, 126, 234, 0.12)',
+                            display: 'flex',
+                            alignItems: 'center',
+                            justifyContent: 'center',
+                            fontSize: '14px'
+                          }}>
+                            {p.icon}
+                          </Box>
+                          {p.label}
                         </Box>
-                        OpenAI GPT
-                      </Box>
-                    </MenuItem>
+                      </MenuItem>
+                    ))}
                   </Select>
                 </FormControl>
 
+                {option.customEndpoint && (
+                  <TextField
+                    fullWidth
+                    label="🌐 Base URL"
+                    value={baseUrl}
+                    onChange={(e) => setBaseUrl(e.target.value)}
+                    placeholder="e.g., http://localhost:11434/v1"
+                    helperText="The URL that /chat/completions is appended to. Chrome will ask for access to this host on save."
+                    sx={fieldSx}
+                  />
+                )}
+
                 <TextField
                   fullWidth
-                  label="🔑 API Key"
+                  label={option.requiresKey ? '🔑 API Key' : '🔑 API Key (optional)'}
                   type={show ? 'text' : 'password'}
                   value={apiKey}
                   onChange={(e) => setApiKey(e.target.value)}
-                  placeholder={
-                    provider === 'openai'
-                      ? 'Enter your OpenAI API Key here'
-                      : 'Enter your Google AI Studio API Key here'
-                  }
+                  placeholder={savedKey ? 'Saved. Type a new key to replace it.' : option.keyPlaceholder}
+                  helperText={savedKey
+                    ? keyLocked
+                      ? 'A key is saved but locked. Unlock it under Key storage to test or use it.'
+                      : 'A key is saved. Leave the field blank to keep it.'
+                    : undefined}
                   InputProps={{
                     endAdornment: (
                       <InputAdornment position="end">
@@ -217,25 +353,103 @@ export default function Options(): JSX.Element {
                   }}
                 />
 
+                <Box>
+                  <Stack direction="row" spacing={1}>
+                    <Button variant="outlined" startIcon={<VerifiedUser />} disabled={isTesting} onClick={onTestKey}>
+                      {isTesting ? 'Testing…' : 'Test key'}
+                    </Button>
+                    {savedKey && (
+                      <Button color="error" startIcon={<Delete />} onClick={onRemoveKey}>
+                        Remove saved key
+                      </Button>
+                    )}
+                  </Stack>
+                  {keyTest && (
+                    <Alert severity={keyTest.ok ? 'success' : 'error'} sx={{ mt: 2, borderRadius: 2 }}>
+                      {keyTest.message}
+                      {keyTest.models.length > 0 && (
+                        <Box sx={{ mt: 1, display: 'flex', flexWrap: 'wrap', gap: 0.5, maxHeight: 160, overflowY: 'auto' }}>
+                          {keyTest.models.map(m => (
+                            <Chip
+                              key={m}
+                              size="small"
+                              label={m}
+                              color={m === model ? 'primary' : 'default'}
+                              onClick={() => setModel(m)}
+                            />
+                          ))}
+                        </Box>
+                      )}
+                    </Alert>
+                  )}
+                </Box>
+
                 <TextField
                   fullWidth
                   label="🤖 Model"
                   value={model}
                   onChange={(e) => setModel(e.target.value)}
-                  placeholder={
-                    provider === 'openai'
-                      ? 'e.g., gpt-4o-mini'
-                      : 'e.g., gemini-1.5-flash-latest'
-                  }
-                  sx={{
-                    '& .MuiOutlinedInput-root': {
-                      '& fieldset': { borderColor: 'rgba(103, 126, 234, 0.3)' },
-                      '&:hover fieldset': { borderColor: 'primary.main' },
-                      '&.Mui-focused fieldset': { borderColor: 'primary.main' },
-                    }
-                  }}
+                  placeholder={option.modelPlaceholder}
+                  sx={fieldSx}
                 />
 
+                {option.customEndpoint && (
+                  <TextField
+                    fullWidth
+                    multiline
+                    minRows={2}
+                    label="📨 Extra headers"
+                    value={headers}
+                    onChange={(e) => setHeaders(e.target.value)}
+                    placeholder={'One per line, e.g.\nX-Org-Id: my-team'}
+                    sx={fieldSx}
+                  />
+                )}
+
+                <Box>
+                <Stack direction="row" spacing={2}>
+                  <FormControl fullWidth>
+                    <InputLabel shrink sx={{ fontWeight: 600 }}>Fallback provider</InputLabel>
+                    <Select
+                      value={fallbackProvider}
+                      label="Fallback provider"
+                      displayEmpty
+                      notched
+                      onChange={(e) => {
+                        const next = e.target.value as ProviderId | '';
+                        setFallbackProvider(next);
+                        setFallbackModel(next ? getProviderOption(next).defaultModel : '');
+                      }}
+                      sx={{ 
+                        '& .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'rgba(103, 126, 234, 0.3)'
+                        },
+                        '&:hover .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'primary.main'
+                        }
+                      }}
+                    >
+                      <MenuItem value="">No fallback</MenuItem>
+                      {PROVIDER_OPTIONS.map(p => (
+                        <MenuItem key={p.id} value={p.id}>{p.icon} {p.label}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                  <TextField
+                    fullWidth
+                    label="Fallback model"
+                    value={fallbackModel}
+                    disabled={!fallbackProvider}
+                    onChange={(e) => setFallbackModel(e.target.value)}
+                    placeholder={fallbackProvider ? getProviderOption(fallbackProvider).modelPlaceholder : ''}
+                    sx={fieldSx}
+                  />
+                </Stack>
+                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                  Rate limits (429), server errors (5xx) and network failures are retried with backoff. If the provider keeps failing, the fallback is used with the key and settings saved for it.
+                </Typography>
+                </Box>
+
                 <Button
                   variant="contained"
                   size="large"
@@ -259,20 +473,6 @@ export default function Options(): JSX.Element {
                   💾 Save Configuration
                 </Button>
 
-                {status.type && (
-                  <Slide in direction="up" timeout={600}>
-                    <Alert 
-                      severity={status.type} 
-                      sx={{ 
-                        borderRadius: 2,
-                        '& .MuiAlert-message': { fontWeight: 500 }
-                      }}
-                    >
-                      {status.message}
-                    </Alert>
-                  </Slide>
-                )}
-
                 <Paper elevation={3} sx={{ p: 3, backgroundColor: 'grey.50', borderRadius: 3 }}>
                   <Typography variant="h6" gutterBottom sx={{ 
                     fontWeight: 600,
@@ -303,11 +503,53 @@ export default function Options(): JSX.Element {
                     >
                       OpenAI Platform
                     </Link>
+                    <br />
+                    <strong>For Anthropic:</strong> Get your API key at{' '}
+                    <Link
+                      href="https://console.anthropic.com/settings/keys"
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      sx={{ fontWeight: 600 }}
+                    >
+                      Anthropic Console
+                    </Link>
+                    <br />
+                    <strong>For OpenAI-compatible servers</strong> (Ollama, LM Studio, OpenRouter, vLLM...): enter the base URL ending in <code>/v1</code> and the model name; the key is only needed if the server asks for one.
                     <br /><br />
                     🔒 <strong>Privacy:</strong> Your API keys are stored securely in Chrome's synchronized storage and are only used to communicate with your selected AI provider.
                   </Typography>
                 </Paper>
               </Stack>
+              )}
+
+              {tab === 1 && <ProfilesSection onStatus={showStatus} />}
+              {tab === 2 && <TemplatesSection onStatus={showStatus} />}
+              {tab === 3 && <PricingSection onStatus={showStatus} />}
+              {tab === 4 && <HistorySection onStatus={showStatus} />}
+              {tab === 5 && <QueueSection onStatus={showStatus} />}
+              {tab === 6 && <SelectorsSection onStatus={showStatus} />}
+              {tab === 7 && <GuardrailsSection onStatus={showStatus} />}
+              {tab === 8 && <FitSection onStatus={showStatus} />}
+              {tab === 9 && <TaxonomySection onStatus={showStatus} />}
+              {tab === 10 && <KnowledgeSection onStatus={showStatus} />}
+              {tab === 11 && <UsageSection onStatus={showStatus} />}
+
+              {tab === 12 && <SettingsTransferSection onStatus={showStatus} onApplied={() => { loadApiKey(); }} />}
+
+              {status.type && (
+                <Slide in direction="up" timeout={600}>
+                  <Alert 
+                    severity={status.type} 
+                    sx={{ 
+                      mt: 4,
+                      borderRadius: 2,
+                      '& .MuiAlert-message': { fontWeight: 500 }
+                    }}
+                  >
+                    {status.message}
+                  </Alert>
+                </Slide>
+              )}
             </CardContent>
           </Card>
         </Fade>
@@ -0,0 +1,249 @@
+import React from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  IconButton,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add, Balance, Delete, Description } from '@mui/icons-material';
+import {
+  DetailedProposal,
+  ProposalMilestone,
+  ProposalPhase,
+  balanceMilestones,
+  milestoneTotal,
+  phaseDays
+} from './proposal';
+
+type Props = {
+  proposal: DetailedProposal;
+  // From the popup's bid fields; null when empty
+  bidAmount: number | null;
+  deliveryDays: number | null;
+  currency: string;
+  onChange: (proposal: DetailedProposal) => void;
+  onUse: (proposal: DetailedProposal) => void;
+};
+
+const cellSx = { px: 0.5, py: 0.25, verticalAlign: 'top' };
+const inputSx = { '& .MuiInputBase-input': { fontSize: '0.8rem' } };
+
+const lines = (items: string[]) => items.join('\n');
+const fromLines = (text: string) => text.split('\n');
+
+export default function ProposalPanel({ proposal, bidAmount, deliveryDays, currency, onChange, onUse }: Props): JSX.Element {
+  const total = milestoneTotal(proposal);
+  const days = phaseDays(proposal);
+  const amountOff = bidAmount != null && total !== bidAmount;
+  const daysOff = deliveryDays != null && proposal.phases.length > 0 && days !== deliveryDays;
+
+  const setPhase = (index: number, patch: Partial<ProposalPhase>) =>
+    onChange({ ...proposal, phases: proposal.phases.map((p, i) => (i === index ? { ...p, ...patch } : p)) });
+  const setMilestone = (index: number, patch: Partial<ProposalMilestone>) =>
+    onChange({ ...proposal, milestones: proposal.milestones.map((m, i) => (i === index ? { ...m, ...patch } : m)) });
+
+  // Lists are edited one item per line; blank lines are dropped when the proposal is used.
+  const cleaned = (): DetailedProposal => ({
+    ...proposal,
+    assumptions: proposal.assumptions.map(a => a.trim()).filter(Boolean),
+    exclusions: proposal.exclusions.map(e => e.trim()).filter(Boolean)
+  });
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" gutterBottom sx={{ fontWeight: 700, color: 'text.primary' }}>
+        📋 Detailed Proposal
+      </Typography>
+      <Stack spacing={1.5}>
+        <TextField
+          label="Summary"
+          multiline
+          minRows={2}
+          size="small"
+          fullWidth
+          value={proposal.summary}
+          onChange={(e) => onChange({ ...proposal, summary: e.target.value })}
+          sx={inputSx}
+        />
+
+        <Paper variant="outlined" sx={{ borderRadius: 2 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell sx={cellSx}>Phase</TableCell>
+                <TableCell sx={cellSx}>Description</TableCell>
+                <TableCell sx={{ ...cellSx, width: 64 }}>Days</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {proposal.phases.map((phase, i) => (
+                <TableRow key={i}>
+                  <TableCell sx={cellSx}>
+                    <TextField variant="standard" fullWidth value={phase.name} onChange={(e) => setPhase(i, { name: e.target.value })} sx={inputSx} />
+                  </TableCell>
+                  <TableCell sx={cellSx}>
+                    <TextField variant="standard" fullWidth multiline value={phase.description} onChange={(e) => setPhase(i, { description: e.target.value })} sx={inputSx} />
+                  </TableCell>
+                  <TableCell sx={cellSx}>
+                    <TextField
+                      variant="standard"
+                      type="number"
+                      value={phase.days}
+                      onChange={(e) => setPhase(i, { days: Math.max(0, Number(e.target.value) || 0) })}
+                      inputProps={{ min: 0 }}
+                      sx={inputSx}
+                    />
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Paper>
+
+        <Paper variant="outlined" sx={{ borderRadius: 2 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell sx={cellSx}>Milestone</TableCell>
+                <TableCell sx={cellSx}>Deliverable</TableCell>
+                <TableCell sx={{ ...cellSx, width: 72 }}>Amount</TableCell>
+                <TableCell sx={{ ...cellSx, width: 56 }}>Day</TableCell>
+                <TableCell sx={{ ...cellSx, width: 32 }} />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {proposal.milestones.map((milestone, i) => (
+                <TableRow key={i}>
+                  <TableCell sx={cellSx}>
+                    <TextField variant="standard" fullWidth value={milestone.name} onChange={(e) => setMilestone(i, { name: e.target.value })} sx={inputSx} />
+                  </TableCell>
+                  <TableCell sx={cellSx}>
+                    <TextField variant="standard" fullWidth multiline value={milestone.deliverable} onChange={(e) => setMilestone(i, { deliverable: e.target.value })} sx={inputSx} />
+                  </TableCell>
+                  <TableCell sx={cellSx}>
+                    <TextField
+                      variant="standard"
+                      type="number"
+                      value={milestone.amount}
+                      onChange={(e) => setMilestone(i, { amount: Math.max(0, Number(e.target.value) || 0) })}
+                      inputProps={{ min: 0 }}
+                      sx={inputSx}
+                    />
+                  </TableCell>
+                  <TableCell sx={cellSx}>
+                    <TextField
+                      variant="standard"
+                      type="number"
+                      value={milestone.dueDay}
+                      onChange={(e) => setMilestone(i, { dueDay: Math.max(0, Number(e.target.value) || 0) })}
+                      inputProps={{ min: 0 }}
+                      sx={inputSx}
+                    />
+                  </TableCell>
+                  <TableCell sx={cellSx}>
+                    <IconButton
+                      size="small"
+                      disabled={proposal.milestones.length === 1}
+                      onClick={() => onChange({ ...proposal, milestones: proposal.milestones.filter((_, j) => j !== i) })}
+                    >
+                      <Delete fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+              <TableRow>
+                <TableCell sx={cellSx} colSpan={2}>
+                  <Button
+                    size="small"
+                    startIcon={<Add />}
+                    onClick={() => onChange({
+                      ...proposal,
+                      milestones: [...proposal.milestones, { name: 'New milestone', deliverable: '', amount: 0, dueDay: deliveryDays || 0 }]
+                    })}
+                  >
+                    Milestone
+                  </Button>
+                </TableCell>
+                <TableCell sx={{ ...cellSx, fontWeight: 700 }} colSpan={3}>
+                  {total}{currency ? ` ${currency}` : ''}
+                </TableCell>
+              </TableRow>
+            </TableBody>
+          </Table>
+        </Paper>
+
+        {(amountOff || daysOff) && (
+          <Alert
+            severity="warning"
+            sx={{ borderRadius: 2 }}
+            action={amountOff && bidAmount != null ? (
+              <Button
+                size="small"
+                color="inherit"
+                startIcon={<Balance />}
+                onClick={() => onChange({ ...proposal, milestones: balanceMilestones(proposal.milestones, bidAmount) })}
+              >
+                Rebalance
+              </Button>
+            ) : undefined}
+          >
+            {[
+              amountOff ? `Milestones add up to ${total}, the bid amount is ${bidAmount}.` : null,
+              daysOff ? `Phases take ${days} days, delivery is ${deliveryDays}.` : null
+            ].filter(Boolean).join(' ')}
+          </Alert>
+        )}
+
+        <Stack direction="row" spacing={1}>
+          <TextField
+            label="Assumptions (one per line)"
+            multiline
+            minRows={2}
+            size="small"
+            fullWidth
+            value={lines(proposal.assumptions)}
+            onChange={(e) => onChange({ ...proposal, assumptions: fromLines(e.target.value) })}
+            sx={inputSx}
+          />
+          <TextField
+            label="Not included (one per line)"
+            multiline
+            minRows={2}
+            size="small"
+            fullWidth
+            value={lines(proposal.exclusions)}
+            onChange={(e) => onChange({ ...proposal, exclusions: fromLines(e.target.value) })}
+            sx={inputSx}
+          />
+        </Stack>
+
+        <Box>
+          <Button
+            size="small"
+            variant="contained"
+            startIcon={<Description />}
+            onClick={() => {
+              const final = cleaned();
+              onChange(final);
+              onUse(final);
+            }}
+          >
+            Use as proposal
+          </Button>
+          <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+            Fills the proposal text, and the milestone fields when the bid form has them
+          </Typography>
+        </Box>
+      </Stack>
+    </Box>
+  );
+}
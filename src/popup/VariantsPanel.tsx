@@ -0,0 +1,112 @@
+import React, { useMemo, useState } from 'react';
+import { Box, Button, Chip, Paper, Stack, Typography } from '@mui/material';
+import { CallMerge, CheckCircle } from '@mui/icons-material';
+import { BidVariant, SentenceRef, mergeSentences, splitSentences, tokenizeAgainst } from './variants';
+
+type Props = {
+  variants: BidVariant[];
+  selected: number;
+  onSelect: (index: number) => void;
+  onUseMerged: (text: string) => void;
+};
+
+const sameRef = (a: SentenceRef, b: SentenceRef) => a.variant === b.variant && a.sentence === b.sentence;
+
+export default function VariantsPanel({ variants, selected, onSelect, onUseMerged }: Props): JSX.Element {
+  const [selection, setSelection] = useState<SentenceRef[]>([]);
+
+  const sentences = useMemo(() => variants.map(v => splitSentences(v.text)), [variants]);
+  const reference = variants[selected]?.text || '';
+  const merged = useMemo(() => mergeSentences(variants, selection), [variants, selection]);
+
+  const toggleSentence = (ref: SentenceRef) => {
+    setSelection(prev => (prev.some(r => sameRef(r, ref)) ? prev.filter(r => !sameRef(r, ref)) : [...prev, ref]));
+  };
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" gutterBottom sx={{ fontWeight: 700, color: 'text.primary' }}>
+        🧪 Variants
+      </Typography>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1.5 }}>
+        Highlighted words do not appear in the selected variant. Click sentences to build a merged proposal.
+      </Typography>
+      <Stack spacing={1.5}>
+        {variants.map((variant, vi) => (
+          <Paper
+            key={variant.tone}
+            variant="outlined"
+            sx={{
+              p: 1.5,
+              borderRadius: 2,
+              borderWidth: vi === selected ? 2 : 1,
+              borderColor: vi === selected ? 'primary.main' : 'rgba(103, 126, 234, 0.3)'
+            }}
+          >
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              <Chip size="small" label={variant.tone} color={vi === selected ? 'primary' : 'default'} />
+              <Box sx={{ flex: 1 }} />
+              <Button
+                size="small"
+                startIcon={<CheckCircle />}
+                disabled={vi === selected}
+                onClick={() => onSelect(vi)}
+              >
+                {vi === selected ? 'Selected' : 'Use this'}
+              </Button>
+            </Box>
+            <Typography variant="body2" component="div" sx={{ lineHeight: 1.6 }}>
+              {sentences[vi].map((sentence, si) => {
+                const ref = { variant: vi, sentence: si };
+                const order = selection.findIndex(r => sameRef(r, ref));
+                return (
+                  <Box
+                    key={si}
+                    component="span"
+                    onClick={() => toggleSentence(ref)}
+                    sx={{
+                      cursor: 'pointer',
+                      borderRadius: 1,
+                      px: 0.25,
+                      outline: order >= 0 ? '2px solid #48bb78' : 'none',
+                      '&:hover': { backgroundColor: 'rgba(103, 126, 234, 0.08)' }
+                    }}
+                  >
+                    {order >= 0 && (
+                      <Box component="sup" sx={{ color: '#38a169', fontWeight: 700, mr: 0.25 }}>{order + 1}</Box>
+                    )}
+                    {tokenizeAgainst(sentence, reference).map((token, ti) => (
+                      <Box
+                        key={ti}
+                        component="span"
+                        sx={vi !== selected && token.distinct ? { backgroundColor: 'rgba(240, 147, 251, 0.3)', borderRadius: 0.5 } : undefined}
+                      >
+                        {token.text}
+                      </Box>
+                    ))}
+                    {' '}
+                  </Box>
+                );
+              })}
+            </Typography>
+          </Paper>
+        ))}
+      </Stack>
+
+      {selection.length > 0 && (
+        <Paper variant="outlined" sx={{ p: 1.5, mt: 1.5, borderRadius: 2, borderColor: '#48bb78' }}>
+          <Typography variant="caption" sx={{ fontWeight: 700, display: 'block', mb: 0.5 }}>
+            Merged proposal ({selection.length} sentence{selection.length > 1 ? 's' : ''})
+          </Typography>
+          <Typography variant="body2" sx={{ whiteSpace: 'pre-line', mb: 1 }}>{merged}</Typography>
+          <Stack direction="row" spacing={1}>
+            <Button size="small" variant="contained" startIcon={<CallMerge />} onClick={() => onUseMerged(merged)}>
+              Use merged
+            </Button>
+            <Button size="small" onClick={() => setSelection([])}>Clear</Button>
+          </Stack>
+        </Paper>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,283 @@
+// Scores a generated bid against the extracted job details.
+// Everything here is deterministic: the same bid and job always give the same result.
+
+// What detectScreening() in content.js found in the description.
+export type Screening = {
+  requiredPhrases: { text: string; placement: 'start' | 'anywhere' }[];
+  questions: string[];
+};
+
+export type AnalysisInput = {
+  bidText: string;
+  description: string;
+  skills: string[];
+  bidAmount: number | null;
+  budgetMin: number | null;
+  budgetMax: number | null;
+  screening?: Screening | null;
+};
+
+export type AnalysisCheck = {
+  id: 'length' | 'skills' | 'cliches' | 'questions' | 'screening' | 'pricing';
+  label: string;
+  score: number; // 0-100
+  detail: string;
+  suggestions: string[];
+};
+
+export type BidAnalytics = {
+  confidence: number;
+  competitiveness: number;
+  recommendation: string;
+  checks: AnalysisCheck[];
+};
+
+// Mirrors the "3 to 6 lines" rule in buildPrompt(); each screening answer adds a line.
+const MIN_LINES = 3;
+const MAX_LINES = 6;
+const MIN_WORDS = 40;
+const MAX_WORDS = 170;
+
+export const AI_CLICHES = [
+  'i hope this message finds you well',
+  'i came across your project',
+  'i am writing to',
+  'dear hiring manager',
+  'look no further',
+  'rest assured',
+  'delve',
+  'seamless',
+  'cutting-edge',
+  'state-of-the-art',
+  'game-changer',
+  'in today\'s fast-paced',
+  'elevate your',
+  'unlock the',
+  'leverage my',
+  'tailored solution',
+  'i am passionate',
+  'as an ai',
+  'i would be thrilled',
+  'hit the ground running'
+];
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'you', 'your', 'with', 'that', 'this', 'have', 'will', 'are', 'can', 'what', 'how',
+  'who', 'when', 'where', 'which', 'why', 'does', 'did', 'any', 'has', 'was', 'were', 'been', 'from', 'into',
+  'about', 'would', 'could', 'should', 'there', 'their', 'them', 'they', 'our', 'also', 'please', 'able', 'need'
+]);
+
+const clamp = (n: number) => Math.max(0, Math.min(100, Math.round(n)));
+
+const escapeRegExp = (s: string) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Word-boundary match that still works for skills like "C++", "Node.js" or ".NET".
+export function mentions(text: string, term: string): boolean {
+  const t = term.trim().toLowerCase();
+  if (!t) return false;
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(t)}($|[^a-z0-9])`, 'i').test(text);
+}
+
+const keywords = (text: string) =>
+  Array.from(new Set((text.toLowerCase().match(/[a-z0-9][a-z0-9+#.-]{2,}/g) || [])
+    .map(w => w.replace(/[.-]+$/, ''))
+    .filter(w => w.length >= 4 && !STOPWORDS.has(w))));
+
+// Sentences in the description that end with a question mark.
+export function extractClientQuestions(description: string): string[] {
+  const sentences = description
+    .split(/\n+|(?<=[?.!])\s+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+  return sentences.filter(s => s.endsWith('?') && s.length > 8);
+}
+
+function checkLength(bidText: string, answerLines = 0): AnalysisCheck {
+  const lines = bidText.split('\n').map(l => l.trim()).filter(Boolean);
+  const words = bidText.split(/\s+/).filter(Boolean).length;
+  const maxLines = MAX_LINES + answerLines;
+  const maxWords = MAX_WORDS + answerLines * 25;
+  const suggestions: string[] = [];
+  let score = 100;
+  if (lines.length < MIN_LINES) {
+    score -= 20 * (MIN_LINES - lines.length);
+    suggestions.push(`Split the proposal into ${MIN_LINES}–${maxLines} short lines; it currently has ${lines.length}.`);
+  } else if (lines.length > maxLines) {
+    score -= 15 * (lines.length - maxLines);
+    suggestions.push(`Cut it down to at most ${maxLines} lines; it currently has ${lines.length}.`);
+  }
+  if (words < MIN_WORDS) {
+    score -= 30;
+    suggestions.push(`At ${words} words it reads thin. Add one concrete line about how you would approach the work.`);
+  } else if (words > maxWords) {
+    score -= Math.min(50, (words - maxWords) / 2);
+    suggestions.push(`At ${words} words it is long for a first bid. Aim for under ${maxWords}.`);
+  }
+  return {
+    id: 'length',
+    label: 'Length & format',
+    score: clamp(score),
+    detail: `${lines.length} lines, ${words} words`,
+    suggestions
+  };
+}
+
+function checkSkills(bidText: string, skills: string[]): AnalysisCheck {
+  if (skills.length === 0) {
+    return { id: 'skills', label: 'Skill coverage', score: 70, detail: 'No skills listed on the project', suggestions: [] };
+  }
+  const missing = skills.filter(s => !mentions(bidText, s));
+  const covered = skills.length - missing.length;
+  // Mentioning half of the listed skills is already a strong match.
+  const target = Math.max(1, Math.ceil(skills.length / 2));
+  const suggestions = covered >= target ? [] : [
+    `Mention ${missing.slice(0, 3).join(', ')} — ${missing.length === 1 ? 'it is' : 'they are'} listed in the project skills.`
+  ];
+  return {
+    id: 'skills',
+    label: 'Skill coverage',
+    score: clamp((covered / target) * 100),
+    detail: `${covered} of ${skills.length} project skills mentioned`,
+    suggestions
+  };
+}
+
+function checkCliches(bidText: string): AnalysisCheck {
+  const lower = bidText.toLowerCase();
+  const hits = AI_CLICHES.filter(c => lower.includes(c));
+  return {
+    id: 'cliches',
+    label: 'Human tone',
+    score: clamp(100 - hits.length * 25),
+    detail: hits.length === 0 ? 'No AI-sounding phrases found' : `${hits.length} AI-sounding phrase${hits.length > 1 ? 's' : ''}`,
+    suggestions: hits.map(h => `Rephrase or remove "${h}".`)
+  };
+}
+
+// A question counts as answered when at least two (or most) of its keywords appear in the bid.
+function isAddressed(question: string, bidWords: Set<string>): boolean {
+  const kw = keywords(question);
+  if (kw.length === 0) return true;
+  const hits = kw.filter(w => bidWords.has(w)).length;
+  return hits >= Math.min(2, kw.length) || hits / kw.length >= 0.5;
+}
+
+// Screening questions are scored by checkScreening(), so they are left out here.
+function checkQuestions(bidText: string, description: string, screening: string[] = []): AnalysisCheck {
+  const screened = screening.map(q => q.toLowerCase());
+  const questions = extractClientQuestions(description)
+    .filter(q => !screened.some(s => q.toLowerCase().includes(s) || s.includes(q.toLowerCase().replace(/^(?:q\s*)?\d{1,2}\s*[).:]\s*/, ''))));
+  if (questions.length === 0) {
+    return { id: 'questions', label: 'Client questions', score: 100, detail: 'The client asked no questions', suggestions: [] };
+  }
+  const bidWords = new Set(keywords(bidText));
+  const unanswered = questions.filter(q => !isAddressed(q, bidWords));
+  const answered = questions.length - unanswered.length;
+  return {
+    id: 'questions',
+    label: 'Client questions',
+    score: clamp((answered / questions.length) * 100),
+    detail: `${answered} of ${questions.length} questions addressed`,
+    suggestions: unanswered.slice(0, 3).map(q => `Answer the client's question: "${q}"`)
+  };
+}
+
+// The phrase has to open the bid; leading quotes, markdown marks and case are ignored.
+const startsWithPhrase = (bidText: string, phrase: string) =>
+  bidText.replace(/^[\s"'“”‘’«»*_-]+/, '').toLowerCase().startsWith(phrase.trim().toLowerCase());
+
+function checkScreening(bidText: string, screening?: Screening | null): AnalysisCheck {
+  const base = { id: 'screening' as const, label: 'Screening checks' };
+  const phrases = screening?.requiredPhrases || [];
+  const questions = screening?.questions || [];
+  if (phrases.length === 0 && questions.length === 0) {
+    return { ...base, score: 100, detail: 'No screening questions or required phrases', suggestions: [] };
+  }
+  const missingPhrases = phrases.filter(p => (p.placement === 'start'
+    ? !startsWithPhrase(bidText, p.text)
+    : !bidText.toLowerCase().includes(p.text.trim().toLowerCase())));
+  const bidWords = new Set(keywords(bidText));
+  // A numbered answer ("2) ...") counts even when it shares no words with the question.
+  const unanswered = questions.filter((q, i) =>
+    !new RegExp(`(^|\\n)\\s*(?:q\\s*)?${i + 1}\\s*[).:]`, 'i').test(bidText) && !isAddressed(q, bidWords));
+  const answered = questions.length - unanswered.length;
+  const suggestions = [
+    ...missingPhrases.map(p => (p.placement === 'start'
+      ? `Start the proposal with "${p.text}" — the client asked for it to filter out generic bids.`
+      : `Include "${p.text}" — the client asked for it in every bid.`)),
+    ...unanswered.slice(0, 3).map(q => `Answer the screening question: "${q}"`)
+  ];
+  const parts = [
+    phrases.length ? `${phrases.length - missingPhrases.length} of ${phrases.length} required phrase${phrases.length === 1 ? '' : 's'} used` : null,
+    questions.length ? `${answered} of ${questions.length} screening question${questions.length === 1 ? '' : 's'} answered` : null
+  ].filter(Boolean);
+  return {
+    ...base,
+    // Clients usually skip a bid outright when the phrase is missing.
+    score: missingPhrases.length ? 0 : clamp((answered / Math.max(1, questions.length)) * 100),
+    detail: parts.join(', '),
+    suggestions
+  };
+}
+
+function checkPricing(bidAmount: number | null, min: number | null, max: number | null): AnalysisCheck {
+  const base = { id: 'pricing' as const, label: 'Price position' };
+  if (bidAmount === null || Number.isNaN(bidAmount)) {
+    return { ...base, score: 50, detail: 'No bid amount set', suggestions: ['Enter a bid amount before inserting.'] };
+  }
+  if (min === null || max === null) {
+    return { ...base, score: 70, detail: 'Project budget could not be parsed', suggestions: [] };
+  }
+  if (bidAmount < min) {
+    return {
+      ...base,
+      score: 40,
+      detail: `${bidAmount} is below the budget range (${min}–${max})`,
+      suggestions: [`Bids under the minimum can look low-effort; consider at least ${min}.`]
+    };
+  }
+  if (bidAmount > max) {
+    return {
+      ...base,
+      score: 30,
+      detail: `${bidAmount} is above the budget range (${min}–${max})`,
+      suggestions: [`Bring the amount to ${max} or below, or justify the extra scope in the proposal.`]
+    };
+  }
+  const position = max === min ? 0.5 : (bidAmount - min) / (max - min);
+  // The lower-middle of the range tends to be the most competitive spot.
+  const score = 100 - Math.abs(position - 0.4) * 80;
+  const suggestions = position > 0.8
+    ? ['You are near the top of the range; make sure the proposal shows why you are worth it.']
+    : position < 0.1
+      ? ['You are at the very bottom of the range; a slightly higher bid can signal confidence.']
+      : [];
+  return {
+    ...base,
+    score: clamp(score),
+    detail: `${Math.round(position * 100)}% into the budget range (${min}–${max})`,
+    suggestions
+  };
+}
+
+export function analyzeBid(input: AnalysisInput): BidAnalytics {
+  const bidText = input.bidText.trim();
+  const checks = [
+    checkLength(bidText, input.screening?.questions.length || 0),
+    checkSkills(bidText, input.skills),
+    checkCliches(bidText),
+    checkQuestions(bidText, input.description, input.screening?.questions),
+    checkScreening(bidText, input.screening),
+    checkPricing(input.bidAmount, input.budgetMin, input.budgetMax)
+  ];
+  const content = checks.filter(c => c.id !== 'pricing');
+  const confidence = clamp(content.reduce((sum, c) => sum + c.score, 0) / content.length);
+  const competitiveness = checks.find(c => c.id === 'pricing')!.score;
+  const weakest = [...checks].sort((a, b) => a.score - b.score).find(c => c.suggestions.length > 0);
+  return {
+    confidence,
+    competitiveness,
+    recommendation: weakest ? weakest.suggestions[0] : 'Looks good — the proposal meets every check.',
+    checks
+  };
+}
@@ -1,109 +1,9 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
-import { ThemeProvider, createTheme } from '@mui/material/styles';
+import { ThemeProvider } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 import Popup from './popup';
-
-const theme = createTheme({
-  palette: {
-    mode: 'light',
-    primary: {
-      main: '#667eea',
-      light: '#8fa7f3',
-      dark: '#4c63d2',
-    },
-    secondary: {
-      main: '#764ba2',
-      light: '#9575cd',
-      dark: '#5e35b1',
-    },
-    success: {
-      main: '#48bb78',
-      light: '#68d391',
-      dark: '#38a169',
-    },
-    background: {
-      default: '#f7fafc',
-      paper: '#ffffff',
-    },
-  },
-  typography: {
-    fontFamily: '"Inter", "Roboto", "Helvetica", "Arial", sans-serif',
-    h4: {
-      fontWeight: 700,
-      letterSpacing: '-0.025em',
-    },
-    h5: {
-      fontWeight: 600,
-      letterSpacing: '-0.025em',
-    },
-    h6: {
-      fontWeight: 600,
-      letterSpacing: '-0.025em',
-    },
-    button: {
-      textTransform: 'none',
-      fontWeight: 600,
-    },
-  },
-  shape: {
-    borderRadius: 12,
-  },
-  components: {
-    MuiButton: {
-      styleOverrides: {
-        root: {
-          borderRadius: 12,
-          textTransform: 'none',
-          fontWeight: 600,
-          boxShadow: 'none',
-          '&:hover': {
-            boxShadow: 'none',
-          },
-        },
-        contained: {
-          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
-          '&:hover': {
-            boxShadow: '0 6px 16px rgba(0, 0, 0, 0.2)',
-            transform: 'translateY(-1px)',
-          },
-        },
-      },
-    },
-    MuiCard: {
-      styleOverrides: {
-        root: {
-          borderRadius: 16,
-          boxShadow: '0 4px 20px rgba(0, 0, 0, 0.08)',
-        },
-      },
-    },
-    MuiTextField: {
-      styleOverrides: {
-        root: {
-          '& .MuiOutlinedInput-root': {
-            borderRadius: 12,
-          },
-        },
-      },
-    },
-    MuiAlert: {
-      styleOverrides: {
-        root: {
-          borderRadius: 12,
-        },
-      },
-    },
-    MuiChip: {
-      styleOverrides: {
-        root: {
-          borderRadius: 20,
-          fontWeight: 600,
-        },
-      },
-    },
-  },
-});
+import { theme } from './theme';
 
 const container = document.getElementById('root');
 if (container) {
@@ -1,4 +1,4 @@
-import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import {
   Box,
   Button,
@@ -34,7 +34,11 @@ import {
   Collapse,
   Grid,
   ButtonGroup,
-  Skeleton
+  Skeleton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
 } from '@mui/material';
 import {
   AutoAwesome,
@@ -68,8 +72,44 @@ import {
   Workspaces,
   ExpandMore,
   ExpandLess,
-  Tune
+  Tune,
+  Stop,
+  Translate,
+  ViewSidebar,
+  Undo,
+  Redo,
+  Chat,
+  ListAlt,
+  LockOpen
 } from '@mui/icons-material';
+import { FreelancerProfile, loadProfiles, setActiveProfile } from '../shared/profiles';
+import { BidTemplate, loadTemplates } from '../shared/templates';
+import { PricingResult, requestPricing } from '../shared/pricing';
+import { DEFAULT_GUARDRAILS, SubmitOutcome, loadGuardrails } from '../shared/guardrails';
+import { FitResult, fitColor, requestFit } from '../shared/fit';
+import { LANGUAGES, languageName, requestTranslation } from '../shared/languages';
+import { PROVIDER_OPTIONS, ProviderId, getProviderOption, isProviderReady, loadSyncSettings } from '../shared/providers';
+import { hasSavedKey, isKeyLocked, requestKeyStatus, unlockKeys } from '../shared/keys';
+import { Screening, analyzeBid } from './analysis';
+import { BidStream, startBidStream } from './stream';
+import { BidVariant } from './variants';
+import {
+  DraftEntry,
+  REFINE_SUGGESTIONS,
+  RefineSession,
+  conversationTurns,
+  currentDraft,
+  loadSession,
+  moveDraft,
+  pushDraft,
+  refineJob,
+  requestRefine,
+  saveSession,
+  startSession
+} from './refine';
+import VariantsPanel from './VariantsPanel';
+import { DetailedProposal, ProposalMilestone, renderProposal, requestDetailedProposal } from './proposal';
+import ProposalPanel from './ProposalPanel';
 
 type PopupState = {
   status: { message: string; type: 'info' | 'success' | 'error' | 'warning' | 'loading' };
@@ -77,7 +117,7 @@ type PopupState = {
   bidAmount: string;
   deliveryTime: string;
   extractedBudgetText?: string | null;
-  progress?: number;
+  projectChips?: string[];
   currentStep?: number;
 };
 
@@ -87,17 +127,12 @@ type UpgradeOptions = {
   highlight: boolean;
 };
 
-type BidTemplate = {
-  id: string;
-  name: string;
-  content: string;
-  category: string;
-};
-
-type BidAnalytics = {
-  confidence: number;
-  competitiveness: number;
-  recommendation: string;
+type JobContext = {
+  description: string;
+  skills: string[];
+  budgetMin: number | null;
+  budgetMax: number | null;
+  screening: Screening | null;
 };
 
 const getStatusIcon = (type: string) => {
@@ -110,6 +145,28 @@ const getStatusIcon = (type: string) => {
   }
 };
 
+// Short labels for what content.js found about the project and its client.
+const projectChips = (details: any): string[] => [
+  details.projectType === 'hourly' ? '⏱️ Hourly' : details.projectType === 'fixed' ? '📌 Fixed price' : null,
+  details.client?.country ? `🌍 ${details.client.country}` : null,
+  details.client?.paymentVerified === true ? '✅ Payment verified' : details.client?.paymentVerified === false ? '⚠️ Payment unverified' : null,
+  details.client?.rating != null ? `⭐ ${details.client.rating} (${details.client.reviewCount ?? 0})` : null,
+  details.bidStats?.count != null ? `👥 ${details.bidStats.count} bids${details.bidStats.averageText ? ` · avg ${details.bidStats.averageText}` : ''}` : null,
+  details.postedText ? `🕒 ${details.postedText}` : null,
+  details.attachments?.length ? `📎 ${details.attachments.length} attachment${details.attachments.length > 1 ? 's' : ''}` : null,
+  details.language && details.language !== 'en' ? `🌐 ${languageName(details.language)}` : null,
+  details.screening?.requiredPhrases?.length ? `🔑 Start/include: ${details.screening.requiredPhrases.map((p: any) => `"${p.text}"`).join(', ')}` : null,
+  details.screening?.questions?.length ? `❓ ${details.screening.questions.length} screening question${details.screening.questions.length > 1 ? 's' : ''}` : null
+].filter(Boolean) as string[];
+
+const providerLabel = (id: string) => getProviderOption(id).label;
+
+// "by OpenAI GPT (gpt-4o-mini) on attempt 3 via fallback."
+const generatedBy = (result: { provider: string; model: string; attempt?: number; fallback?: boolean }) => {
+  const attempt = result.attempt && result.attempt > 1 ? ` on attempt ${result.attempt}` : '';
+  return `by ${providerLabel(result.provider)} (${result.model})${attempt}${result.fallback ? ' via fallback' : ''}.`;
+};
+
 const steps = [
   'Extract Project Details',
   'Generate AI Proposal', 
@@ -117,17 +174,32 @@ const steps = [
   'Submit Bid'
 ];
 
-export default function Popup(): JSX.Element {
+type PopupProps = {
+  // 'panel' when rendered in the Chrome side panel (src/sidepanel), which stays open across page changes
+  variant?: 'popup' | 'panel';
+};
+
+// Project pages compare without query string or hash.
+const pagePath = (url: string) => url.split(/[?#]/)[0];
+
+// Enter in these belongs to the control (a new line, a selected option, a button press), not to the shortcut.
+const isTypingTarget = (target: EventTarget | null) =>
+  target instanceof HTMLElement
+  && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'].includes(target.tagName));
+
+export default function Popup({ variant = 'popup' }: PopupProps): JSX.Element {
   const [state, setState] = useState<PopupState>({
     status: { message: 'Ready to generate winning bids', type: 'info' },
     bidText: '',
     bidAmount: '',
     deliveryTime: '',
-    progress: 0,
     currentStep: 0
   });
   const [hasApiKey, setHasApiKey] = useState<boolean>(false);
-  const [provider, setProvider] = useState<'gemini' | 'openai'>('gemini');
+  // The saved key is encrypted and needs the passphrase this session (see ../shared/keys)
+  const [keysLocked, setKeysLocked] = useState<boolean>(false);
+  const [passphrase, setPassphrase] = useState<string>('');
+  const [provider, setProvider] = useState<ProviderId>('gemini');
   const [isPreviewVisible, setPreviewVisible] = useState<boolean>(false);
   const [isGenerating, setGenerating] = useState<boolean>(false);
   const [isInserting, setInserting] = useState<boolean>(false);
@@ -139,127 +211,383 @@ export default function Popup(): JSX.Element {
     highlight: false
   });
   const [autoSubmit, setAutoSubmit] = useState<boolean>(false);
+  const [isConfirmOpen, setConfirmOpen] = useState<boolean>(false);
   const [showAdvanced, setShowAdvanced] = useState<boolean>(false);
   const [selectedTemplate, setSelectedTemplate] = useState<string>('');
-  const [bidAnalytics, setBidAnalytics] = useState<BidAnalytics | null>(null);
-  const [recentBids, setRecentBids] = useState<string[]>([]);
-  const [isAnalyzing, setIsAnalyzing] = useState<boolean>(false);
-
-  // Simulate bid analysis
-  const analyzeBid = useCallback((bidText: string) => {
-    if (!bidText) return;
-    setIsAnalyzing(true);
-    setTimeout(() => {
-      const confidence = Math.floor(Math.random() * 20) + 80; // 80-100%
-      const competitiveness = Math.floor(Math.random() * 30) + 70; // 70-100%
-      const recommendations = [
-        "Strong technical approach mentioned",
-        "Good portfolio reference included", 
-        "Competitive pricing strategy",
-        "Clear delivery timeline stated"
-      ];
-      setBidAnalytics({
-        confidence,
-        competitiveness,
-        recommendation: recommendations[Math.floor(Math.random() * recommendations.length)]
-      });
-      setIsAnalyzing(false);
-    }, 1500);
-  }, []);
+  // '' follows the language content.js detected on the page
+  const [languageOverride, setLanguageOverride] = useState<string>('');
+  const [detectedLanguage, setDetectedLanguage] = useState<string | null>(null);
+  const [isTranslating, setTranslating] = useState<boolean>(false);
+  const [jobContext, setJobContext] = useState<JobContext | null>(null);
+  const [pricing, setPricing] = useState<PricingResult | null>(null);
+  const [fit, setFit] = useState<FitResult | null>(null);
+  const [historyId, setHistoryId] = useState<string | null>(null);
+  const streamRef = useRef<BidStream | null>(null);
+  const [variantCount, setVariantCount] = useState<number>(1);
+  const [variants, setVariants] = useState<BidVariant[]>([]);
+  const [selectedVariant, setSelectedVariant] = useState<number>(0);
+  const [profiles, setProfiles] = useState<FreelancerProfile[]>([]);
+  const [activeProfileId, setActiveProfileId] = useState<string>('');
+  const [templates, setTemplates] = useState<BidTemplate[]>([]);
+  // Page the current bid was generated for, and (side panel only) the page shown now
+  const [projectUrl, setProjectUrl] = useState<string | null>(null);
+  const [activeUrl, setActiveUrl] = useState<string | null>(null);
+  // Refine conversation and undo/redo stack of the current bid (see ./refine)
+  const [session, setSession] = useState<RefineSession | null>(null);
+  const [refineInstruction, setRefineInstruction] = useState<string>('');
+  const [isRefining, setRefining] = useState<boolean>(false);
+  // Detailed proposal being edited, and the milestones of the one used for the bid form
+  const [proposal, setProposal] = useState<DetailedProposal | null>(null);
+  const [isDetailing, setDetailing] = useState<boolean>(false);
+  const [formMilestones, setFormMilestones] = useState<ProposalMilestone[] | null>(null);
 
   const updateStatus = useCallback((message: string, type: PopupState['status']['type'] = 'info') => {
     setState(prev => ({ ...prev, status: { message, type } }));
   }, []);
 
-  const refreshProviderAndKey = useCallback(() => {
-    chrome.storage.sync.get(['aiProvider', 'geminiApiKey', 'openaiApiKey'], (res) => {
-      const currentProvider = (res?.aiProvider as 'gemini' | 'openai') || 'gemini';
-      setProvider(currentProvider);
-      const keyPresent = currentProvider === 'openai' ? Boolean(res?.openaiApiKey) : Boolean(res?.geminiApiKey);
-      setHasApiKey(keyPresent);
-      if (!keyPresent) {
-        updateStatus(`API key for ${currentProvider} is missing. Click "Configure API Key" to add it.`, 'warning');
-      } else {
-        updateStatus('Ready to generate a bid.', 'info');
-      }
-    });
+  const refreshProviderAndKey = useCallback(async () => {
+    const [res, keyStatus] = await Promise.all([loadSyncSettings(), requestKeyStatus()]);
+    const current = getProviderOption(res?.aiProvider);
+    setProvider(current.id);
+    const locked = isKeyLocked(keyStatus, current.id);
+    const keyPresent = !locked && isProviderReady(current, res || {}, hasSavedKey(keyStatus, current.id));
+    setHasApiKey(keyPresent);
+    setKeysLocked(locked);
+    if (locked) {
+      updateStatus('Your API keys are locked. Enter your passphrase to unlock them.', 'warning');
+    } else if (!keyPresent) {
+      updateStatus(
+        current.customEndpoint
+          ? `${current.label} endpoint is not configured. Set its base URL and model in the options.`
+          : `API key for ${current.label} is missing. Click "Configure API Key" to add it.`,
+        'warning'
+      );
+    } else {
+      updateStatus('Ready to generate a bid.', 'info');
+    }
   }, [updateStatus]);
 
   useEffect(() => {
-    refreshProviderAndKey();
-  }, [refreshProviderAndKey]);
+    refreshProviderAndKey().catch((e: any) => updateStatus(`Could not read the settings: ${e.message}`, 'error'));
+  }, [refreshProviderAndKey, updateStatus]);
 
-  const onGenerate = useCallback(async () => {
-    setGenerating(true);
-    setPreviewVisible(false);
-    setBidAnalytics(null);
-    setState(prev => ({ ...prev, bidText: '', bidAmount: '', deliveryTime: '', progress: 0, currentStep: 0 }));
-    
-    // Step 1: Connect to page
-    updateStatus('🔍 Connecting to project page...', 'loading');
-    setState(prev => ({ ...prev, progress: 10, currentStep: 0 }));
-
-    let tab: chrome.tabs.Tab | undefined;
+  const onUnlockKeys = useCallback(async () => {
     try {
-      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-      tab = tabs?.[0];
-      if (!tab || !tab.id || !tab.url || !tab.url.includes('freelancer.com/projects/')) {
-        updateStatus('❌ Please navigate to a Freelancer project page', 'error');
-        return;
-      }
+      await unlockKeys(passphrase);
+      setPassphrase('');
+      await refreshProviderAndKey();
     } catch (e: any) {
-      updateStatus(`Connection error: ${e.message}`, 'error');
-      return;
+      updateStatus(e.message, 'error');
     }
+  }, [passphrase, refreshProviderAndKey, updateStatus]);
+
+  useEffect(() => {
+    loadProfiles()
+      .then(({ profiles: list, activeProfileId: active }) => {
+        setProfiles(list);
+        setActiveProfileId(active);
+      })
+      .catch(() => { /* the background falls back to the default profile */ });
+    loadTemplates()
+      .then(list => {
+        setTemplates(list);
+        // Default to auto-matching once the user has templates to match against.
+        if (list.length > 0) setSelectedTemplate('auto');
+      })
+      .catch(() => setTemplates([]));
+  }, []);
+
+  // Reopening the popup on a project brings back its draft and refine history.
+  useEffect(() => {
+    chrome.tabs.query({ active: true, currentWindow: true })
+      .then(async ([tab]) => {
+        if (!tab?.url || !tab.url.includes('freelancer.com/projects/')) return;
+        const saved = await loadSession(tab.url);
+        if (!saved) return;
+        setSession(current => current || saved);
+        setProjectUrl(current => current || tab.url!);
+        setHistoryId(current => current || saved.historyId);
+        setDetectedLanguage(current => current || saved.job.language || null);
+        setJobContext(current => current || {
+          description: saved.job.description,
+          skills: saved.job.skills || [],
+          budgetMin: saved.job.projectBudget?.min ?? null,
+          budgetMax: saved.job.projectBudget?.max ?? null,
+          screening: saved.job.screening || null
+        });
+        setState(prev => (prev.bidText ? prev : {
+          ...prev,
+          bidText: currentDraft(saved),
+          bidAmount: saved.bidAmount || '',
+          deliveryTime: saved.deliveryTime || '',
+          extractedBudgetText: saved.job.projectBudget?.text ?? null,
+          currentStep: 2,
+          status: { message: '↩️ Restored your last draft for this project.', type: 'info' }
+        }));
+        setPreviewVisible(true);
+      })
+      .catch(() => { /* nothing to restore */ });
+  }, []);
+
+  useEffect(() => {
+    if (!session || !projectUrl) return;
+    saveSession(projectUrl, { ...session, bidAmount: state.bidAmount, deliveryTime: state.deliveryTime })
+      .catch((err: any) => console.warn('Could not save the refine session:', err.message));
+  }, [session, projectUrl, state.bidAmount, state.deliveryTime]);
+
+  // Every change to the draft after generation goes through here so it can be undone.
+  const applyDraft = useCallback((entry: DraftEntry) => {
+    setState(prev => ({ ...prev, bidText: entry.text }));
+    setSession(prev => (prev ? pushDraft(prev, entry) : prev));
+  }, []);
+
+  // The side panel outlives page changes: follow the active tab so that a bid is never
+  // inserted into a different project than the one it was written for.
+  useEffect(() => {
+    if (variant !== 'panel') return;
+    const refresh = () => {
+      chrome.tabs.query({ active: true, currentWindow: true })
+        .then(([tab]) => setActiveUrl(tab?.url || null))
+        .catch(() => {});
+    };
+    const onUpdated = (_tabId: number, change: chrome.tabs.TabChangeInfo, tab: chrome.tabs.Tab) => {
+      if (change.url && tab.active) refresh();
+    };
+    refresh();
+    chrome.tabs.onActivated.addListener(refresh);
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    return () => {
+      chrome.tabs.onActivated.removeListener(refresh);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+    };
+  }, [variant]);
+
+  const onOtherPage = variant === 'panel' && !!projectUrl && !!activeUrl && pagePath(projectUrl) !== pagePath(activeUrl);
 
-    // Step 2: Validate content script
-    setState(prev => ({ ...prev, progress: 25 }));
+  const onOpenSidePanel = useCallback(async () => {
     try {
-      const pingResponse = await chrome.tabs.sendMessage(tab!.id!, { action: 'ping' });
-      if (!pingResponse || pingResponse.status !== 'alive') {
-        throw new globalThis.Error('Content script is not ready.');
-      }
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      await chrome.sidePanel.open({ windowId: tab.windowId });
+      window.close();
     } catch (error: any) {
-      updateStatus('🔄 Please refresh the Freelancer tab and try again', 'error');
-      return;
+      updateStatus(`Could not open the side panel: ${error.message}`, 'error');
     }
+  }, [updateStatus]);
+
+  const activeProfile = profiles.find(p => p.id === activeProfileId);
+
+  // `ignoreFit` generates even when the fit score blocks the project ("Generate anyway").
+  const onGenerate = useCallback(async (ignoreFit = false) => {
+    setGenerating(true);
+    setPreviewVisible(false);
+    setHistoryId(null);
+    setJobContext(null);
+    setPricing(null);
+    setFit(null);
+    setVariants([]);
+    setSelectedVariant(0);
+    setSession(null);
+    setProposal(null);
+    setFormMilestones(null);
+    setState(prev => ({ ...prev, bidText: '', bidAmount: '', deliveryTime: '', currentStep: 0 }));
 
-    // Step 3: Extract project details
-    updateStatus('📊 Analyzing project requirements...', 'loading');
-    setState(prev => ({ ...prev, progress: 50, currentStep: 1 }));
-    
     try {
-      const response: any = await chrome.tabs.sendMessage(tab!.id!, { action: 'getJobDescription' });
-      if (response && response.status === 'success') {
-        setState(prev => ({
-          ...prev,
-          bidText: response.bid || '',
-          bidAmount: response.bidAmount || '',
-          deliveryTime: response.deliveryTime || '',
-          extractedBudgetText: response.extractedProjectBudget?.text ?? null,
-          progress: 100,
-          currentStep: 2
-        }));
-        setPreviewVisible(true);
-        updateStatus('✨ Professional proposal generated successfully!', 'success');
-        
-        // Add to recent bids
-        if (response.bid) {
-          setRecentBids(prev => [response.bid, ...prev.slice(0, 4)]);
-          // Analyze the generated bid
-          analyzeBid(response.bid);
+      // Step 1: Connect to page
+      updateStatus('🔍 Connecting to project page...', 'loading');
+      let tab: chrome.tabs.Tab | undefined;
+      try {
+        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+        tab = tabs?.[0];
+        if (!tab || !tab.id || !tab.url || !tab.url.includes('freelancer.com/projects/')) {
+          updateStatus('❌ Please navigate to a Freelancer project page', 'error');
+          return;
         }
-      } else {
-        updateStatus(response?.message || 'Failed to generate proposal', 'error');
+        setProjectUrl(tab.url);
+      } catch (e: any) {
+        updateStatus(`Connection error: ${e.message}`, 'error');
+        return;
+      }
+
+      // Step 2: Validate content script
+      try {
+        const pingResponse = await chrome.tabs.sendMessage(tab.id!, { action: 'ping' });
+        if (!pingResponse || pingResponse.status !== 'alive') {
+          throw new globalThis.Error('Content script is not ready.');
+        }
+      } catch (error: any) {
+        updateStatus('🔄 Please refresh the Freelancer tab and try again', 'error');
+        return;
+      }
+
+      // Step 3: Extract project details
+      updateStatus('📊 Analyzing project requirements...', 'loading');
+      const details: any = await chrome.tabs.sendMessage(tab.id!, { action: 'getJobDetails' });
+      if (!details || details.status !== 'success' || !details.description) {
+        updateStatus(details?.message || 'Could not read project details.', 'error');
+        return;
+      }
+      setDetectedLanguage(details.language || null);
+      const job = { ...details, language: languageOverride || details.language || 'en', templateId: selectedTemplate };
+      setState(prev => ({
+        ...prev,
+        bidAmount: details.bidAmount ? String(details.bidAmount) : '',
+        deliveryTime: details.deliveryTime ? String(details.deliveryTime) : '',
+        extractedBudgetText: details.projectBudget?.text ?? null,
+        projectChips: projectChips(details),
+        currentStep: 1
+      }));
+      // Keep what the analysis needs to score the bid against the job
+      setJobContext({
+        description: details.description || '',
+        skills: details.skills || [],
+        budgetMin: details.projectBudget?.min ?? null,
+        budgetMax: details.projectBudget?.max ?? null,
+        screening: details.screening || null
+      });
+      // Step 3b: Score the fit before any tokens are spent
+      const fitResult = await requestFit(details).catch((err: any) => {
+        console.warn('Fit scoring failed:', err.message);
+        return null;
+      });
+      setFit(fitResult);
+      if (fitResult?.verdict === 'block' && !ignoreFit) {
+        updateStatus(
+          fitResult.blacklisted.length
+            ? `⛔ Not generated: the project mentions "${fitResult.blacklisted.join('", "')}".`
+            : `⛔ Not generated: fit score ${fitResult.score}/100 is below ${fitResult.blockBelow}.`,
+          'error'
+        );
+        return;
+      }
+
+      // Pricing runs next to the generation; its numbers replace Freelancer's defaults
+      requestPricing(details)
+        .then(result => {
+          if (!result) return;
+          setPricing(result);
+          setState(prev => ({
+            ...prev,
+            bidAmount: result.amount != null ? String(result.amount) : prev.bidAmount,
+            deliveryTime: String(result.days)
+          }));
+        })
+        .catch((err: any) => console.warn('Pricing failed:', err.message));
+
+      // Step 4a: Several variants come back in one (non-streamed) run
+      if (variantCount > 1) {
+        updateStatus(`✍️ Writing ${variantCount} proposal variants...`, 'loading');
+        const response: any = await chrome.runtime.sendMessage({
+          action: 'callGemini',
+          ...job,
+          variantCount
+        });
+        if (response?.status !== 'success') {
+          updateStatus(response?.message || 'Failed to generate proposal', 'error');
+          return;
+        }
+        setVariants(response.variants || []);
+        setHistoryId(response.historyId || null);
+        setSession(startSession(refineJob(job), response.bid || '', response.historyId || null));
+        setState(prev => ({ ...prev, bidText: response.bid || '', currentStep: 2 }));
+        setPreviewVisible(true);
+        updateStatus(`✨ ${(response.variants || []).length} variants generated ${generatedBy(response)} Pick one or merge them.`, 'success');
+        return;
       }
+
+      // Step 4b: Stream the proposal into the preview as it is written
+      updateStatus('✍️ Writing your proposal...', 'loading');
+      setPreviewVisible(true);
+      let received = '';
+      await new Promise<void>(resolve => {
+        streamRef.current = startBidStream(job, {
+          onChunk: (text) => {
+            received += text;
+            setState(prev => ({ ...prev, bidText: prev.bidText + text }));
+          },
+          onRetry: (info) => {
+            received = '';
+            setState(prev => ({ ...prev, bidText: '' }));
+            const wait = info.delayMs >= 1000 ? ` in ${Math.round(info.delayMs / 1000)}s` : '';
+            updateStatus(
+              info.fallback && info.delayMs === 0
+                ? `🔀 Falling back to ${providerLabel(info.provider)} (${info.model}), attempt ${info.attempt}...`
+                : `🔁 Retrying with ${providerLabel(info.provider)} (${info.model})${wait}, attempt ${info.attempt}...`,
+              'loading'
+            );
+          },
+          onDone: (result) => {
+            setState(prev => ({ ...prev, bidText: result.bid, currentStep: 2 }));
+            // The background already saved this bid to the history
+            setHistoryId(result.historyId);
+            setSession(startSession(refineJob(job), result.bid, result.historyId));
+            updateStatus(`✨ Proposal generated ${generatedBy(result)}`, 'success');
+            resolve();
+          },
+          onError: (message) => {
+            if (!received) setPreviewVisible(false);
+            updateStatus(message, 'error');
+            resolve();
+          },
+          onStopped: () => {
+            if (!received) setPreviewVisible(false);
+            updateStatus('⏹️ Generation stopped. The partial proposal was kept.', 'warning');
+            resolve();
+          }
+        });
+      });
     } catch (error: any) {
       updateStatus(`Generation error: ${error.message}`, 'error');
     } finally {
+      streamRef.current = null;
       setGenerating(false);
     }
-  }, [updateStatus, analyzeBid]);
+  }, [updateStatus, selectedTemplate, variantCount, languageOverride]);
+
+  const onStop = useCallback(() => {
+    streamRef.current?.stop();
+  }, []);
+
+  // Milestones only go to the form while the detailed proposal is the draft shown (not after an undo).
+  const activeMilestones = session?.entries[session.index]?.source === 'detailed' ? formMilestones : null;
+
+  // Places the bid through the content script's checked pipeline; it records the submission itself.
+  // `confirmed` when the user clicked "Place bid" in the confirmation dialog (the guardrails check it).
+  const onSubmitBid = useCallback(async (confirmed: boolean) => {
+    setConfirmOpen(false);
+    setInserting(true);
+    updateStatus('Filling the form and checking it before placing the bid...', 'loading');
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const bidData = {
+        bidText: state.bidText,
+        bidAmount: state.bidAmount,
+        deliveryTime: state.deliveryTime,
+        upgrades: upgrades,
+        confirmed,
+        ...(activeMilestones ? { milestones: activeMilestones } : {})
+      };
+      const outcome: SubmitOutcome = await chrome.tabs.sendMessage(tab.id!, { action: 'submitBid', bidData });
+      switch (outcome?.status) {
+        case 'submitted': updateStatus(`Bid placed! ${outcome.message}`, 'success'); break;
+        case 'blocked': updateStatus(`Not submitted: ${outcome.message}`, 'warning'); break;
+        case 'invalid': updateStatus(`Not submitted. ${outcome.message}`, 'error'); break;
+        case 'unknown': updateStatus(outcome.message, 'warning'); break;
+        default: updateStatus(`Freelancer reported an error: ${outcome?.message || 'no response from the page'}`, 'error');
+      }
+    } catch (error: any) {
+      updateStatus(`Submission error: ${error.message}`, 'error');
+    } finally {
+      setInserting(false);
+    }
+  }, [state.bidText, state.bidAmount, state.deliveryTime, upgrades, activeMilestones, updateStatus]);
 
   const onInsert = useCallback(async () => {
+    if (autoSubmit) {
+      const guardrails = await loadGuardrails().catch(() => DEFAULT_GUARDRAILS);
+      if (guardrails.requireConfirmation) setConfirmOpen(true);
+      else onSubmitBid(false);
+      return;
+    }
     setInserting(true);
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -268,14 +596,22 @@ export default function Popup(): JSX.Element {
         bidAmount: state.bidAmount,
         deliveryTime: state.deliveryTime,
         upgrades: upgrades,
-        autoSubmit: autoSubmit
+        ...(activeMilestones ? { milestones: activeMilestones } : {})
       };
       const response: any = await chrome.tabs.sendMessage(tab.id!, { action: 'fillBidForm', bidData });
       if (response && response.status === 'success') {
-        if (autoSubmit) {
-          updateStatus('Bid submitted automatically!', 'success');
-        } else {
-          updateStatus('Bid successfully inserted!', 'success');
+        updateStatus('Bid successfully inserted!', 'success');
+        if (historyId) {
+          chrome.runtime.sendMessage({
+            action: 'updateBidHistory',
+            id: historyId,
+            patch: {
+              status: 'inserted',
+              bidText: state.bidText,
+              bidAmount: state.bidAmount,
+              deliveryTime: state.deliveryTime
+            }
+          }).catch(() => { /* history is best effort */ });
         }
       } else {
         updateStatus('Failed to insert bid. Check the page.', 'error');
@@ -285,7 +621,7 @@ export default function Popup(): JSX.Element {
     } finally {
       setInserting(false);
     }
-  }, [state.bidText, state.bidAmount, state.deliveryTime, upgrades, autoSubmit, updateStatus]);
+  }, [state.bidText, state.bidAmount, state.deliveryTime, upgrades, activeMilestones, autoSubmit, updateStatus, historyId, onSubmitBid]);
 
   const onGenerateQuestions = useCallback(async () => {
     setGeneratingQuestions(true);
@@ -300,7 +636,12 @@ export default function Popup(): JSX.Element {
       const response: any = await chrome.tabs.sendMessage(tab.id!, { action: 'getJobDetails' });
       if (response && response.status === 'success') {
         const desc = response.description || '';
-        const qRes = await chrome.runtime.sendMessage({ action: 'generateQuestions', description: desc });
+        setDetectedLanguage(response.language || null);
+        const qRes = await chrome.runtime.sendMessage({
+          action: 'generateQuestions',
+          description: desc,
+          language: languageOverride || response.language || 'en'
+        });
         if (qRes?.status === 'success') {
           setQuestions(qRes.questions);
           updateStatus('Clarifying questions generated.', 'success');
@@ -322,7 +663,69 @@ export default function Popup(): JSX.Element {
     } finally {
       setGeneratingQuestions(false);
     }
-  }, [updateStatus]);
+  }, [updateStatus, languageOverride]);
+
+  // Rewrites the current draft (including manual edits) in the selected or detected language.
+  const bidLanguage = languageOverride || detectedLanguage || 'en';
+  const onTranslate = useCallback(async () => {
+    setTranslating(true);
+    updateStatus(`🌐 Translating into ${languageName(bidLanguage)}...`, 'loading');
+    try {
+      const result = await requestTranslation(state.bidText, bidLanguage);
+      applyDraft({ text: result.bid, source: 'translated' });
+      updateStatus(`🌐 Translated into ${languageName(bidLanguage)} ${generatedBy(result)}`, 'success');
+    } catch (err: any) {
+      updateStatus(`Translation error: ${err.message}`, 'error');
+    } finally {
+      setTranslating(false);
+    }
+  }, [state.bidText, bidLanguage, updateStatus, applyDraft]);
+
+  // Sends the instruction with the earlier ones, so the model keeps applying them.
+  const onRefine = useCallback(async (instruction: string) => {
+    if (!session || !instruction.trim()) return;
+    setRefining(true);
+    updateStatus(`💬 Refining: "${instruction.trim()}"...`, 'loading');
+    try {
+      const result = await requestRefine(session, instruction.trim());
+      applyDraft({ text: result.bid, source: 'refined', instruction: instruction.trim() });
+      setRefineInstruction('');
+      updateStatus(`💬 Proposal refined ${generatedBy(result)}`, 'success');
+    } catch (err: any) {
+      updateStatus(`Refine error: ${err.message}`, 'error');
+    } finally {
+      setRefining(false);
+    }
+  }, [session, updateStatus, applyDraft]);
+
+  // Plans the project as phases and milestones that fit the bid amount and delivery days in the fields.
+  const onDetailedProposal = useCallback(async () => {
+    if (!session) return;
+    setDetailing(true);
+    updateStatus('📋 Planning phases and milestones...', 'loading');
+    try {
+      const result = await requestDetailedProposal(session.job, state.bidAmount, state.deliveryTime);
+      setProposal(result.proposal);
+      updateStatus(`📋 Detailed proposal drafted ${generatedBy(result)} Edit it below, then use it.`, 'success');
+    } catch (err: any) {
+      updateStatus(`Detailed proposal error: ${err.message}`, 'error');
+    } finally {
+      setDetailing(false);
+    }
+  }, [session, state.bidAmount, state.deliveryTime, updateStatus]);
+
+  const onUseProposal = useCallback((final: DetailedProposal) => {
+    applyDraft({ text: renderProposal(final, pricing?.currency || ''), source: 'detailed' });
+    setFormMilestones(final.milestones);
+    updateStatus('📋 Detailed proposal ready to insert, milestones included.', 'success');
+  }, [applyDraft, pricing, updateStatus]);
+
+  const onMoveDraft = useCallback((step: -1 | 1) => {
+    if (!session) return;
+    const moved = moveDraft(session, step);
+    setSession(moved);
+    setState(prev => ({ ...prev, bidText: currentDraft(moved) }));
+  }, [session]);
 
   const onCopy = useCallback(async () => {
     const text = state.bidText.trim();
@@ -362,19 +765,20 @@ export default function Popup(): JSX.Element {
         e.preventDefault();
         onCopy();
       }
-      if (e.key === 'Enter' && isPreviewVisible && !isInserting) {
-        // Allow Enter to insert when preview visible
-        onInsert();
+      if (e.key === 'Enter' && isPreviewVisible && !isInserting && !onOtherPage && !isConfirmOpen && !isTypingTarget(e.target)) {
+        // Enter inserts the preview. With auto-submit on it only opens the confirmation; a key press never places a bid.
+        if (autoSubmit) setConfirmOpen(true);
+        else onInsert();
       }
     };
     window.addEventListener('keydown', handler);
     return () => window.removeEventListener('keydown', handler);
-  }, [hasApiKey, isGenerating, isPreviewVisible, isInserting, onGenerate, onCopy, onInsert]);
+  }, [hasApiKey, isGenerating, isPreviewVisible, isInserting, onOtherPage, isConfirmOpen, autoSubmit, onGenerate, onCopy, onInsert]);
 
   // Derived disabled states
   const disableGenerate = !hasApiKey || isGenerating;
   const disableCopy = !state.bidText.trim();
-  const disableInsert = !isPreviewVisible || isInserting;
+  const disableInsert = !isPreviewVisible || isInserting || onOtherPage;
 
   // Sanitizers for numeric inputs
   const handleBidAmountChange = (v: string) => {
@@ -387,12 +791,27 @@ export default function Popup(): JSX.Element {
     setState(prev => ({ ...prev, deliveryTime: cleaned }));
   };
 
+  // Re-scored whenever the proposal or the amount changes
+  const bidAnalytics = useMemo(() => {
+    if (!isPreviewVisible || !jobContext || !state.bidText.trim()) return null;
+    const amount = parseFloat(state.bidAmount);
+    return analyzeBid({
+      bidText: state.bidText,
+      description: jobContext.description,
+      skills: jobContext.skills,
+      bidAmount: Number.isNaN(amount) ? null : amount,
+      budgetMin: jobContext.budgetMin,
+      budgetMax: jobContext.budgetMax,
+      screening: jobContext.screening
+    });
+  }, [isPreviewVisible, jobContext, state.bidText, state.bidAmount]);
+
   const statusClass = useMemo(() => `status-message ${state.status.type}`, [state.status.type]);
 
   return (
     <Box sx={{ 
-      width: 640, 
-      minHeight: 720,
+      width: variant === 'panel' ? '100%' : 640, 
+      minHeight: variant === 'panel' ? '100vh' : 720,
       background: 'linear-gradient(135deg, #1e3c72 0%, #2a5298 25%, #667eea 75%, #764ba2 100%)',
       position: 'relative',
       overflow: 'hidden'
@@ -464,7 +883,9 @@ export default function Popup(): JSX.Element {
                     <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
                       <EmojiEvents sx={{ color: '#f39c12', fontSize: 20 }} />
                       <Typography variant="body1" sx={{ fontWeight: 600, color: 'text.secondary' }}>
-                        5.0★ Elite • 48+ Projects
+                        {activeProfile
+                          ? `${activeProfile.name} • ${Number(activeProfile.rating).toFixed(1)}★ • ${activeProfile.projectCount}+ Projects`
+                          : '5.0★ Elite • 48+ Projects'}
                       </Typography>
                     </Box>
                     <Typography variant="body2" color="text.secondary" sx={{ opacity: 0.8 }}>
@@ -508,18 +929,113 @@ export default function Popup(): JSX.Element {
               border: '1px solid rgba(255, 255, 255, 0.2)'
             }}>
               <CardContent sx={{ py: 2 }}>
-                <FormControl fullWidth size="small">
-                  <InputLabel sx={{ fontWeight: 600 }}>AI Provider</InputLabel>
+                <Stack direction="row" spacing={2}>
+                  <FormControl fullWidth size="small">
+                    <InputLabel sx={{ fontWeight: 600 }}>AI Provider</InputLabel>
+                    <Select
+                      value={provider}
+                      label="AI Provider"
+                      onChange={(e) => {
+                        const next = e.target.value as ProviderId;
+                        setProvider(next);
+                        chrome.storage.sync.set({ aiProvider: next }, () => {
+                          refreshProviderAndKey().catch(() => {});
+                        });
+                      }}
+                      sx={{ 
+                        '& .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'rgba(103, 126, 234, 0.3)'
+                        },
+                        '&:hover .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'primary.main'
+                        }
+                      }}
+                    >
+                      {PROVIDER_OPTIONS.map(p => (
+                        <MenuItem key={p.id} value={p.id}>
+                          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                            {p.icon} {p.label}
+                          </Box>
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                  <FormControl fullWidth size="small" disabled={profiles.length === 0}>
+                    <InputLabel sx={{ fontWeight: 600 }}>Profile</InputLabel>
+                    <Select
+                      value={activeProfile ? activeProfileId : ''}
+                      label="Profile"
+                      onChange={(e) => {
+                        const next = e.target.value as string;
+                        setActiveProfileId(next);
+                        setActiveProfile(next).catch((err: any) => updateStatus(`Could not switch profile: ${err.message}`, 'error'));
+                      }}
+                      sx={{ 
+                        '& .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'rgba(103, 126, 234, 0.3)'
+                        },
+                        '&:hover .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'primary.main'
+                        }
+                      }}
+                    >
+                      {profiles.map(p => (
+                        <MenuItem key={p.id} value={p.id}>
+                          👤 {p.name}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Stack>
+                <Stack direction="row" spacing={2} alignItems="center" sx={{ mt: 2 }}>
+                  <FormControl fullWidth size="small">
+                    <InputLabel shrink sx={{ fontWeight: 600 }}>Prompt Template</InputLabel>
+                    <Select
+                      value={selectedTemplate}
+                      label="Prompt Template"
+                      displayEmpty
+                      notched
+                      onChange={(e) => setSelectedTemplate(e.target.value as string)}
+                      sx={{ 
+                        '& .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'rgba(103, 126, 234, 0.3)'
+                        },
+                        '&:hover .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'primary.main'
+                        }
+                      }}
+                    >
+                      <MenuItem value="">✨ Built-in prompt</MenuItem>
+                      <MenuItem value="auto" disabled={templates.length === 0}>🎯 Auto (match specialization)</MenuItem>
+                      {templates.map(t => (
+                        <MenuItem key={t.id} value={t.id}>
+                          📄 {t.name}{t.category ? ` · ${t.category}` : ''}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                  <Tooltip title="Number of proposal variants (tones) to generate">
+                    <ButtonGroup size="small" sx={{ flexShrink: 0 }}>
+                      {[1, 2, 3].map(n => (
+                        <Button
+                          key={n}
+                          variant={variantCount === n ? 'contained' : 'outlined'}
+                          onClick={() => setVariantCount(n)}
+                        >
+                          {n === 1 ? '1 bid' : `${n}×`}
+                        </Button>
+                      ))}
+                    </ButtonGroup>
+                  </Tooltip>
+                </Stack>
+                <FormControl fullWidth size="small" sx={{ mt: 2 }}>
+                  <InputLabel shrink sx={{ fontWeight: 600 }}>Bid Language</InputLabel>
                   <Select
-                    value={provider}
-                    label="AI Provider"
-                    onChange={(e) => {
-                      const next = e.target.value as 'gemini' | 'openai';
-                      setProvider(next);
-                      chrome.storage.sync.set({ aiProvider: next }, () => {
-                        refreshProviderAndKey();
-                      });
-                    }}
+                    value={languageOverride}
+                    label="Bid Language"
+                    displayEmpty
+                    notched
+                    onChange={(e) => setLanguageOverride(e.target.value as string)}
                     sx={{ 
                       '& .MuiOutlinedInput-notchedOutline': {
                         borderColor: 'rgba(103, 126, 234, 0.3)'
@@ -529,16 +1045,12 @@ export default function Popup(): JSX.Element {
                       }
                     }}
                   >
-                    <MenuItem value="gemini">
-                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                        🧠 Google Gemini
-                      </Box>
-                    </MenuItem>
-                    <MenuItem value="openai">
-                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                        🤖 OpenAI GPT
-                      </Box>
-                    </MenuItem>
+                    <MenuItem value="">🌐 Auto{detectedLanguage ? ` (detected: ${languageName(detectedLanguage)})` : ' (project language)'}</MenuItem>
+                    {LANGUAGES.map(l => (
+                      <MenuItem key={l.code} value={l.code}>
+                        {l.name}{l.nativeName !== l.name ? ` · ${l.nativeName}` : ''}
+                      </MenuItem>
+                    ))}
                   </Select>
                 </FormControl>
               </CardContent>
@@ -552,7 +1064,7 @@ export default function Popup(): JSX.Element {
                 variant="contained"
                 size="large"
                 fullWidth
-                onClick={onGenerate}
+                onClick={() => onGenerate()}
                 disabled={disableGenerate}
                 startIcon={isGenerating ? <CircularProgress size={24} color="inherit" /> : <AutoAwesome />}
                 sx={{ 
@@ -624,6 +1136,26 @@ export default function Popup(): JSX.Element {
                 </Box>
               </Button>
               
+              {isGenerating && (
+                <Button
+                  variant="contained"
+                  fullWidth
+                  onClick={onStop}
+                  startIcon={<Stop />}
+                  sx={{ 
+                    mt: 1.5,
+                    borderRadius: 3,
+                    fontWeight: 700,
+                    background: 'linear-gradient(45deg, #e74c3c 30%, #c0392b 90%)',
+                    '&:hover': {
+                      background: 'linear-gradient(45deg, #c0392b 30%, #a93226 90%)'
+                    }
+                  }}
+                >
+                  Stop Generating
+                </Button>
+              )}
+              
               {/* Pulse effect for generate button when ready */}
               {!disableGenerate && !isGenerating && (
                 <Box sx={{
@@ -714,10 +1246,84 @@ export default function Popup(): JSX.Element {
                     {state.status.message}
                   </Typography>
                 </Box>
+                {keysLocked && (
+                  <Stack direction="row" spacing={1} sx={{ mt: 2 }}>
+                    <TextField
+                      size="small"
+                      type="password"
+                      fullWidth
+                      label="Passphrase"
+                      value={passphrase}
+                      onChange={(e) => setPassphrase(e.target.value)}
+                      onKeyDown={(e) => {
+                        // Enter would also insert the bid (keyboard shortcuts above)
+                        e.stopPropagation();
+                        if (e.key === 'Enter' && passphrase) onUnlockKeys();
+                      }}
+                    />
+                    <Button variant="contained" startIcon={<LockOpen />} disabled={!passphrase} onClick={onUnlockKeys}>
+                      Unlock
+                    </Button>
+                  </Stack>
+                )}
               </CardContent>
             </Card>
           </Fade>
 
+          {/* Fit Score */}
+          {fit && (
+            <Slide in direction="up" timeout={500}>
+              <Card sx={{
+                background: 'rgba(255, 255, 255, 0.95)',
+                backdropFilter: 'blur(20px)',
+                borderRadius: 2,
+                border: '1px solid rgba(255, 255, 255, 0.2)'
+              }}>
+                <CardContent sx={{ py: 2 }}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                    <Typography variant="subtitle2" color="text.secondary" sx={{ fontWeight: 600, flex: 1 }}>
+                      🧭 Project Fit
+                    </Typography>
+                    <Chip size="small" color={fitColor(fit.verdict)} label={`${fit.score}/100`} sx={{ fontWeight: 700 }} />
+                  </Box>
+                  <LinearProgress
+                    variant="determinate"
+                    value={fit.score}
+                    color={fitColor(fit.verdict)}
+                    sx={{ height: 6, borderRadius: 3, mb: 1.5 }}
+                  />
+                  {fit.breakdown.map(part => (
+                    <Typography key={part.label} variant="caption" component="div" color="text.secondary">
+                      <strong>{part.label} {part.points}/{part.max}</strong> — {part.detail}
+                    </Typography>
+                  ))}
+                  {fit.blacklisted.length > 0 && (
+                    <Typography variant="caption" component="div" color="error" sx={{ mt: 0.5 }}>
+                      Blacklisted: {fit.blacklisted.join(', ')}
+                    </Typography>
+                  )}
+                  {fit.verdict === 'warn' && (
+                    <Alert severity="warning" sx={{ mt: 1.5, borderRadius: 2 }}>
+                      Below your warning threshold of {fit.warnBelow}. Worth a bid only if something above is off.
+                    </Alert>
+                  )}
+                  {fit.verdict === 'block' && !isPreviewVisible && (
+                    <Button
+                      size="small"
+                      variant="outlined"
+                      color="error"
+                      disabled={isGenerating}
+                      onClick={() => onGenerate(true)}
+                      sx={{ mt: 1.5 }}
+                    >
+                      Generate anyway
+                    </Button>
+                  )}
+                </CardContent>
+              </Card>
+            </Slide>
+          )}
+
           {/* Project Budget */}
           {isPreviewVisible && state.extractedBudgetText && (
             <Slide in direction="up" timeout={600}>
@@ -731,14 +1337,19 @@ export default function Popup(): JSX.Element {
                   <Typography variant="subtitle2" color="text.secondary" gutterBottom sx={{ fontWeight: 600 }}>
                     📊 Project Details
                   </Typography>
-                  <Chip 
-                    label={`Budget: ${state.extractedBudgetText}`}
-                    sx={{ 
-                      background: 'linear-gradient(45deg, #48bb78 30%, #38a169 90%)',
-                      color: 'white',
-                      fontWeight: 600
-                    }}
-                  />
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                    <Chip 
+                      label={`Budget: ${state.extractedBudgetText}`}
+                      sx={{ 
+                        background: 'linear-gradient(45deg, #48bb78 30%, #38a169 90%)',
+                        color: 'white',
+                        fontWeight: 600
+                      }}
+                    />
+                    {(state.projectChips || []).map(label => (
+                      <Chip key={label} label={label} size="small" variant="outlined" sx={{ alignSelf: 'center' }} />
+                    ))}
+                  </Box>
                 </CardContent>
               </Card>
             </Slide>
@@ -769,7 +1380,7 @@ export default function Popup(): JSX.Element {
                     {/* Bid Amount and Delivery Time */}
                     <Stack direction="row" spacing={2}>
                       <TextField
-                        label="💰 Bid Amount (£)"
+                        label={pricing ? `💰 Bid Amount (${pricing.currency}${pricing.hourly ? '/h' : ''})` : '💰 Bid Amount (£)'}
                         type="number"
                         size="small"
                         fullWidth
@@ -802,8 +1413,50 @@ export default function Popup(): JSX.Element {
                       />
                     </Stack>
 
+                    {pricing && pricing.explanation.length > 0 && (
+                      <Box sx={{ mt: -1.5 }}>
+                        <Typography variant="caption" sx={{ fontWeight: 700, color: 'text.secondary' }}>
+                          How this was priced
+                        </Typography>
+                        {pricing.explanation.map((line, i) => (
+                          <Typography key={i} variant="caption" component="div" color="text.secondary">
+                            • {line}
+                          </Typography>
+                        ))}
+                      </Box>
+                    )}
+
                     <Divider sx={{ my: 1 }} />
 
+                    {/* Variants */}
+                    {variants.length > 1 && (
+                      <VariantsPanel
+                        key={historyId || 'variants'}
+                        variants={variants}
+                        selected={selectedVariant}
+                        onSelect={(index) => {
+                          setSelectedVariant(index);
+                          applyDraft({ text: variants[index].text, source: 'variant' });
+                        }}
+                        onUseMerged={(text) => {
+                          applyDraft({ text, source: 'merged' });
+                          updateStatus('Merged proposal ready to insert.', 'success');
+                        }}
+                      />
+                    )}
+
+                    {/* Detailed Proposal */}
+                    {proposal && (
+                      <ProposalPanel
+                        proposal={proposal}
+                        bidAmount={parseFloat(state.bidAmount) > 0 ? parseFloat(state.bidAmount) : null}
+                        deliveryDays={parseInt(state.deliveryTime, 10) > 0 ? parseInt(state.deliveryTime, 10) : null}
+                        currency={pricing?.currency || ''}
+                        onChange={setProposal}
+                        onUse={onUseProposal}
+                      />
+                    )}
+
                     {/* Proposal Text */}
                     <TextField
                       label="📝 Your Proposal"
@@ -812,6 +1465,7 @@ export default function Popup(): JSX.Element {
                       fullWidth
                       value={state.bidText}
                       InputProps={{ readOnly: true }}
+                      inputProps={{ dir: 'auto' }}
                       placeholder="Your professional proposal will appear here..."
                       sx={{
                         '& .MuiOutlinedInput-root': {
@@ -826,6 +1480,136 @@ export default function Popup(): JSX.Element {
                       }}
                     />
 
+                    {/* Refine */}
+                    {session && !isGenerating && (
+                      <Paper variant="outlined" sx={{ p: 2, borderRadius: 2, borderColor: 'rgba(103, 126, 234, 0.3)' }}>
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                          <Chat sx={{ fontSize: 20, color: '#667eea' }} />
+                          <Typography variant="subtitle2" sx={{ fontWeight: 700, flex: 1 }}>
+                            Refine
+                          </Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            Draft {session.index + 1} of {session.entries.length}
+                          </Typography>
+                          <Tooltip title="Undo: previous draft">
+                            <span>
+                              <IconButton size="small" onClick={() => onMoveDraft(-1)} disabled={isRefining || session.index === 0}>
+                                <Undo fontSize="small" />
+                              </IconButton>
+                            </span>
+                          </Tooltip>
+                          <Tooltip title="Redo: next draft">
+                            <span>
+                              <IconButton
+                                size="small"
+                                onClick={() => onMoveDraft(1)}
+                                disabled={isRefining || session.index === session.entries.length - 1}
+                              >
+                                <Redo fontSize="small" />
+                              </IconButton>
+                            </span>
+                          </Tooltip>
+                        </Box>
+                        {conversationTurns(session).length > 0 && (
+                          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 1 }}>
+                            {conversationTurns(session).map((turn, i) => (
+                              <Chip key={i} size="small" variant="outlined" label={`${i + 1}. ${turn.instruction}`} />
+                            ))}
+                          </Box>
+                        )}
+                        <Stack direction="row" spacing={1}>
+                          <TextField
+                            size="small"
+                            fullWidth
+                            placeholder='e.g. "mention my Stripe experience"'
+                            value={refineInstruction}
+                            disabled={isRefining}
+                            onChange={(e) => setRefineInstruction(e.target.value)}
+                            onKeyDown={(e) => {
+                              // Keep Enter from also inserting the bid (see the keyboard shortcuts)
+                              if (e.key === 'Enter') {
+                                e.preventDefault();
+                                e.stopPropagation();
+                                onRefine(refineInstruction);
+                              }
+                            }}
+                          />
+                          <Button
+                            variant="contained"
+                            onClick={() => onRefine(refineInstruction)}
+                            disabled={isRefining || !refineInstruction.trim()}
+                            sx={{ textTransform: 'none', fontWeight: 600, minWidth: 96 }}
+                          >
+                            {isRefining ? <CircularProgress size={16} color="inherit" /> : 'Refine'}
+                          </Button>
+                        </Stack>
+                        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+                          {REFINE_SUGGESTIONS.map(suggestion => (
+                            <Chip
+                              key={suggestion}
+                              size="small"
+                              label={suggestion}
+                              onClick={() => onRefine(suggestion)}
+                              disabled={isRefining}
+                            />
+                          ))}
+                        </Box>
+                      </Paper>
+                    )}
+
+                    {/* Bid Analysis */}
+                    {bidAnalytics && (
+                      <Box>
+                        <Typography variant="subtitle2" gutterBottom sx={{ fontWeight: 700, color: 'text.primary', mb: 2, display: 'flex', alignItems: 'center', gap: 1 }}>
+                          <Analytics sx={{ fontSize: 20, color: '#667eea' }} />
+                          Bid Analysis
+                        </Typography>
+                        <Stack direction="row" spacing={2} sx={{ mb: 2 }}>
+                          {[
+                            { label: 'Quality', value: bidAnalytics.confidence },
+                            { label: 'Price Competitiveness', value: bidAnalytics.competitiveness }
+                          ].map(metric => (
+                            <Box key={metric.label} sx={{ flex: 1 }}>
+                              <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
+                                <Typography variant="caption" sx={{ fontWeight: 600 }}>{metric.label}</Typography>
+                                <Typography variant="caption" sx={{ fontWeight: 700 }}>{metric.value}%</Typography>
+                              </Box>
+                              <LinearProgress
+                                variant="determinate"
+                                value={metric.value}
+                                color={metric.value >= 75 ? 'success' : metric.value >= 50 ? 'warning' : 'error'}
+                                sx={{ height: 8, borderRadius: 4 }}
+                              />
+                            </Box>
+                          ))}
+                        </Stack>
+                        <Stack spacing={1}>
+                          {bidAnalytics.checks.map(check => (
+                            <Box key={check.id} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                              <Chip
+                                size="small"
+                                label={check.score}
+                                color={check.score >= 75 ? 'success' : check.score >= 50 ? 'warning' : 'error'}
+                                sx={{ minWidth: 44 }}
+                              />
+                              <Typography variant="body2" sx={{ fontWeight: 600 }}>{check.label}</Typography>
+                              <Typography variant="caption" color="text.secondary">{check.detail}</Typography>
+                            </Box>
+                          ))}
+                        </Stack>
+                        {bidAnalytics.checks.some(c => c.suggestions.length > 0) && (
+                          <Stack spacing={0.5} sx={{ mt: 2 }}>
+                            {bidAnalytics.checks.flatMap(c => c.suggestions).map(suggestion => (
+                              <Box key={suggestion} sx={{ display: 'flex', alignItems: 'flex-start', gap: 1 }}>
+                                <TipsAndUpdates sx={{ fontSize: 16, color: '#f39c12', mt: '2px' }} />
+                                <Typography variant="caption" color="text.secondary">{suggestion}</Typography>
+                              </Box>
+                            ))}
+                          </Stack>
+                        )}
+                      </Box>
+                    )}
+
                     <Divider sx={{ my: 2 }} />
 
                     {/* Bid Upgrades */}
@@ -932,10 +1716,16 @@ export default function Popup(): JSX.Element {
                         }
                       />
                       <Typography variant="caption" color="text.secondary" sx={{ ml: 4, display: 'block' }}>
-                        Automatically place the bid after inserting (1 second delay)
+                        Places the bid once the form is filled, verified and within your guardrails (Options → Auto-Submit)
                       </Typography>
                     </Box>
 
+                    {isPreviewVisible && onOtherPage && (
+                      <Alert severity="warning" sx={{ borderRadius: 2 }}>
+                        This bid was written for another page. Switch back to that project to insert it, or generate a new one here.
+                      </Alert>
+                    )}
+
                     {/* Action Buttons */}
                     <Stack direction="row" spacing={2}>
                       <Button
@@ -957,6 +1747,46 @@ export default function Popup(): JSX.Element {
                       >
                         Copy
                       </Button>
+                      <Tooltip title={`Translate the draft into ${languageName(bidLanguage)} (change it under Bid Language)`}>
+                        <span>
+                          <Button
+                            variant="outlined"
+                            onClick={onTranslate}
+                            disabled={disableCopy || isTranslating || isGenerating}
+                            startIcon={isTranslating ? <CircularProgress size={16} color="inherit" /> : <Translate />}
+                            sx={{ 
+                              borderRadius: 2,
+                              textTransform: 'none',
+                              fontWeight: 600,
+                              borderColor: 'primary.main',
+                              color: 'primary.main',
+                              height: '100%'
+                            }}
+                          >
+                            Translate
+                          </Button>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Plan phases and milestones that add up to the bid amount and delivery days (for larger fixed-price projects)">
+                        <span>
+                          <Button
+                            variant="outlined"
+                            onClick={onDetailedProposal}
+                            disabled={!session || isDetailing || isGenerating}
+                            startIcon={isDetailing ? <CircularProgress size={16} color="inherit" /> : <ListAlt />}
+                            sx={{ 
+                              borderRadius: 2,
+                              textTransform: 'none',
+                              fontWeight: 600,
+                              borderColor: 'primary.main',
+                              color: 'primary.main',
+                              height: '100%'
+                            }}
+                          >
+                            Detailed
+                          </Button>
+                        </span>
+                      </Tooltip>
                       <Button
                         variant="contained"
                         onClick={onInsert}
@@ -1082,18 +1912,61 @@ export default function Popup(): JSX.Element {
               >
                 ⚙️ Configure API Keys
               </Button>
+              {variant === 'popup' && (
+                <Button
+                  variant="text"
+                  size="small"
+                  onClick={onOpenSidePanel}
+                  startIcon={<ViewSidebar />}
+                  sx={{
+                    textTransform: 'none',
+                    color: 'white',
+                    fontWeight: 600,
+                    '&:hover': {
+                      backgroundColor: 'rgba(255, 255, 255, 0.1)',
+                      borderRadius: 2
+                    }
+                  }}
+                >
+                  Open in side panel (stays open while you read the page)
+                </Button>
+              )}
               
               <Typography variant="caption" sx={{ 
                 color: 'rgba(255, 255, 255, 0.8)',
                 fontWeight: 500,
                 textShadow: '0 1px 2px rgba(0, 0, 0, 0.1)'
               }}>
-                💡 Tip: Cmd/Ctrl + G to generate • Cmd/Ctrl + C to copy • Enter to insert
+                💡 Tip: Cmd/Ctrl + G to generate • Cmd/Ctrl + C to copy • Enter {autoSubmit ? 'to review and place the bid' : 'to insert'} (outside text fields)
               </Typography>
             </Stack>
           </Fade>
         </Stack>
       </Container>
+
+      <Dialog open={isConfirmOpen} onClose={() => setConfirmOpen(false)}>
+        <DialogTitle sx={{ fontWeight: 700 }}>Place this bid now?</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            <strong>{state.bidAmount || '—'} {pricing?.currency || ''}</strong> • delivered in <strong>{state.deliveryTime || '—'} days</strong>
+            {upgrades.sealed || upgrades.sponsored || upgrades.highlight
+              ? ` • upgrades: ${(['sealed', 'sponsored', 'highlight'] as const).filter(u => upgrades[u]).join(', ')}`
+              : ''}
+          </Typography>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', whiteSpace: 'pre-wrap' }}>
+            {state.bidText.length > 300 ? `${state.bidText.slice(0, 300)}…` : state.bidText}
+          </Typography>
+          <Typography variant="caption" color="error" sx={{ display: 'block', mt: 1.5 }}>
+            Freelancer places the bid immediately; paid upgrades are charged.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmOpen(false)}>Cancel</Button>
+          <Button variant="contained" color="error" startIcon={<RocketLaunch />} onClick={() => onSubmitBid(true)}>
+            Place bid
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 }
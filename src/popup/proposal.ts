@@ -0,0 +1,75 @@
+// Detailed proposals for the popup: generated as JSON by background/proposal.js, edited as a table
+// (ProposalPanel) and rendered into the proposal text; the milestones also go to the bid form's
+// milestone fields when it has them (fillMilestones in content.js).
+
+export type ProposalPhase = {
+  name: string;
+  description: string;
+  days: number;
+};
+
+export type ProposalMilestone = {
+  name: string;
+  deliverable: string;
+  amount: number;
+  // Day after the start on which it is delivered
+  dueDay: number;
+};
+
+export type DetailedProposal = {
+  summary: string;
+  phases: ProposalPhase[];
+  milestones: ProposalMilestone[];
+  assumptions: string[];
+  exclusions: string[];
+};
+
+export async function requestDetailedProposal(
+  job: Record<string, unknown>,
+  bidAmount: string,
+  deliveryTime: string
+): Promise<{ proposal: DetailedProposal; provider: string; model: string }> {
+  const response = await chrome.runtime.sendMessage({
+    action: 'generateDetailedProposal',
+    job: { ...job, bidAmount, deliveryTime }
+  });
+  if (response?.status !== 'success') {
+    throw new Error(response?.message || 'Could not build the detailed proposal.');
+  }
+  return response;
+}
+
+export const milestoneTotal = (proposal: DetailedProposal) =>
+  proposal.milestones.reduce((sum, m) => sum + (Number(m.amount) || 0), 0);
+
+export const phaseDays = (proposal: DetailedProposal) =>
+  proposal.phases.reduce((sum, p) => sum + (Number(p.days) || 0), 0);
+
+// Scales the amounts to `total` in whole units; mirrors distributeTotal() in background/proposal.js.
+export function balanceMilestones(milestones: ProposalMilestone[], total: number): ProposalMilestone[] {
+  if (milestones.length === 0) return milestones;
+  const sum = milestones.reduce((a, m) => a + (Number(m.amount) || 0), 0);
+  const shares = milestones.map(m => (sum > 0 ? (Number(m.amount) || 0) / sum : 1 / milestones.length));
+  const rounded = shares.map(share => Math.round(share * total));
+  const largest = shares.indexOf(Math.max(...shares));
+  rounded[largest] += total - rounded.reduce((a, b) => a + b, 0);
+  return milestones.map((m, i) => ({ ...m, amount: rounded[i] }));
+}
+
+// Plain text for the proposal field; Freelancer shows line breaks but no markdown.
+// `currency` is a code such as "USD" (from the pricing result).
+export function renderProposal(proposal: DetailedProposal, currency = ''): string {
+  const money = (amount: number) => (currency ? `${amount} ${currency}` : String(amount));
+  const sections = [
+    proposal.summary,
+    proposal.phases.length
+      ? ['Plan:', ...proposal.phases.map((p, i) => `${i + 1}. ${p.name} (${p.days} day${p.days === 1 ? '' : 's'})${p.description ? ` – ${p.description}` : ''}`)].join('\n')
+      : '',
+    proposal.milestones.length
+      ? ['Milestones:', ...proposal.milestones.map((m, i) => `${i + 1}. ${m.name}${m.deliverable ? ` – ${m.deliverable}` : ''}: ${money(m.amount)}${m.dueDay ? ` (day ${m.dueDay})` : ''}`)].join('\n')
+      : '',
+    proposal.assumptions.length ? ['Assumptions:', ...proposal.assumptions.map(a => `- ${a}`)].join('\n') : '',
+    proposal.exclusions.length ? ['Not included:', ...proposal.exclusions.map(e => `- ${e}`)].join('\n') : ''
+  ];
+  return sections.filter(Boolean).join('\n\n');
+}
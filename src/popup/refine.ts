@@ -0,0 +1,124 @@
+// Refine conversation and draft undo/redo for the popup. Sessions are kept per project page in
+// chrome.storage.local under `refineSessions`, so reopening the popup on a project restores its draft.
+
+import { Screening } from './analysis';
+
+export type DraftSource = 'generated' | 'variant' | 'merged' | 'translated' | 'refined' | 'detailed';
+
+export type DraftEntry = {
+  text: string;
+  source: DraftSource;
+  // The refine instruction that produced this draft
+  instruction?: string;
+};
+
+// What the background needs to refine without reading the page again.
+export type RefineJob = {
+  description: string;
+  title?: string;
+  projectType?: string;
+  client?: unknown;
+  bidStats?: unknown;
+  hourlyRate?: unknown;
+  postedText?: string;
+  attachments?: string[];
+  language?: string;
+  // Only used to score the restored draft in the popup
+  skills?: string[];
+  projectBudget?: { min: number | null; max: number | null; text?: string } | null;
+  // detectScreening() in content.js; refining keeps the required phrase and the answers
+  screening?: Screening;
+};
+
+const JOB_FIELDS = ['description', 'title', 'projectType', 'client', 'bidStats', 'hourlyRate', 'postedText', 'attachments', 'language', 'skills', 'projectBudget', 'screening'];
+
+// Picks the RefineJob fields from what content.js extracted.
+export const refineJob = (details: Record<string, any>): RefineJob =>
+  Object.fromEntries(JOB_FIELDS.filter(key => details[key] != null).map(key => [key, details[key]])) as RefineJob;
+
+export type RefineSession = {
+  job: RefineJob;
+  historyId: string | null;
+  // Undo stack; `index` is the draft shown, entries after it can be redone
+  entries: DraftEntry[];
+  index: number;
+  // The form fields at the last save, so a restored draft is inserted with them
+  bidAmount?: string;
+  deliveryTime?: string;
+  updatedAt: number;
+};
+
+// Mirrors the turn shape buildRefineMessages() in background.js expects.
+export type RefineTurn = {
+  instruction: string;
+  before: string;
+  draft: string;
+};
+
+const STORAGE_KEY = 'refineSessions';
+// Older sessions are dropped when a new project is refined.
+const MAX_SESSIONS = 20;
+
+export const REFINE_SUGGESTIONS = ['Shorter', 'Less formal', 'More technical', 'Address the deadline'];
+
+// Project pages compare without query string or hash.
+const sessionKey = (url: string) => url.split(/[?#]/)[0];
+
+export function startSession(job: RefineJob, text: string, historyId: string | null): RefineSession {
+  return { job, historyId, entries: [{ text, source: 'generated' }], index: 0, updatedAt: Date.now() };
+}
+
+// A new draft replaces anything that could have been redone.
+export function pushDraft(session: RefineSession, entry: DraftEntry): RefineSession {
+  if (entry.text === session.entries[session.index]?.text) return session;
+  const entries = [...session.entries.slice(0, session.index + 1), entry];
+  return { ...session, entries, index: entries.length - 1, updatedAt: Date.now() };
+}
+
+export function moveDraft(session: RefineSession, step: -1 | 1): RefineSession {
+  const index = Math.max(0, Math.min(session.entries.length - 1, session.index + step));
+  return { ...session, index, updatedAt: Date.now() };
+}
+
+export const currentDraft = (session: RefineSession) => session.entries[session.index]?.text || '';
+
+// The refine turns that led to the current draft; undone steps are not part of the conversation.
+export function conversationTurns(session: RefineSession): RefineTurn[] {
+  return session.entries.slice(1, session.index + 1).flatMap((entry, i) => (
+    entry.source === 'refined' && entry.instruction
+      ? [{ instruction: entry.instruction, before: session.entries[i].text, draft: entry.text }]
+      : []
+  ));
+}
+
+async function loadSessions(): Promise<Record<string, RefineSession>> {
+  const { [STORAGE_KEY]: sessions } = await chrome.storage.local.get(STORAGE_KEY);
+  return sessions && typeof sessions === 'object' ? sessions : {};
+}
+
+export async function loadSession(url: string): Promise<RefineSession | null> {
+  const sessions = await loadSessions();
+  return sessions[sessionKey(url)] || null;
+}
+
+export async function saveSession(url: string, session: RefineSession): Promise<void> {
+  const sessions = { ...(await loadSessions()), [sessionKey(url)]: session };
+  const kept = Object.entries(sessions)
+    .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+    .slice(0, MAX_SESSIONS);
+  await chrome.storage.local.set({ [STORAGE_KEY]: Object.fromEntries(kept) });
+}
+
+export async function requestRefine(session: RefineSession, instruction: string): Promise<{ bid: string; provider: string; model: string }> {
+  const response = await chrome.runtime.sendMessage({
+    action: 'refineBid',
+    job: session.job,
+    turns: conversationTurns(session),
+    instruction,
+    draft: currentDraft(session)
+  });
+  if (response?.status !== 'success') {
+    throw new Error(response?.message || 'Refining failed.');
+  }
+  return response;
+}
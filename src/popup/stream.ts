@@ -0,0 +1,86 @@
+// Client side of the `bidStream` port opened by background.js.
+
+export type BidStreamResult = {
+  bid: string;
+  provider: string;
+  model: string;
+  attempt: number;
+  fallback: boolean;
+  historyId: string | null;
+};
+
+// Sent before each retry or fallback attempt; the text streamed so far is discarded.
+export type BidStreamRetry = {
+  attempt: number;
+  provider: string;
+  model: string;
+  fallback: boolean;
+  delayMs: number;
+  reason: string;
+};
+
+export type BidStreamHandlers = {
+  onChunk: (text: string) => void;
+  onRetry: (info: BidStreamRetry) => void;
+  onDone: (result: BidStreamResult) => void;
+  onError: (message: string) => void;
+  onStopped: () => void;
+};
+
+export type BidStream = {
+  stop: () => void;
+};
+
+export function startBidStream(job: Record<string, unknown>, handlers: BidStreamHandlers): BidStream {
+  const port = chrome.runtime.connect({ name: 'bidStream' });
+  let finished = false;
+  const finish = () => {
+    finished = true;
+    port.disconnect();
+  };
+
+  port.onMessage.addListener((message: any) => {
+    switch (message?.type) {
+      case 'chunk':
+        handlers.onChunk(message.text || '');
+        break;
+      case 'retry':
+        handlers.onRetry(message as BidStreamRetry);
+        break;
+      case 'done':
+        finish();
+        handlers.onDone({
+          bid: message.bid || '',
+          provider: message.provider,
+          model: message.model,
+          attempt: message.attempt || 1,
+          fallback: Boolean(message.fallback),
+          historyId: message.historyId || null
+        });
+        break;
+      case 'error':
+        finish();
+        handlers.onError(message.message || 'Failed to generate proposal');
+        break;
+      case 'stopped':
+        finish();
+        handlers.onStopped();
+        break;
+    }
+  });
+
+  // The service worker can be torn down mid-stream; surface that as an error.
+  port.onDisconnect.addListener(() => {
+    if (finished) return;
+    finished = true;
+    handlers.onError('Lost connection to the background worker.');
+  });
+
+  port.postMessage({ action: 'start', job });
+
+  return {
+    stop: () => {
+      if (!finished) port.postMessage({ action: 'stop' });
+    }
+  };
+}
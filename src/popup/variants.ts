@@ -0,0 +1,44 @@
+// Helpers for comparing and merging bid variants in the popup.
+
+export type BidVariant = {
+  tone: string;
+  text: string;
+};
+
+export type SentenceRef = {
+  variant: number;
+  sentence: number;
+};
+
+export type Token = {
+  text: string;
+  distinct: boolean;
+};
+
+// Lines first (bids are written line by line), then sentences within a line.
+export function splitSentences(text: string): string[] {
+  return text
+    .split('\n')
+    .flatMap(line => line.split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/))
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+const normalizeWord = (word: string) => word.toLowerCase().replace(/^[^a-z0-9]+|[^a-z0-9+#]+$/g, '');
+
+// Splits a sentence into word/space tokens and flags the words that do not
+// occur anywhere in the reference text, which is what the popup highlights.
+export function tokenizeAgainst(sentence: string, reference: string): Token[] {
+  const known = new Set(reference.split(/\s+/).map(normalizeWord).filter(Boolean));
+  return sentence.split(/(\s+)/).filter(Boolean).map(part => {
+    const word = normalizeWord(part);
+    return { text: part, distinct: Boolean(word) && !known.has(word) };
+  });
+}
+
+export function mergeSentences(variants: BidVariant[], selection: SentenceRef[]): string {
+  return selection
+    .map(ref => splitSentences(variants[ref.variant]?.text || '')[ref.sentence])
+    .filter(Boolean)
+    .join('\n');
+}
@@ -0,0 +1,47 @@
+// Project fit score computed by background/fit.js before a bid is generated
+// (`fitScoring` in chrome.storage.sync).
+
+export type FitSettings = {
+  enabled: boolean;
+  warnBelow: number;
+  blockBelow: number;
+  blacklist: string[];
+};
+
+export type FitResult = {
+  score: number;
+  verdict: 'ok' | 'warn' | 'block';
+  breakdown: { label: string; points: number; max: number; detail: string }[];
+  blacklisted: string[];
+  warnBelow: number;
+  blockBelow: number;
+};
+
+// Mirrors FIT_DEFAULTS in background/fit.js
+export const DEFAULT_FIT: FitSettings = {
+  enabled: true,
+  warnBelow: 50,
+  blockBelow: 25,
+  blacklist: ['unpaid test', 'test task unpaid', 'free sample']
+};
+
+export async function loadFitSettings(): Promise<FitSettings> {
+  const { fitScoring } = await chrome.storage.sync.get('fitScoring');
+  return { ...DEFAULT_FIT, ...(fitScoring || {}) };
+}
+
+export async function saveFitSettings(fitScoring: FitSettings): Promise<void> {
+  await chrome.storage.sync.set({ fitScoring });
+}
+
+// Resolves with null when fit scoring is disabled in Options.
+export async function requestFit(job: Record<string, unknown>): Promise<FitResult | null> {
+  const response = await chrome.runtime.sendMessage({ action: 'computeFit', job });
+  if (response?.status !== 'success') {
+    throw new Error(response?.message || 'Fit scoring failed.');
+  }
+  return response.fit;
+}
+
+export const fitColor = (verdict: FitResult['verdict']): 'success' | 'warning' | 'error' =>
+  verdict === 'ok' ? 'success' : verdict === 'warn' ? 'warning' : 'error';
@@ -0,0 +1,43 @@
+// Guardrails checked by background/submit.js before content.js places a bid automatically
+// (`submitGuardrails` in chrome.storage.sync).
+
+export type SubmitGuardrails = {
+  requireConfirmation: boolean;
+  // 0 disables the rule
+  maxAmount: number;
+  minBudget: number;
+  dailyCap: number;
+  blockedKeywords: string[];
+};
+
+// Mirrors GUARDRAIL_DEFAULTS in background/submit.js
+export const DEFAULT_GUARDRAILS: SubmitGuardrails = {
+  requireConfirmation: true,
+  maxAmount: 0,
+  minBudget: 0,
+  dailyCap: 20,
+  blockedKeywords: []
+};
+
+// Result of the `submitBid` content script action.
+export type SubmitOutcome = {
+  status: 'submitted' | 'blocked' | 'invalid' | 'error' | 'unknown';
+  message: string;
+};
+
+export async function loadGuardrails(): Promise<SubmitGuardrails> {
+  const { submitGuardrails } = await chrome.storage.sync.get('submitGuardrails');
+  return { ...DEFAULT_GUARDRAILS, ...(submitGuardrails || {}) };
+}
+
+export async function saveGuardrails(guardrails: SubmitGuardrails): Promise<void> {
+  await chrome.storage.sync.set({ submitGuardrails: guardrails });
+}
+
+// Bids placed since local midnight, as counted for the daily cap.
+export async function countSubmittedToday(): Promise<number> {
+  const { bidHistory } = await chrome.storage.local.get('bidHistory');
+  const since = new Date();
+  since.setHours(0, 0, 0, 0);
+  return (Array.isArray(bidHistory) ? bidHistory : []).filter((h: any) => h.submittedAt >= since.getTime()).length;
+}
@@ -0,0 +1,69 @@
+// Bid history written by background.js (`bidHistory` in chrome.storage.local, newest first).
+
+export type BidHistoryEntry = {
+  id: string;
+  status: 'generated' | 'inserted' | 'submitted';
+  createdAt: number;
+  updatedAt: number;
+  projectUrl: string | null;
+  title: string | null;
+  skills: string[];
+  budget: string | null;
+  bidAmount: number | string | null;
+  deliveryTime: number | string | null;
+  provider: string;
+  model: string;
+  bidText: string;
+  variants?: { tone: string; text: string }[];
+  // Language the bid was written in (ISO 639-1)
+  language?: string | null;
+  // Set when auto-submit clicked "Place Bid"; confirmed if the page showed its success state
+  submittedAt?: number;
+  submitConfirmed?: boolean;
+};
+
+export async function loadHistory(): Promise<BidHistoryEntry[]> {
+  const { bidHistory } = await chrome.storage.local.get('bidHistory');
+  return Array.isArray(bidHistory) ? bidHistory : [];
+}
+
+export async function clearHistory(): Promise<void> {
+  await chrome.storage.local.remove('bidHistory');
+}
+
+const CSV_COLUMNS: (keyof BidHistoryEntry)[] = [
+  'createdAt',
+  'status',
+  'title',
+  'projectUrl',
+  'budget',
+  'bidAmount',
+  'deliveryTime',
+  'provider',
+  'model',
+  'skills',
+  'bidText'
+];
+
+const csvCell = (value: unknown): string => {
+  const text = Array.isArray(value) ? value.join('; ') : value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function historyToCsv(entries: BidHistoryEntry[]): string {
+  const rows = entries.map(entry => CSV_COLUMNS.map(col => (
+    col === 'createdAt' ? csvCell(new Date(entry.createdAt).toISOString()) : csvCell(entry[col])
+  )).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+export function downloadFile(filename: string, content: string, mimeType: string): void {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
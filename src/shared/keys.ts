@@ -0,0 +1,51 @@
+// Encrypted API keys. background/keys.js keeps them in chrome.storage.local, encrypted under the
+// user's passphrase, and only answers these messages for extension pages; the pages never see a key.
+
+import { ProviderId } from './providers';
+
+export type KeyStatus = {
+  // A passphrase has been set
+  configured: boolean;
+  // Unlocked for this browser session
+  unlocked: boolean;
+  // Providers with a key in the vault
+  stored: ProviderId[];
+  // Providers with a plain-text key left in chrome.storage.sync (from before the vault)
+  legacy: ProviderId[];
+};
+
+export type KeyTestResult = { ok: boolean; message: string; models: string[] };
+
+async function keyRequest<T = Record<string, never>>(action: string, payload: Record<string, unknown> = {}): Promise<T> {
+  const response = await chrome.runtime.sendMessage({ action, ...payload });
+  if (response?.status !== 'success') {
+    throw new Error(response?.message || 'The background worker did not respond.');
+  }
+  return response;
+}
+
+export const requestKeyStatus = () => keyRequest<KeyStatus>('getKeyStatus');
+
+// Returns the providers whose plain-text keys were moved into the vault.
+export const createKeyVault = (passphrase: string) =>
+  keyRequest<{ migrated: ProviderId[] }>('createKeyVault', { passphrase }).then(r => r.migrated);
+
+export const unlockKeys = (passphrase: string) => keyRequest('unlockKeys', { passphrase });
+export const lockKeys = () => keyRequest('lockKeys');
+export const resetKeyVault = () => keyRequest('resetKeyVault');
+
+export const saveApiKey = (provider: ProviderId, apiKey: string) => keyRequest('saveApiKey', { provider, apiKey });
+export const removeApiKey = (provider: ProviderId) => keyRequest('removeApiKey', { provider });
+
+// Unset overrides use the saved settings, so a saved key can be tested without retyping it.
+export const testProviderKey = (
+  provider: ProviderId,
+  overrides: { apiKey?: string; baseUrl?: string; headers?: string } = {}
+) => keyRequest<KeyTestResult>('testProviderKey', { provider, overrides });
+
+export const hasSavedKey = (status: KeyStatus, provider: ProviderId) =>
+  status.configured ? status.stored.includes(provider) : status.legacy.includes(provider);
+
+// A saved key the background cannot use until the passphrase is entered.
+export const isKeyLocked = (status: KeyStatus, provider: ProviderId) =>
+  status.configured && !status.unlocked && status.stored.includes(provider);
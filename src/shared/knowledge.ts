@@ -0,0 +1,123 @@
+// Past-project knowledge base cited in bids by background/knowledge.js.
+// Entries live in IndexedDB (database `aiBidder`, store `pastProjects`), shared with the background worker.
+
+export type PastProject = {
+  id: string;
+  title: string;
+  stack: string[];
+  outcome: string;
+  link: string;
+  quote: string;
+  updatedAt: number;
+};
+
+// Result of the `findRelevantProjects` background action.
+export type PastProjectMatch = {
+  project: PastProject;
+  score: number;
+  terms: string[];
+};
+
+// Mirrors KNOWLEDGE_DB_NAME / KNOWLEDGE_DB_VERSION / KNOWLEDGE_STORE in background/knowledge.js
+const DB_NAME = 'aiBidder';
+const DB_VERSION = 1;
+const STORE = 'pastProjects';
+
+export const KNOWLEDGE_EXPORT_SCHEMA = 1;
+
+export const createPastProject = (overrides: Partial<PastProject> = {}): PastProject => ({
+  id: `past-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  title: 'New project',
+  stack: [],
+  outcome: '',
+  link: '',
+  quote: '',
+  updatedAt: Date.now(),
+  ...overrides
+});
+
+function openDb(): Promise<IDBDatabase> {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(STORE)) {
+        request.result.createObjectStore(STORE, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Runs one request in its own transaction and closes the database afterwards.
+async function withStore<T>(mode: IDBTransactionMode, run: (store: IDBObjectStore) => IDBRequest<T> | void): Promise<T | undefined> {
+  const db = await openDb();
+  try {
+    return await new Promise<T | undefined>((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = run(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// Most recently edited first.
+export async function loadPastProjects(): Promise<PastProject[]> {
+  const list = (await withStore<PastProject[]>('readonly', store => store.getAll())) || [];
+  return list.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+export async function savePastProjects(projects: PastProject[]): Promise<void> {
+  await withStore('readwrite', store => {
+    projects.forEach(p => store.put(p));
+  });
+}
+
+export async function deletePastProject(id: string): Promise<void> {
+  await withStore('readwrite', store => store.delete(id));
+}
+
+export function exportPastProjects(projects: PastProject[]): string {
+  return JSON.stringify({ schema: KNOWLEDGE_EXPORT_SCHEMA, exportedAt: new Date().toISOString(), projects }, null, 2);
+}
+
+// Accepts an export file or a bare array. Entries keep their id, so importing
+// the same file twice updates instead of duplicating.
+export function parsePastProjects(text: string): PastProject[] {
+  let data: any;
+  try {
+    data = JSON.parse(text);
+  } catch (e: any) {
+    throw new Error(`Not valid JSON: ${e.message}`);
+  }
+  const list = Array.isArray(data) ? data : data?.projects;
+  if (!Array.isArray(list)) throw new Error('Expected a list of projects or a "projects" array.');
+  return list.map((item: any, index: number) => {
+    if (!item || typeof item.title !== 'string' || !item.title.trim()) {
+      throw new Error(`Project ${index + 1} needs a title.`);
+    }
+    const stack = Array.isArray(item.stack) ? item.stack : String(item.stack || '').split(',');
+    return createPastProject({
+      ...(typeof item.id === 'string' && item.id ? { id: item.id } : {}),
+      title: item.title.trim(),
+      stack: stack.map((s: unknown) => String(s).trim()).filter(Boolean),
+      outcome: String(item.outcome || ''),
+      link: String(item.link || ''),
+      quote: String(item.quote || ''),
+      updatedAt: Number(item.updatedAt) || Date.now()
+    });
+  });
+}
+
+// Ranks the saved projects against sample job text, as generation would.
+export async function requestRelevantProjects(text: string): Promise<PastProjectMatch[]> {
+  const response = await chrome.runtime.sendMessage({ action: 'findRelevantProjects', job: { description: text } });
+  if (response?.status !== 'success') {
+    throw new Error(response?.message || 'Retrieval failed.');
+  }
+  return response.matches;
+}
@@ -0,0 +1,37 @@
+// Bid languages. content.js detects the project language locally (detectLanguage);
+// background.js names them in the prompt (LANGUAGE_NAMES mirrors this list).
+
+export type BidLanguage = {
+  code: string;
+  name: string;
+  // How the language calls itself, shown next to the English name
+  nativeName: string;
+};
+
+export const LANGUAGES: BidLanguage[] = [
+  { code: 'en', name: 'English', nativeName: 'English' },
+  { code: 'de', name: 'German', nativeName: 'Deutsch' },
+  { code: 'es', name: 'Spanish', nativeName: 'Español' },
+  { code: 'fr', name: 'French', nativeName: 'Français' },
+  { code: 'it', name: 'Italian', nativeName: 'Italiano' },
+  { code: 'pt', name: 'Portuguese', nativeName: 'Português' },
+  { code: 'nl', name: 'Dutch', nativeName: 'Nederlands' },
+  { code: 'tr', name: 'Turkish', nativeName: 'Türkçe' },
+  { code: 'pl', name: 'Polish', nativeName: 'Polski' },
+  { code: 'ar', name: 'Arabic', nativeName: 'العربية' },
+  { code: 'ru', name: 'Russian', nativeName: 'Русский' },
+  { code: 'zh', name: 'Chinese', nativeName: '中文' },
+  { code: 'ja', name: 'Japanese', nativeName: '日本語' },
+  { code: 'ko', name: 'Korean', nativeName: '한국어' }
+];
+
+export const languageName = (code: string | null | undefined): string =>
+  LANGUAGES.find(l => l.code === code)?.name || 'English';
+
+export async function requestTranslation(text: string, language: string): Promise<{ bid: string; provider: string; model: string }> {
+  const response = await chrome.runtime.sendMessage({ action: 'translateBid', text, language });
+  if (response?.status !== 'success') {
+    throw new Error(response?.message || 'Translation failed.');
+  }
+  return response;
+}
@@ -0,0 +1,66 @@
+// Pricing rules read by background/pricing.js (`pricing` in chrome.storage.sync).
+
+export type SkillMinimum = {
+  skill: string;
+  amount: number;
+};
+
+// 'currency' rounds to a step that suits the currency (5 USD, 100 INR, ...); a number is a fixed step.
+export type PricingRounding = 'none' | 'currency' | '5' | '10' | '25' | '50' | '100';
+
+export type PricingSettings = {
+  enabled: boolean;
+  budgetPercent: number;
+  hourlyRate: number;
+  hoursPerDay: number;
+  useAiHours: boolean;
+  rounding: PricingRounding;
+  skillMinimums: SkillMinimum[];
+};
+
+// Result of the `computePricing` background action.
+export type PricingResult = {
+  amount: number | null;
+  days: number;
+  hours: number;
+  currency: string;
+  hourly: boolean;
+  explanation: string[];
+};
+
+export const DEFAULT_PRICING: PricingSettings = {
+  enabled: true,
+  budgetPercent: 60,
+  hourlyRate: 0,
+  hoursPerDay: 6,
+  useAiHours: false,
+  rounding: 'currency',
+  skillMinimums: []
+};
+
+export const ROUNDING_OPTIONS: { value: PricingRounding; label: string }[] = [
+  { value: 'currency', label: 'By currency (5 USD, 100 INR, ...)' },
+  { value: 'none', label: 'Whole units' },
+  { value: '5', label: 'Nearest 5' },
+  { value: '10', label: 'Nearest 10' },
+  { value: '25', label: 'Nearest 25' },
+  { value: '50', label: 'Nearest 50' },
+  { value: '100', label: 'Nearest 100' }
+];
+
+export async function loadPricing(): Promise<PricingSettings> {
+  const { pricing } = await chrome.storage.sync.get('pricing');
+  return { ...DEFAULT_PRICING, ...(pricing || {}) };
+}
+
+export async function savePricing(pricing: PricingSettings): Promise<void> {
+  await chrome.storage.sync.set({ pricing });
+}
+
+export async function requestPricing(job: Record<string, unknown>): Promise<PricingResult | null> {
+  const response = await chrome.runtime.sendMessage({ action: 'computePricing', job });
+  if (response?.status !== 'success') {
+    throw new Error(response?.message || 'Pricing failed.');
+  }
+  return response.pricing;
+}
@@ -0,0 +1,51 @@
+// Freelancer profiles shared by the popup and options pages.
+// background.js reads the same `profiles` / `activeProfileId` keys from chrome.storage.local.
+
+export type LocalizedLines = {
+  openingLine: string;
+  closingLine: string;
+};
+
+export type FreelancerProfile = {
+  id: string;
+  name: string;
+  yearsExperience: number;
+  rating: number;
+  projectCount: number;
+  skills: string[];
+  highlights: string[];
+  reviews: string[];
+  openingLine: string;
+  closingLine: string;
+  // Lines for bids in another language, keyed by ISO 639-1 code; missing ones are translated by the AI
+  localizedLines?: Record<string, LocalizedLines>;
+};
+
+export const createProfile = (overrides: Partial<FreelancerProfile> = {}): FreelancerProfile => ({
+  id: `profile-${Date.now().toString(36)}`,
+  name: 'New profile',
+  yearsExperience: 1,
+  rating: 5,
+  projectCount: 0,
+  skills: [],
+  highlights: [],
+  reviews: [],
+  openingLine: "I'm a {{specialization}} developer with {{yearsExperience}}+ years of experience.",
+  closingLine: "I'd be happy to discuss your requirements.",
+  localizedLines: {},
+  ...overrides
+});
+
+export async function loadProfiles(): Promise<{ profiles: FreelancerProfile[]; activeProfileId: string }> {
+  const { profiles, activeProfileId } = await chrome.storage.local.get(['profiles', 'activeProfileId']);
+  const list: FreelancerProfile[] = Array.isArray(profiles) ? profiles : [];
+  return { profiles: list, activeProfileId: activeProfileId || list[0]?.id || '' };
+}
+
+export async function saveProfiles(profiles: FreelancerProfile[], activeProfileId: string): Promise<void> {
+  await chrome.storage.local.set({ profiles, activeProfileId });
+}
+
+export async function setActiveProfile(activeProfileId: string): Promise<void> {
+  await chrome.storage.local.set({ activeProfileId });
+}
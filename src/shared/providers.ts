@@ -0,0 +1,98 @@
+// UI-side descriptors for the providers registered in background/providers.js.
+// Settings live in chrome.storage.sync as `${id}Model`, `${id}BaseUrl` and `${id}Headers`; API keys
+// are encrypted on this device (./keys). `${id}ApiKey` is the plain-text key saved before that.
+
+export type ProviderId = 'gemini' | 'openai' | 'anthropic' | 'compatible';
+
+export type ProviderOption = {
+  id: ProviderId;
+  label: string;
+  icon: string;
+  defaultModel: string;
+  requiresKey: boolean;
+  // Custom endpoints need a base URL and optional extra headers.
+  customEndpoint: boolean;
+  keyUrl: string | null;
+  keyPlaceholder: string;
+  modelPlaceholder: string;
+};
+
+export const PROVIDER_OPTIONS: ProviderOption[] = [
+  {
+    id: 'gemini',
+    label: 'Google Gemini',
+    icon: '🧠',
+    defaultModel: 'gemini-1.5-flash-latest',
+    requiresKey: true,
+    customEndpoint: false,
+    keyUrl: 'https://aistudio.google.com/app/apikey',
+    keyPlaceholder: 'Enter your Google AI Studio API Key here',
+    modelPlaceholder: 'e.g., gemini-1.5-flash-latest'
+  },
+  {
+    id: 'openai',
+    label: 'OpenAI GPT',
+    icon: '🤖',
+    defaultModel: 'gpt-4o-mini',
+    requiresKey: true,
+    customEndpoint: false,
+    keyUrl: 'https://platform.openai.com/api-keys',
+    keyPlaceholder: 'Enter your OpenAI API Key here',
+    modelPlaceholder: 'e.g., gpt-4o-mini'
+  },
+  {
+    id: 'anthropic',
+    label: 'Anthropic Claude',
+    icon: '🪶',
+    defaultModel: 'claude-3-5-haiku-latest',
+    requiresKey: true,
+    customEndpoint: false,
+    keyUrl: 'https://console.anthropic.com/settings/keys',
+    keyPlaceholder: 'Enter your Anthropic API Key here',
+    modelPlaceholder: 'e.g., claude-3-5-haiku-latest'
+  },
+  {
+    id: 'compatible',
+    label: 'OpenAI-compatible',
+    icon: '🔌',
+    defaultModel: '',
+    requiresKey: false,
+    customEndpoint: true,
+    keyUrl: null,
+    keyPlaceholder: 'Optional for local servers (Ollama, LM Studio, ...)',
+    modelPlaceholder: 'e.g., llama3.1:8b'
+  }
+];
+
+export function getProviderOption(id: string | undefined): ProviderOption {
+  return PROVIDER_OPTIONS.find(p => p.id === id) || PROVIDER_OPTIONS[0];
+}
+
+export const providerKeys = (id: ProviderId) => ({
+  apiKey: `${id}ApiKey`,
+  model: `${id}Model`,
+  baseUrl: `${id}BaseUrl`,
+  headers: `${id}Headers`
+});
+
+// Everything in chrome.storage.sync; the provider fields are looked up with providerKeys().
+export const loadSyncSettings = () =>
+  new Promise<Record<string, any>>(resolve => chrome.storage.sync.get(null, items => resolve(items || {})));
+
+// Whether the stored settings are enough to call the provider; `hasKey` from hasSavedKey() in ./keys.
+export function isProviderReady(option: ProviderOption, stored: Record<string, any>, hasKey: boolean): boolean {
+  const keys = providerKeys(option.id);
+  if (option.customEndpoint && !stored[keys.baseUrl]) return false;
+  if (option.customEndpoint && !stored[keys.model]) return false;
+  return option.requiresKey ? hasKey : true;
+}
+
+// "https://host:port/path" -> "https://host:port/*" for chrome.permissions.
+export function originPattern(url: string): string | null {
+  try {
+    const { protocol, host } = new URL(url);
+    return /^https?:$/.test(protocol) ? `${protocol}//${host}/*` : null;
+  } catch {
+    return null;
+  }
+}
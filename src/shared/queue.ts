@@ -0,0 +1,60 @@
+// Batch bidding queue run by background/batch.js (`bidQueue` in chrome.storage.local).
+// The queue view only reads storage; every change goes through the background so that
+// concurrent jobs never overwrite each other.
+
+import { FitResult } from './fit';
+
+export type QueueStatus = 'pending' | 'working' | 'generated' | 'inserted' | 'failed' | 'skipped';
+
+export type QueueItem = {
+  id: string;
+  status: QueueStatus;
+  url: string;
+  title: string | null;
+  description: string | null;
+  skills: string[];
+  projectBudget: { text: string | null; min: number | null; max: number | null };
+  bidText: string;
+  bidAmount: number | string | null;
+  deliveryTime: number | string | null;
+  provider: string | null;
+  model: string | null;
+  historyId: string | null;
+  // Steps from background/pricing.js behind bidAmount/deliveryTime
+  pricingExplanation?: string[];
+  // Score from background/fit.js; `skipped` items were blocked by it
+  fit?: FitResult | null;
+  error: string | null;
+  createdAt: number;
+  updatedAt: number;
+};
+
+export const QUEUE_STATUSES: QueueStatus[] = ['pending', 'working', 'generated', 'inserted', 'failed', 'skipped'];
+
+export const BATCH_CONCURRENCY_OPTIONS = [1, 2, 3, 4, 5];
+export const DEFAULT_BATCH_CONCURRENCY = 2;
+
+export async function loadQueue(): Promise<QueueItem[]> {
+  const { bidQueue } = await chrome.storage.local.get('bidQueue');
+  return Array.isArray(bidQueue) ? bidQueue : [];
+}
+
+export async function loadBatchConcurrency(): Promise<number> {
+  const { batchConcurrency } = await chrome.storage.sync.get('batchConcurrency');
+  return Number(batchConcurrency) || DEFAULT_BATCH_CONCURRENCY;
+}
+
+export async function saveBatchConcurrency(value: number): Promise<void> {
+  await chrome.storage.sync.set({ batchConcurrency: value });
+  // A higher limit can start waiting items right away.
+  await chrome.runtime.sendMessage({ action: 'batchResume' });
+}
+
+// Sends a queue action to the background and rejects when it reports an error.
+export async function queueAction(action: string, payload: Record<string, unknown> = {}): Promise<any> {
+  const response = await chrome.runtime.sendMessage({ action, ...payload });
+  if (response?.status !== 'success') {
+    throw new Error(response?.message || 'The background worker did not respond.');
+  }
+  return response;
+}
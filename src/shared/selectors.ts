@@ -0,0 +1,99 @@
+// Selector pack used by content.js/content-batch.js to find page elements (see selector-pack.js).
+// The active pack is `selectorPack` in chrome.storage.local; without one the built-in pack applies.
+
+export type SelectorPack = {
+  schema: number;
+  revision: number;
+  name: string;
+  selectors: Record<string, string[]>;
+};
+
+export type SelectorDiagnostic = {
+  key: string;
+  selector: string | null;
+  // Position of `selector` in the key's list, -1 when nothing or only the heuristic matched
+  index: number;
+  heuristic: string | null;
+  count: number;
+  sample: string;
+};
+
+export const SELECTOR_PACK_SCHEMA = 1;
+
+export async function loadDefaultSelectorPack(): Promise<SelectorPack> {
+  const response = await chrome.runtime.sendMessage({ action: 'getDefaultSelectorPack' });
+  if (response?.status !== 'success') throw new Error('The background worker did not respond.');
+  return response.pack;
+}
+
+// Resolves with null when the built-in pack is in use.
+export async function loadSelectorPack(): Promise<SelectorPack | null> {
+  const { selectorPack } = await chrome.storage.local.get('selectorPack');
+  return selectorPack?.selectors ? selectorPack : null;
+}
+
+export async function saveSelectorPack(pack: SelectorPack): Promise<void> {
+  await chrome.storage.local.set({ selectorPack: pack });
+}
+
+export async function resetSelectorPack(): Promise<void> {
+  await chrome.storage.local.remove('selectorPack');
+}
+
+// Parses pack JSON (typed or imported) and throws a readable error when it is not a usable pack.
+export function parseSelectorPack(text: string): SelectorPack {
+  let data: any;
+  try {
+    data = JSON.parse(text);
+  } catch (e: any) {
+    throw new Error(`Not valid JSON: ${e.message}`);
+  }
+  if (!data || typeof data !== 'object' || !data.selectors || typeof data.selectors !== 'object') {
+    throw new Error('A selector pack needs a "selectors" object.');
+  }
+  if (data.schema !== undefined && data.schema !== SELECTOR_PACK_SCHEMA) {
+    throw new Error(`Unsupported selector pack schema ${data.schema} (expected ${SELECTOR_PACK_SCHEMA}).`);
+  }
+  for (const [key, list] of Object.entries(data.selectors)) {
+    if (!Array.isArray(list) || list.some(s => typeof s !== 'string' || !s.trim())) {
+      throw new Error(`"${key}" must be a list of selectors.`);
+    }
+    for (const selector of list as string[]) {
+      try {
+        document.createDocumentFragment().querySelector(selector);
+      } catch {
+        throw new Error(`"${key}": invalid selector '${selector}'.`);
+      }
+    }
+  }
+  return {
+    schema: SELECTOR_PACK_SCHEMA,
+    revision: Number(data.revision) || 1,
+    name: String(data.name || 'Custom'),
+    selectors: data.selectors
+  };
+}
+
+// Freelancer tabs that can answer diagnostics, most recently used first.
+export async function findFreelancerTabs(): Promise<chrome.tabs.Tab[]> {
+  const tabs = await chrome.tabs.query({ url: 'https://*.freelancer.com/*' });
+  return tabs.sort((a: any, b: any) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+}
+
+export async function diagnoseTab(tabId: number): Promise<{ url: string; results: SelectorDiagnostic[] }> {
+  const response = await chrome.tabs.sendMessage(tabId, { action: 'diagnoseSelectors' }).catch(() => null);
+  if (response?.status !== 'success') {
+    throw new Error('The page did not answer. Reload the Freelancer tab and try again.');
+  }
+  return response;
+}
+
+// Switches to the tab and lets the user click the element to use for `key`.
+export async function pickInTab(tabId: number, key: string): Promise<void> {
+  const response = await chrome.tabs.sendMessage(tabId, { action: 'pickSelector', key }).catch(() => null);
+  if (response?.status !== 'success') {
+    throw new Error('The page did not answer. Reload the Freelancer tab and try again.');
+  }
+  const tab = await chrome.tabs.update(tabId, { active: true });
+  if (tab?.windowId !== undefined) await chrome.windows.update(tab.windowId, { focused: true });
+}
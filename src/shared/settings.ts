@@ -0,0 +1,522 @@
+// Settings bundles: everything configurable in Options as one versioned JSON document, to back up a
+// setup or share it with a team. Sections are read and written through the same helpers the Options
+// tabs use. API keys are never part of a bundle (they stay encrypted on the device, see ./keys), and
+// header lines or base URL passwords that look like credentials are removed on export.
+//
+// SETTINGS_SCHEMA is bumped whenever the layout changes, with a migration from the previous one:
+//   1  extension 2.x: no bundles yet; a JSON dump of chrome.storage.sync/local (flat storage keys)
+//   2  extension 3.x: { format, schema, extensionVersion, exportedAt, settings: { <section>: ... } }
+// background/settings.js upgrades the stored settings along the same schemas when the extension
+// updates and records the result as `settingsSchema` in chrome.storage.local.
+
+import { PROVIDER_OPTIONS, ProviderId, getProviderOption, loadSyncSettings, originPattern, providerKeys } from './providers';
+import { FreelancerProfile, createProfile, loadProfiles, saveProfiles } from './profiles';
+import { BidTemplate, loadTemplates, saveTemplates } from './templates';
+import { PricingSettings, ROUNDING_OPTIONS, loadPricing, savePricing } from './pricing';
+import { SelectorPack, loadSelectorPack, parseSelectorPack, resetSelectorPack, saveSelectorPack } from './selectors';
+import { Taxonomy, resetTaxonomy, saveTaxonomy } from './taxonomy';
+import { FitSettings, loadFitSettings, saveFitSettings } from './fit';
+import { SubmitGuardrails, loadGuardrails, saveGuardrails } from './guardrails';
+import { UsageSettings, loadUsageSettings, saveUsageSettings } from './usage';
+import { BATCH_CONCURRENCY_OPTIONS, loadBatchConcurrency, saveBatchConcurrency } from './queue';
+
+export const SETTINGS_FORMAT = 'ai-bid-pro-settings';
+export const SETTINGS_SCHEMA = 2;
+
+export type ProviderSettings = {
+  aiProvider: ProviderId;
+  fallbackProvider: ProviderId | '';
+  fallbackModel: string;
+  endpoints: Partial<Record<ProviderId, { model?: string; baseUrl?: string; headers?: string }>>;
+};
+
+export type SettingsDocument = {
+  provider?: ProviderSettings;
+  profiles?: { profiles: FreelancerProfile[]; activeProfileId: string };
+  templates?: BidTemplate[];
+  pricing?: PricingSettings;
+  // null: the built-in pack / taxonomy
+  selectors?: SelectorPack | null;
+  specializations?: Taxonomy | null;
+  fit?: FitSettings;
+  guardrails?: SubmitGuardrails;
+  usage?: UsageSettings;
+  batch?: { concurrency: number };
+};
+
+export type SettingsSection = keyof SettingsDocument;
+
+export type SettingsBundle = {
+  format: typeof SETTINGS_FORMAT;
+  schema: number;
+  extensionVersion: string;
+  exportedAt: string;
+  settings: SettingsDocument;
+};
+
+export const SETTINGS_SECTIONS: { id: SettingsSection; label: string }[] = [
+  { id: 'provider', label: 'AI provider and models' },
+  { id: 'profiles', label: 'Profiles' },
+  { id: 'templates', label: 'Templates' },
+  { id: 'pricing', label: 'Pricing rules' },
+  { id: 'selectors', label: 'Selectors' },
+  { id: 'specializations', label: 'Specializations' },
+  { id: 'fit', label: 'Fit score' },
+  { id: 'guardrails', label: 'Auto-submit guardrails' },
+  { id: 'usage', label: 'Usage prices and caps' },
+  { id: 'batch', label: 'Batch queue' }
+];
+
+const PROVIDER_IDS = PROVIDER_OPTIONS.map(p => p.id);
+
+// Only the OpenAI-compatible provider has a configurable base URL and headers. The built-in providers
+// always use their own API, so a bundle can't redirect their keys (background.js ignores them too).
+const ENDPOINT_FIELDS = (id: ProviderId) =>
+  getProviderOption(id).customEndpoint ? (['model', 'baseUrl', 'headers'] as const) : (['model'] as const);
+
+// --- Secrets ---
+
+// Header names such as Authorization, X-Api-Key or X-Session-Token.
+const SECRET_HEADER = /auth|key|token|secret|cookie|session|password/i;
+
+const headerName = (line: string) => line.split(':')[0].trim();
+const isSecretHeader = (line: string) => SECRET_HEADER.test(headerName(line));
+
+function withoutSecrets(provider: ProviderSettings): ProviderSettings {
+  const endpoints: ProviderSettings['endpoints'] = {};
+  for (const [id, endpoint] of Object.entries(provider.endpoints) as [ProviderId, ProviderSettings['endpoints'][ProviderId]][]) {
+    let baseUrl = endpoint?.baseUrl;
+    if (baseUrl) {
+      try {
+        const url = new URL(baseUrl);
+        url.username = '';
+        url.password = '';
+        baseUrl = url.toString().replace(/\/+$/, '');
+      } catch {
+        // Left as typed; validation reports it on import
+      }
+    }
+    const headers = endpoint?.headers?.split('\n').filter(line => line.trim() && !isSecretHeader(line)).join('\n');
+    endpoints[id] = { ...endpoint, ...(baseUrl !== undefined ? { baseUrl } : {}), ...(headers !== undefined ? { headers } : {}) };
+  }
+  return { ...provider, endpoints };
+}
+
+// Imported headers never carry credentials, so the ones saved here are kept.
+function mergeHeaders(current: string | undefined, incoming: string): string {
+  const names = new Set(incoming.split('\n').map(line => headerName(line).toLowerCase()));
+  const kept = (current || '').split('\n').filter(line => isSecretHeader(line) && !names.has(headerName(line).toLowerCase()));
+  return [...incoming.split('\n').filter(line => line.trim()), ...kept].join('\n');
+}
+
+// --- Reading and writing ---
+
+async function loadProviderSettings(): Promise<ProviderSettings> {
+  const stored = await loadSyncSettings();
+  const endpoints: ProviderSettings['endpoints'] = {};
+  for (const id of PROVIDER_IDS) {
+    const keys = providerKeys(id);
+    const endpoint = Object.fromEntries(ENDPOINT_FIELDS(id).map(field => [field, stored[keys[field]]]).filter(([, v]) => v));
+    if (Object.keys(endpoint).length) endpoints[id] = endpoint;
+  }
+  return {
+    aiProvider: PROVIDER_IDS.includes(stored.aiProvider) ? stored.aiProvider : 'gemini',
+    fallbackProvider: PROVIDER_IDS.includes(stored.fallbackProvider) ? stored.fallbackProvider : '',
+    fallbackModel: stored.fallbackModel || '',
+    endpoints
+  };
+}
+
+// The current settings as they would be exported (credentials removed).
+export async function readSettings(): Promise<SettingsDocument> {
+  const [provider, profiles, templates, pricing, selectors, stored, fit, guardrails, usage, concurrency] = await Promise.all([
+    loadProviderSettings(),
+    loadProfiles(),
+    loadTemplates(),
+    loadPricing(),
+    loadSelectorPack(),
+    chrome.storage.local.get('specializationTaxonomy'),
+    loadFitSettings(),
+    loadGuardrails(),
+    loadUsageSettings(),
+    loadBatchConcurrency()
+  ]);
+  return {
+    provider: withoutSecrets(provider),
+    profiles,
+    templates,
+    pricing,
+    selectors,
+    specializations: stored.specializationTaxonomy || null,
+    fit,
+    guardrails,
+    usage,
+    batch: { concurrency }
+  };
+}
+
+export async function exportSettings(sections: SettingsSection[]): Promise<string> {
+  const current = await readSettings();
+  const bundle: SettingsBundle = {
+    format: SETTINGS_FORMAT,
+    schema: SETTINGS_SCHEMA,
+    extensionVersion: chrome.runtime.getManifest().version,
+    exportedAt: new Date().toISOString(),
+    settings: Object.fromEntries(sections.map(id => [id, current[id]]))
+  };
+  return JSON.stringify(bundle, null, 2);
+}
+
+/**
+ * What applying `incoming` would leave in place: object sections are merged over the current values
+ * (settings the bundle leaves out are kept), list sections and packs are replaced.
+ */
+export function mergeSettings(current: SettingsDocument, incoming: SettingsDocument): SettingsDocument {
+  const merged: SettingsDocument = {};
+  for (const { id } of SETTINGS_SECTIONS) {
+    const value = incoming[id];
+    if (value === undefined) continue;
+    if (id === 'provider' && current.provider) {
+      const endpoints = { ...current.provider.endpoints };
+      for (const [pid, endpoint] of Object.entries(incoming.provider!.endpoints) as [ProviderId, any][]) {
+        endpoints[pid] = { ...endpoints[pid], ...endpoint };
+      }
+      merged.provider = { ...current.provider, ...incoming.provider!, endpoints };
+    } else if (['pricing', 'fit', 'guardrails', 'usage', 'batch'].includes(id)) {
+      (merged as any)[id] = { ...(current as any)[id], ...(value as object) };
+    } else {
+      (merged as any)[id] = value;
+    }
+  }
+  return merged;
+}
+
+// Writes the sections of a merged document (see mergeSettings()).
+export async function applySettings(settings: SettingsDocument): Promise<void> {
+  if (settings.provider) {
+    const stored = await loadSyncSettings();
+    const payload: Record<string, string> = {
+      aiProvider: settings.provider.aiProvider,
+      fallbackProvider: settings.provider.fallbackProvider,
+      fallbackModel: settings.provider.fallbackModel
+    };
+    for (const [id, endpoint] of Object.entries(settings.provider.endpoints) as [ProviderId, any][]) {
+      const keys = providerKeys(id);
+      const fields: readonly string[] = ENDPOINT_FIELDS(id);
+      if (endpoint.model !== undefined) payload[keys.model] = endpoint.model;
+      if (endpoint.baseUrl !== undefined && fields.includes('baseUrl')) payload[keys.baseUrl] = endpoint.baseUrl;
+      if (endpoint.headers !== undefined && fields.includes('headers')) {
+        payload[keys.headers] = mergeHeaders(stored[keys.headers], endpoint.headers);
+      }
+    }
+    await chrome.storage.sync.set(payload);
+  }
+  if (settings.profiles) await saveProfiles(settings.profiles.profiles, settings.profiles.activeProfileId);
+  if (settings.templates) await saveTemplates(settings.templates);
+  if (settings.pricing) await savePricing(settings.pricing);
+  if (settings.selectors !== undefined) {
+    await (settings.selectors ? saveSelectorPack(settings.selectors) : resetSelectorPack());
+  }
+  if (settings.specializations !== undefined) {
+    await (settings.specializations ? saveTaxonomy(settings.specializations) : resetTaxonomy());
+  }
+  if (settings.fit) await saveFitSettings(settings.fit);
+  if (settings.guardrails) await saveGuardrails(settings.guardrails);
+  if (settings.usage) await saveUsageSettings(settings.usage);
+  if (settings.batch) await saveBatchConcurrency(settings.batch.concurrency);
+  // Imported bundles are upgraded to the current schema before they are applied
+  await chrome.storage.local.set({ settingsSchema: SETTINGS_SCHEMA });
+}
+
+// --- Migrations ---
+
+// MIGRATIONS[n] upgrades a schema n document to schema n + 1.
+const MIGRATIONS: Record<number, (data: any) => any> = {
+  1: (flat: Record<string, any>) => {
+    const endpoints: Record<string, Record<string, string>> = {};
+    for (const id of PROVIDER_IDS) {
+      const keys = providerKeys(id);
+      // 2.x had no base URLs or headers; a dump that points a built-in provider at the mock server keeps only the model
+      const endpoint = Object.fromEntries(
+        ENDPOINT_FIELDS(id).filter(field => typeof flat[keys[field]] === 'string').map(field => [field, flat[keys[field]]])
+      );
+      if (Object.keys(endpoint).length) endpoints[id] = endpoint;
+    }
+    const hasProvider = flat.aiProvider !== undefined || Object.keys(endpoints).length > 0;
+    const settings: Record<string, unknown> = {
+      provider: hasProvider
+        ? { aiProvider: flat.aiProvider ?? 'gemini', fallbackProvider: flat.fallbackProvider ?? '', fallbackModel: flat.fallbackModel ?? '', endpoints }
+        : undefined,
+      profiles: flat.profiles !== undefined ? { profiles: flat.profiles, activeProfileId: flat.activeProfileId ?? '' } : undefined,
+      templates: flat.bidTemplates,
+      pricing: flat.pricing,
+      selectors: flat.selectorPack,
+      specializations: flat.specializationTaxonomy,
+      fit: flat.fitScoring,
+      guardrails: flat.submitGuardrails,
+      usage: flat.usageSettings,
+      batch: flat.batchConcurrency !== undefined ? { concurrency: flat.batchConcurrency } : undefined
+    };
+    return {
+      format: SETTINGS_FORMAT,
+      schema: 2,
+      extensionVersion: '2.x',
+      exportedAt: '',
+      settings: Object.fromEntries(Object.entries(settings).filter(([, v]) => v !== undefined))
+    };
+  }
+};
+
+// --- Validation ---
+
+// A shape is an example value: '' a string, 0 a number, true a boolean, [item] a list of items,
+// { '*': value } an object with any keys, otherwise an object with those keys (all optional).
+type Shape = string | number | boolean | Shape[] | { [key: string]: Shape };
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  !!value && typeof value === 'object' && !Array.isArray(value);
+
+function conform(shape: Shape, value: unknown, path: string, warnings: string[]): any {
+  if (Array.isArray(shape)) {
+    if (!Array.isArray(value)) throw new Error(`${path} must be a list.`);
+    return value.map((item, i) => conform(shape[0], item, `${path}[${i}]`, warnings));
+  }
+  if (isObject(shape)) {
+    if (!isObject(value)) throw new Error(`${path} must be an object.`);
+    const out: Record<string, unknown> = {};
+    for (const [key, item] of Object.entries(value)) {
+      const itemShape = shape['*'] ?? shape[key];
+      if (itemShape === undefined) {
+        warnings.push(`${path}.${key} is not a known setting and was left out.`);
+      } else if (item !== undefined) {
+        out[key] = conform(itemShape, item, `${path}.${key}`, warnings);
+      }
+    }
+    return out;
+  }
+  if (typeof value !== typeof shape || (typeof value === 'number' && !Number.isFinite(value))) {
+    throw new Error(`${path} must be a ${typeof shape}.`);
+  }
+  return value;
+}
+
+const SHAPES: Record<Exclude<SettingsSection, 'selectors'>, Shape> = {
+  provider: {
+    aiProvider: '',
+    fallbackProvider: '',
+    fallbackModel: '',
+    endpoints: { '*': { model: '', baseUrl: '', headers: '' } }
+  },
+  profiles: {
+    profiles: [{
+      id: '', name: '', yearsExperience: 0, rating: 0, projectCount: 0,
+      skills: [''], highlights: [''], reviews: [''], openingLine: '', closingLine: '',
+      localizedLines: { '*': { openingLine: '', closingLine: '' } }
+    }],
+    activeProfileId: ''
+  },
+  templates: [{ id: '', name: '', content: '', category: '' }],
+  pricing: {
+    enabled: true, budgetPercent: 0, hourlyRate: 0, hoursPerDay: 0, useAiHours: true, rounding: '',
+    skillMinimums: [{ skill: '', amount: 0 }]
+  },
+  specializations: {
+    maxLabels: 0, aiFallback: true, fallbackLabel: '',
+    labels: [{ id: '', label: '', keywords: [''], weight: 0, portfolioUrl: '', samples: [''] }]
+  },
+  fit: { enabled: true, warnBelow: 0, blockBelow: 0, blacklist: [''] },
+  guardrails: { requireConfirmation: true, maxAmount: 0, minBudget: 0, dailyCap: 0, blockedKeywords: [''] },
+  usage: {
+    caps: { '*': { daily: 0, monthly: 0 } },
+    onCap: '',
+    prices: [{ provider: '', model: '', input: 0, output: 0 }]
+  },
+  batch: { concurrency: 0 }
+};
+
+function requireUniqueIds(list: { id: string }[], path: string) {
+  const seen = new Set<string>();
+  list.forEach((item, i) => {
+    if (!item.id) throw new Error(`${path}[${i}] needs an id.`);
+    if (seen.has(item.id)) throw new Error(`${path}: the id "${item.id}" is used twice.`);
+    seen.add(item.id);
+  });
+}
+
+// Checks one section and returns it without unknown keys; throws a readable error naming the field.
+function validateSection(id: SettingsSection, value: unknown, warnings: string[]): unknown {
+  if (id === 'selectors') {
+    if (value === null) return null;
+    try {
+      return parseSelectorPack(JSON.stringify(value));
+    } catch (e: any) {
+      throw new Error(`selectors: ${e.message}`);
+    }
+  }
+  if (id === 'specializations' && value === null) return null;
+
+  const section = conform(SHAPES[id], value, id, warnings);
+  if (id === 'provider') {
+    if (section.aiProvider !== undefined && !PROVIDER_IDS.includes(section.aiProvider)) {
+      throw new Error(`provider.aiProvider: unknown provider "${section.aiProvider}".`);
+    }
+    if (section.fallbackProvider && !PROVIDER_IDS.includes(section.fallbackProvider)) {
+      throw new Error(`provider.fallbackProvider: unknown provider "${section.fallbackProvider}".`);
+    }
+    for (const [pid, endpoint] of Object.entries(section.endpoints || {}) as [string, any][]) {
+      if (!PROVIDER_IDS.includes(pid as ProviderId)) throw new Error(`provider.endpoints: unknown provider "${pid}".`);
+      const fields: readonly string[] = ENDPOINT_FIELDS(pid as ProviderId);
+      for (const field of ['baseUrl', 'headers']) {
+        if (endpoint[field] !== undefined && !fields.includes(field)) {
+          throw new Error(`provider.endpoints.${pid}.${field}: only the OpenAI-compatible provider takes a ${field === 'baseUrl' ? 'base URL' : 'header list'}.`);
+        }
+      }
+      if (endpoint.baseUrl && !originPattern(endpoint.baseUrl)) {
+        throw new Error(`provider.endpoints.${pid}.baseUrl must be an http(s) URL.`);
+      }
+    }
+    return { aiProvider: 'gemini', fallbackProvider: '', fallbackModel: '', endpoints: {}, ...section };
+  }
+  if (id === 'profiles') {
+    const profiles: FreelancerProfile[] = (section.profiles || []).map((p: Partial<FreelancerProfile>) => createProfile(p));
+    if (profiles.length === 0) throw new Error('profiles: at least one profile is needed.');
+    requireUniqueIds(profiles, 'profiles.profiles');
+    const active = profiles.some(p => p.id === section.activeProfileId) ? section.activeProfileId : profiles[0].id;
+    return { profiles, activeProfileId: active };
+  }
+  if (id === 'templates') {
+    requireUniqueIds(section, 'templates');
+    section.forEach((t: Partial<BidTemplate>, i: number) => {
+      if (!t.name || !t.content) throw new Error(`templates[${i}] needs a name and content.`);
+    });
+    return section.map((t: Partial<BidTemplate>) => ({ category: '', ...t }));
+  }
+  if (id === 'specializations') {
+    if (!Array.isArray(section.labels)) throw new Error('specializations.labels must be a list.');
+    requireUniqueIds(section.labels, 'specializations.labels');
+    return section;
+  }
+  if (id === 'pricing' && section.rounding !== undefined && !ROUNDING_OPTIONS.some(o => o.value === section.rounding)) {
+    throw new Error(`pricing.rounding: unknown rounding "${section.rounding}".`);
+  }
+  if (id === 'usage' && section.onCap !== undefined && !['block', 'downgrade'].includes(section.onCap)) {
+    throw new Error(`usage.onCap must be "block" or "downgrade".`);
+  }
+  if (id === 'batch' && section.concurrency !== undefined && !BATCH_CONCURRENCY_OPTIONS.includes(section.concurrency)) {
+    throw new Error(`batch.concurrency must be one of ${BATCH_CONCURRENCY_OPTIONS.join(', ')}.`);
+  }
+  return section;
+}
+
+/**
+ * Parses an exported bundle, or a storage dump from before bundles existed, upgrades it to the
+ * current schema and validates every section.
+ * @returns The bundle plus warnings about parts that were left out.
+ */
+export function parseSettingsBundle(text: string): { bundle: SettingsBundle; warnings: string[] } {
+  let data: any;
+  try {
+    data = JSON.parse(text);
+  } catch (e: any) {
+    throw new Error(`Not valid JSON: ${e.message}`);
+  }
+  if (!isObject(data)) throw new Error('Expected a settings object.');
+
+  const warnings: string[] = [];
+  let schema: number;
+  if (data.format === SETTINGS_FORMAT) {
+    schema = Number(data.schema);
+    if (!Number.isInteger(schema) || schema < 1) throw new Error(`Unknown settings schema "${data.schema}".`);
+  } else if (data.format === undefined) {
+    schema = 1;
+    const secrets = Object.keys(data).filter(key => /ApiKey$|apiKeyVault/.test(key));
+    if (secrets.length) warnings.push(`API keys are never imported (${secrets.join(', ')}).`);
+  } else {
+    throw new Error(`Not a settings bundle (format "${data.format}").`);
+  }
+  if (schema > SETTINGS_SCHEMA) {
+    throw new Error(`This bundle uses settings schema ${schema}, made by a newer version of the extension. Update it first.`);
+  }
+  const fromSchema = schema;
+  while (schema < SETTINGS_SCHEMA) {
+    data = MIGRATIONS[schema](data);
+    schema += 1;
+  }
+  if (fromSchema < SETTINGS_SCHEMA) warnings.push(`Upgraded from settings schema ${fromSchema} to ${SETTINGS_SCHEMA}.`);
+
+  if (!isObject(data.settings)) throw new Error('The bundle has no "settings" object.');
+  const settings: SettingsDocument = {};
+  for (const [id, value] of Object.entries(data.settings)) {
+    if (!SETTINGS_SECTIONS.some(s => s.id === id)) {
+      warnings.push(`Unknown section "${id}" was left out.`);
+      continue;
+    }
+    (settings as any)[id] = validateSection(id as SettingsSection, value, warnings);
+  }
+  if (Object.keys(settings).length === 0) throw new Error('The bundle contains no settings.');
+
+  return {
+    bundle: {
+      format: SETTINGS_FORMAT,
+      schema: SETTINGS_SCHEMA,
+      extensionVersion: String(data.extensionVersion || ''),
+      exportedAt: String(data.exportedAt || ''),
+      settings
+    },
+    warnings
+  };
+}
+
+// --- Diff ---
+
+export type SettingsChange = {
+  section: SettingsSection;
+  path: string;
+  kind: 'added' | 'removed' | 'changed';
+  before?: unknown;
+  after?: unknown;
+};
+
+const same = (a: unknown, b: unknown) => JSON.stringify(a) === JSON.stringify(b);
+
+// Lists of records with ids (profiles, templates, labels) are matched by id rather than position.
+const isIdList = (value: unknown): value is { id: string }[] =>
+  Array.isArray(value) && value.every(item => isObject(item) && typeof item.id === 'string');
+
+const itemName = (item: Record<string, any>) => item.name || item.label || item.id;
+
+function diffValues(section: SettingsSection, path: string, before: unknown, after: unknown, out: SettingsChange[]) {
+  if (same(before, after)) return;
+  if (before === undefined || before === null) {
+    out.push({ section, path, kind: 'added', after });
+  } else if (after === undefined || after === null) {
+    out.push({ section, path, kind: 'removed', before });
+  } else if (isIdList(before) && isIdList(after)) {
+    const old = new Map(before.map(item => [item.id, item]));
+    const next = new Map(after.map(item => [item.id, item]));
+    after.forEach(item => diffValues(section, `${path}[${itemName(item)}]`, old.get(item.id), item, out));
+    before.filter(item => !next.has(item.id)).forEach(item => out.push({ section, path: `${path}[${itemName(item)}]`, kind: 'removed', before: item }));
+  } else if (Array.isArray(before) && Array.isArray(after) && [...before, ...after].every(item => !isObject(item) && !Array.isArray(item))) {
+    after.filter(item => !before.some(b => same(b, item))).forEach(item => out.push({ section, path, kind: 'added', after: item }));
+    before.filter(item => !after.some(a => same(a, item))).forEach(item => out.push({ section, path, kind: 'removed', before: item }));
+  } else if (isObject(before) && isObject(after)) {
+    const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+    keys.forEach(key => diffValues(section, `${path}.${key}`, before[key], after[key], out));
+  } else {
+    out.push({ section, path, kind: 'changed', before, after });
+  }
+}
+
+// Changes applying `incoming` (already merged, see mergeSettings()) would make, per section.
+export function diffSettings(current: SettingsDocument, incoming: SettingsDocument): SettingsChange[] {
+  const changes: SettingsChange[] = [];
+  for (const { id } of SETTINGS_SECTIONS) {
+    if (incoming[id] !== undefined) diffValues(id, id, current[id], incoming[id], changes);
+  }
+  return changes;
+}
+
+export const formatSettingValue = (value: unknown, max = 80) => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+};
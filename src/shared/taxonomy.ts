@@ -0,0 +1,67 @@
+// Specialization taxonomy used by background/taxonomy.js to label projects
+// (`specializationTaxonomy` in chrome.storage.local; without one the built-in taxonomy applies).
+
+export type SpecializationLabel = {
+  id: string;
+  label: string;
+  keywords: string[];
+  // Multiplies the keyword score; 0 never detects the label from keywords
+  weight: number;
+  portfolioUrl: string;
+  samples: string[];
+};
+
+export type Taxonomy = {
+  maxLabels: number;
+  aiFallback: boolean;
+  fallbackLabel: string;
+  labels: SpecializationLabel[];
+};
+
+// Result of the `detectSpecialization` background action.
+export type SpecializationMatch = {
+  text: string;
+  labels: string[];
+  source: 'keywords' | 'ai' | 'fallback';
+  scores: { label: string; score: number; keywords: string[] }[];
+};
+
+export const createSpecializationLabel = (overrides: Partial<SpecializationLabel> = {}): SpecializationLabel => ({
+  id: `label-${Date.now().toString(36)}`,
+  label: 'New specialization',
+  keywords: [],
+  weight: 1,
+  portfolioUrl: '',
+  samples: [],
+  ...overrides
+});
+
+export async function loadDefaultTaxonomy(): Promise<Taxonomy> {
+  const response = await chrome.runtime.sendMessage({ action: 'getDefaultTaxonomy' });
+  if (response?.status !== 'success') throw new Error('The background worker did not respond.');
+  return response.taxonomy;
+}
+
+export async function loadTaxonomy(): Promise<Taxonomy> {
+  const defaults = await loadDefaultTaxonomy();
+  const { specializationTaxonomy } = await chrome.storage.local.get('specializationTaxonomy');
+  const taxonomy = { ...defaults, ...(specializationTaxonomy || {}) };
+  return Array.isArray(taxonomy.labels) ? taxonomy : { ...taxonomy, labels: defaults.labels };
+}
+
+export async function saveTaxonomy(specializationTaxonomy: Taxonomy): Promise<void> {
+  await chrome.storage.local.set({ specializationTaxonomy });
+}
+
+export async function resetTaxonomy(): Promise<void> {
+  await chrome.storage.local.remove('specializationTaxonomy');
+}
+
+// Runs detection on sample text with the saved taxonomy; `useAi: false` skips the AI fallback.
+export async function requestSpecialization(text: string, useAi = true): Promise<SpecializationMatch> {
+  const response = await chrome.runtime.sendMessage({ action: 'detectSpecialization', text, useAi });
+  if (response?.status !== 'success') {
+    throw new Error(response?.message || 'Specialization detection failed.');
+  }
+  return response.specialization;
+}
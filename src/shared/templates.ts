@@ -0,0 +1,56 @@
+// Prompt templates shared by the popup and options pages.
+// background.js renders them (see renderTemplate) from the `bidTemplates` key in chrome.storage.local.
+
+export type BidTemplate = {
+  id: string;
+  name: string;
+  content: string;
+  category: string;
+};
+
+export const TEMPLATE_VARIABLES = [
+  'title',
+  'description',
+  'skills',
+  'budget',
+  'specialization',
+  'name',
+  'yearsExperience',
+  'rating',
+  'projectCount',
+  'profileSkills',
+  'openingLine',
+  'closingLine',
+  'reviews',
+  'projectType',
+  'client',
+  'bidStats',
+  'attachments',
+  'facts',
+  'portfolio',
+  'sampleProjects',
+  'pastProjects',
+  'screening'
+];
+
+export const createTemplate = (overrides: Partial<BidTemplate> = {}): BidTemplate => ({
+  id: `template-${Date.now().toString(36)}`,
+  name: 'New template',
+  category: 'full-stack',
+  content: `Write a 3 to 6 line freelance bid for the project "{{title}}" (budget: {{budget}}).
+Start with: "{{openingLine}}"
+Mention how you would use {{skills}} and close with: "{{closingLine}}"
+
+Project details:
+{{description}}`,
+  ...overrides
+});
+
+export async function loadTemplates(): Promise<BidTemplate[]> {
+  const { bidTemplates } = await chrome.storage.local.get('bidTemplates');
+  return Array.isArray(bidTemplates) ? bidTemplates : [];
+}
+
+export async function saveTemplates(bidTemplates: BidTemplate[]): Promise<void> {
+  await chrome.storage.local.set({ bidTemplates });
+}
@@ -0,0 +1,124 @@
+// Token usage and spend caps. background/usage.js logs every AI call to `usageLog` in
+// chrome.storage.local and reads prices and caps from `usageSettings` in chrome.storage.sync.
+
+export type UsageEntry = {
+  at: number;
+  provider: string;
+  model: string;
+  inputTokens: number;
+  outputTokens: number;
+  // USD
+  cost: number;
+  // The API reported no token counts; they were estimated from the text length
+  estimated: boolean;
+  // False when no price matched the model (cost is then 0)
+  priced: boolean;
+};
+
+export type ModelPrice = {
+  provider: string;
+  model: string;
+  // USD per million tokens
+  input: number;
+  output: number;
+};
+
+export type SpendCap = { daily: number; monthly: number };
+
+export type UsageSettings = {
+  // `all` covers every provider together; 0 disables a cap
+  caps: Record<string, SpendCap>;
+  onCap: 'block' | 'downgrade';
+  prices: ModelPrice[];
+};
+
+// Mirrors USAGE_DEFAULTS in background/usage.js
+export const DEFAULT_USAGE_SETTINGS: UsageSettings = {
+  caps: {
+    all: { daily: 0, monthly: 0 },
+    gemini: { daily: 0, monthly: 0 },
+    openai: { daily: 0, monthly: 0 },
+    anthropic: { daily: 0, monthly: 0 },
+    compatible: { daily: 0, monthly: 0 }
+  },
+  onCap: 'block',
+  prices: [
+    { provider: 'gemini', model: 'gemini-1.5-flash-8b', input: 0.0375, output: 0.15 },
+    { provider: 'gemini', model: 'gemini-1.5-flash', input: 0.075, output: 0.3 },
+    { provider: 'gemini', model: 'gemini-1.5-pro', input: 1.25, output: 5 },
+    { provider: 'gemini', model: 'gemini-2.0-flash', input: 0.1, output: 0.4 },
+    { provider: 'openai', model: 'gpt-4o-mini', input: 0.15, output: 0.6 },
+    { provider: 'openai', model: 'gpt-4o', input: 2.5, output: 10 },
+    { provider: 'openai', model: 'gpt-4.1-nano', input: 0.1, output: 0.4 },
+    { provider: 'openai', model: 'gpt-4.1-mini', input: 0.4, output: 1.6 },
+    { provider: 'openai', model: 'gpt-4.1', input: 2, output: 8 },
+    { provider: 'anthropic', model: 'claude-3-5-haiku-latest', input: 0.8, output: 4 },
+    { provider: 'anthropic', model: 'claude-3-5-sonnet-latest', input: 3, output: 15 },
+    { provider: 'anthropic', model: 'claude-3-7-sonnet-latest', input: 3, output: 15 }
+  ]
+};
+
+export async function loadUsageSettings(): Promise<UsageSettings> {
+  const { usageSettings } = await chrome.storage.sync.get('usageSettings');
+  const settings = { ...DEFAULT_USAGE_SETTINGS, ...(usageSettings || {}) };
+  return { ...settings, caps: { ...DEFAULT_USAGE_SETTINGS.caps, ...(settings.caps || {}) } };
+}
+
+export async function saveUsageSettings(usageSettings: UsageSettings): Promise<void> {
+  await chrome.storage.sync.set({ usageSettings });
+}
+
+export async function loadUsageLog(): Promise<UsageEntry[]> {
+  const { usageLog } = await chrome.storage.local.get('usageLog');
+  return Array.isArray(usageLog) ? usageLog : [];
+}
+
+export async function clearUsageLog(): Promise<void> {
+  await chrome.storage.local.remove('usageLog');
+}
+
+export type UsageTotals = {
+  key: string;
+  calls: number;
+  inputTokens: number;
+  outputTokens: number;
+  cost: number;
+  estimated: number;
+  unpriced: number;
+};
+
+// Local calendar day, "YYYY-MM-DD".
+export const dayKey = (at: number) => {
+  const d = new Date(at);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// Sums the entries per key, largest cost first (days: newest first).
+export function totalsBy(entries: UsageEntry[], keyOf: (e: UsageEntry) => string): UsageTotals[] {
+  const totals = new Map<string, UsageTotals>();
+  for (const e of entries) {
+    const key = keyOf(e);
+    const t = totals.get(key) || { key, calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, estimated: 0, unpriced: 0 };
+    t.calls += 1;
+    t.inputTokens += e.inputTokens || 0;
+    t.outputTokens += e.outputTokens || 0;
+    t.cost += e.cost || 0;
+    if (e.estimated) t.estimated += 1;
+    if (!e.priced) t.unpriced += 1;
+    totals.set(key, t);
+  }
+  return Array.from(totals.values()).sort((a, b) => b.cost - a.cost || b.key.localeCompare(a.key));
+}
+
+export const startOfToday = () => new Date(new Date().setHours(0, 0, 0, 0)).getTime();
+
+export const startOfMonth = () => {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+};
+
+// Small amounts need more digits to be visible at all.
+export const formatCost = (cost: number) => `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+
+export const formatTokens = (tokens: number) =>
+  tokens >= 1e6 ? `${(tokens / 1e6).toFixed(2)}M` : tokens >= 1e3 ? `${(tokens / 1e3).toFixed(1)}k` : String(tokens);
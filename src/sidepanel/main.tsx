@@ -0,0 +1,18 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import { ThemeProvider } from '@mui/material/styles';
+import CssBaseline from '@mui/material/CssBaseline';
+import Popup from '../popup/popup';
+import { theme } from '../popup/theme';
+
+// The side panel runs the popup app; it stays open while the page is scrolled and read.
+const container = document.getElementById('root');
+if (container) {
+  const root = createRoot(container);
+  root.render(
+    <ThemeProvider theme={theme}>
+      <CssBaseline />
+      <Popup variant="panel" />
+    </ThemeProvider>
+  );
+}
@@ -0,0 +1,77 @@
+// Loads a fixture page into jsdom with the content scripts injected the way manifest.json does
+// (selector-pack.js, content-selectors.js, then content.js), with a minimal chrome.* stub.
+
+import { readFileSync } from 'node:fs';
+import { Script } from 'node:vm';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const ROOT = new URL('../', import.meta.url);
+const PROJECT_SCRIPTS = ['selector-pack.js', 'content-selectors.js', 'content.js'];
+
+// jsdom has no layout, so it has no innerText either. This approximation puts block elements and
+// <br> on their own lines, which is what the extractor's line-based regexes rely on.
+const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGURE', 'FOOTER', 'FORM',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'SECTION', 'TABLE', 'TR', 'UL',
+]);
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT']);
+
+function renderedText(node) {
+    if (node.nodeType === 3) return node.data.replace(/\s+/g, ' ');
+    if (node.nodeType !== 1 || SKIPPED_TAGS.has(node.tagName)) return '';
+    if (node.tagName === 'BR') return '\n';
+    const inner = Array.from(node.childNodes, renderedText).join('');
+    return BLOCK_TAGS.has(node.tagName) ? `\n${inner}\n` : inner;
+}
+
+function installInnerText(window) {
+    Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+        configurable: true,
+        get() {
+            return renderedText(this).split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+        },
+        set(value) {
+            this.textContent = value;
+        },
+    });
+}
+
+function chromeStub(storage = {}) {
+    const listeners = () => ({ addListener() {}, removeListener() {} });
+    return {
+        storage: {
+            local: { get: async () => storage, set: async () => {} },
+            onChanged: listeners(),
+        },
+        runtime: {
+            onMessage: listeners(),
+            sendMessage: async () => ({ status: 'success' }),
+            lastError: null,
+        },
+    };
+}
+
+export const fixture = (name) => readFileSync(new URL(`test/fixtures/${name}`, ROOT), 'utf8');
+
+/**
+ * @param {string} html - Page markup, usually fixture('project-fixed.html').
+ * @param {object} [options]
+ * @param {string} [options.url] - location.href of the page.
+ * @param {object} [options.storage] - What chrome.storage.local.get() resolves with, e.g. { selectorPack }.
+ * @returns {Window} The jsdom window; the content scripts' functions are globals on it.
+ */
+export function loadContentPage(html, { url = 'https://www.freelancer.com/projects/php/sample-project', storage } = {}) {
+    const virtualConsole = new VirtualConsole();
+    // Script errors still fail loudly; the content scripts' own logging is dropped.
+    virtualConsole.on('jsdomError', error => { throw error; });
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only', virtualConsole });
+    const { window } = dom;
+    installInnerText(window);
+    window.chrome = chromeStub(storage);
+    // Run as scripts, not through eval(), so top-level const/let are shared between files as on the page.
+    const context = dom.getInternalVMContext();
+    for (const file of PROJECT_SCRIPTS) {
+        new Script(readFileSync(new URL(file, ROOT), 'utf8'), { filename: file }).runInContext(context);
+    }
+    return window;
+}
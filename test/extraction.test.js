@@ -0,0 +1,75 @@
+// extractJobDetails() from content.js against the saved project pages in test/fixtures.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture, loadContentPage } from './content-page.js';
+
+// Copied out of the page's realm: deepEqual compares prototypes, and the page has its own Object and Array.
+const extract = async (name) => JSON.parse(JSON.stringify(await loadContentPage(fixture(name)).extractJobDetails()));
+
+test('fixed-price project page: core fields', async () => {
+    const job = await extract('project-fixed.html');
+    assert.equal(job.title, 'Shopify store with custom checkout');
+    assert.deepEqual(job.skills, ['Shopify', 'Liquid', 'JavaScript']);
+    assert.match(job.description, /^Shopify store with custom checkout\n\nWe sell handmade candles/);
+    assert.match(job.description, /Skills: Shopify, Liquid, JavaScript$/);
+    assert.deepEqual(job.projectBudget, { text: '$250.00 – 750.00 USD', min: 250, max: 750 });
+    assert.equal(job.bidAmount, 500);
+    assert.equal(job.deliveryTime, 7);
+    assert.equal(job.language, 'en');
+});
+
+test('fixed-price project page: client, competition, posting time and attachments', async () => {
+    const job = await extract('project-fixed.html');
+    assert.equal(job.projectType, 'fixed');
+    assert.equal(job.hourlyRate, null);
+    assert.deepEqual(job.client, { country: 'Germany', paymentVerified: true, rating: 4.9, reviewCount: 27 });
+    assert.deepEqual(job.bidStats, { count: 25, average: 480, averageText: '$480 USD' });
+    assert.equal(job.postedText, '3 hours ago');
+    assert.ok(Math.abs(Date.now() - 3 * 3600e3 - job.postedAt) < 60e3);
+    assert.deepEqual(job.attachments, ['brief.pdf', 'checkout-mockup.png']);
+});
+
+test('hourly project page', async () => {
+    const job = await extract('project-hourly.html');
+    assert.equal(job.title, 'Python data pipeline maintenance');
+    assert.deepEqual(job.skills, ['Python', 'Amazon Web Services', 'ETL']);
+    assert.equal(job.language, 'de');
+    assert.equal(job.projectType, 'hourly');
+    assert.deepEqual(job.hourlyRate, { min: 15, max: 25 });
+    assert.deepEqual(job.bidStats, { count: 12, average: 21, averageText: '$21 USD / hour' });
+    assert.equal(job.postedText, '2 days ago');
+    assert.deepEqual(job.attachments, ['pipeline-diagram.pdf']);
+    assert.deepEqual(job.client, { country: 'Austria', paymentVerified: false, rating: null, reviewCount: null });
+    // Already bid on: no bid form to read defaults from
+    assert.equal(job.bidAmount, null);
+    assert.equal(job.deliveryTime, null);
+});
+
+test('logged-out project page', async () => {
+    const job = await extract('project-logged-out.html');
+    assert.equal(job.title, 'Python data pipeline maintenance');
+    assert.deepEqual(job.skills, ['Python', 'Amazon Web Services', 'ETL']);
+    assert.equal(job.language, 'de');
+    assert.equal(job.projectType, 'hourly');
+    assert.deepEqual(job.hourlyRate, { min: 15, max: 25 });
+    assert.deepEqual(job.bidStats, { count: 12, average: 21, averageText: '$21 USD / hour' });
+    assert.equal(job.postedText, '2 days ago');
+    assert.deepEqual(job.attachments, ['pipeline-diagram.pdf']);
+    // No bid form and no client card when logged out
+    assert.equal(job.bidAmount, null);
+    assert.equal(job.deliveryTime, null);
+    assert.deepEqual(job.client, { country: null, paymentVerified: null, rating: null, reviewCount: null });
+});
+
+test('redesigned page falls back to the heuristics', async () => {
+    const job = await extract('project-redesign.html');
+    assert.equal(job.title, 'Landing page in React');
+    assert.equal(job.bidAmount, 300);
+    assert.equal(job.deliveryTime, 5);
+    assert.equal(job.client.paymentVerified, false);
+    assert.equal(job.client.rating, 5);
+    assert.equal(job.client.reviewCount, 3);
+    assert.equal(job.projectType, null);
+    assert.deepEqual(job.attachments, []);
+});
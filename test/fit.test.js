@@ -0,0 +1,37 @@
+// scoreSkills() from background/fit.js, evaluated offline with background/taxonomy.js as importScripts() loads them.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createContext, runInContext } from 'node:vm';
+
+const context = createContext({});
+for (const file of ['background/taxonomy.js', 'background/fit.js']) {
+    runInContext(readFileSync(new URL(`../${file}`, import.meta.url), 'utf8'), context, { filename: file });
+}
+
+// No specializations, so only the skill names themselves can match.
+const NO_TAXONOMY = { labels: [] };
+const matchedSkills = (skills, profileSkills, taxonomy = NO_TAXONOMY) => {
+    const { detail } = context.scoreSkills({ skills }, { skills: profileSkills, highlights: [] }, taxonomy);
+    return detail.match(/\((.*)\)/)?.[1].split(', ') ?? [];
+};
+
+test('short skill names only match whole words', () => {
+    assert.deepEqual(matchedSkills(['Go'], ['Google Cloud', 'MongoDB']), []);
+    assert.deepEqual(matchedSkills(['Java'], ['JavaScript']), []);
+    assert.deepEqual(matchedSkills(['C'], ['C++', 'C#', 'Docker']), []);
+    assert.deepEqual(matchedSkills(['R'], ['React', 'Rust']), []);
+});
+
+test('named skills match', () => {
+    assert.deepEqual(matchedSkills(['Go', 'Java', 'C', 'C++'], ['Go', 'Java', 'C/C++']), ['Go', 'Java', 'C', 'C++']);
+    assert.deepEqual(matchedSkills(['Node.js', '.NET'], ['Node.js and .NET backends']), ['Node.js', '.NET']);
+    assert.deepEqual(matchedSkills(['React Native'], ['react native']), ['React Native']);
+});
+
+test('a skill of a covered specialization counts', () => {
+    const taxonomy = { labels: [{ label: 'mobile', weight: 1, keywords: ['android', 'flutter'] }] };
+    assert.deepEqual(matchedSkills(['Flutter'], ['Android'], taxonomy), ['Flutter']);
+    assert.deepEqual(matchedSkills(['Flutter'], ['Angular'], taxonomy), []);
+});
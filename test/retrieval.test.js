@@ -0,0 +1,63 @@
+// rankPastProjects() from background/retrieval.js, evaluated offline as its header describes.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createContext, runInContext } from 'node:vm';
+
+const context = createContext({});
+runInContext(readFileSync(new URL('../background/retrieval.js', import.meta.url), 'utf8'), context);
+const rank = (query, options) => context.rankPastProjects(query, PROJECTS, options);
+
+const PROJECTS = [
+    {
+        id: 'rn-fitness',
+        title: 'React Native fitness tracker',
+        stack: ['React Native', 'Firebase', 'Expo'],
+        outcome: 'Shipped to iOS and Android with 10k installs in the first month',
+        quote: 'Great communication and a polished app.',
+    },
+    {
+        id: 'shopify-checkout',
+        title: 'Shopify checkout customisation',
+        stack: ['Shopify', 'Liquid', 'JavaScript'],
+        outcome: 'Raised conversion by 12% with a one-page checkout',
+    },
+    {
+        id: 'django-api',
+        title: 'Django REST API for a logistics dashboard',
+        stack: ['Python', 'Django', 'PostgreSQL'],
+        outcome: 'Replaced spreadsheets for 40 dispatchers',
+    },
+    {
+        id: 'firebase-web',
+        title: 'Firebase admin panel',
+        stack: ['React', 'Firebase', 'Cloud Functions'],
+        outcome: 'Moderation tools for a community app',
+    },
+];
+
+test('the most relevant project ranks first', () => {
+    const results = rank('React Native app with Firebase');
+    assert.deepEqual(results.map(r => r.project.id), ['rn-fitness', 'firebase-web']);
+    assert.ok(results[0].score > results[1].score);
+    assert.ok(results[0].terms.includes('native'));
+    assert.ok(results[0].terms.includes('firebase'));
+});
+
+test('skills pick the matching project', () => {
+    const results = rank('Need a Python Django developer for a REST API');
+    assert.equal(results[0].project.id, 'django-api');
+    assert.ok(results.every(r => r.project.id !== 'shopify-checkout'));
+});
+
+test('an unrelated query matches nothing', () => {
+    assert.equal(rank('Translate a wedding speech from Italian to Polish').length, 0);
+    assert.equal(rank('').length, 0);
+});
+
+test('limit and minScore', () => {
+    assert.equal(rank('React Firebase app', { limit: 1 }).length, 1);
+    assert.equal(rank('React Native app with Firebase', { minScore: 0.99 }).length, 0);
+    assert.equal(context.rankPastProjects('React', []).length, 0);
+});
@@ -0,0 +1,55 @@
+// detectScreening() from content.js: required phrases and screening questions in descriptions.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture, loadContentPage } from './content-page.js';
+
+const page = loadContentPage('<!DOCTYPE html><body></body>');
+// Copied out of the page's realm, see extraction.test.js.
+const detect = (text) => JSON.parse(JSON.stringify(page.detectScreening(text)));
+const phrases = (text) => detect(text).requiredPhrases;
+
+test('phrases the bid must start with', () => {
+    assert.deepEqual(phrases("Start your bid with the word 'banana' so I know you read this."), [{ text: 'banana', placement: 'start' }]);
+    assert.deepEqual(phrases("Start your bid with 'banana'."), [{ text: 'banana', placement: 'start' }]);
+    assert.deepEqual(phrases('Start your bid with the word banana.'), [{ text: 'banana', placement: 'start' }]);
+    assert.deepEqual(phrases('Please begin your proposal with BLUE.'), [{ text: 'BLUE', placement: 'start' }]);
+    assert.deepEqual(phrases('Your proposal must start with "Hello Sam".'), [{ text: 'Hello Sam', placement: 'start' }]);
+    assert.deepEqual(phrases('Write ORANGE at the top of your proposal.'), [{ text: 'ORANGE', placement: 'start' }]);
+});
+
+test('phrases the bid must include', () => {
+    assert.deepEqual(phrases("Include the phrase 'blue sky' in your bid."), [{ text: 'blue sky', placement: 'anywhere' }]);
+    assert.deepEqual(phrases('Include "I read it" in your bid.'), [{ text: 'I read it', placement: 'anywhere' }]);
+    assert.deepEqual(phrases('Mention the keyword pineapple in your application.'), [{ text: 'pineapple', placement: 'anywhere' }]);
+});
+
+test('instructions that are not required phrases', () => {
+    assert.deepEqual(phrases('Start your bid with a short summary of your experience.'), []);
+    assert.deepEqual(phrases("Start your proposal with the client's name."), []);
+});
+
+test('numbered and bulleted screening questions', () => {
+    assert.deepEqual(detect('Answer: 1) Have you built X? 2) What is your timeline?').questions, ['Have you built X?', 'What is your timeline?']);
+    assert.deepEqual(
+        detect('Please reply to the following:\nQ1: Which framework would you use\nQ2: How many hours do you estimate').questions,
+        ['Which framework would you use', 'How many hours do you estimate']
+    );
+    assert.deepEqual(
+        detect('Please answer these questions:\n- Have you worked with Stripe?\n- How soon can you start?\nThanks').questions,
+        ['Have you worked with Stripe?', 'How soon can you start?']
+    );
+});
+
+test('numbered requirements are not questions', () => {
+    assert.deepEqual(detect('Requirements:\n1. Login page\n2. Dashboard\n3. Reports').questions, []);
+    assert.deepEqual(detect('Version 2.0 needed. 1) build the API 2) deploy it').questions, []);
+});
+
+test('extractJobDetails() includes the screening instructions', async () => {
+    const job = await loadContentPage(fixture('project-fixed.html')).extractJobDetails();
+    assert.deepEqual(JSON.parse(JSON.stringify(job.screening)), {
+        requiredPhrases: [{ text: 'banana', placement: 'start' }],
+        questions: ['Have you built Shopify checkout extensions before?', 'What is your timeline?'],
+    });
+});
@@ -0,0 +1,71 @@
+// resolveAll()/resolveElement() from content-selectors.js: which selector of the pack, or which
+// heuristic, finds each element on the saved pages in test/fixtures.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture, loadContentPage } from './content-page.js';
+
+test('built-in pack matches the logged-in project page', () => {
+    const window = loadContentPage(fixture('project-fixed.html'));
+    const expected = {
+        title: 'h2.ProjectViewDetails-title',
+        description: 'div.ProjectDescription span.NativeElement',
+        budget: 'p.ProjectViewDetails-budget',
+        clientSection: '.ProjectViewDetailsClientInfo',
+        bidAmountInput: 'input#bidAmountInput',
+        deliveryTimeInput: 'input#periodInput',
+        bidTextarea: 'textarea#descriptionTextArea',
+        placeBidButton: 'fl-button[fltrackinglabel="PlaceBidButton"] button',
+    };
+    for (const [key, selector] of Object.entries(expected)) {
+        const result = window.resolveAll(key, window.document);
+        assert.equal(result.selector, selector, key);
+        assert.equal(result.heuristic, null, key);
+        assert.equal(result.elements.length, 1, key);
+    }
+    assert.equal(window.resolveAll('skills', window.document).elements.length, 3);
+    assert.equal(window.resolveAll('attachments', window.document).elements.length, 2);
+});
+
+test('built-in pack falls through to the logged-out selectors', () => {
+    const window = loadContentPage(fixture('project-logged-out.html'));
+    assert.equal(window.resolveAll('title', window.document).selector, 'h1.PageProjectViewLogout-header-title');
+    assert.equal(window.resolveAll('description', window.document).selector, '.PageProjectViewLogout-detail p');
+    assert.equal(window.resolveAll('budget', window.document).selector, '.PageProjectViewLogout-header-byLine p');
+    assert.equal(window.resolveElement('bidTextarea', window.document), null);
+    assert.equal(window.resolveElement('clientSection', window.document), null);
+});
+
+test('heuristics find the elements after a redesign', () => {
+    const window = loadContentPage(fixture('project-redesign.html'));
+    const { document } = window;
+    const cases = {
+        title: document.querySelector('h1'),
+        clientSection: document.querySelector('section.pv-card'),
+        bidAmountInput: document.getElementById('amt'),
+        deliveryTimeInput: document.getElementById('days'),
+        bidTextarea: document.getElementById('proposal'),
+        placeBidButton: document.querySelector('button[type="submit"]'),
+    };
+    for (const [key, element] of Object.entries(cases)) {
+        const result = window.resolveAll(key, document);
+        assert.equal(result.selector, null, key);
+        assert.ok(result.heuristic, key);
+        assert.equal(result.elements[0], element, key);
+    }
+    assert.equal(window.resolveElement('description', document), null);
+});
+
+test('a saved pack is used first and an invalid selector in it is skipped', async () => {
+    const selectorPack = {
+        schema: 1,
+        revision: 2,
+        name: 'Custom',
+        selectors: { title: ['h2[', 'div.ProjectViewDetails-header h2'], budget: [] },
+    };
+    const window = loadContentPage(fixture('project-fixed.html'), { storage: { selectorPack } });
+    await window.eval('selectorPackReady');
+    assert.equal(window.resolveAll('title', window.document).selector, 'div.ProjectViewDetails-header h2');
+    // Keys the pack leaves empty use the built-in selectors
+    assert.equal(window.resolveAll('budget', window.document).selector, 'p.ProjectViewDetails-budget');
+});
@@ -8,7 +8,8 @@ export default defineConfig({
     rollupOptions: {
       input: {
         popup: 'src/popup/index.html',
-        options: 'src/options/index.html'
+        options: 'src/options/index.html',
+        sidepanel: 'src/sidepanel/index.html'
       },
       output: {
         entryFileNames: `assets/[name].js`,